@@ -3,29 +3,99 @@ import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
-import { IssueMatcher } from './services/IssueMatcher.js';
-import { ContentService } from './services/ContentService.js';
+import fs from 'fs';
+import crypto from 'crypto';
+import cron from 'node-cron';
+import { ContentService, OWN_FLAG_ERROR } from './services/ContentService.js';
 import { RewardMaster } from './services/RewardMaster.js';
+import { VoucherService } from './services/VoucherService.js';
+import { createPartnerAdapters } from './services/PartnerAdapters.js';
 import { QuizService } from './services/QuizService.js';
 import { IntegrityGuardian } from './services/IntegrityGuardian.js';
 import { AuditService } from './services/AuditService.js';
 import { AnalyticsService } from './services/AnalyticsService.js';
 import { FeatureFlagService } from './services/FeatureFlagService.js';
-import { validateOnboardingData, validateFlagData, validateQuizData, validatePledgeData } from './middleware/validation.js';
+import { FactService } from './services/FactService.js';
+import { ClaimClusterService } from './services/ClaimClusterService.js';
+import { IngestionService, loadIngestionSources } from './services/IngestionService.js';
+import { ProfileService } from './services/ProfileService.js';
+import { AuthService } from './services/AuthService.js';
+import { loadSigningKey } from './services/AuditChain.js';
+import { createStorage } from './storage/index.js';
+import { validateOnboardingData, validateFlagData, validateQuizData, validatePledgeData, validateSignupData, validateLoginData, validateFactData, validateFeedQuery, validatePreferencesUpdate, validateLedgerAdjustment, validateRewardData, validateMerchantData, validateVoucherCode } from './middleware/validation.js';
+import { authenticate, optionalAuthenticate, requireSelf, requireOwner, requirePermission } from './middleware/auth.js';
+import { hasPermission } from './services/AuthService.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Initialize storage (STORAGE_DRIVER=memory|sqlite) shared by all services
+const storage = createStorage();
+
+// Ed25519 key that signs audit checkpoints; without one, a per-process key is generated
+const auditSigningKey = loadSigningKey(
+  process.env.AUDIT_SIGNING_KEY_PATH ? fs.readFileSync(process.env.AUDIT_SIGNING_KEY_PATH, 'utf8') : null
+);
+if (!process.env.AUDIT_SIGNING_KEY_PATH) {
+  console.warn('⚠️ AUDIT_SIGNING_KEY_PATH not set; audit checkpoints are signed with a temporary key');
+}
+
 // Initialize services
-const contentService = new ContentService();
-const rewardMaster = new RewardMaster();
-const quizService = new QuizService();
-const integrityGuardian = new IntegrityGuardian();
-const auditService = new AuditService();
-const analyticsService = new AnalyticsService();
+const factService = new FactService({ storage });
+const profileService = new ProfileService({ storage });
+const contentService = new ContentService({
+  storage,
+  factService,
+  profileService,
+  surpriseShare: process.env.FEED_SURPRISE_SHARE ? parseFloat(process.env.FEED_SURPRISE_SHARE) : undefined
+});
+const claimClusterService = new ClaimClusterService({ storage, contentService });
+const ingestionService = new IngestionService({
+  storage,
+  contentService,
+  sources: process.env.INGESTION_SOURCES_PATH ? loadIngestionSources(process.env.INGESTION_SOURCES_PATH) : []
+});
+// Vouchers for local offers are signed with VOUCHER_SIGNING_SECRET; without it they stop verifying on restart
+const voucherService = new VoucherService({ storage, signingSecret: process.env.VOUCHER_SIGNING_SECRET });
+if (!process.env.VOUCHER_SIGNING_SECRET) {
+  console.warn('⚠️ VOUCHER_SIGNING_SECRET not set; vouchers are signed with a temporary secret');
+}
+
+// Reward partners: HTTP when a URL is set (e.g. the simulators in server/scripts), in-process otherwise
+const rewardMaster = new RewardMaster({
+  storage,
+  profileService,
+  vouchers: voucherService,
+  partners: createPartnerAdapters({
+    omnyUrl: process.env.OMNY_API_URL,
+    omnyApiKey: process.env.OMNY_API_KEY,
+    merchantUrl: process.env.MERCHANT_API_URL,
+    merchantApiKey: process.env.MERCHANT_API_KEY,
+    timeoutMs: parseInt(process.env.PARTNER_TIMEOUT_MS) || undefined
+  })
+});
+const quizService = new QuizService({ storage });
+const auditService = new AuditService({ storage, signingKey: auditSigningKey });
+const integrityGuardian = new IntegrityGuardian({ storage, auditService });
+const analyticsService = new AnalyticsService({ storage, analysisCache: contentService.analysisCache });
 const featureFlagService = new FeatureFlagService();
+const authService = new AuthService({ storage });
+
+// Auth middleware bound to the shared AuthService
+const requireAuth = authenticate(authService);
+const optionalAuth = optionalAuthenticate(authService);
+
+// Role flags come from the account record, never from the query string
+const getFeatureContext = (userId, query) => {
+  const role = authService.getUser(userId)?.role;
+  return {
+    ...query,
+    isAdmin: role === 'admin',
+    isPilotCoordinator: role === 'pilot_coordinator'
+  };
+};
 
 // Security middleware
 app.use(helmet());
@@ -46,6 +116,30 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Stricter limit for credential endpoints to slow down password guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20,
+  message: {
+    error: 'Too many authentication attempts, please try again later.',
+    retryAfter: 15 * 60
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Chain verification, inclusion proofs and signed exports are O(n) per request; keep them for occasional checks
+const auditVerifyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.AUDIT_VERIFY_RATE_LIMIT_MAX) || 10,
+  message: {
+    error: 'Too many verification requests, please try again later.',
+    retryAfter: 60
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 
@@ -54,15 +148,154 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Authentication endpoints
+app.post('/api/auth/signup', authLimiter, validateSignupData, async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    const result = await authService.signUp({ email, password, name });
+
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    await auditService.logEvent('user_registered', {
+      userId: result.data.user.id
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Signup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create account'
+    });
+  }
+});
+
+app.post('/api/auth/login', authLimiter, validateLoginData, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const result = await authService.login({ email, password });
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(401).json(result);
+    }
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in'
+    });
+  }
+});
+
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+  res.json(authService.logout(req.authToken));
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+// Role management (admin only)
+app.put('/api/admin/users/:userId/role', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const result = authService.setUserRole(userId, req.body.role);
+
+    if (!result.success) {
+      return res.status(result.error === 'User not found' ? 404 : 400).json(result);
+    }
+
+    // Role decides the feature flag cohort, so drop the cached one
+    featureFlagService.resetUserCohort(userId);
+
+    await auditService.logEvent('role_changed', {
+      userId,
+      changedBy: req.user.id,
+      previousRole: result.data.previousRole,
+      role: result.data.user.role
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Role update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update role'
+    });
+  }
+});
+
+// Points ledger (admin only): drift between profiles and the ledger, and manual corrections
+app.get('/api/admin/ledger/reconciliation', requireAuth, requirePermission('rewards:manage'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: rewardMaster.reconcile()
+    });
+  } catch (error) {
+    console.error('Ledger reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reconcile ledger'
+    });
+  }
+});
+
+app.post('/api/admin/ledger/adjustments', requireAuth, requirePermission('rewards:manage'), validateLedgerAdjustment, async (req, res) => {
+  try {
+    const { userId, type = 'adjust', xp = 0, metroPoints = 0, reason } = req.body;
+    const result = await rewardMaster.postAdjustment(userId, {
+      type,
+      xp,
+      metroPoints,
+      reason,
+      actorId: req.user.id,
+      idempotencyKey: req.get('Idempotency-Key')
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    if (!result.replayed) {
+      await auditService.logEvent('ledger_adjusted', {
+        userId,
+        adjustedBy: req.user.id,
+        type,
+        xp,
+        metroPoints,
+        reason,
+        entryId: result.data.transaction.id
+      });
+    }
+
+    res.status(result.replayed ? 200 : 201).json(result);
+  } catch (error) {
+    console.error('Ledger adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post ledger adjustment'
+    });
+  }
+});
+
 // Analytics tracking endpoint
-app.post('/api/analytics/track', async (req, res) => {
+app.post('/api/analytics/track', requireAuth, async (req, res) => {
   try {
-    const { eventName, userId, properties, metadata } = req.body;
+    const { eventName, properties, metadata } = req.body;
+    const userId = req.user.id;
     
-    if (!eventName || !userId) {
+    if (!eventName) {
       return res.status(400).json({
         success: false,
-        error: 'Event name and user ID are required'
+        error: 'Event name is required'
       });
     }
 
@@ -73,7 +306,7 @@ app.post('/api/analytics/track', async (req, res) => {
       {
         ...metadata,
         userAgent: req.get('User-Agent'),
-        ipHash: req.ip ? require('crypto').createHash('sha256').update(req.ip).digest('hex').substring(0, 16) : null
+        ipHash: req.ip ? crypto.createHash('sha256').update(req.ip).digest('hex').substring(0, 16) : null
       }
     );
 
@@ -88,7 +321,7 @@ app.post('/api/analytics/track', async (req, res) => {
 });
 
 // Dashboard metrics endpoint
-app.get('/api/analytics/dashboard', async (req, res) => {
+app.get('/api/analytics/dashboard', requireAuth, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { timeframe = '24h', cohort } = req.query;
     
@@ -104,7 +337,7 @@ app.get('/api/analytics/dashboard', async (req, res) => {
 });
 
 // Campaign analytics endpoint
-app.get('/api/analytics/campaign/:campaignId', async (req, res) => {
+app.get('/api/analytics/campaign/:campaignId', requireAuth, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { campaignId } = req.params;
     const { timeframe = '30d' } = req.query;
@@ -121,7 +354,7 @@ app.get('/api/analytics/campaign/:campaignId', async (req, res) => {
 });
 
 // Cohort analysis endpoint
-app.get('/api/analytics/cohort/:cohortId', async (req, res) => {
+app.get('/api/analytics/cohort/:cohortId', requireAuth, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { cohortId } = req.params;
     const { timeframe = '30d' } = req.query;
@@ -138,10 +371,10 @@ app.get('/api/analytics/cohort/:cohortId', async (req, res) => {
 });
 
 // Feature flag endpoints
-app.get('/api/features/:userId', async (req, res) => {
+app.get('/api/features/:userId', requireAuth, requireSelf, async (req, res) => {
   try {
     const { userId } = req.params;
-    const userContext = req.query;
+    const userContext = getFeatureContext(userId, req.query);
     
     const features = featureFlagService.getUserFeatures(userId, userContext);
     res.json({
@@ -157,10 +390,10 @@ app.get('/api/features/:userId', async (req, res) => {
   }
 });
 
-app.get('/api/features/:userId/:flagName', async (req, res) => {
+app.get('/api/features/:userId/:flagName', requireAuth, requireSelf, async (req, res) => {
   try {
     const { userId, flagName } = req.params;
-    const userContext = req.query;
+    const userContext = getFeatureContext(userId, req.query);
     
     const result = featureFlagService.isEnabled(flagName, userId, userContext);
     res.json({
@@ -177,7 +410,7 @@ app.get('/api/features/:userId/:flagName', async (req, res) => {
 });
 
 // Feature flag analytics
-app.get('/api/analytics/feature-flags', async (req, res) => {
+app.get('/api/analytics/feature-flags', requireAuth, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { timeframe = '24h' } = req.query;
     
@@ -193,14 +426,15 @@ app.get('/api/analytics/feature-flags', async (req, res) => {
 });
 
 // Feedback collection endpoint
-app.post('/api/feedback', async (req, res) => {
+app.post('/api/feedback', requireAuth, async (req, res) => {
   try {
-    const { userId, type, data, metadata } = req.body;
+    const { type, data, metadata } = req.body;
+    const userId = req.user.id;
     
-    if (!userId || !type || !data) {
+    if (!type || !data) {
       return res.status(400).json({
         success: false,
-        error: 'User ID, type, and data are required'
+        error: 'Type and data are required'
       });
     }
 
@@ -221,44 +455,27 @@ app.post('/api/feedback', async (req, res) => {
 });
 
 // Onboarding endpoint with analytics tracking
-app.post('/api/onboarding', validateOnboardingData, async (req, res) => {
+app.post('/api/onboarding', requireAuth, validateOnboardingData, async (req, res) => {
   try {
     const { issues, format, reminders, cadence, zipCode } = req.body;
     
     // Track onboarding start
-    const userId = req.body.userId || `user_${Date.now()}`;
+    const userId = req.user.id;
     await analyticsService.trackEvent('onboarding_started', userId, {
       issues: issues.length,
       format,
       zipCode
     });
     
-    // Initialize IssueMatcher with user preferences
-    const issueMatcher = new IssueMatcher();
-    
-    // Generate personalized topic set with surprise injection
-    const personalizedTopics = await issueMatcher.generateTopicSet({
-      selectedIssues: issues,
-      zipCode,
+    // Generate the personalized topic set (with surprise injection) and store it for the feed
+    const onboardingResult = await profileService.saveOnboarding(userId, {
+      issues,
       format,
-      cadence
+      reminders,
+      cadence,
+      zipCode
     });
-    
-    // Store onboarding data (mock implementation for now)
-    const onboardingResult = {
-      id: `onboarding_${Date.now()}`,
-      userId,
-      preferences: {
-        issues,
-        format,
-        reminders,
-        cadence,
-        zipCode
-      },
-      personalizedTopics,
-      createdAt: new Date().toISOString(),
-      status: 'completed'
-    };
+    const { personalizedTopics } = onboardingResult;
 
     // Log audit event
     await auditService.logEvent('user_onboarded', {
@@ -290,9 +507,9 @@ app.post('/api/onboarding', validateOnboardingData, async (req, res) => {
 });
 
 // Feed endpoint with analytics tracking
-app.get('/api/feed', async (req, res) => {
+app.get('/api/feed', optionalAuth, validateFeedQuery, async (req, res) => {
   try {
-    const userId = req.query.userId || 'anonymous';
+    const userId = req.user?.id || 'anonymous';
     
     // Track feed view
     if (userId !== 'anonymous') {
@@ -301,11 +518,14 @@ app.get('/api/feed', async (req, res) => {
       });
     }
     
-    // Get user preferences (mock - would come from database)
+    // Signed-in readers are ranked by their stored onboarding profile; these only apply without one
     const preferences = req.query.preferences ? JSON.parse(req.query.preferences) : {};
     
-    // Generate personalized feed
-    const feedResult = await contentService.getFeed(userId, preferences);
+    // Generate one page of the personalized feed
+    const feedResult = await contentService.getFeed(userId, preferences, {
+      cursor: req.query.cursor,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    });
     
     // Track contradictions found
     if (feedResult.success && feedResult.data) {
@@ -338,41 +558,37 @@ app.get('/api/feed', async (req, res) => {
 });
 
 // Flag submission endpoint with analytics
-app.post('/api/flag', validateFlagData, async (req, res) => {
+app.post('/api/flag', requireAuth, validateFlagData, async (req, res) => {
   try {
+    const userId = req.user.id;
+    const flagData = { ...req.body, userId };
+
     // Track flag submission
-    await analyticsService.trackEvent('flag_submitted', req.body.userId, {
+    await analyticsService.trackEvent('flag_submitted', userId, {
       reason: req.body.reason,
       contentId: req.body.contentId
     });
 
     // Process flag with reputation weighting
-    const weightedFlag = await integrityGuardian.processFlagWithReputation(req.body);
+    const weightedFlag = await integrityGuardian.processFlagWithReputation(flagData);
     
     if (weightedFlag.success) {
       // Submit to content service
       const flagResult = await contentService.submitFlag({
-        ...req.body,
+        ...flagData,
+        id: weightedFlag.data.id,
         weight: weightedFlag.data.weight,
         priority: weightedFlag.data.priority
       });
 
       if (flagResult.success) {
         // Award XP for flag submission
-        const userId = req.body.userId;
         await rewardMaster.awardXP(userId, 'flag_submission', {
           contentId: req.body.contentId,
           reason: req.body.reason
-        });
+        }, { idempotencyKey: `flag_submission:${flagResult.data.id}` });
 
-        // Log audit event
-        await auditService.logEvent('flag_submitted', {
-          flagId: weightedFlag.data.id,
-          contentId: req.body.contentId,
-          reason: req.body.reason,
-          weight: weightedFlag.data.weight
-        });
-        
+        // processFlagWithReputation already recorded flag_submitted in the audit log
         res.status(201).json(flagResult);
       } else {
         res.status(500).json(flagResult);
@@ -392,16 +608,10 @@ app.post('/api/flag', validateFlagData, async (req, res) => {
 });
 
 // Quiz endpoints with analytics
-app.post('/api/quiz/generate', async (req, res) => {
+app.post('/api/quiz/generate', requireAuth, async (req, res) => {
   try {
-    const { userId, preferences } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
+    const { preferences } = req.body;
+    const userId = req.user.id;
 
     // Track quiz generation
     await analyticsService.trackEvent('quiz_generated', userId, {
@@ -433,11 +643,12 @@ app.post('/api/quiz/generate', async (req, res) => {
   }
 });
 
-app.post('/api/quiz/submit', validateQuizData, async (req, res) => {
+app.post('/api/quiz/submit', requireAuth, validateQuizData, async (req, res) => {
   try {
-    const { quizId, answers, userId } = req.body;
+    const { quizId, answers } = req.body;
+    const userId = req.user.id;
     
-    const submitResult = await quizService.submitQuiz(quizId, answers);
+    const submitResult = await quizService.submitQuiz(quizId, answers, userId);
     
     if (submitResult.success) {
       // Track quiz completion
@@ -494,19 +705,21 @@ app.post('/api/quiz/submit', validateQuizData, async (req, res) => {
 });
 
 // Vote pledge endpoint with analytics
-app.post('/api/vote-pledge', validatePledgeData, async (req, res) => {
+app.post('/api/vote-pledge', requireAuth, validatePledgeData, async (req, res) => {
   try {
+    const userId = req.user.id;
+
     // Track vote pledge
-    await analyticsService.trackEvent('vote_pledge', req.body.userId, {
+    await analyticsService.trackEvent('vote_pledge', userId, {
       electionId: req.body.electionId,
       pledgeType: req.body.pledgeType
     });
 
-    const pledgeResult = await rewardMaster.processVotePledge(req.body.userId, req.body);
+    const pledgeResult = await rewardMaster.processVotePledge(userId, req.body);
     
     if (pledgeResult.success) {
       // Track XP earned
-      await analyticsService.trackEvent('metropoints_earned', req.body.userId, {
+      await analyticsService.trackEvent('metropoints_earned', userId, {
         source: 'vote_pledge',
         amount: pledgeResult.data.reward?.xpEarned || 0,
         pledgeType: req.body.pledgeType
@@ -514,7 +727,7 @@ app.post('/api/vote-pledge', validatePledgeData, async (req, res) => {
 
       // Log audit event
       await auditService.logEvent('vote_pledge', {
-        userId: req.body.userId,
+        userId,
         electionId: req.body.electionId,
         pledgeType: req.body.pledgeType,
         xpEarned: pledgeResult.data.reward?.xpEarned || 0
@@ -535,9 +748,10 @@ app.post('/api/vote-pledge', validatePledgeData, async (req, res) => {
 });
 
 // Rewards endpoints with analytics
-app.get('/api/rewards', (req, res) => {
+// Signed-in readers also get stock and whether they are eligible for each reward
+app.get('/api/rewards', optionalAuth, (req, res) => {
   try {
-    const rewards = rewardMaster.getAvailableRewards();
+    const rewards = rewardMaster.getAvailableRewards(req.user?.id);
     res.json({
       success: true,
       data: rewards
@@ -551,20 +765,39 @@ app.get('/api/rewards', (req, res) => {
   }
 });
 
-app.post('/api/rewards/redeem', async (req, res) => {
+app.post('/api/rewards/redeem', requireAuth, async (req, res) => {
   try {
-    const { userId, rewardId, quantity = 1 } = req.body;
+    const { rewardId, quantity = 1 } = req.body;
+    const userId = req.user.id;
+    const idempotencyKey = req.get('Idempotency-Key');
     
-    if (!userId || !rewardId) {
+    if (!rewardId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reward ID is required'
+      });
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Quantity must be a positive integer'
+      });
+    }
+
+    // Retries must send the same key so a lost response cannot spend the points twice
+    if (!idempotencyKey) {
       return res.status(400).json({
         success: false,
-        error: 'User ID and Reward ID are required'
+        error: 'Idempotency-Key header is required'
       });
     }
 
-    const redeemResult = await rewardMaster.redeemReward(userId, rewardId, quantity);
+    const redeemResult = await rewardMaster.redeemReward(userId, rewardId, quantity, { idempotencyKey });
     
-    if (redeemResult.success) {
+    if (redeemResult.replayed) {
+      res.status(redeemResult.success ? 200 : 400).json(redeemResult);
+    } else if (redeemResult.success) {
       // Track reward redemption
       await analyticsService.trackEvent('reward_redeemed', userId, {
         rewardId,
@@ -581,7 +814,8 @@ app.post('/api/rewards/redeem', async (req, res) => {
         cost: redeemResult.data.transaction.cost
       });
 
-      res.json(redeemResult);
+      // Points are reserved; the partner call finishes in the background
+      res.status(202).json(redeemResult);
     } else {
       res.status(400).json(redeemResult);
     }
@@ -595,146 +829,979 @@ app.post('/api/rewards/redeem', async (req, res) => {
   }
 });
 
-// User profile endpoint
-app.get('/api/user/:userId/profile', async (req, res) => {
+// Redemption status for polling until it is fulfilled or refunded
+app.get('/api/rewards/redemptions/:redemptionId', requireAuth, (req, res) => {
+  const redemption = rewardMaster.getRedemption(req.params.redemptionId);
+
+  // Other users' redemptions look the same as missing ones
+  if (!redemption || (redemption.userId !== req.user.id && !hasPermission(req.user.role, 'rewards:manage'))) {
+    return res.status(404).json({
+      success: false,
+      error: 'Redemption not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: redemption
+  });
+});
+
+// Reward catalog management. Admins manage every offer and the merchant accounts;
+// merchant staff manage the offers of the merchants they belong to.
+const logCatalogChange = (eventType, reward, req) => auditService.logEvent(eventType, {
+  rewardId: reward.id,
+  merchantId: reward.merchantId,
+  editorId: req.user.id
+});
+
+const catalogView = (reward) => ({
+  ...reward,
+  remainingStock: rewardMaster.catalog.remainingStock(reward)
+});
+
+// The merchant's offer if this merchant user may manage it
+const ownedOffer = (req) => {
+  const reward = rewardMaster.catalog.getReward(req.params.rewardId);
+  const merchantIds = rewardMaster.catalog.merchantsForUser(req.user.id).map(merchant => merchant.id);
+  return reward && merchantIds.includes(reward.merchantId) ? reward : null;
+};
+
+const createCatalogReward = async (input, req, res) => {
+  const result = rewardMaster.catalog.createReward(input, req.user.id);
+
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  await logCatalogChange('reward_created', result.data, req);
+  res.status(201).json({ success: true, data: catalogView(result.data) });
+};
+
+const updateCatalogReward = async (input, req, res) => {
+  const result = rewardMaster.catalog.updateReward(req.params.rewardId, input, req.user.id);
+
+  if (!result.success) {
+    return res.status(result.error === 'Reward not found' ? 404 : 400).json(result);
+  }
+
+  await logCatalogChange('reward_updated', result.data, req);
+  res.json({ success: true, data: catalogView(result.data) });
+};
+
+const retireCatalogReward = async (req, res) => {
+  const result = rewardMaster.catalog.retireReward(req.params.rewardId, req.user.id);
+
+  if (!result.success) {
+    return res.status(404).json(result);
+  }
+
+  await logCatalogChange('reward_retired', result.data, req);
+  res.json({ success: true, data: catalogView(result.data) });
+};
+
+app.get('/api/admin/rewards', requireAuth, requirePermission('rewards:manage'), (req, res) => {
   try {
-    const { userId } = req.params;
-    const userProfile = rewardMaster.getUserProfile(userId);
-    const transactions = rewardMaster.getUserTransactions(userId, 10);
-    const trustMetrics = integrityGuardian.getUserTrustMetrics(userId);
-    
     res.json({
       success: true,
-      data: {
-        ...userProfile,
-        recentTransactions: transactions,
-        trustMetrics: trustMetrics.success ? trustMetrics.data : null
-      }
+      data: rewardMaster.catalog.listRewards({
+        merchantId: req.query.merchantId,
+        includeRetired: req.query.includeRetired === 'true'
+      }).map(catalogView)
     });
   } catch (error) {
-    console.error('Profile fetch error:', error);
+    console.error('Reward catalog error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch user profile'
+      error: 'Failed to load reward catalog'
     });
   }
 });
 
-// Trust and audit endpoints
-app.get('/api/user/:userId/reputation', async (req, res) => {
+app.post('/api/admin/rewards', requireAuth, requirePermission('rewards:manage'), validateRewardData, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const reputation = await integrityGuardian.calculateUserReputation(userId);
-    
-    if (reputation.success) {
-      res.json(reputation);
-    } else {
-      res.status(500).json(reputation);
-    }
+    await createCatalogReward(req.body, req, res);
   } catch (error) {
-    console.error('Reputation calculation error:', error);
+    console.error('Create reward error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to calculate reputation'
+      error: 'Failed to create reward'
     });
   }
 });
 
-app.get('/api/audit/public', (req, res) => {
+app.put('/api/admin/rewards/:rewardId', requireAuth, requirePermission('rewards:manage'), validateRewardData, async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
-    
-    const auditFeed = integrityGuardian.getPublicAuditFeed(limit, offset);
-    res.json(auditFeed);
+    await updateCatalogReward(req.body, req, res);
   } catch (error) {
-    console.error('Public audit feed error:', error);
+    console.error('Update reward error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve audit feed'
+      error: 'Failed to update reward'
     });
   }
 });
 
-app.get('/api/transparency/report', (req, res) => {
+app.delete('/api/admin/rewards/:rewardId', requireAuth, requirePermission('rewards:manage'), async (req, res) => {
   try {
-    const timeframe = req.query.timeframe || '30d';
-    const report = auditService.getTransparencyReport(timeframe);
-    res.json(report);
+    await retireCatalogReward(req, res);
   } catch (error) {
-    console.error('Transparency report error:', error);
+    console.error('Retire reward error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate transparency report'
+      error: 'Failed to retire reward'
     });
   }
 });
 
-// Leaderboard endpoint
-app.get('/api/leaderboard', (req, res) => {
+app.get('/api/admin/merchants', requireAuth, requirePermission('rewards:manage'), (req, res) => {
   try {
-    const leaderboard = quizService.getLeaderboard(10);
-    res.json(leaderboard);
+    res.json({
+      success: true,
+      data: rewardMaster.catalog.listMerchants()
+    });
   } catch (error) {
-    console.error('Leaderboard error:', error);
+    console.error('Merchants error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch leaderboard'
+      error: 'Failed to load merchants'
     });
   }
 });
 
-// Moderation queue endpoint (admin only)
-app.get('/api/moderation', (req, res) => {
+app.post('/api/admin/merchants', requireAuth, requirePermission('rewards:manage'), validateMerchantData, async (req, res) => {
   try {
-    const queueResult = contentService.getModerationQueue();
-    const integrityQueue = integrityGuardian.getModerationQueue();
-    
+    const result = rewardMaster.catalog.createMerchant(req.body, req.user.id);
+    await auditService.logEvent('merchant_created', { merchantId: result.data.id, editorId: req.user.id });
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Create merchant error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create merchant'
+    });
+  }
+});
+
+app.put('/api/admin/merchants/:merchantId', requireAuth, requirePermission('rewards:manage'), validateMerchantData, async (req, res) => {
+  try {
+    const result = rewardMaster.catalog.updateMerchant(req.params.merchantId, req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    await auditService.logEvent('merchant_updated', { merchantId: result.data.id, editorId: req.user.id, status: result.data.status });
+    res.json(result);
+  } catch (error) {
+    console.error('Update merchant error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update merchant'
+    });
+  }
+});
+
+app.get('/api/merchant/offers', requireAuth, requirePermission('offers:manage'), (req, res) => {
+  try {
+    const merchants = rewardMaster.catalog.merchantsForUser(req.user.id);
+
     res.json({
       success: true,
       data: {
-        contentQueue: queueResult.data || [],
-        integrityQueue: integrityQueue.data?.queue || [],
-        totalPending: (queueResult.data?.length || 0) + (integrityQueue.data?.totalPending || 0)
+        merchants,
+        offers: merchants.flatMap(merchant => rewardMaster.catalog.listRewards({ merchantId: merchant.id })).map(catalogView)
       }
     });
   } catch (error) {
-    console.error('Moderation queue error:', error);
+    console.error('Merchant offers error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve moderation queue'
+      error: 'Failed to load offers'
     });
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
-    message: 'Something went wrong'
-  });
-});
+app.post('/api/merchant/offers', requireAuth, requirePermission('offers:manage'), validateRewardData, async (req, res) => {
+  try {
+    const merchantIds = rewardMaster.catalog.merchantsForUser(req.user.id).map(merchant => merchant.id);
+    const problem = rewardMaster.catalog.merchantOfferProblem(req.body, merchantIds);
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found',
-    message: `Cannot ${req.method} ${req.originalUrl}`
-  });
+    if (problem) {
+      return res.status(403).json({
+        success: false,
+        error: problem
+      });
+    }
+
+    await createCatalogReward(req.body, req, res);
+  } catch (error) {
+    console.error('Create offer error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create offer'
+    });
+  }
 });
 
+app.put('/api/merchant/offers/:rewardId', requireAuth, requirePermission('offers:manage'), validateRewardData, async (req, res) => {
+  try {
+    const merchantIds = rewardMaster.catalog.merchantsForUser(req.user.id).map(merchant => merchant.id);
+
+    // Other merchants' offers look the same as missing ones
+    if (!ownedOffer(req)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Offer not found'
+      });
+    }
+
+    const problem = rewardMaster.catalog.merchantOfferProblem(req.body, merchantIds);
+    if (problem) {
+      return res.status(403).json({
+        success: false,
+        error: problem
+      });
+    }
+
+    await updateCatalogReward(req.body, req, res);
+  } catch (error) {
+    console.error('Update offer error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update offer'
+    });
+  }
+});
+
+app.delete('/api/merchant/offers/:rewardId', requireAuth, requirePermission('offers:manage'), async (req, res) => {
+  try {
+    if (!ownedOffer(req)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Offer not found'
+      });
+    }
+
+    await retireCatalogReward(req, res);
+  } catch (error) {
+    console.error('Retire offer error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retire offer'
+    });
+  }
+});
+
+// The reader's own vouchers, with the QR code merchants scan
+app.get('/api/vouchers', requireAuth, async (req, res) => {
+  try {
+    const vouchers = await Promise.all(voucherService.listUserVouchers(req.user.id).map(async voucher => ({
+      ...voucher,
+      merchantName: rewardMaster.catalog.getMerchant(voucher.merchantId)?.name || null,
+      qrCode: await voucherService.renderQrCode(voucher.code)
+    })));
+
+    res.json({
+      success: true,
+      data: vouchers
+    });
+  } catch (error) {
+    console.error('Vouchers error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load vouchers'
+    });
+  }
+});
+
+const VOUCHER_REJECTION_STATUS = {
+  invalid: 400,
+  not_found: 404,
+  wrong_merchant: 403,
+  expired: 410,
+  already_redeemed: 409
+};
+
+// What the counter sees: enough to honour the offer, nothing about the reader
+const merchantVoucherView = (voucher) => voucher && {
+  id: voucher.id,
+  rewardId: voucher.rewardId,
+  rewardTitle: voucher.rewardTitle,
+  value: voucher.value,
+  quantity: voucher.quantity,
+  status: voucher.status,
+  issuedAt: voucher.issuedAt,
+  expiresAt: voucher.expiresAt,
+  redeemedAt: voucher.redeemedAt
+};
+
+const staffMerchantIds = (req) => rewardMaster.catalog.merchantsForUser(req.user.id).map(merchant => merchant.id);
+
+app.post('/api/vouchers/verify', requireAuth, requirePermission('offers:manage'), validateVoucherCode, (req, res) => {
+  try {
+    const { voucher, ...check } = voucherService.verify(req.body.code, staffMerchantIds(req));
+
+    res.json({
+      success: true,
+      data: { ...check, voucher: merchantVoucherView(voucher) }
+    });
+  } catch (error) {
+    console.error('Verify voucher error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify voucher'
+    });
+  }
+});
+
+app.post('/api/vouchers/redeem', requireAuth, requirePermission('offers:manage'), validateVoucherCode, async (req, res) => {
+  try {
+    const { voucher, ...check } = voucherService.redeem(req.body.code, staffMerchantIds(req), req.user.id);
+
+    if (!check.valid) {
+      return res.status(VOUCHER_REJECTION_STATUS[check.reason]).json({
+        success: false,
+        error: check.message,
+        reason: check.reason,
+        data: { voucher: merchantVoucherView(voucher) }
+      });
+    }
+
+    await auditService.logEvent('voucher_redeemed', {
+      voucherId: voucher.id,
+      rewardId: voucher.rewardId,
+      merchantId: voucher.merchantId,
+      editorId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      data: { ...check, voucher: merchantVoucherView(voucher) }
+    });
+  } catch (error) {
+    console.error('Redeem voucher error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to redeem voucher'
+    });
+  }
+});
+
+// User profile endpoint
+app.get('/api/user/:userId/profile', requireAuth, requireSelf, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const userProfile = rewardMaster.getUserProfile(userId);
+    const transactions = rewardMaster.getUserTransactions(userId, 10);
+    const trustMetrics = integrityGuardian.getUserTrustMetrics(userId);
+    
+    res.json({
+      success: true,
+      data: {
+        ...userProfile,
+        recentTransactions: transactions,
+        trustMetrics: trustMetrics.success ? trustMetrics.data : null
+      }
+    });
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user profile'
+    });
+  }
+});
+
+// Stored onboarding preferences and the topic set the feed is built from
+app.get('/api/user/:userId/preferences', requireAuth, requireSelf, (req, res) => {
+  const profile = profileService.getProfile(req.params.userId);
+  
+  if (!profile) {
+    return res.status(404).json({
+      success: false,
+      error: 'Onboarding not completed'
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: profile
+  });
+});
+
+app.put('/api/user/:userId/preferences', requireAuth, requireOwner, validatePreferencesUpdate, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const result = await profileService.updatePreferences(userId, req.body);
+    
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    
+    await auditService.logEvent('preferences_updated', {
+      userId,
+      preferences: result.data.preferences,
+      topicsChanged: result.topicsChanged
+    });
+    
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Preferences update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update preferences'
+    });
+  }
+});
+
+// Trust and audit endpoints
+
+// Public chain verification: Merkle root, signed checkpoint and inclusion proofs
+app.get('/api/audit/verify', auditVerifyLimiter, (req, res) => {
+  try {
+    const { entryId } = req.query;
+    const chain = auditService.auditChain;
+
+    const entryIds = entryId ? String(entryId).split(',').slice(0, 50) : [];
+    const proofs = entryIds.map(id => chain.getInclusionProof(id)).filter(Boolean);
+
+    res.json({
+      success: true,
+      data: {
+        ...auditService.getChainStatus(),
+        proofs,
+        notFound: entryIds.filter(id => !proofs.some(proof => proof.entryId === id))
+      }
+    });
+  } catch (error) {
+    console.error('Audit verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify audit log'
+    });
+  }
+});
+
+// Signed NDJSON export; check offline with `npm run audit:verify -- <file>`
+app.get('/api/audit/export', auditVerifyLimiter, (req, res) => {
+  try {
+    const bundle = auditService.buildExportBundle();
+    const date = new Date().toISOString().split('T')[0];
+
+    res.set('Content-Type', 'application/x-ndjson');
+    res.set('Content-Disposition', `attachment; filename="civvy-audit-${date}.ndjson"`);
+    res.send(bundle);
+  } catch (error) {
+    console.error('Audit export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export audit log'
+    });
+  }
+});
+
+app.get('/api/user/:userId/reputation', requireAuth, requireSelf, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const reputation = await integrityGuardian.calculateUserReputation(userId);
+    
+    if (reputation.success) {
+      res.json(reputation);
+    } else {
+      res.status(500).json(reputation);
+    }
+  } catch (error) {
+    console.error('Reputation calculation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to calculate reputation'
+    });
+  }
+});
+
+app.get('/api/audit/public', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const { category } = req.query;
+    
+    const auditFeed = auditService.getPublicAuditFeed(limit, category || null);
+    res.json(auditFeed);
+  } catch (error) {
+    console.error('Public audit feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve audit feed'
+    });
+  }
+});
+
+app.get('/api/transparency/report', (req, res) => {
+  try {
+    const timeframe = req.query.timeframe || '30d';
+    const report = auditService.getTransparencyReport(timeframe);
+    res.json(report);
+  } catch (error) {
+    console.error('Transparency report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate transparency report'
+    });
+  }
+});
+
+// Leaderboard endpoint
+app.get('/api/leaderboard', (req, res) => {
+  try {
+    const leaderboard = quizService.getLeaderboard(10);
+    res.json(leaderboard);
+  } catch (error) {
+    console.error('Leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch leaderboard'
+    });
+  }
+});
+
+// Reporter trust level as moderators see it next to each flag
+const getReporterTrust = (userId) => {
+  const trust = userId ? integrityGuardian.getUserTrustMetrics(userId) : null;
+
+  return trust?.success
+    ? { reputation: trust.data.reputation, trustLevel: trust.data.trustLevel, flagWeight: trust.data.flagWeight }
+    : { reputation: null, trustLevel: 'unknown', flagWeight: 1 };
+};
+
+// Moderation queue endpoint (moderators and admins)
+app.get('/api/moderation', requireAuth, requirePermission('moderation:read'), async (req, res) => {
+  try {
+    const queueResult = contentService.getModerationQueue();
+    const integrityQueue = integrityGuardian.getModerationQueue();
+
+    const openFlags = (queueResult.data || []).filter(flag => ['pending', 'escalated'].includes(flag.status));
+    const integrityItems = integrityQueue.data?.queue || [];
+
+    // Merge both queues into one list; only content flags can be decided from the console
+    const merged = [
+      ...openFlags.map(flag => ({
+        id: flag.id,
+        source: 'content',
+        actionable: true,
+        contentId: flag.contentId,
+        reporterId: flag.userId,
+        reason: flag.reason,
+        description: flag.description,
+        priority: flag.priority,
+        status: flag.status,
+        claimedBy: flag.claimedBy || null,
+        timestamp: flag.timestamp
+      })),
+      ...integrityItems.map(entry => ({
+        id: entry.id,
+        source: 'integrity',
+        actionable: false,
+        contentId: entry.contentId,
+        reporterId: entry.userId,
+        reason: entry.metadata?.reason || entry.reason,
+        description: entry.metadata?.description,
+        priority: entry.metadata?.priority || 0,
+        status: 'pending',
+        claimedBy: null,
+        timestamp: entry.timestamp
+      }))
+    ].sort((a, b) => {
+      if (a.priority !== b.priority) return b.priority - a.priority;
+      return new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime();
+    });
+
+    // Analyse each flagged item once even if it has several flags
+    const previews = new Map();
+    for (const contentId of new Set(merged.map(item => item.contentId).filter(Boolean))) {
+      previews.set(contentId, await contentService.getContentPreview(contentId));
+    }
+
+    const queue = merged.map(item => ({
+      ...item,
+      reporterTrust: getReporterTrust(item.reporterId),
+      content: previews.get(item.contentId) || null
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        queue,
+        contentQueue: queueResult.data || [],
+        integrityQueue: integrityItems,
+        totalPending: queue.length,
+        reasonCodes: contentService.DECISION_REASON_CODES
+      }
+    });
+  } catch (error) {
+    console.error('Moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve moderation queue'
+    });
+  }
+});
+
+// Escalated flags are reserved for staff with the escalations permission
+const checkFlagAccess = (req, res) => {
+  const flag = contentService.moderationQueue.get(req.params.flagId);
+
+  if (!flag) {
+    res.status(404).json({
+      success: false,
+      error: 'Flag not found'
+    });
+    return null;
+  }
+
+  if (flag.status === 'escalated' && !hasPermission(req.user.role, 'moderation:escalations')) {
+    res.status(403).json({
+      success: false,
+      error: 'Escalated flags can only be handled by an admin'
+    });
+    return null;
+  }
+
+  return flag;
+};
+
+app.post('/api/moderation/flags/:flagId/claim', requireAuth, requirePermission('moderation:decide'), async (req, res) => {
+  try {
+    if (!checkFlagAccess(req, res)) return;
+
+    const result = contentService.claimFlag(req.params.flagId, req.user.id);
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    await integrityGuardian.logModerationAction('flag_claimed', {
+      flagId: result.data.id,
+      contentId: result.data.contentId,
+      moderatorId: req.user.id
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Flag claim error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to claim flag'
+    });
+  }
+});
+
+const handleFlagDecision = (decision) => async (req, res) => {
+  try {
+    if (!checkFlagAccess(req, res)) return;
+
+    const moderatorId = req.user.id;
+    const { reasonCode } = req.body;
+    const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 500) : undefined;
+
+    const result = contentService.resolveFlag(req.params.flagId, { decision, moderatorId, reasonCode, note });
+    if (!result.success) {
+      const status = result.error.startsWith('A reason code') ? 400 : result.error === OWN_FLAG_ERROR ? 403 : 409;
+      return res.status(status).json(result);
+    }
+
+    const { flag, contentAction, processingTimeMs } = result.data;
+
+    await integrityGuardian.logModerationAction(
+      decision === 'escalated' ? 'flag_escalated' : 'flag_processed',
+      {
+        flagId: flag.id,
+        contentId: flag.contentId,
+        userId: flag.userId,
+        moderatorId,
+        decision,
+        reason: reasonCode,
+        note,
+        flagReason: flag.reason,
+        contentAction,
+        processingTimeMs
+      }
+    );
+
+    if (contentAction === 'hidden') {
+      await integrityGuardian.logModerationAction('content_removed', {
+        contentId: flag.contentId,
+        flagId: flag.id,
+        moderatorId,
+        flagReason: flag.reason
+      });
+    }
+
+    // Reporters earn XP when their flag turns out to be right
+    let rewards = null;
+    if (decision === 'upheld') {
+      rewards = await rewardMaster.awardXP(flag.userId, 'flag_verified', {
+        flagId: flag.id,
+        contentId: flag.contentId
+      }, { idempotencyKey: `flag_verified:${flag.id}` });
+    }
+
+    res.json({
+      ...result,
+      rewards: rewards?.success ? rewards.data : null
+    });
+  } catch (error) {
+    console.error('Flag decision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record moderation decision'
+    });
+  }
+};
+
+app.post('/api/moderation/flags/:flagId/uphold', requireAuth, requirePermission('moderation:decide'), handleFlagDecision('upheld'));
+app.post('/api/moderation/flags/:flagId/reject', requireAuth, requirePermission('moderation:decide'), handleFlagDecision('rejected'));
+app.post('/api/moderation/flags/:flagId/escalate', requireAuth, requirePermission('moderation:decide'), handleFlagDecision('escalated'));
+
+// Fact database: public reads, editor-managed writes
+
+app.get('/api/facts', (req, res) => {
+  const { topic, entity, jurisdiction } = req.query;
+
+  res.json({
+    success: true,
+    data: factService.listFacts({ topic, entity, jurisdiction })
+  });
+});
+
+app.get('/api/facts/:factId', (req, res) => {
+  const fact = factService.getFact(req.params.factId);
+
+  if (!fact) {
+    return res.status(404).json({
+      success: false,
+      error: 'Fact not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...fact,
+      revisions: factService.getRevisions(fact.id)
+    }
+  });
+});
+
+// A specific version, as cited by fact checks
+app.get('/api/facts/:factId/versions/:version', (req, res) => {
+  const revision = factService.getRevision(req.params.factId, parseInt(req.params.version));
+
+  if (!revision) {
+    return res.status(404).json({
+      success: false,
+      error: 'Fact version not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: revision
+  });
+});
+
+const logFactChange = (eventType, fact, req) => auditService.logEvent(eventType, {
+  factId: fact.id,
+  factVersion: fact.version,
+  editorId: req.user.id,
+  note: req.body?.note || null
+});
+
+app.post('/api/facts', requireAuth, requirePermission('facts:manage'), validateFactData, async (req, res) => {
+  try {
+    const result = factService.createFact(req.body, req.user.id, req.body.note);
+    await logFactChange('fact_created', result.data, req);
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Fact creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create fact'
+    });
+  }
+});
+
+app.put('/api/facts/:factId', requireAuth, requirePermission('facts:manage'), validateFactData, async (req, res) => {
+  try {
+    const result = factService.updateFact(req.params.factId, req.body, req.user.id, req.body.note);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    await logFactChange('fact_updated', result.data, req);
+    res.json(result);
+  } catch (error) {
+    console.error('Fact update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update fact'
+    });
+  }
+});
+
+app.delete('/api/facts/:factId', requireAuth, requirePermission('facts:manage'), async (req, res) => {
+  try {
+    const result = factService.retireFact(req.params.factId, req.user.id, req.body?.note);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    await logFactChange('fact_retired', result.data, req);
+    res.json(result);
+  } catch (error) {
+    console.error('Fact retirement error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retire fact'
+    });
+  }
+});
+
+// Claim clusters: how one figure is reported across sources and over time
+app.get('/api/claims', (req, res) => {
+  res.json({
+    success: true,
+    data: claimClusterService.listClusters({ term: req.query.term }),
+    metadata: {
+      lastRun: claimClusterService.lastRun
+    }
+  });
+});
+
+app.get('/api/claims/:clusterId', (req, res) => {
+  const cluster = claimClusterService.getCluster(req.params.clusterId);
+
+  if (!cluster) {
+    return res.status(404).json({
+      success: false,
+      error: 'Claim cluster not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: cluster
+  });
+});
+
+// Content ingestion from configured feeds
+app.get('/api/ingestion/status', requireAuth, requirePermission('content:ingest'), (req, res) => {
+  res.json({
+    success: true,
+    data: ingestionService.getStatus()
+  });
+});
+
+app.post('/api/ingestion/run', requireAuth, requirePermission('content:ingest'), async (req, res) => {
+  try {
+    const result = await ingestionService.run();
+
+    if (!result.success) {
+      return res.status(409).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Ingestion run error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run ingestion'
+    });
+  }
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error('Unhandled error:', err);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: 'Something went wrong'
+  });
+});
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({
+    success: false,
+    error: 'Endpoint not found',
+    message: `Cannot ${req.method} ${req.originalUrl}`
+  });
+});
+
+// Periodically sign the head of the audit chain
+const checkpointSchedule = process.env.AUDIT_CHECKPOINT_SCHEDULE || '*/15 * * * *';
+cron.schedule(checkpointSchedule, () => {
+  const checkpoint = auditService.auditChain.createCheckpoint();
+  if (checkpoint) {
+    console.log(`🔏 Audit checkpoint @ ${checkpoint.treeSize}: ${checkpoint.merkleRoot}`);
+  }
+});
+
+// Re-cluster claims across all content in the background
+const claimClusterSchedule = process.env.CLAIM_CLUSTER_SCHEDULE || '*/10 * * * *';
+const runClaimClustering = async () => {
+  try {
+    const result = await claimClusterService.run();
+    if (result.success) {
+      console.log(`🧩 Claim clusters rebuilt: ${result.data.clusters} clusters from ${result.data.claimsClustered} claims`);
+    }
+  } catch (error) {
+    console.error('Claim clustering error:', error);
+  }
+};
+cron.schedule(claimClusterSchedule, runClaimClustering);
+runClaimClustering();
+
+// Poll configured feeds and send new items through FactHunter
+const ingestionSchedule = process.env.INGESTION_SCHEDULE || '*/15 * * * *';
+const runIngestion = async () => {
+  try {
+    const result = await ingestionService.run();
+    if (result.success) {
+      const added = result.data.sources.reduce((total, source) => total + source.added, 0);
+      console.log(`📥 Ingestion: ${added} new items, ${result.data.analysis.analyzed} analyzed`);
+    }
+  } catch (error) {
+    console.error('Ingestion error:', error);
+  }
+};
+if (ingestionService.sources.length > 0) {
+  cron.schedule(ingestionSchedule, runIngestion);
+  runIngestion();
+}
+
+// Redemptions left reserved by a restart still need their partner call
+const resumedRedemptions = rewardMaster.resumeRedemptions();
+if (resumedRedemptions > 0) {
+  console.log(`🎁 Resuming ${resumedRedemptions} reserved redemptions`);
+}
+
 app.listen(PORT, () => {
   console.log(`🚀 Civvy API server running on port ${PORT}`);
   console.log(`📊 Rate limit: ${process.env.RATE_LIMIT_MAX || 60} requests/minute`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`💾 Storage driver: ${storage.name}`);
   console.log(`🔍 FactHunter AI enabled for contradiction detection`);
   console.log(`🎯 RewardMaster gamification engine active`);
   console.log(`🧠 QuizService civic knowledge system ready`);
   console.log(`🛡️ IntegrityGuardian trust layer operational`);
-  console.log(`📋 AuditService transparency system active`);
+  console.log(`📋 AuditService transparency system active (checkpoints: ${checkpointSchedule})`);
   console.log(`📈 AnalyticsService real-time tracking enabled`);
   console.log(`🎛️ FeatureFlagService pilot management ready`);
 });
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Authentication middleware
+ * Resolves `Authorization: Bearer <token>` headers to req.user via AuthService
+ * and enforces role permissions per route
+ */
+import { hasPermission } from '../services/AuthService.js';
+
+const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+export const authenticate = (authService) => (req, res, next) => {
+  const token = getBearerToken(req);
+  const user = authService.authenticate(token);
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  req.user = user;
+  req.authToken = token;
+  next();
+};
+
+export const optionalAuthenticate = (authService) => (req, res, next) => {
+  const token = getBearerToken(req);
+  const user = authService.authenticate(token);
+
+  if (user) {
+    req.user = user;
+    req.authToken = token;
+  }
+
+  next();
+};
+
+// Only lets a user act on routes scoped to their own :userId (staff with users:read excepted)
+export const requireSelf = (req, res, next) => {
+  const isSelf = req.user && req.params.userId === req.user.id;
+
+  if (!isSelf && !hasPermission(req.user?.role, 'users:read')) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only access your own account'
+    });
+  }
+
+  next();
+};
+
+// For writes to a :userId-scoped route: only the user themselves, whatever their role
+export const requireOwner = (req, res, next) => {
+  if (!req.user || req.params.userId !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only change your own account'
+    });
+  }
+
+  next();
+};
+
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  if (!hasPermission(req.user.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      error: 'You do not have permission to access this resource'
+    });
+  }
+
+  next();
+};
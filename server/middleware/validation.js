@@ -2,57 +2,68 @@
  * Validation middleware for API endpoints
  * Includes rate limiting and input validation
  */
+import { FACT_CURRENCIES, FACT_RATE_PERIODS, FACT_SCALES } from '../services/FactService.js';
+import { FEED_PAGE_SIZE, decodeFeedCursor } from '../services/ContentService.js';
+import { PREFERENCE_FIELDS } from '../services/ProfileService.js';
+import { MERCHANT_STATUSES, REWARD_CATEGORIES } from '../services/RewardCatalog.js';
 
-export const validateOnboardingData = (req, res, next) => {
-  const { issues, format, reminders, cadence, zipCode } = req.body;
-  
-  // Validation rules
+const VALID_ISSUES = [
+  'Housing & Rent Control',
+  'Public Transportation',
+  'Education & Schools',
+  'Public Safety',
+  'Climate & Environment',
+  'Healthcare Access',
+  'Economic Development',
+  'Immigration'
+];
+const VALID_FORMATS = ['visual', 'articles', 'videos', 'mixed'];
+const VALID_CADENCES = ['daily', 'weekly', 'biweekly', 'monthly'];
+
+// Onboarding answers; with `partial`, only the fields present are checked
+const preferenceErrors = (body, { partial = false } = {}) => {
+  const { issues, format, reminders, cadence, zipCode } = body;
   const validationErrors = [];
+  const check = (value) => !partial || value !== undefined;
   
   // Issues validation
-  if (!Array.isArray(issues) || issues.length === 0) {
-    validationErrors.push('At least one issue must be selected');
-  }
-  
-  const validIssues = [
-    'Housing & Rent Control',
-    'Public Transportation',
-    'Education & Schools',
-    'Public Safety',
-    'Climate & Environment',
-    'Healthcare Access',
-    'Economic Development',
-    'Immigration'
-  ];
-  
-  const invalidIssues = issues.filter(issue => !validIssues.includes(issue));
-  if (invalidIssues.length > 0) {
-    validationErrors.push(`Invalid issues: ${invalidIssues.join(', ')}`);
+  if (check(issues)) {
+    if (!Array.isArray(issues) || issues.length === 0) {
+      validationErrors.push('At least one issue must be selected');
+    } else {
+      const invalidIssues = issues.filter(issue => !VALID_ISSUES.includes(issue));
+      if (invalidIssues.length > 0) {
+        validationErrors.push(`Invalid issues: ${invalidIssues.join(', ')}`);
+      }
+    }
   }
   
   // Format validation
-  const validFormats = ['visual', 'articles', 'videos', 'mixed'];
-  if (!validFormats.includes(format)) {
+  if (check(format) && !VALID_FORMATS.includes(format)) {
     validationErrors.push('Invalid format selection');
   }
   
   // Reminders validation
-  if (typeof reminders !== 'boolean') {
+  if (check(reminders) && typeof reminders !== 'boolean') {
     validationErrors.push('Reminders must be true or false');
   }
   
   // Cadence validation
-  const validCadences = ['daily', 'weekly', 'biweekly', 'monthly'];
-  if (!validCadences.includes(cadence)) {
+  if (check(cadence) && !VALID_CADENCES.includes(cadence)) {
     validationErrors.push('Invalid cadence selection');
   }
   
   // ZIP code validation
-  const zipRegex = /^\d{5}$/;
-  if (!zipRegex.test(zipCode)) {
+  if (check(zipCode) && !/^\d{5}$/.test(zipCode)) {
     validationErrors.push('ZIP code must be 5 digits');
   }
   
+  return validationErrors;
+};
+
+export const validateOnboardingData = (req, res, next) => {
+  const validationErrors = preferenceErrors(req.body);
+  
   // Return validation errors if any
   if (validationErrors.length > 0) {
     return res.status(400).json({
@@ -65,8 +76,26 @@ export const validateOnboardingData = (req, res, next) => {
   next();
 };
 
+export const validatePreferencesUpdate = (req, res, next) => {
+  const validationErrors = preferenceErrors(req.body || {}, { partial: true });
+  
+  if (!PREFERENCE_FIELDS.some(field => req.body?.[field] !== undefined)) {
+    validationErrors.push(`Provide at least one of: ${PREFERENCE_FIELDS.join(', ')}`);
+  }
+  
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validationErrors
+    });
+  }
+  
+  next();
+};
+
 export const validateFlagData = (req, res, next) => {
-  const { contentId, userId, reason, description } = req.body;
+  const { contentId, reason, description } = req.body;
   const validationErrors = [];
   
   // Required fields
@@ -74,10 +103,6 @@ export const validateFlagData = (req, res, next) => {
     validationErrors.push('Content ID is required');
   }
   
-  if (!userId || typeof userId !== 'string') {
-    validationErrors.push('User ID is required');
-  }
-  
   if (!reason || typeof reason !== 'string') {
     validationErrors.push('Reason is required');
   }
@@ -115,7 +140,7 @@ export const validateFlagData = (req, res, next) => {
 };
 
 export const validateQuizData = (req, res, next) => {
-  const { quizId, answers, userId } = req.body;
+  const { quizId, answers } = req.body;
   const validationErrors = [];
   
   // Required fields
@@ -123,10 +148,6 @@ export const validateQuizData = (req, res, next) => {
     validationErrors.push('Quiz ID is required');
   }
   
-  if (!userId || typeof userId !== 'string') {
-    validationErrors.push('User ID is required');
-  }
-  
   if (!Array.isArray(answers)) {
     validationErrors.push('Answers must be an array');
   }
@@ -152,14 +173,10 @@ export const validateQuizData = (req, res, next) => {
 };
 
 export const validatePledgeData = (req, res, next) => {
-  const { userId, electionId, pledgeType, scheduledDate } = req.body;
+  const { electionId, pledgeType, scheduledDate } = req.body;
   const validationErrors = [];
   
   // Required fields
-  if (!userId || typeof userId !== 'string') {
-    validationErrors.push('User ID is required');
-  }
-  
   if (!electionId || typeof electionId !== 'string') {
     validationErrors.push('Election ID is required');
   }
@@ -193,4 +210,368 @@ export const validatePledgeData = (req, res, next) => {
   }
   
   next();
-};
\ No newline at end of file
+};
+
+export const validateSignupData = (req, res, next) => {
+  const { email, password, name } = req.body;
+  const validationErrors = [];
+  
+  // Required fields
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!email || typeof email !== 'string' || !emailRegex.test(email)) {
+    validationErrors.push('A valid email is required');
+  }
+  
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    validationErrors.push('Name is required');
+  } else if (name.length > 100) {
+    validationErrors.push('Name must be less than 100 characters');
+  }
+  
+  // Password strength
+  if (!password || typeof password !== 'string' || password.length < 8) {
+    validationErrors.push('Password must be at least 8 characters');
+  } else if (password.length > 128) {
+    validationErrors.push('Password must be less than 128 characters');
+  }
+  
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validationErrors
+    });
+  }
+  
+  next();
+};
+
+export const validateLoginData = (req, res, next) => {
+  const { email, password } = req.body;
+  const validationErrors = [];
+  
+  if (!email || typeof email !== 'string') {
+    validationErrors.push('Email is required');
+  }
+  
+  if (!password || typeof password !== 'string') {
+    validationErrors.push('Password is required');
+  }
+  
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validationErrors
+    });
+  }
+  
+  next();
+};
+
+export const validateFactData = (req, res, next) => {
+  const {
+    label, topic, value, scale, unit, per,
+    effectiveFrom, effectiveTo, jurisdiction, sourceName, sourceUrl
+  } = req.body;
+  const validationErrors = [];
+  
+  // Required fields
+  if (!label || typeof label !== 'string' || label.length > 200) {
+    validationErrors.push('Label is required and must be less than 200 characters');
+  }
+  
+  if (!topic || typeof topic !== 'string') {
+    validationErrors.push('Topic is required');
+  }
+  
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    validationErrors.push('Value must be a number');
+  }
+  
+  if (!unit || typeof unit !== 'string') {
+    validationErrors.push(`Unit is required (${FACT_CURRENCIES.join(', ')}, percent, or a counted noun such as riders)`);
+  }
+  
+  if (!jurisdiction || typeof jurisdiction !== 'string') {
+    validationErrors.push('Jurisdiction is required');
+  }
+  
+  if (!sourceName || typeof sourceName !== 'string') {
+    validationErrors.push('Source name is required');
+  }
+  
+  if (!sourceUrl || typeof sourceUrl !== 'string' || !/^https?:\/\/\S+$/.test(sourceUrl)) {
+    validationErrors.push('Source URL must be an http(s) URL');
+  }
+  
+  // Optional fields
+  ['entities', 'keywords'].forEach(field => {
+    const list = req.body[field];
+    if (list !== undefined && (!Array.isArray(list) || list.some(item => typeof item !== 'string' || !item.trim()))) {
+      validationErrors.push(`${field} must be a list of non-empty strings`);
+    }
+  });
+  
+  if (scale !== undefined && scale !== null && !FACT_SCALES.includes(scale)) {
+    validationErrors.push(`Scale must be one of: ${FACT_SCALES.join(', ')}`);
+  }
+  
+  if (per !== undefined && per !== null && !FACT_RATE_PERIODS.includes(per)) {
+    validationErrors.push(`Per must be one of: ${FACT_RATE_PERIODS.join(', ')}`);
+  }
+  
+  // Effective period
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!effectiveFrom || !dateRegex.test(effectiveFrom) || isNaN(new Date(effectiveFrom).getTime())) {
+    validationErrors.push('Effective from must be a YYYY-MM-DD date');
+  }
+  
+  if (effectiveTo !== undefined && effectiveTo !== null) {
+    if (!dateRegex.test(effectiveTo) || isNaN(new Date(effectiveTo).getTime())) {
+      validationErrors.push('Effective to must be a YYYY-MM-DD date');
+    } else if (effectiveFrom && effectiveTo < effectiveFrom) {
+      validationErrors.push('Effective to cannot be before effective from');
+    }
+  }
+  
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validationErrors
+    });
+  }
+  
+  next();
+};
+
+// Shape checks for ad-hoc feed preferences; values the feed doesn't recognize simply match nothing
+const feedPreferenceErrors = (preferences) => {
+  if (typeof preferences !== 'object' || preferences === null || Array.isArray(preferences)) {
+    return ['Preferences must be a JSON object'];
+  }
+  
+  const { issues, format, zipCode, surpriseTopics, topicSet } = preferences;
+  const validationErrors = [];
+  const isStringList = (value) => Array.isArray(value) && value.every(entry => typeof entry === 'string');
+  
+  if (issues !== undefined && !isStringList(issues)) {
+    validationErrors.push('Preference issues must be a list of issue names');
+  }
+  
+  if (format !== undefined && !VALID_FORMATS.includes(format)) {
+    validationErrors.push('Invalid format selection');
+  }
+  
+  if (zipCode !== undefined && zipCode !== null && zipCode !== '' && !(typeof zipCode === 'string' && /^\d{5}$/.test(zipCode))) {
+    validationErrors.push('ZIP code must be 5 digits');
+  }
+  
+  if (surpriseTopics !== undefined && !Array.isArray(surpriseTopics)) {
+    validationErrors.push('Surprise topics must be a list');
+  }
+  
+  if (topicSet !== undefined && topicSet !== null && (typeof topicSet !== 'object' || (topicSet.surpriseTopics !== undefined && !Array.isArray(topicSet.surpriseTopics)))) {
+    validationErrors.push('Topic set surprise topics must be a list');
+  }
+  
+  return validationErrors;
+};
+
+export const validateFeedQuery = (req, res, next) => {
+  const { cursor, limit, preferences } = req.query;
+  const validationErrors = [];
+  
+  if (limit !== undefined && (!/^\d+$/.test(limit) || parseInt(limit) < 1 || parseInt(limit) > FEED_PAGE_SIZE.max)) {
+    validationErrors.push(`Limit must be a whole number between 1 and ${FEED_PAGE_SIZE.max}`);
+  }
+  
+  if (cursor !== undefined && !decodeFeedCursor(cursor)) {
+    validationErrors.push('Cursor is invalid; use metadata.nextCursor from the previous page');
+  }
+  
+  if (preferences !== undefined) {
+    let parsed;
+    try {
+      parsed = JSON.parse(preferences);
+    } catch {
+      validationErrors.push('Preferences must be JSON');
+    }
+    if (parsed !== undefined) {
+      validationErrors.push(...feedPreferenceErrors(parsed));
+    }
+  }
+  
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validationErrors
+    });
+  }
+  
+  next();
+};
+
+export const validateLedgerAdjustment = (req, res, next) => {
+  const { userId, type = 'adjust', xp = 0, metroPoints = 0, reason } = req.body;
+  const validationErrors = [];
+  
+  if (!userId || typeof userId !== 'string') {
+    validationErrors.push('User ID is required');
+  }
+  
+  if (!['adjust', 'expire'].includes(type)) {
+    validationErrors.push('Type must be adjust or expire');
+  }
+  
+  if (!Number.isInteger(xp) || !Number.isInteger(metroPoints)) {
+    validationErrors.push('xp and metroPoints must be whole numbers');
+  } else if (xp === 0 && metroPoints === 0) {
+    validationErrors.push('At least one of xp or metroPoints must be non-zero');
+  } else if (type === 'expire' && (xp > 0 || metroPoints > 0)) {
+    validationErrors.push('Expiries can only remove points; use negative amounts');
+  }
+  
+  if (!reason || typeof reason !== 'string' || reason.trim().length < 3) {
+    validationErrors.push('A reason of at least 3 characters is required');
+  }
+  
+  if (!req.get('Idempotency-Key')) {
+    validationErrors.push('Idempotency-Key header is required');
+  }
+  
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validationErrors
+    });
+  }
+  
+  next();
+};
+
+export const validateRewardData = (req, res, next) => {
+  const {
+    title, description, cost, value, category, icon, validDays, duration,
+    merchantId, stock, perUserLimit, startsAt, endsAt, zipCodes
+  } = req.body;
+  const validationErrors = [];
+  const isPositiveInteger = (number) => Number.isInteger(number) && number > 0;
+  const present = (field) => field !== undefined && field !== null;
+  
+  // Required fields
+  if (!title || typeof title !== 'string' || title.length > 100) {
+    validationErrors.push('Title is required and must be less than 100 characters');
+  }
+  
+  if (!isPositiveInteger(cost)) {
+    validationErrors.push('Cost must be a whole number of MetroPoints above zero');
+  }
+  
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    validationErrors.push('Value must be a number of at least zero');
+  }
+  
+  if (!REWARD_CATEGORIES.includes(category)) {
+    validationErrors.push(`Category must be one of: ${REWARD_CATEGORIES.join(', ')}`);
+  }
+  
+  // Optional fields
+  if (present(description) && (typeof description !== 'string' || description.length > 500)) {
+    validationErrors.push('Description must be less than 500 characters');
+  }
+  
+  if (present(icon) && typeof icon !== 'string') {
+    validationErrors.push('Icon must be a string');
+  }
+  
+  if (category === 'local' && !merchantId) {
+    validationErrors.push('Local offers must belong to a merchant');
+  } else if (present(merchantId) && typeof merchantId !== 'string') {
+    validationErrors.push('Merchant ID must be a string');
+  }
+  
+  if (present(stock) && !(Number.isInteger(stock) && stock >= 0)) {
+    validationErrors.push('Stock must be a whole number, or null for unlimited');
+  }
+  
+  [['perUserLimit', perUserLimit], ['validDays', validDays], ['duration', duration]].forEach(([field, number]) => {
+    if (present(number) && !isPositiveInteger(number)) {
+      validationErrors.push(`${field} must be a whole number above zero`);
+    }
+  });
+  
+  // Availability window
+  [['startsAt', startsAt], ['endsAt', endsAt]].forEach(([field, date]) => {
+    if (present(date) && (typeof date !== 'string' || isNaN(new Date(date).getTime()))) {
+      validationErrors.push(`${field} must be an ISO date`);
+    }
+  });
+  
+  if (present(startsAt) && present(endsAt) && new Date(endsAt) <= new Date(startsAt)) {
+    validationErrors.push('endsAt must be after startsAt');
+  }
+  
+  if (present(zipCodes) && (!Array.isArray(zipCodes) || zipCodes.some(zipCode => !/^\d{5}$/.test(zipCode)))) {
+    validationErrors.push('zipCodes must be a list of 5-digit ZIP codes');
+  }
+  
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validationErrors
+    });
+  }
+  
+  next();
+};
+
+export const validateMerchantData = (req, res, next) => {
+  const { name, contactEmail, memberIds, status } = req.body;
+  const partial = req.method === 'PUT';
+  const validationErrors = [];
+  
+  if ((!partial || name !== undefined) && (!name || typeof name !== 'string' || name.length > 100)) {
+    validationErrors.push('Name is required and must be less than 100 characters');
+  }
+  
+  if (contactEmail !== undefined && contactEmail !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contactEmail)) {
+    validationErrors.push('Contact email must be a valid email address');
+  }
+  
+  if (memberIds !== undefined && (!Array.isArray(memberIds) || memberIds.some(id => typeof id !== 'string' || !id))) {
+    validationErrors.push('memberIds must be a list of user IDs');
+  }
+  
+  if (status !== undefined && !MERCHANT_STATUSES.includes(status)) {
+    validationErrors.push(`Status must be one of: ${MERCHANT_STATUSES.join(', ')}`);
+  }
+  
+  if (validationErrors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: validationErrors
+    });
+  }
+  
+  next();
+};
+
+export const validateVoucherCode = (req, res, next) => {
+  const { code } = req.body;
+  
+  if (!code || typeof code !== 'string' || code.length > 200) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: ['A voucher code is required']
+    });
+  }
+  
+  next();
+};
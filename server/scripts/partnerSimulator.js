@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * Local OMNY or merchant partner for exercising redemptions without partner access.
+ * Speaks the API HttpPartnerAdapter expects and can add latency, declines, errors and
+ * timeouts. A timeout still processes the request and only answers late, like a real
+ * partner whose response was lost, so callers have to check status before retrying.
+ *
+ * Usage: node partnerSimulator.js <omny|merchant> [--port 4010]
+ * Env: SIM_LATENCY_MS, SIM_DECLINE_RATE, SIM_ERROR_RATE, SIM_TIMEOUT_RATE (0-1), SIM_HANG_MS
+ * A request can force an outcome with the header X-Simulate: ok | decline | error | timeout
+ */
+import crypto from 'crypto';
+import express from 'express';
+import { pathToFileURL } from 'url';
+
+export const SIMULATOR_PARTNERS = ['omny', 'merchant'];
+
+export const SIMULATOR_DEFAULTS = {
+  latencyMs: 0,
+  declineRate: 0,
+  errorRate: 0,
+  timeoutRate: 0,
+  // How late a "timed out" response arrives; longer than the adapter's timeout
+  hangMs: 30000
+};
+
+const OUTCOMES = ['ok', 'decline', 'error', 'timeout'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * The simulator as an Express app; options override SIMULATOR_DEFAULTS.
+ * `random` can be replaced for deterministic fault injection.
+ */
+export function createPartnerSimulator(partner, options = {}) {
+  if (!SIMULATOR_PARTNERS.includes(partner)) {
+    throw new Error(`Unknown partner: ${partner} (expected ${SIMULATOR_PARTNERS.join(' or ')})`);
+  }
+
+  const config = { ...SIMULATOR_DEFAULTS, ...options };
+  const random = options.random || Math.random;
+  const transactions = new Map();
+  const app = express();
+
+  app.use(express.json());
+  app.locals.transactions = transactions;
+
+  const pickOutcome = (req) => {
+    const forced = req.get('X-Simulate');
+    if (OUTCOMES.includes(forced)) return forced;
+
+    const roll = random();
+    if (roll < config.declineRate) return 'decline';
+    if (roll < config.declineRate + config.errorRate) return 'error';
+    if (roll < config.declineRate + config.errorRate + config.timeoutRate) return 'timeout';
+    return 'ok';
+  };
+
+  // Runs a create operation with the configured faults; repeats of a reference return the original
+  const create = (build) => async (req, res) => {
+    const { reference } = req.body || {};
+
+    if (!reference) {
+      return res.status(400).json({ success: false, error: 'reference is required' });
+    }
+
+    await sleep(config.latencyMs);
+
+    if (transactions.has(reference)) {
+      return res.json({ success: true, data: transactions.get(reference) });
+    }
+
+    const outcome = pickOutcome(req);
+
+    if (outcome === 'decline') {
+      return res.status(402).json({ success: false, error: `${partner} declined the request` });
+    }
+    if (outcome === 'error') {
+      return res.status(503).json({ success: false, error: `${partner} is temporarily unavailable` });
+    }
+
+    const transaction = { reference, state: 'completed', ...build(req.body) };
+    transactions.set(reference, transaction);
+
+    if (outcome === 'timeout') {
+      await sleep(config.hangMs);
+    }
+
+    res.status(201).json({ success: true, data: transaction });
+  };
+
+  if (partner === 'omny') {
+    app.post('/credits', create(({ userId, amount }) => ({
+      transactionId: `omny_${crypto.randomUUID()}`,
+      userId,
+      creditAmount: amount,
+      newBalance: amount,
+      processedAt: new Date().toISOString()
+    })));
+  } else {
+    app.post('/vouchers', create(({ userId, rewardId, discountPercent, quantity, validDays = 30 }) => {
+      const voucherId = `voucher_${crypto.randomUUID()}`;
+      return {
+        voucherId,
+        userId,
+        rewardId,
+        discountPercent,
+        quantity,
+        validUntil: new Date(Date.now() + validDays * DAY_MS).toISOString()
+      };
+    }));
+  }
+
+  app.get('/transactions/:reference', async (req, res) => {
+    await sleep(config.latencyMs);
+
+    const transaction = transactions.get(req.params.reference);
+    if (!transaction) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+    res.json({ success: true, data: transaction });
+  });
+
+  app.post('/transactions/:reference/void', async (req, res) => {
+    await sleep(config.latencyMs);
+
+    const transaction = transactions.get(req.params.reference);
+    if (!transaction) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+
+    transaction.state = 'voided';
+    transaction.voidedAt = transaction.voidedAt || new Date().toISOString();
+    res.json({ success: true, data: transaction });
+  });
+
+  return app;
+}
+
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isMain) {
+  const args = process.argv.slice(2);
+  const partner = args.find(arg => !arg.startsWith('--'));
+  const portFlag = args.indexOf('--port');
+  const port = portFlag !== -1 ? parseInt(args[portFlag + 1]) : (partner === 'merchant' ? 4020 : 4010);
+
+  if (!SIMULATOR_PARTNERS.includes(partner) || !Number.isInteger(port)) {
+    console.error('Usage: node partnerSimulator.js <omny|merchant> [--port 4010]');
+    process.exit(2);
+  }
+
+  const numberFromEnv = (name, fallback) => (process.env[name] !== undefined ? parseFloat(process.env[name]) : fallback);
+  const options = {
+    latencyMs: numberFromEnv('SIM_LATENCY_MS', SIMULATOR_DEFAULTS.latencyMs),
+    declineRate: numberFromEnv('SIM_DECLINE_RATE', SIMULATOR_DEFAULTS.declineRate),
+    errorRate: numberFromEnv('SIM_ERROR_RATE', SIMULATOR_DEFAULTS.errorRate),
+    timeoutRate: numberFromEnv('SIM_TIMEOUT_RATE', SIMULATOR_DEFAULTS.timeoutRate),
+    hangMs: numberFromEnv('SIM_HANG_MS', SIMULATOR_DEFAULTS.hangMs)
+  };
+
+  createPartnerSimulator(partner, options).listen(port, () => {
+    console.log(`🧪 ${partner} simulator on http://localhost:${port}`);
+    console.log(`   latency ${options.latencyMs}ms, declines ${options.declineRate}, errors ${options.errorRate}, timeouts ${options.timeoutRate} (hang ${options.hangMs}ms)`);
+  });
+}
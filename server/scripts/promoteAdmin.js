@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Grant the admin role to an existing account, out of band. Sign-up never grants admin,
+ * since nothing proves the person signing up owns the address.
+ *
+ * Usage: STORAGE_DRIVER=sqlite node promoteAdmin.js <email>
+ * Needs persistent storage: the memory driver only lives inside the server process.
+ * Exit codes: 0 promoted, 1 no account with that email, 2 usage or storage error
+ */
+import { pathToFileURL } from 'url';
+import { createStorage } from '../storage/index.js';
+import { AuthService } from '../services/AuthService.js';
+import { AuditService } from '../services/AuditService.js';
+
+/**
+ * Promote the account registered under `email`; logs the change to the audit chain
+ */
+export async function promoteAdmin({ storage, email }) {
+  const authService = new AuthService({ storage });
+  const user = authService.getUserByEmail(email);
+
+  if (!user) {
+    return { success: false, error: 'No account with that email' };
+  }
+
+  const result = authService.setUserRole(user.id, 'admin');
+  if (result.success) {
+    await new AuditService({ storage }).logEvent('role_changed', {
+      userId: user.id,
+      changedBy: 'cli',
+      previousRole: result.data.previousRole,
+      role: 'admin'
+    });
+  }
+
+  return result;
+}
+
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isMain) {
+  const email = process.argv[2];
+
+  if (!email) {
+    console.error('Usage: STORAGE_DRIVER=sqlite node promoteAdmin.js <email>');
+    process.exit(2);
+  }
+
+  let storage;
+  try {
+    storage = createStorage();
+  } catch (error) {
+    console.error(`Could not open storage: ${error.message}`);
+    process.exit(2);
+  }
+
+  if (storage.name === 'memory') {
+    console.error('Set STORAGE_DRIVER=sqlite (and STORAGE_PATH) to reach the server\'s accounts');
+    process.exit(2);
+  }
+
+  const result = await promoteAdmin({ storage, email });
+  storage.close();
+
+  if (!result.success) {
+    console.error(`❌ ${result.error}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ ${result.data.user.email} is now an admin (was ${result.data.previousRole})`);
+  process.exit(0);
+}
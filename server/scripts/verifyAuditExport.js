@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * Standalone verifier for audit export bundles (GET /api/audit/export)
+ * Depends only on Node's crypto module so watchdog partners can run it without the server.
+ *
+ * Usage: node verifyAuditExport.js <bundle.ndjson> [--public-key key.pem]
+ * Exit codes: 0 valid, 1 verification failed, 2 usage or parse error
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Must match canonicalize() in server/services/AuditChain.js
+function canonicalize(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+}
+
+const hashPair = (left, right) => sha256(Buffer.concat([Buffer.from(left, 'hex'), Buffer.from(right, 'hex')]));
+
+function computeMerkleRoot(leaves) {
+  if (leaves.length === 0) return null;
+
+  let level = leaves;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    level = next;
+  }
+
+  return level[0];
+}
+
+// A signature that is missing or can't be decoded fails verification rather than throwing
+function verifySignature(payload, signature, publicKey) {
+  if (!publicKey || typeof signature !== 'string') return false;
+
+  try {
+    return crypto.verify(null, Buffer.from(payload), publicKey, Buffer.from(signature, 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+function readPublicKey(pem) {
+  try {
+    return { key: crypto.createPublicKey(pem) };
+  } catch (error) {
+    return { error: `Public key could not be read: ${error.message}` };
+  }
+}
+
+const malformed = (error) => ({ valid: false, malformed: true, entryCount: 0, brokenAt: null, errors: [error] });
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Entry lines are { type: 'entry', entry: { hash, previousHash, ... } }
+const isEntryRecord = (record) =>
+  isObject(record) && record.type === 'entry' && isObject(record.entry) && typeof record.entry.hash === 'string';
+
+/**
+ * Verify a bundle's signature, hash chain, Merkle root and checkpoint.
+ * Returns { valid, entryCount, brokenAt, errors } where brokenAt is the first broken link;
+ * `malformed: true` marks a bundle that could not be parsed far enough to check.
+ */
+export function verifyBundle(text, options = {}) {
+  const errors = [];
+  const lines = text.split('\n').filter(line => line.length > 0);
+
+  let records;
+  try {
+    records = lines.map(line => JSON.parse(line));
+  } catch (error) {
+    return malformed(`Bundle is not valid NDJSON: ${error.message}`);
+  }
+
+  const header = records[0];
+  const footer = records[records.length - 1];
+
+  const hasHeader = isObject(header) && header.type === 'header' && header.format === 'civvy-audit-export';
+  if (!hasHeader || !isObject(footer) || footer.type !== 'signature') {
+    return malformed('Bundle is missing its header or signature line');
+  }
+
+  const badLine = records.slice(1, -1).findIndex(record => !isEntryRecord(record));
+  if (badLine !== -1) {
+    return malformed(`Line ${badLine + 2} is not an audit entry record`);
+  }
+
+  const { key: publicKey, error: keyError } = readPublicKey(options.publicKey || header.publicKey);
+  const entries = records.slice(1, -1).map(record => record.entry);
+
+  if (keyError) {
+    errors.push(keyError);
+  }
+
+  // Bundle signature covers every line before the signature line
+  const body = lines.slice(0, -1).map(line => `${line}\n`).join('');
+  if (sha256(body) !== footer.bundleDigest) {
+    errors.push('Bundle digest does not match its contents');
+  } else if (publicKey && !verifySignature(footer.bundleDigest, footer.signature, publicKey)) {
+    errors.push('Bundle signature is not valid for the public key');
+  }
+
+  if (entries.length !== header.entryCount) {
+    errors.push(`Header lists ${header.entryCount} entries but the bundle contains ${entries.length}`);
+  }
+
+  // Recompute the chain from genesis and stop at the first broken link
+  let brokenAt = null;
+  for (let i = 0; i < entries.length; i++) {
+    const { hash, ...hashedFields } = entries[i];
+    const expectedPrevious = i > 0 ? entries[i - 1].hash : null;
+
+    const problem =
+      entries[i].previousHash !== expectedPrevious ? 'previous_hash_mismatch' :
+      sha256(canonicalize(hashedFields)) !== hash ? 'hash_mismatch' :
+      null;
+
+    if (problem) {
+      brokenAt = { index: i, entryId: entries[i].id, problem };
+      errors.push(`Chain broken at entry ${i} (${entries[i].id}): ${problem}`);
+      break;
+    }
+  }
+
+  const leaves = entries.map(entry => entry.hash);
+
+  if (computeMerkleRoot(leaves) !== header.merkleRoot) {
+    errors.push('Merkle root does not match the exported entries');
+  }
+
+  const { checkpoint } = header;
+  if (checkpoint && !isObject(checkpoint)) {
+    errors.push('Header checkpoint is not an object');
+  } else if (checkpoint) {
+    const { signature, keyId, ...signedFields } = checkpoint;
+
+    if (checkpoint.treeSize > entries.length) {
+      errors.push('Checkpoint covers more entries than the bundle contains');
+    } else if (computeMerkleRoot(leaves.slice(0, checkpoint.treeSize)) !== checkpoint.merkleRoot) {
+      errors.push('Checkpoint Merkle root does not match the exported entries');
+    }
+
+    if (publicKey && !verifySignature(canonicalize(signedFields), signature, publicKey)) {
+      errors.push('Checkpoint signature is not valid for the public key');
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    entryCount: entries.length,
+    brokenAt,
+    errors
+  };
+}
+
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isMain) {
+  const args = process.argv.slice(2);
+  const keyFlag = args.indexOf('--public-key');
+  const bundlePath = args.find((arg, index) => !arg.startsWith('--') && (keyFlag === -1 || index !== keyFlag + 1));
+
+  if (!bundlePath) {
+    console.error('Usage: node verifyAuditExport.js <bundle.ndjson> [--public-key key.pem]');
+    process.exit(2);
+  }
+
+  let text;
+  let publicKey;
+  try {
+    text = fs.readFileSync(bundlePath, 'utf8');
+    publicKey = keyFlag !== -1 ? fs.readFileSync(args[keyFlag + 1], 'utf8') : undefined;
+  } catch (error) {
+    console.error(`Could not read input: ${error.message}`);
+    process.exit(2);
+  }
+
+  const result = verifyBundle(text, { publicKey });
+
+  if (result.valid) {
+    console.log(`✅ Audit export verified: ${result.entryCount} entries, chain intact`);
+    if (!publicKey) {
+      console.log('ℹ️ Signature checked against the key embedded in the bundle; pass --public-key to pin a known key');
+    }
+    process.exit(0);
+  }
+
+  console.error(`❌ Audit export failed verification (${result.entryCount} entries)`);
+  result.errors.forEach(error => console.error(`  - ${error}`));
+  process.exit(result.malformed ? 2 : 1);
+}
@@ -0,0 +1,93 @@
+/**
+ * AnalysisCache - FactHunter results per content item, valid only while the item's text,
+ * the fact database version and the set of related items it was compared against are unchanged
+ */
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+// Which part of the key no longer matched when a cached entry could not be used
+const MISS_REASONS = ['cold', 'content_changed', 'facts_changed', 'related_changed'];
+
+export class AnalysisCache {
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    this.entries = storage.collection('content.analysisCache');
+
+    // Counters since process start, for the analytics dashboard
+    this.startedAt = new Date().toISOString();
+    this.hits = 0;
+    this.misses = Object.fromEntries(MISS_REASONS.map(reason => [reason, 0]));
+    this.invalidations = {};
+  }
+
+  /**
+   * Cached analysis for the item if every key part matches, otherwise null
+   * @param {object} key - { contentHash, factVersion, relatedKey }
+   */
+  get(contentId, key) {
+    const entry = this.entries.get(contentId);
+    const reason = this.missReason(entry, key);
+
+    if (reason) {
+      this.misses[reason]++;
+      return null;
+    }
+
+    this.hits++;
+    return entry.analysis;
+  }
+
+  set(contentId, key, analysis) {
+    this.entries.set(contentId, {
+      contentId,
+      contentHash: key.contentHash,
+      factVersion: key.factVersion,
+      relatedKey: key.relatedKey,
+      analysis,
+      cachedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Drop the entries for these items; returns how many were dropped
+   */
+  invalidate(contentIds, reason) {
+    let dropped = 0;
+    contentIds.forEach(contentId => {
+      if (this.entries.has(contentId)) {
+        this.entries.delete(contentId);
+        dropped++;
+      }
+    });
+
+    this.invalidations[reason] = (this.invalidations[reason] || 0) + dropped;
+    return dropped;
+  }
+
+  invalidateAll(reason) {
+    return this.invalidate(this.entries.keys(), reason);
+  }
+
+  getStats() {
+    const misses = Object.values(this.misses).reduce((total, count) => total + count, 0);
+    const lookups = this.hits + misses;
+
+    return {
+      since: this.startedAt,
+      entries: this.entries.size,
+      hits: this.hits,
+      misses,
+      hitRate: lookups > 0 ? Math.round(this.hits / lookups * 1000) / 1000 : 0,
+      missesByReason: { ...this.misses },
+      invalidations: { ...this.invalidations }
+    };
+  }
+
+  missReason(entry, key) {
+    if (!entry) return 'cold';
+    if (entry.contentHash !== key.contentHash) return 'content_changed';
+    if (entry.factVersion !== key.factVersion) return 'facts_changed';
+    if (entry.relatedKey !== key.relatedKey) return 'related_changed';
+    return null;
+  }
+}
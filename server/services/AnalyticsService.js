@@ -2,10 +2,17 @@
  * AnalyticsService - Real-time analytics and KPI tracking
  * Integrates with Mixpanel-style event tracking and campaign analytics
  */
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
 export class AnalyticsService {
-  constructor() {
-    this.events = [];
-    this.userSessions = new Map();
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    // Optional AnalysisCache whose hit/miss counters appear on the dashboard
+    this.analysisCache = options.analysisCache || null;
+
+    this.eventStore = storage.collection('analytics.events');
+    this.userSessions = storage.collection('analytics.sessions');
     this.campaignMetrics = new Map();
     this.cohortData = new Map();
     
@@ -14,6 +21,7 @@ export class AnalyticsService {
       onboardingCompletion: { completed: 0, started: 0 },
       contradictionsPerHundredViews: { contradictions: 0, views: 0 },
       metroPointsRedemption: { redeemed: 0, earned: 0 },
+      surpriseEngagement: { viewed: 0, engaged: 0 },
       dailyActiveUsers: new Set(),
       monthlyActiveUsers: new Set(),
       retentionRates: new Map()
@@ -29,6 +37,13 @@ export class AnalyticsService {
     ]);
   }
 
+  /**
+   * All tracked events in insertion order
+   */
+  get events() {
+    return this.eventStore.values();
+  }
+
   /**
    * Track user event with comprehensive metadata
    */
@@ -53,7 +68,7 @@ export class AnalyticsService {
         processed: false
       };
 
-      this.events.push(event);
+      this.eventStore.append(event);
       
       // Update real-time KPIs
       await this.updateKPIs(event);
@@ -103,6 +118,7 @@ export class AnalyticsService {
           onboardingCompletion: this.calculateOnboardingCompletion(relevantEvents),
           contradictionsPerHundredViews: this.calculateContradictionRate(relevantEvents),
           metroPointsRedemption: this.calculateRedemptionRate(relevantEvents),
+          surpriseEngagement: this.calculateSurpriseEngagement(relevantEvents),
           dailyActiveUsers: this.calculateDAU(relevantEvents),
           monthlyActiveUsers: this.calculateMAU(relevantEvents),
           retentionRate: this.calculateRetention(relevantEvents, timeframe)
@@ -126,6 +142,9 @@ export class AnalyticsService {
           contradictionsFound: this.countEventsByName(relevantEvents, 'contradiction_detected')
         },
         
+        // FactHunter analysis cache (process lifetime, not limited to the timeframe)
+        analysisCache: this.analysisCache ? this.analysisCache.getStats() : null,
+        
         // Conversion funnel
         funnel: {
           landingPageViews: this.countEventsByName(relevantEvents, 'landing_viewed'),
@@ -351,6 +370,7 @@ export class AnalyticsService {
     const session = this.userSessions.get(userId);
     session.lastActivity = new Date().toISOString();
     session.eventCount++;
+    this.userSessions.set(userId, session);
     
     return session.id;
   }
@@ -377,6 +397,13 @@ export class AnalyticsService {
       this.kpis.metroPointsRedemption.redeemed += event.properties.cost || 1;
     }
 
+    // Update surprise-topic engagement
+    if (event.eventName === 'surprise_item_viewed') {
+      this.kpis.surpriseEngagement.viewed++;
+    } else if (event.eventName === 'surprise_item_engaged') {
+      this.kpis.surpriseEngagement.engaged++;
+    }
+
     // Update DAU/MAU
     const today = new Date().toDateString();
     const thisMonth = new Date().toISOString().substring(0, 7);
@@ -407,6 +434,27 @@ export class AnalyticsService {
     };
   }
 
+  /**
+   * How often a surprise-topic card that was seen got interacted with; counted per
+   * user and item, so repeat views or several actions on one card count once
+   */
+  calculateSurpriseEngagement(events) {
+    const distinct = (eventName) => new Set(
+      events
+        .filter(e => e.eventName === eventName)
+        .map(e => `${e.userId}:${e.properties.contentId}`)
+    );
+    
+    const viewed = distinct('surprise_item_viewed');
+    const engaged = [...distinct('surprise_item_engaged')].filter(key => viewed.has(key)).length;
+    
+    return {
+      viewed: viewed.size,
+      engaged,
+      rate: viewed.size > 0 ? Math.round((engaged / viewed.size) * 100) : 0
+    };
+  }
+
   calculateRedemptionRate(events) {
     const earned = events
       .filter(e => e.eventName === 'metropoints_earned')
@@ -0,0 +1,284 @@
+/**
+ * AuditChain - Tamper-evident, append-only hash chain over audit entries
+ * Each entry hash covers the full public entry, a digest of its private fields
+ * and the previous entry's hash; signed checkpoints pin Merkle roots over the chain
+ */
+import crypto from 'crypto';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+export const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * JSON with recursively sorted object keys, so hashes don't depend on key order
+ */
+export function canonicalize(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+}
+
+// Random per-entry salt mixed into the private-field digest so a guessed userId or score
+// can't be confirmed by hashing it. Kept with the private fields and never published.
+export const DIGEST_SALT_FIELD = 'digestSalt';
+
+/**
+ * Hash an entry given the names of its private (digested) fields
+ */
+export function computeEntryHash(entry, privateFields) {
+  const { hash, ...hashedEntry } = entry;
+  [...privateFields, DIGEST_SALT_FIELD].forEach(field => delete hashedEntry[field]);
+  return sha256(canonicalize(hashedEntry));
+}
+
+export function computeMetadataDigest(entry, privateFields) {
+  const privateValues = {};
+  [...privateFields, DIGEST_SALT_FIELD].forEach(field => {
+    privateValues[field] = entry[field];
+  });
+  return sha256(canonicalize(privateValues));
+}
+
+const hashPair = (left, right) => sha256(Buffer.concat([Buffer.from(left, 'hex'), Buffer.from(right, 'hex')]));
+
+/**
+ * Merkle root over leaf hashes; an unpaired node is promoted to the next level as-is
+ */
+export function computeMerkleRoot(leaves) {
+  if (leaves.length === 0) return null;
+
+  let level = leaves;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    level = next;
+  }
+
+  return level[0];
+}
+
+/**
+ * Sibling path from leaf `index` up to the root
+ */
+export function buildInclusionProof(leaves, index) {
+  const siblings = [];
+  let level = leaves;
+  let position = index;
+
+  while (level.length > 1) {
+    const isRight = position % 2 === 1;
+    const siblingIndex = isRight ? position - 1 : position + 1;
+
+    if (siblingIndex < level.length) {
+      siblings.push({
+        position: isRight ? 'left' : 'right',
+        hash: level[siblingIndex]
+      });
+    }
+
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    level = next;
+    position = Math.floor(position / 2);
+  }
+
+  return siblings;
+}
+
+export function verifyInclusionProof(leafHash, siblings, merkleRoot) {
+  const computed = siblings.reduce(
+    (current, sibling) => sibling.position === 'left'
+      ? hashPair(sibling.hash, current)
+      : hashPair(current, sibling.hash),
+    leafHash
+  );
+
+  return computed === merkleRoot;
+}
+
+/**
+ * Load an Ed25519 signing key from PEM, or create a throwaway one
+ */
+export function loadSigningKey(pem) {
+  if (pem) {
+    return crypto.createPrivateKey(pem);
+  }
+
+  return crypto.generateKeyPairSync('ed25519').privateKey;
+}
+
+export function verifyCheckpointSignature(checkpoint, publicKeyPem) {
+  const { signature, keyId, ...signedFields } = checkpoint;
+  return crypto.verify(
+    null,
+    Buffer.from(canonicalize(signedFields)),
+    crypto.createPublicKey(publicKeyPem),
+    Buffer.from(signature, 'base64')
+  );
+}
+
+export class AuditChain {
+  /**
+   * @param {object} options
+   * @param {string} options.name - collection name for the chained entries
+   * @param {string[]} options.privateFields - fields kept out of public views, covered by metadataDigest
+   */
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    this.name = options.name;
+    this.privateFields = options.privateFields || ['metadata'];
+    this.signingKey = options.signingKey || loadSigningKey();
+
+    this.entries = storage.collection(this.name);
+    this.checkpoints = storage.collection(`${this.name}.checkpoints`);
+  }
+
+  /**
+   * Link, digest and hash an entry, then store it
+   */
+  append(entry) {
+    const previousEntry = this.entries.last();
+
+    const chainedEntry = {
+      ...entry,
+      previousHash: previousEntry ? previousEntry.hash : null,
+      [DIGEST_SALT_FIELD]: crypto.randomBytes(16).toString('hex')
+    };
+    chainedEntry.metadataDigest = computeMetadataDigest(chainedEntry, this.privateFields);
+    chainedEntry.hash = computeEntryHash(chainedEntry, this.privateFields);
+
+    this.entries.append(chainedEntry);
+    return chainedEntry;
+  }
+
+  /**
+   * Recompute every digest, hash and link; reports the first broken entry
+   */
+  verify() {
+    const entries = this.entries.values();
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const expectedPrevious = i > 0 ? entries[i - 1].hash : null;
+
+      const problem =
+        entry.previousHash !== expectedPrevious ? 'previous_hash_mismatch' :
+        entry.metadataDigest !== computeMetadataDigest(entry, this.privateFields) ? 'metadata_digest_mismatch' :
+        entry.hash !== computeEntryHash(entry, this.privateFields) ? 'hash_mismatch' :
+        null;
+
+      if (problem) {
+        return {
+          valid: false,
+          length: entries.length,
+          brokenAt: { index: i, entryId: entry.id, problem }
+        };
+      }
+    }
+
+    return {
+      valid: true,
+      length: entries.length,
+      brokenAt: null
+    };
+  }
+
+  getLeaves(treeSize) {
+    return this.entries.values().slice(0, treeSize).map(entry => entry.hash);
+  }
+
+  getMerkleRoot(treeSize = this.entries.size) {
+    return computeMerkleRoot(this.getLeaves(treeSize));
+  }
+
+  /**
+   * Sign the current head; skipped when nothing was appended since the last checkpoint
+   */
+  createCheckpoint() {
+    const treeSize = this.entries.size;
+    const latest = this.getLatestCheckpoint();
+
+    if (treeSize === 0 || latest?.treeSize === treeSize) {
+      return null;
+    }
+
+    const signedFields = {
+      id: `checkpoint_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      chain: this.name,
+      treeSize,
+      headHash: this.entries.last().hash,
+      merkleRoot: this.getMerkleRoot(treeSize),
+      createdAt: new Date().toISOString()
+    };
+
+    const checkpoint = {
+      ...signedFields,
+      keyId: this.getKeyId(),
+      signature: this.sign(canonicalize(signedFields))
+    };
+
+    this.checkpoints.append(checkpoint);
+    return checkpoint;
+  }
+
+  getLatestCheckpoint() {
+    return this.checkpoints.last() || null;
+  }
+
+  /**
+   * Inclusion proof for an entry, against the latest checkpoint when it covers the entry
+   */
+  getInclusionProof(entryId) {
+    const entries = this.entries.values();
+    const index = entries.findIndex(entry => entry.id === entryId);
+    if (index === -1) return null;
+
+    const checkpoint = this.getLatestCheckpoint();
+    const coveredByCheckpoint = checkpoint && index < checkpoint.treeSize;
+    const treeSize = coveredByCheckpoint ? checkpoint.treeSize : entries.length;
+    const leaves = entries.slice(0, treeSize).map(entry => entry.hash);
+
+    return {
+      entryId,
+      index,
+      entry: this.toPublicEntry(entries[index]),
+      leafHash: entries[index].hash,
+      treeSize,
+      merkleRoot: computeMerkleRoot(leaves),
+      checkpointId: coveredByCheckpoint ? checkpoint.id : null,
+      siblings: buildInclusionProof(leaves, index)
+    };
+  }
+
+  /**
+   * Entry as published: private fields removed, enough left to recompute its hash
+   */
+  toPublicEntry(entry) {
+    const publicEntry = { ...entry };
+    [...this.privateFields, DIGEST_SALT_FIELD].forEach(field => delete publicEntry[field]);
+    return publicEntry;
+  }
+
+  /**
+   * Ed25519 signature (base64) over a string payload
+   */
+  sign(payload) {
+    return crypto.sign(null, Buffer.from(payload), this.signingKey).toString('base64');
+  }
+
+  getPublicKey() {
+    return crypto.createPublicKey(this.signingKey).export({ type: 'spki', format: 'pem' });
+  }
+
+  getKeyId() {
+    const der = crypto.createPublicKey(this.signingKey).export({ type: 'spki', format: 'der' });
+    return sha256(der).substring(0, 16);
+  }
+}
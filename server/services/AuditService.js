@@ -1,11 +1,45 @@
 /**
  * AuditService - Comprehensive audit and transparency system
- * Provides detailed logging and public transparency features
+ * Owns the single hash-chained audit log; IntegrityGuardian records moderation actions here too
  */
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+import { AuditChain, sha256 } from './AuditChain.js';
+
+// How long a public chain status is served before the whole chain is re-verified,
+// even if nothing was appended
+const CHAIN_STATUS_TTL_MS = 60 * 1000;
+
 export class AuditService {
-  constructor() {
-    this.auditEvents = [];
-    this.systemMetrics = {
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    // Redaction policy for every audit event: only these data fields are published.
+    // The full payload stays private and is covered by metadataDigest.
+    this.PUBLIC_DATA_FIELDS = [
+      'contentId',
+      'flagId',
+      'decision',
+      'reason',
+      'flagReason',
+      'contentAction',
+      'contentType',
+      'role',
+      'rewardId',
+      'quizId',
+      'factId',
+      'factVersion',
+      'merchantId'
+    ];
+
+    this.auditChain = new AuditChain({
+      storage,
+      name: 'audit.events',
+      privateFields: ['data', 'metadata'],
+      signingKey: options.signingKey
+    });
+    this.auditEvents = this.auditChain.entries;
+    this.metricsStore = storage.collection('audit.metrics');
+    this.systemMetrics = this.metricsStore.get('system') || {
       totalFlags: 0,
       flagsUpheld: 0,
       flagsRejected: 0,
@@ -31,18 +65,19 @@ export class AuditService {
           ipAddress: metadata.ipAddress ? this.hashIP(metadata.ipAddress) : null,
           sessionId: metadata.sessionId
         },
+        publicData: this.redactEventData(data),
         severity: this.calculateEventSeverity(eventType, data),
         category: this.categorizeEvent(eventType)
       };
 
-      this.auditEvents.push(auditEvent);
+      const chainedEvent = this.auditChain.append(auditEvent);
       
       // Update system metrics
       this.updateSystemMetrics(eventType, data);
 
       return {
         success: true,
-        data: auditEvent
+        data: chainedEvent
       };
 
     } catch (error) {
@@ -60,7 +95,7 @@ export class AuditService {
   getTransparencyReport(timeframe = '30d') {
     try {
       const cutoffDate = this.getTimeframeCutoff(timeframe);
-      const relevantEvents = this.auditEvents.filter(
+      const relevantEvents = this.auditEvents.values().filter(
         event => new Date(event.timestamp) >= cutoffDate
       );
 
@@ -110,7 +145,7 @@ export class AuditService {
    */
   getPublicAuditFeed(limit = 100, category = null) {
     try {
-      let events = this.auditEvents;
+      let events = this.auditEvents.values();
 
       // Filter by category if specified
       if (category) {
@@ -120,24 +155,18 @@ export class AuditService {
       // Remove sensitive information for public view
       const publicEvents = events
         .slice(-limit)
-        .map(event => ({
-          id: event.id,
-          timestamp: event.timestamp,
-          eventType: event.eventType,
-          category: event.category,
-          severity: event.severity,
-          // Only include non-sensitive data
-          summary: this.createPublicSummary(event)
-        }))
+        .map(event => this.toPublicEvent(event))
         .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
 
       return {
         success: true,
         data: {
           events: publicEvents,
-          totalEvents: this.auditEvents.length,
+          totalEvents: this.auditEvents.size,
           categories: this.getEventCategories(),
-          lastUpdated: new Date().toISOString()
+          lastUpdated: new Date().toISOString(),
+          // Cached, so public requests don't each walk the whole chain
+          integrityVerified: this.getChainStatus().chainValid
         }
       };
 
@@ -155,7 +184,7 @@ export class AuditService {
    */
   searchAuditEvents(query, filters = {}) {
     try {
-      let events = this.auditEvents;
+      let events = this.auditEvents.values();
 
       // Apply filters
       if (filters.eventType) {
@@ -205,9 +234,117 @@ export class AuditService {
     }
   }
 
+  /**
+   * Public view of an event: the chained public fields plus a readable summary
+   */
+  toPublicEvent(event) {
+    return {
+      ...this.auditChain.toPublicEntry(event),
+      publicData: event.publicData || {},
+      summary: this.createPublicSummary(event)
+    };
+  }
+
+  /**
+   * Build a signed NDJSON export of the public chain for offline verification.
+   * Lines: one header, one line per entry (genesis first), then a signature over all preceding lines.
+   */
+  buildExportBundle() {
+    const chain = this.auditChain;
+    const events = this.auditEvents.values();
+
+    const header = {
+      type: 'header',
+      format: 'civvy-audit-export',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      entryCount: events.length,
+      headHash: events.length > 0 ? events[events.length - 1].hash : null,
+      merkleRoot: chain.getMerkleRoot(),
+      checkpoint: chain.getLatestCheckpoint(),
+      keyId: chain.getKeyId(),
+      publicKey: chain.getPublicKey()
+    };
+
+    const lines = [
+      JSON.stringify(header),
+      ...events.map(event => JSON.stringify({
+        type: 'entry',
+        summary: this.createPublicSummary(event),
+        entry: chain.toPublicEntry(event)
+      }))
+    ];
+
+    const body = lines.map(line => `${line}\n`).join('');
+    const bundleDigest = sha256(body);
+
+    const signature = {
+      type: 'signature',
+      algorithm: 'ed25519',
+      keyId: header.keyId,
+      bundleDigest,
+      signature: chain.sign(bundleDigest)
+    };
+
+    return `${body}${JSON.stringify(signature)}\n`;
+  }
+
+  /**
+   * Public chain status for /api/audit/verify. Full re-verification is O(n), so the result is
+   * cached until an entry or checkpoint is added or CHAIN_STATUS_TTL_MS passes.
+   */
+  getChainStatus(now = Date.now()) {
+    const chain = this.auditChain;
+    const latestCheckpoint = chain.getLatestCheckpoint();
+    const cached = this.chainStatus;
+
+    if (
+      cached &&
+      cached.treeSize === chain.entries.size &&
+      cached.latestCheckpoint?.id === latestCheckpoint?.id &&
+      now - Date.parse(cached.verifiedAt) < CHAIN_STATUS_TTL_MS
+    ) {
+      return cached;
+    }
+
+    const verification = chain.verify();
+    this.chainStatus = {
+      chainValid: verification.valid,
+      brokenAt: verification.brokenAt,
+      treeSize: verification.length,
+      headHash: chain.entries.last()?.hash || null,
+      merkleRoot: chain.getMerkleRoot(),
+      latestCheckpoint,
+      keyId: chain.getKeyId(),
+      publicKey: chain.getPublicKey(),
+      verifiedAt: new Date(now).toISOString()
+    };
+
+    return this.chainStatus;
+  }
+
+  /**
+   * Verify the event hash chain
+   */
+  verifyAuditIntegrity() {
+    return this.auditChain.verify().valid;
+  }
+
   /**
    * Helper methods
    */
+  redactEventData(data = {}) {
+    const publicData = {};
+
+    this.PUBLIC_DATA_FIELDS.forEach(field => {
+      if (data?.[field] !== undefined && data[field] !== null) {
+        publicData[field] = data[field];
+      }
+    });
+
+    return publicData;
+  }
+
   hashIP(ipAddress) {
     // Hash IP addresses for privacy while maintaining uniqueness
     const crypto = require('crypto');
@@ -222,6 +359,10 @@ export class AuditService {
       'quiz_completed': 'low',
       'vote_pledge': 'low',
       'reward_redeemed': 'low',
+      'voucher_redeemed': 'low',
+      'user_registered': 'low',
+      'role_changed': 'high',
+      'ledger_adjusted': 'high',
       'system_error': 'high',
       'security_violation': 'critical'
     };
@@ -233,11 +374,26 @@ export class AuditService {
     const categoryMap = {
       'flag_submitted': 'moderation',
       'flag_processed': 'moderation',
+      'flag_claimed': 'moderation',
+      'flag_escalated': 'moderation',
       'content_removed': 'moderation',
       'user_suspended': 'moderation',
       'quiz_completed': 'user_action',
       'vote_pledge': 'user_action',
       'reward_redeemed': 'user_action',
+      'user_registered': 'user_action',
+      'preferences_updated': 'user_action',
+      'role_changed': 'security',
+      'ledger_adjusted': 'security',
+      'fact_created': 'system',
+      'fact_updated': 'system',
+      'fact_retired': 'system',
+      'reward_created': 'system',
+      'reward_updated': 'system',
+      'reward_retired': 'system',
+      'merchant_created': 'system',
+      'merchant_updated': 'system',
+      'voucher_redeemed': 'user_action',
       'system_error': 'system',
       'security_violation': 'security'
     };
@@ -253,7 +409,7 @@ export class AuditService {
       case 'flag_processed':
         if (data.decision === 'upheld') {
           this.systemMetrics.flagsUpheld++;
-        } else {
+        } else if (data.decision === 'rejected') {
           this.systemMetrics.flagsRejected++;
         }
         break;
@@ -261,6 +417,8 @@ export class AuditService {
         this.systemMetrics.contentRemoved++;
         break;
     }
+
+    this.metricsStore.set('system', this.systemMetrics);
   }
 
   getTimeframeCutoff(timeframe) {
@@ -297,11 +455,26 @@ export class AuditService {
     // Create privacy-safe summaries for public consumption
     const summaries = {
       'flag_submitted': 'Content flagged for review',
-      'flag_processed': `Flag ${event.data?.decision || 'processed'}`,
+      'flag_processed': `Flag ${event.publicData?.decision || 'processed'}`,
+      'flag_claimed': 'Flag claimed for review',
+      'flag_escalated': 'Flag escalated to an admin',
       'content_removed': 'Content removed after review',
       'quiz_completed': 'User completed civic quiz',
       'vote_pledge': 'User made voting commitment',
-      'reward_redeemed': 'User redeemed civic reward'
+      'reward_redeemed': 'User redeemed civic reward',
+      'user_registered': 'New user joined',
+      'preferences_updated': 'User updated feed preferences',
+      'role_changed': `Staff role changed to ${event.publicData?.role || 'user'}`,
+      'ledger_adjusted': 'Points balance corrected by an admin',
+      'fact_created': 'Reference fact added',
+      'fact_updated': `Reference fact revised to v${event.publicData?.factVersion}`,
+      'fact_retired': 'Reference fact retired',
+      'reward_created': 'Reward added to the catalog',
+      'reward_updated': 'Reward catalog entry updated',
+      'reward_retired': 'Reward removed from the catalog',
+      'merchant_created': 'Merchant partner added',
+      'merchant_updated': 'Merchant partner updated',
+      'voucher_redeemed': 'Voucher redeemed at a merchant'
     };
 
     return summaries[event.eventType] || 'System event occurred';
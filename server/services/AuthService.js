@@ -0,0 +1,251 @@
+/**
+ * AuthService - Account registration, password hashing and session tokens
+ * Issues opaque bearer tokens; only their SHA-256 digest is stored server-side
+ */
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['user', 'moderator', 'editor', 'pilot_coordinator', 'merchant', 'admin'];
+
+// Permissions granted to each role; checked per route by requirePermission
+export const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ['moderation:read', 'moderation:decide', 'users:read'],
+  editor: ['facts:manage', 'content:ingest'],
+  pilot_coordinator: ['analytics:read'],
+  merchant: ['offers:manage'],
+  admin: ['moderation:read', 'moderation:decide', 'moderation:escalations', 'users:read', 'analytics:read', 'users:manage', 'facts:manage', 'content:ingest', 'rewards:manage']
+};
+
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+export class AuthService {
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    this.SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days in ms
+    this.PASSWORD_KEY_LENGTH = 64;
+
+    this.users = storage.collection('auth.users');
+    this.emailIndex = storage.collection('auth.emailIndex');
+    this.sessions = storage.collection('auth.sessions');
+
+    // Emails whose sign-up is hashing its password, so a second sign-up can't slip in meanwhile
+    this.pendingEmails = new Set();
+    // Checked against when the email is unknown, so login takes as long either way
+    this.dummyPasswordHash = this.hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+
+  /**
+   * Register a new account and start a session
+   */
+  async signUp({ email, password, name }) {
+    try {
+      const normalizedEmail = this.normalizeEmail(email);
+
+      if (this.emailIndex.has(normalizedEmail) || this.pendingEmails.has(normalizedEmail)) {
+        return {
+          success: false,
+          error: 'An account with this email already exists'
+        };
+      }
+
+      this.pendingEmails.add(normalizedEmail);
+      let user;
+      try {
+        user = {
+          id: `user_${crypto.randomUUID()}`,
+          email: normalizedEmail,
+          name: name.trim(),
+          // Admin is granted out of band (server/scripts/promoteAdmin.js), never at sign-up
+          role: 'user',
+          passwordHash: await this.hashPassword(password),
+          createdAt: new Date().toISOString()
+        };
+
+        this.users.set(user.id, user);
+        this.emailIndex.set(normalizedEmail, { userId: user.id });
+      } finally {
+        this.pendingEmails.delete(normalizedEmail);
+      }
+
+      return {
+        success: true,
+        data: this.createSession(user)
+      };
+
+    } catch (error) {
+      console.error('Sign up error:', error);
+      return {
+        success: false,
+        error: 'Failed to create account'
+      };
+    }
+  }
+
+  /**
+   * Verify credentials and start a session
+   */
+  async login({ email, password }) {
+    try {
+      const indexEntry = this.emailIndex.get(this.normalizeEmail(email));
+      const user = indexEntry ? this.users.get(indexEntry.userId) : null;
+
+      // Same error, and the same scrypt work, for unknown email and wrong password to avoid
+      // account enumeration
+      const passwordHash = user ? user.passwordHash : await this.dummyPasswordHash;
+      const verified = await this.verifyPassword(password, passwordHash);
+      if (!user || !verified) {
+        return {
+          success: false,
+          error: 'Invalid email or password'
+        };
+      }
+
+      return {
+        success: true,
+        data: this.createSession(user)
+      };
+
+    } catch (error) {
+      console.error('Login error:', error);
+      return {
+        success: false,
+        error: 'Failed to log in'
+      };
+    }
+  }
+
+  /**
+   * Resolve a bearer token to its user, or null if invalid or expired
+   */
+  authenticate(token) {
+    if (!token) return null;
+
+    const tokenHash = this.hashToken(token);
+    const session = this.sessions.get(tokenHash);
+
+    if (!session) return null;
+
+    if (new Date(session.expiresAt).getTime() <= Date.now()) {
+      this.sessions.delete(tokenHash);
+      return null;
+    }
+
+    const user = this.users.get(session.userId);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  /**
+   * End the session identified by token
+   */
+  logout(token) {
+    const removed = token ? this.sessions.delete(this.hashToken(token)) : false;
+
+    return {
+      success: true,
+      data: { loggedOut: removed }
+    };
+  }
+
+  /**
+   * Change a user's role (admin only at the route level)
+   */
+  setUserRole(userId, role) {
+    if (!ROLES.includes(role)) {
+      return {
+        success: false,
+        error: `Invalid role. Expected one of: ${ROLES.join(', ')}`
+      };
+    }
+
+    const user = this.users.get(userId);
+    if (!user) {
+      return {
+        success: false,
+        error: 'User not found'
+      };
+    }
+
+    const previousRole = user.role || 'user';
+    user.role = role;
+    this.users.set(userId, user);
+
+    return {
+      success: true,
+      data: {
+        user: this.toPublicUser(user),
+        previousRole
+      }
+    };
+  }
+
+  /**
+   * Get public user record by id
+   */
+  getUser(userId) {
+    const user = this.users.get(userId);
+    return user ? this.toPublicUser(user) : null;
+  }
+
+  getUserByEmail(email) {
+    const indexEntry = this.emailIndex.get(this.normalizeEmail(email));
+    return indexEntry ? this.getUser(indexEntry.userId) : null;
+  }
+
+  /**
+   * Helper methods
+   */
+  createSession(user) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const session = {
+      userId: user.id,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + this.SESSION_TTL).toISOString()
+    };
+
+    this.sessions.set(this.hashToken(token), session);
+
+    return {
+      token,
+      expiresAt: session.expiresAt,
+      user: this.toPublicUser(user)
+    };
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derivedKey = await scrypt(password, salt, this.PASSWORD_KEY_LENGTH);
+    return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+  }
+
+  async verifyPassword(password, storedHash) {
+    const [scheme, salt, keyHex] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !keyHex) return false;
+
+    const expectedKey = Buffer.from(keyHex, 'hex');
+    const derivedKey = await scrypt(password, salt, expectedKey.length);
+    return crypto.timingSafeEqual(derivedKey, expectedKey);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  toPublicUser(user) {
+    const { passwordHash, ...publicUser } = user;
+    return {
+      ...publicUser,
+      role: user.role || 'user'
+    };
+  }
+}
@@ -0,0 +1,343 @@
+/**
+ * ClaimClusterService - Groups numeric claims about the same subject across all content
+ * (e.g. "housing budget 2024") and tracks how the reported figure moves over time and by source
+ */
+import natural from 'natural';
+import nlp from 'compromise';
+import { normalizeQuantity } from './NumericNormalizer.js';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+// Words that describe the reporting or its timing rather than the subject
+const REPORTING_WORDS = [
+  'according', 'announce', 'announced', 'announces', 'bring', 'bringing', 'brings', 'claim', 'claims',
+  'new', 'now', 'report', 'reported', 'reports', 'represent', 'represents', 'said', 'say', 'says',
+  'stand', 'stands', 'state', 'states', 'total', 'last', 'next', 'previous', 'year', 'years'
+];
+
+const SCALE_WORDS = ['thousand', 'million', 'billion', 'trillion', 'percent', 'dollars', 'dollar'];
+
+// Direction of a change is tracked as the cluster's measure, not as part of its subject
+const CHANGE_WORDS = ['increase', 'increases', 'increased', 'decrease', 'decreases', 'decreased', 'rise', 'rises', 'rose', 'cut', 'cuts', 'drop', 'drops', 'jump', 'jumps', 'boost', 'growth'];
+
+// "increase of $2.1 billion" / "$2.1 billion increase" describe a change, not the level itself
+const CHANGE_AFTER = /^\s*(?:\w+\s+)?(?:increase|decrease|cut|rise|hike|boost|drop|jump|reduction|gain|growth|more|less|fewer)\b/i;
+const CHANGE_BEFORE = /\b(?:increas\w*|decreas\w*|cut|cuts|rais\w*|ris\w*|rose|grew|grow\w*|drop\w*|jump\w*|boost\w*|up|down)\s+(?:by\s+)?(?:an?\s+(?:additional|extra)\s+)?$/i;
+
+const LABEL_TERMS = 2;
+
+// A sentence opening with one of these refers back to the previous sentence's subject
+const BACK_REFERENCE = /^(?:this|that|these|those|it|which)\b/i;
+
+export class ClaimClusterService {
+  /**
+   * @param {object} options
+   * @param {object} options.storage - shared storage driver
+   * @param {ContentService} options.contentService - source of content items and claim extraction
+   * @param {number} options.minSharedTerms - subject terms two claims must share to be clustered
+   */
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    this.contentService = options.contentService;
+    this.clusters = storage.collection('claims.clusters');
+    this.minSharedTerms = options.minSharedTerms || 2;
+
+    this.stemmer = natural.PorterStemmer;
+    this.ignoredWords = new Set([...natural.stopwords, ...REPORTING_WORDS, ...SCALE_WORDS, ...CHANGE_WORDS]);
+
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Re-cluster every numeric claim in the content database. Meant to run on a schedule;
+   * overlapping runs are skipped.
+   */
+  async run() {
+    if (this.running) {
+      return { success: false, error: 'Clustering already in progress' };
+    }
+
+    this.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const items = this.contentService.contentDatabase.values()
+        .filter(item => item.moderation?.status !== 'hidden');
+
+      const claims = items.flatMap(item => this.collectClaims(item));
+      const clusters = this.buildClusters(claims);
+
+      // Keep the original creation time for clusters that survive a re-run
+      const previous = new Map(this.clusters.entries());
+      this.clusters.clear();
+      clusters.forEach(cluster => {
+        cluster.createdAt = previous.get(cluster.id)?.createdAt || cluster.updatedAt;
+        this.clusters.set(cluster.id, cluster);
+      });
+
+      this.lastRun = {
+        completedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt,
+        itemsScanned: items.length,
+        claimsClustered: claims.length,
+        clusters: clusters.length
+      };
+
+      return { success: true, data: this.lastRun };
+    } catch (error) {
+      console.error('Claim clustering error:', error);
+      return { success: false, error: 'Claim clustering failed' };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  getCluster(clusterId) {
+    return this.clusters.get(clusterId) || null;
+  }
+
+  /**
+   * Cluster summaries without timelines, most widely reported first
+   */
+  listClusters({ term } = {}) {
+    const stem = term ? this.stemmer.stem(term.toLowerCase()) : null;
+
+    return this.clusters.values()
+      .filter(cluster => !stem || cluster.subject.terms.includes(stem))
+      .sort((a, b) => b.sourceCount - a.sourceCount || b.claimCount - a.claimCount)
+      .map(({ timeline, ...summary }) => summary);
+  }
+
+  /**
+   * Numeric claims in one item, each with the subject it is about
+   */
+  collectClaims(item) {
+    const content = item.content || '';
+    const sentences = this.splitSentences(content);
+    const words = this.tagWords(content);
+
+    return this.contentService.factHunter.extractClaims(content)
+      .filter(claim => claim.type === 'numerical')
+      .map(claim => {
+        const quantity = normalizeQuantity(claim);
+        if (!quantity) return null;
+
+        const index = sentences.findIndex(s => claim.span.start >= s.start && claim.span.start < s.end);
+        const from = index > 0 && BACK_REFERENCE.test(sentences[index].text.trim())
+          ? sentences[index - 1].start
+          : sentences[index].start;
+        const to = sentences[index].end;
+        const around = content.substring(from, claim.span.start) + ' ' + content.substring(claim.span.end, to);
+
+        return {
+          claim,
+          item,
+          quantity,
+          measure: this.isChange(content, claim.span) ? 'change' : 'level',
+          year: (around.match(/\b(?:19|20)\d{2}\b/) || [null])[0],
+          ...this.subjectTerms(words, from, to, claim.span)
+        };
+      })
+      .filter(entry => entry && entry.terms.length > 0);
+  }
+
+  /**
+   * Greedy single pass in publication order: a claim joins the cluster whose seed measures the
+   * same dimension and kind of figure, for the same year (when both name one), with the most
+   * terms in common. Ties go to the most recently reported cluster.
+   */
+  buildClusters(entries) {
+    const groups = [];
+    const ordered = [...entries].sort((a, b) => this.timeOf(a.item) - this.timeOf(b.item));
+
+    ordered.forEach(entry => {
+      let best = null;
+      let bestScore = 0;
+
+      groups.forEach(group => {
+        const { seed } = group;
+        if (seed.quantity.dimension !== entry.quantity.dimension || seed.measure !== entry.measure) return;
+        if (seed.year && entry.year && seed.year !== entry.year) return;
+
+        const score = this.subjectOverlap(seed.terms, entry.terms);
+        if (score >= bestScore && score > 0) {
+          best = group;
+          bestScore = score;
+        }
+      });
+
+      if (best) {
+        best.members.push(entry);
+        best.year = best.year || entry.year;
+        // Keep the most recent match last so it wins ties
+        groups.splice(groups.indexOf(best), 1);
+        groups.push(best);
+      } else {
+        groups.push({ seed: entry, year: entry.year, members: [entry] });
+      }
+    });
+
+    const usedIds = new Set();
+    return groups.map(group => this.describeCluster(group, usedIds));
+  }
+
+  /**
+   * Share of the smaller term set found in the other, or 0 when they are not about the same subject
+   */
+  subjectOverlap(termsA, termsB) {
+    const shared = termsA.filter(term => termsB.includes(term)).length;
+    const smaller = Math.min(termsA.length, termsB.length);
+    if (shared < Math.min(this.minSharedTerms, smaller)) return 0;
+
+    const overlap = shared / smaller;
+    return overlap >= 0.5 ? overlap : 0;
+  }
+
+  describeCluster({ seed, year, members }, usedIds) {
+    const { dimension, kind } = seed.quantity;
+
+    // Label with the agreed terms written closest to the first report's figure, in reading order
+    const counts = new Map();
+    members.forEach(member => member.terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1)));
+    const agreed = seed.terms.filter(term => counts.get(term) >= Math.max(1, members.length / 2));
+    const candidates = agreed.length > 0 ? agreed : seed.terms;
+    const top = [...candidates]
+      .sort((a, b) => seed.distances[a] - seed.distances[b])
+      .slice(0, LABEL_TERMS);
+    const terms = candidates.filter(term => top.includes(term));
+    const words = terms.map(term => seed.words[term]);
+
+    const label = [...words, year, seed.measure === 'change' ? 'change' : null].filter(Boolean).join(' ');
+    const id = this.uniqueId([label, this.dimensionTag(dimension)].join(' '), usedIds);
+
+    const timeline = members.map(({ claim, item, quantity }) => ({
+      contentId: item.id,
+      title: item.title,
+      source: item.source,
+      timestamp: item.timestamp,
+      text: claim.text,
+      value: quantity.value,
+      span: claim.span
+    }));
+
+    const values = timeline.map(entry => entry.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    const sources = new Map();
+    timeline.forEach(entry => {
+      const source = sources.get(entry.source) || { source: entry.source, claimCount: 0, min: entry.value, max: entry.value, latest: null };
+      source.claimCount++;
+      source.min = Math.min(source.min, entry.value);
+      source.max = Math.max(source.max, entry.value);
+      source.latest = entry;
+      sources.set(entry.source, source);
+    });
+
+    const first = timeline[0];
+    const latest = timeline[timeline.length - 1];
+
+    return {
+      id,
+      label,
+      subject: { terms, year, measure: seed.measure, dimension, kind },
+      claimCount: timeline.length,
+      sourceCount: sources.size,
+      range: {
+        min,
+        max,
+        spread: max !== 0 ? Math.round((max - min) / Math.abs(max) * 1000) / 1000 : 0
+      },
+      firstReported: { value: first.value, text: first.text, source: first.source, timestamp: first.timestamp },
+      latestReported: { value: latest.value, text: latest.text, source: latest.source, timestamp: latest.timestamp },
+      bySource: [...sources.values()],
+      timeline,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Helper methods
+   */
+  splitSentences(content) {
+    const sentences = [];
+    // Decimal points ("$2.1") are not followed by whitespace, so they never end a sentence
+    const boundary = /[.!?]+(?=\s|$)/g;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(content)) !== null) {
+      const end = match.index + match[0].length;
+      sentences.push({ text: content.substring(start, end), start, end });
+      start = end;
+    }
+    if (start < content.length || sentences.length === 0) {
+      sentences.push({ text: content.substring(start), start, end: content.length });
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Words in content with their offsets and part-of-speech tags
+   */
+  tagWords(content) {
+    return nlp(content).json({ offset: true }).flatMap(sentence => sentence.terms.map((term, index, terms) => ({
+      word: (term.normal || term.text).toLowerCase().replace(/[^a-z-]/g, ''),
+      start: term.offset.start,
+      end: term.offset.start + term.offset.length,
+      // "housing" in "housing budget" is tagged as a verb but names the subject
+      verb: term.tags.includes('Verb') && !(/ing$/.test(term.normal) && terms[index + 1]?.tags.includes('Noun'))
+    })));
+  }
+
+  /**
+   * Subject terms (stems) in content[from, to) around a claim, with how far each sits from its figure.
+   * Verbs describe what happened to the figure rather than what it measures, so they are left out.
+   */
+  subjectTerms(words, from, to, span) {
+    const terms = [];
+    const surface = {};
+    const distances = {};
+
+    words.forEach(({ word, start, end, verb }) => {
+      if (start < from || end > to || (start >= span.start && end <= span.end)) return;
+      if (verb || !/[a-z]{3}/.test(word) || this.ignoredWords.has(word)) return;
+
+      const stem = this.stemmer.stem(word);
+      const distance = end <= span.start ? span.start - end : start - span.end;
+      if (!terms.includes(stem)) {
+        terms.push(stem);
+        surface[stem] = word;
+        distances[stem] = distance;
+      } else {
+        distances[stem] = Math.min(distances[stem], distance);
+      }
+    });
+
+    return { terms, words: surface, distances };
+  }
+
+  isChange(content, span) {
+    return CHANGE_AFTER.test(content.substring(span.end, span.end + 30)) ||
+      CHANGE_BEFORE.test(content.substring(Math.max(0, span.start - 40), span.start));
+  }
+
+  dimensionTag(dimension) {
+    if (dimension.startsWith('rate:')) return 'rate';
+    return dimension.split(':').pop().toLowerCase();
+  }
+
+  uniqueId(text, usedIds) {
+    const base = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+    return id;
+  }
+
+  timeOf(item) {
+    return new Date(item.timestamp).getTime() || 0;
+  }
+}
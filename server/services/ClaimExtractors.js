@@ -0,0 +1,318 @@
+/**
+ * ClaimExtractors - Plugin registry of claim extractors used by FactHunter
+ * Each extractor finds one kind of claim and reports where it sits in the text,
+ * so new claim types can be added without touching analyzeContent
+ */
+import nlp from 'compromise';
+import { UNIT_ALIASES } from './NumericNormalizer.js';
+
+const SCALE_WORDS = 'thousand|million|billion|trillion';
+const PERIOD_WORDS = 'day|week|month|year';
+// Longest first so "housing units" wins over "units"
+const UNIT_WORDS = Object.keys(UNIT_ALIASES).sort((a, b) => b.length - a.length).join('|');
+const MONTHS = 'january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec';
+const ATTRIBUTION_VERBS = /\b(said|says|told|stated|states|claimed|claims|argued|argues|announced|announces|added|wrote|according to)\b/i;
+
+const MONTH_NUMBERS = {
+  jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+  jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+};
+
+const PERIOD_ADJECTIVES = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  annual: 'year',
+  annually: 'year',
+  yearly: 'year'
+};
+
+const parseNumber = (text) => parseFloat(String(text).replace(/,/g, ''));
+
+// Compromise offsets include trailing punctuation and spaces; strip them from the span
+function trimSpan(content, start, end) {
+  while (end > start && /[\s.,;:!?]/.test(content[end - 1])) end--;
+  while (start < end && /\s/.test(content[start])) start++;
+  return { start, end };
+}
+
+// A claim needs an integer span that lies inside the text
+function isValidClaim(claim, length) {
+  const { start, end } = claim?.span || {};
+  return Number.isInteger(start) && Number.isInteger(end) && start >= 0 && start < end && end <= length;
+}
+
+function toMonthYear(month, year) {
+  if (!month) return year;
+  return `${year}-${MONTH_NUMBERS[month.toLowerCase().substring(0, 3)]}`;
+}
+
+// Expand two-digit range ends ("2023-25") against the start year
+function expandYear(startYear, endYear) {
+  return endYear.length === 2 ? `${startYear.substring(0, 2)}${endYear}` : endYear;
+}
+
+/**
+ * Built-in extractors. An extractor is { name, claimType, extract({ content, doc }) }
+ * returning claims with a `span: { start, end }` into content plus any typed fields.
+ */
+export const percentageExtractor = {
+  name: 'percentage',
+  claimType: 'numerical',
+  extract({ content }) {
+    const pattern = /(-?\d+(?:\.\d+)?)\s*(%|percent(?:age points?)?\b|per cent\b)/gi;
+
+    return [...content.matchAll(pattern)].map(match => ({
+      kind: 'percentage',
+      value: match[0],
+      number: parseNumber(match[1]),
+      unit: /points?$/i.test(match[2]) ? 'percentage_point' : 'percent',
+      span: { start: match.index, end: match.index + match[0].length },
+      confidence: 0.85
+    }));
+  }
+};
+
+export const amountExtractor = {
+  name: 'amount',
+  claimType: 'numerical',
+  extract({ content }) {
+    // e.g. "$2.1 billion", "2,100 million dollars", "4.3 million daily riders", "250,000 units", "30 trips per day"
+    const pattern = new RegExp(
+      '(?<currency>\\$|USD\\s?)?' +
+      '(?<digits>(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d+)?)(?!\\.?\\d|,\\d|\\s*(?:%|percent|per cent))' +
+      `(?:\\s*(?<scale>${SCALE_WORDS})\\b)?` +
+      '(?:\\s+(?<dollars>dollars)\\b)?' +
+      '(?:\\s+(?<adjective>daily|weekly|monthly|annual|yearly)\\b)?' +
+      `(?:\\s+(?<unit>${UNIT_WORDS})\\b)?` +
+      `(?:(?:\\s*\\/\\s*|\\s+(?:per|a|an|each)\\s+)(?<period>${PERIOD_WORDS})\\b|\\s+(?<adverb>annually|yearly|daily|weekly|monthly)\\b)?`,
+      'gi'
+    );
+
+    return [...content.matchAll(pattern)]
+      .filter(match => {
+        const { currency, digits, scale } = match.groups;
+        // Skip digits inside other tokens ("NY1", "5th", "2020-2024")
+        const attached = (match.index > 0 && /[\w.,-]/.test(content[match.index - 1])) ||
+          /^[a-z]/i.test(content.substring(match.index + match[0].length));
+        // Bare four-digit years are dates, not amounts
+        const isYear = !currency && !scale && /^(19|20)\d{2}$/.test(digits);
+        return !attached && !isYear;
+      })
+      .map(match => {
+        const { currency, digits, scale, dollars, adjective, unit, period, adverb } = match.groups;
+        const text = match[0];
+        const periodWord = period || adjective || adverb;
+
+        return {
+          kind: 'amount',
+          value: text,
+          number: parseNumber(digits),
+          scale: scale ? scale.toLowerCase() : null,
+          currency: currency || dollars ? 'USD' : null,
+          unit: unit ? unit.toLowerCase() : null,
+          period: periodWord ? PERIOD_ADJECTIVES[periodWord.toLowerCase()] || periodWord.toLowerCase() : null,
+          span: { start: match.index, end: match.index + text.length },
+          confidence: currency || dollars || scale || unit ? 0.8 : 0.6
+        };
+      });
+  }
+};
+
+export const dateRangeExtractor = {
+  name: 'date_range',
+  claimType: 'date_range',
+  extract({ content }) {
+    const monthYear = `(?:(${MONTHS})\\.?\\s+)?((?:19|20)\\d{2})`;
+    const patterns = [
+      new RegExp(`\\b(?:from|between)\\s+${monthYear}\\s+(?:to|and|through|until)\\s+${monthYear}`, 'gi'),
+      /\b((?:19|20)\d{2})\s*(?:-|–|—|to|through)\s*((?:19|20)?\d{2})\b/gi
+    ];
+
+    const claims = [];
+
+    [...content.matchAll(patterns[0])].forEach(match => {
+      const [text, startMonth, startYear, endMonth, endYear] = match;
+      claims.push({
+        statement: text,
+        start: toMonthYear(startMonth, startYear),
+        end: toMonthYear(endMonth, endYear),
+        span: { start: match.index, end: match.index + text.length },
+        confidence: 0.8
+      });
+    });
+
+    [...content.matchAll(patterns[1])].forEach(match => {
+      const [text, startYear, endYear] = match;
+      const covered = claims.some(claim => match.index >= claim.span.start && match.index < claim.span.end);
+      const end = expandYear(startYear, endYear);
+      if (covered || end <= startYear) return;
+
+      claims.push({
+        statement: text,
+        start: startYear,
+        end,
+        span: { start: match.index, end: match.index + text.length },
+        confidence: 0.7
+      });
+    });
+
+    return claims;
+  }
+};
+
+export const attributedQuoteExtractor = {
+  name: 'attributed_quote',
+  claimType: 'quote',
+  extract({ content }) {
+    const claims = [];
+
+    [...content.matchAll(/["“]([^"”]{3,})["”]/g)].forEach(match => {
+      const quoteEnd = match.index + match[0].length;
+
+      // Attribution lives in the rest of the sentence around the quote
+      const before = content.substring(0, match.index);
+      const sentenceStart = Math.max(before.lastIndexOf('. '), before.lastIndexOf('! '), before.lastIndexOf('? ')) + 1;
+      const nextStop = content.substring(quoteEnd).search(/[.!?](\s|$)/);
+      const sentenceEnd = nextStop === -1 ? content.length : quoteEnd + nextStop + 1;
+
+      const attribution = `${content.substring(sentenceStart, match.index)} ${content.substring(quoteEnd, sentenceEnd)}`;
+      if (!ATTRIBUTION_VERBS.test(attribution)) return;
+
+      const attributionDoc = nlp(attribution);
+      const speaker =
+        attributionDoc.people().out('array').map(name => ({ name, speakerType: 'person' }))[0] ||
+        attributionDoc.organizations().out('array').map(name => ({ name, speakerType: 'organization' }))[0];
+      if (!speaker) return;
+
+      claims.push({
+        statement: match[1].replace(/[,.]$/, '').trim(),
+        speaker: speaker.name.replace(/[\s.,;:!?]+$/, ''),
+        speakerType: speaker.speakerType,
+        span: { start: match.index, end: quoteEnd },
+        confidence: 0.75
+      });
+    });
+
+    return claims;
+  }
+};
+
+export const policyExtractor = {
+  name: 'policy',
+  claimType: 'policy',
+  extract({ content, doc }) {
+    return doc.match('(will|plans to|intends to) #Verb').json({ offset: true }).map(match => {
+      const span = trimSpan(content, match.offset.start, match.offset.start + match.offset.length);
+      return {
+        statement: content.substring(span.start, span.end),
+        span,
+        confidence: 0.7
+      };
+    });
+  }
+};
+
+export const timelineExtractor = {
+  name: 'timeline',
+  claimType: 'timeline',
+  extract({ content, doc }) {
+    return doc.match('(by|before|after) #Date').json({ offset: true }).map(match => {
+      const span = trimSpan(content, match.offset.start, match.offset.start + match.offset.length);
+      return {
+        statement: content.substring(span.start, span.end),
+        span,
+        confidence: 0.75
+      };
+    });
+  }
+};
+
+export const DEFAULT_CLAIM_EXTRACTORS = [
+  percentageExtractor,
+  amountExtractor,
+  dateRangeExtractor,
+  attributedQuoteExtractor,
+  policyExtractor,
+  timelineExtractor
+];
+
+export class ClaimExtractorRegistry {
+  constructor(extractors = DEFAULT_CLAIM_EXTRACTORS) {
+    this.extractors = new Map();
+    extractors.forEach(extractor => this.register(extractor));
+  }
+
+  /**
+   * Add an extractor, replacing any registered under the same name
+   */
+  register(extractor) {
+    if (!extractor?.name || !extractor.claimType || typeof extractor.extract !== 'function') {
+      throw new Error('Claim extractors need a name, a claimType and an extract(context) function');
+    }
+
+    this.extractors.set(extractor.name, extractor);
+    return this;
+  }
+
+  unregister(name) {
+    return this.extractors.delete(name);
+  }
+
+  has(name) {
+    return this.extractors.has(name);
+  }
+
+  list() {
+    return [...this.extractors.values()].map(({ name, claimType }) => ({ name, claimType }));
+  }
+
+  /**
+   * Run every extractor over content; claims come back in text order with
+   * type, extractor name, span text and surrounding context filled in
+   */
+  extract(content) {
+    const text = String(content || '');
+    const context = { content: text, doc: nlp(text) };
+    const claims = [];
+
+    this.extractors.forEach(extractor => {
+      let extracted;
+      try {
+        extracted = extractor.extract(context) || [];
+        if (!Array.isArray(extracted)) {
+          throw new Error('extract(context) must return an array of claims');
+        }
+        if (typeof extractor.claimType !== 'string' || !extractor.claimType) {
+          throw new Error('claimType must be a non-empty string');
+        }
+
+        // Drop claims a plugin got wrong rather than let them break span lookups later
+        extracted = extracted.filter(claim => {
+          const valid = isValidClaim(claim, text.length);
+          if (!valid) {
+            console.warn(`Claim extractor "${extractor.name}" returned a malformed claim:`, claim);
+          }
+          return valid;
+        });
+      } catch (error) {
+        // One broken plugin shouldn't take the rest of the analysis down
+        console.error(`Claim extractor "${extractor.name}" failed:`, error);
+        return;
+      }
+
+      extracted.forEach(claim => {
+        const { start, end } = claim.span;
+        claims.push({
+          ...claim,
+          type: extractor.claimType,
+          extractor: extractor.name,
+          text: text.substring(start, end),
+          context: claim.context ?? text.substring(Math.max(0, start - 50), Math.min(text.length, end + 50))
+        });
+      });
+    });
+
+    return claims.sort((a, b) => a.span.start - b.span.start || a.span.end - b.span.end);
+  }
+}
@@ -2,15 +2,129 @@
  * ContentService - Manages feed content and moderation
  * Integrates with FactHunter for real-time analysis
  */
+import crypto from 'crypto';
 import { FactHunter } from './FactHunter.js';
+import { AnalysisCache } from './AnalysisCache.js';
+import { IssueMatcher } from './IssueMatcher.js';
+import { groupNearDuplicates, estimateSimilarity, itemSignature } from './NearDuplicates.js';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+// Content tags that count as coverage of each onboarding issue
+export const ISSUE_TAG_MAP = {
+  'Housing & Rent Control': ['housing', 'rent', 'development'],
+  'Public Transportation': ['transportation', 'mta', 'subway', 'bus'],
+  'Education & Schools': ['education', 'schools', 'teachers'],
+  'Public Safety': ['safety', 'police', 'crime'],
+  'Climate & Environment': ['climate', 'environment', 'green'],
+  'Healthcare Access': ['healthcare', 'health', 'medical'],
+  'Economic Development': ['economy', 'business', 'jobs'],
+  'Immigration': ['immigration', 'immigrant', 'sanctuary']
+};
+
+export const FEED_PAGE_SIZE = { default: 20, max: 50 };
+
+// Share of feed slots held for surprise-topic items, so readers see beyond their own issues
+export const FEED_SURPRISE_SHARE = 0.2;
+
+// How much each ranking signal adds to a card's score; every card's ranking shows its contributions
+export const FEED_RANKING_WEIGHTS = {
+  issue: 1.0,
+  surprise: 0.7,
+  local: 0.5,
+  recency: 1.0,
+  recencyHalfLifeHours: 24,
+  contradiction: 0.4,
+  maxContradictions: 3,
+  confidence: 0.3
+};
+
+export const OWN_FLAG_ERROR = 'You cannot decide a flag you submitted';
+
+// Ranked orders kept for readers paging through a feed, and how many feed index builds keep
+// their analysis signals so later pages rank with the ones the first page used
+const FEED_ORDER_CACHE_SIZE = 50;
+const FEED_SIGNAL_VERSIONS = 5;
+
+/**
+ * Feed cursors are opaque to clients. They hold the time the first page was ranked at (so
+ * recency is scored the same on every page), how many cards have been served (so surprise
+ * slots keep their rhythm), the sort position of the last ranked and last surprise card, and
+ * the feed index version whose contradiction and confidence signals the first page used.
+ */
+export function encodeFeedCursor({ asOf, served, regular, surprise, version = null }) {
+  const position = (entry) => (entry ? [entry.score, entry.id] : null);
+  return Buffer.from(JSON.stringify([asOf, served, position(regular), position(surprise), version])).toString('base64url');
+}
+
+export function decodeFeedCursor(cursor) {
+  try {
+    const [asOf, served, regular, surprise, version = null] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const position = (entry) => {
+      if (entry === null) return null;
+      const [score, id] = entry;
+      return typeof score === 'number' && Number.isFinite(score) && typeof id === 'string' ? { score, id } : undefined;
+    };
+    
+    const decoded = { asOf, served, regular: position(regular), surprise: position(surprise), version };
+    if (!Number.isFinite(asOf) || !Number.isInteger(served) || served < 0) return null;
+    if (version !== null && !Number.isInteger(version)) return null;
+    if (decoded.regular === undefined || decoded.surprise === undefined) return null;
+    return decoded;
+  } catch {
+    return null;
+  }
+}
 
 export class ContentService {
-  constructor() {
-    this.factHunter = new FactHunter();
-    this.moderationQueue = [];
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    this.factHunter = new FactHunter({ factService: options.factService });
+    this.issueMatcher = new IssueMatcher();
+    // Stored onboarding profiles; readers who have one are ranked by it
+    this.profileService = options.profileService || null;
+    this.rankingWeights = { ...FEED_RANKING_WEIGHTS, ...options.rankingWeights };
+    this.surpriseShare = options.surpriseShare ?? FEED_SURPRISE_SHARE;
+    if (!(this.surpriseShare >= 0 && this.surpriseShare <= 1)) {
+      throw new Error('surpriseShare must be between 0 and 1');
+    }
+    this.factService = this.factHunter.factService;
+    // Overrides for NEAR_DUPLICATE_DEFAULTS (shingle size, MinHash rows, similarity threshold)
+    this.nearDuplicateOptions = options.nearDuplicates || {};
+    this.moderationQueue = storage.collection('content.moderationQueue');
+    this.contentDatabase = this.watchContent(storage.collection('content.items'));
+    // FactHunter results per item; any fact edit can change any item's fact checks
+    this.analysisCache = new AnalysisCache({ storage });
+    this.factService.onChange(() => {
+      this.analysisCache.invalidateAll('fact_changed');
+      this.feedIndex = null;
+    });
+    // MinHash signatures by content hash; cheap to rebuild, so kept in memory only
+    this.signatureCache = new Map();
+
+    // Analyzed and grouped cards for every visible story, built on the first feed request after
+    // content, moderation or facts change (see getFeedIndex)
+    this.feedIndex = null;
+    this.feedIndexVersion = 0;
+    // Index version -> Map(card id -> { contradictions, confidence }) for recent builds
+    this.feedSignals = new Map();
+    // Ranked order per reader session (preferences and asOf), least recently used first
+    this.feedOrders = new Map();
+
+    this.FLAG_DECISIONS = ['upheld', 'rejected', 'escalated'];
+
+    // Moderators must pick one of these when closing a flag
+    this.DECISION_REASON_CODES = {
+      upheld: ['factually_incorrect', 'missing_context', 'hate_speech', 'harassment', 'spam', 'other_policy_violation'],
+      rejected: ['accurate', 'opinion_not_claim', 'duplicate_flag', 'insufficient_evidence', 'no_policy_violation']
+    };
+
+    // Upholding with one of these codes removes the item from the feed; accuracy codes annotate it.
+    // The moderator's code decides, not the reason the reporter picked.
+    this.HIDE_ON_UPHOLD_CODES = ['hate_speech', 'harassment', 'spam', 'other_policy_violation'];
     
-    // Mock content database
-    this.contentDatabase = [
+    // Seed content shown until real sources are connected
+    const seedContent = [
       {
         id: 'content_1',
         type: 'story',
@@ -45,42 +159,54 @@ export class ContentService {
         verified: true
       }
     ];
+
+    if (this.contentDatabase.size === 0) {
+      seedContent.forEach(item => this.contentDatabase.append(item));
+    }
   }
 
   /**
-   * Get personalized feed based on user preferences
+   * Get one page of the personalized feed
+   * @param {object} preferences - used only when the reader has no stored onboarding profile
+   * @param {object} page - { cursor, limit }; the cursor comes from the previous page's metadata.nextCursor
    */
-  async getFeed(userId, preferences = {}) {
+  async getFeed(userId, preferences = {}, page = {}) {
     try {
-      // Get base content filtered by user preferences
-      let feedContent = await this.getFilteredContent(preferences);
+      const stored = this.profileService?.getFeedPreferences(userId);
+      if (stored) {
+        preferences = stored;
+      }
       
-      // Analyze each content item for contradictions
-      const analyzedContent = await Promise.all(
-        feedContent.map(async (item) => {
-          const relatedContent = this.getRelatedContent(item);
-          const analysis = await this.factHunter.analyzeContent(item, relatedContent);
-          
-          return {
-            ...item,
-            analysis,
-            contradictions: analysis.contradictions.length,
-            confidence: analysis.confidence,
-            biasScore: analysis.biasScore
-          };
-        })
-      );
+      const limit = Math.min(page.limit || FEED_PAGE_SIZE.default, FEED_PAGE_SIZE.max);
+      const after = page.cursor ? decodeFeedCursor(page.cursor) : null;
       
-      // Sort by relevance and recency
-      const sortedContent = this.sortFeedContent(analyzedContent, preferences);
+      if (page.cursor && !after) {
+        return {
+          success: false,
+          error: 'Invalid cursor',
+          data: []
+        };
+      }
+      
+      // Rank the precomputed cards once per reading session, then page from that order
+      const index = await this.getFeedIndex();
+      const asOf = after?.asOf || Date.now();
+      const order = this.rankedFeedOrder(index, preferences, asOf, after?.version ?? index.version);
+      const { pageItems, hasMore, next } = this.selectFeedPage(order, index, after, limit);
       
       return {
         success: true,
-        data: sortedContent,
+        data: pageItems,
         metadata: {
-          totalItems: sortedContent.length,
+          totalItems: order.regular.length + order.surprise.length,
+          syndicatedCopies: order.syndicatedCopies,
+          limit,
+          hasMore,
+          nextCursor: hasMore ? encodeFeedCursor({ ...next, asOf, version: order.version }) : null,
+          surpriseShare: this.surpriseShare,
           lastUpdated: new Date().toISOString(),
-          userId
+          userId,
+          preferencesSource: stored ? 'profile' : 'request'
         }
       };
       
@@ -95,65 +221,436 @@ export class ContentService {
   }
 
   /**
-   * Filter content based on user preferences
+   * FactHunter analysis of an item, cached until its text, the fact database
+   * or the related content it is compared against changes
    */
-  async getFilteredContent(preferences) {
-    let content = [...this.contentDatabase];
-    
-    // Filter by selected issues if available
-    if (preferences.issues && preferences.issues.length > 0) {
-      content = content.filter(item => 
-        preferences.issues.some(issue => 
-          item.tags.some(tag => 
-            this.matchIssueToTag(issue, tag)
-          )
-        )
-      );
+  async analyzeItem(item, relatedContent = this.getRelatedContent(item), hashOf = (entry) => this.contentHash(entry)) {
+    const key = {
+      contentHash: hashOf(item),
+      factVersion: this.factService.getDatabaseVersion(),
+      relatedKey: this.relatedContentKey(relatedContent, hashOf)
+    };
+    
+    const cached = this.analysisCache.get(item.id, key);
+    if (cached) {
+      return cached;
     }
     
-    // Filter by format preference
-    if (preferences.format && preferences.format !== 'mixed') {
-      const formatMap = {
-        'visual': ['story', 'image'],
-        'articles': ['article'],
-        'videos': ['video']
+    const analysis = await this.factHunter.analyzeContent(item, relatedContent);
+    
+    // Failed analyses are retried on the next request rather than cached
+    if (!analysis.error) {
+      this.analysisCache.set(item.id, key, analysis);
+    }
+    
+    return analysis;
+  }
+
+  /**
+   * The item collection, with every write marking the feed index stale. Reads go straight to
+   * the underlying collection.
+   */
+  watchContent(collection) {
+    const changed = (result) => {
+      this.feedIndex = null;
+      return result;
+    };
+    
+    return Object.assign(Object.create(collection), {
+      set: (key, value) => changed(collection.set(key, value)),
+      append: (record) => changed(collection.append(record)),
+      delete: (key) => changed(collection.delete(key))
+    });
+  }
+
+  /**
+   * The current feed index, built if content, moderation or facts changed since the last one.
+   * Concurrent requests share one build.
+   */
+  getFeedIndex() {
+    if (!this.feedIndex) {
+      const build = this.buildFeedIndex().then(index => {
+        // Items whose analysis failed are retried by the next request
+        if (index.incomplete && this.feedIndex === build) {
+          this.feedIndex = null;
+        }
+        return index;
+      });
+      build.catch(() => {
+        if (this.feedIndex === build) this.feedIndex = null;
+      });
+      this.feedIndex = build;
+    }
+    
+    return this.feedIndex;
+  }
+
+  /**
+   * Group and analyze every visible item once: { version, stories: [{ card, members }], cards }.
+   * Content hashes and related sets are computed here, not per request.
+   */
+  async buildFeedIndex() {
+    const version = Math.max(this.feedIndexVersion + 1, Date.now());
+    this.feedIndexVersion = version;
+    
+    const allContent = this.contentDatabase.values();
+    const hashes = new Map(allContent.map(item => [item.id, this.contentHash(item)]));
+    const hashOf = (item) => hashes.get(item.id) ?? this.contentHash(item);
+    const itemsByTag = this.indexByTag(allContent);
+    
+    // Syndicated copies of one story share a single card
+    const stories = this.groupSyndicatedCopies(this.visibleContent(allContent));
+    let incomplete = false;
+    
+    // Analyze each story for contradictions, with its other copies as related content
+    const indexed = [];
+    for (const { canonical, copies } of stories) {
+      const relatedContent = this.getRelatedContent(canonical, copies.map(copy => copy.item), itemsByTag);
+      const analysis = await this.analyzeItem(canonical, relatedContent, hashOf);
+      incomplete = incomplete || Boolean(analysis.error);
+      
+      const card = {
+        ...canonical,
+        analysis,
+        contradictions: analysis.contradictions.length,
+        confidence: analysis.confidence,
+        biasScore: analysis.biasScore,
+        ...(copies.length > 0 && { syndication: this.describeSyndication(canonical, copies) })
       };
       
-      const allowedTypes = formatMap[preferences.format] || [];
-      if (allowedTypes.length > 0) {
-        content = content.filter(item => allowedTypes.includes(item.type));
-      }
+      indexed.push({ card, members: [canonical, ...copies.map(copy => copy.item)] });
     }
     
-    return content;
+    this.feedSignals.set(version, new Map(indexed.map(({ card }) => [card.id, { contradictions: card.contradictions, confidence: card.confidence }])));
+    [...this.feedSignals.keys()].slice(0, -FEED_SIGNAL_VERSIONS).forEach(old => this.feedSignals.delete(old));
+    
+    return {
+      version,
+      builtAt: new Date().toISOString(),
+      incomplete,
+      stories: indexed,
+      cards: new Map(indexed.map(({ card }) => [card.id, card]))
+    };
+  }
+
+  /**
+   * The index's stories for these preferences, ranked as of `asOf` and split into ranked and
+   * surprise cards. Contradiction and confidence signals come from index `version` while it is
+   * kept, so a reader's later pages rank the same way as their first. Cached per session.
+   */
+  rankedFeedOrder(index, preferences, asOf, version) {
+    const key = JSON.stringify([asOf, preferences.issues || [], this.surpriseTopicsOf(preferences), preferences.zipCode || null, preferences.format || null]);
+    const cached = this.feedOrders.get(key);
+    
+    if (cached) {
+      this.feedOrders.delete(key);
+      this.feedOrders.set(key, cached);
+      return cached;
+    }
+    
+    const signals = this.feedSignals.get(version) || null;
+    const context = this.rankingContext(preferences, asOf);
+    const matches = this.preferenceFilter(preferences);
+    
+    const ranked = index.stories
+      .filter(({ members }) => members.some(matches))
+      .map(({ card, members }) => {
+        const ranking = this.rankFeedItem({ ...card, ...signals?.get(card.id) }, context);
+        return { id: card.id, score: ranking.score, ranking, copies: members.length - 1 };
+      });
+    const sorted = this.sortFeedContent(ranked);
+    
+    const order = {
+      version: signals ? version : index.version,
+      regular: sorted.filter(entry => !entry.ranking.surpriseTopic),
+      surprise: sorted.filter(entry => entry.ranking.surpriseTopic),
+      syndicatedCopies: sorted.reduce((total, entry) => total + entry.copies, 0)
+    };
+    
+    this.feedOrders.set(key, order);
+    if (this.feedOrders.size > FEED_ORDER_CACHE_SIZE) {
+      this.feedOrders.delete(this.feedOrders.keys().next().value);
+    }
+    
+    return order;
+  }
+
+  /**
+   * Drop cached analyses that a newly added item would now be compared against
+   */
+  invalidateRelatedAnalyses(newItem) {
+    const affected = this.getRelatedContent(newItem).map(item => item.id);
+    return this.analysisCache.invalidate(affected, 'related_content_added');
+  }
+
+  relatedContentKey(relatedContent, hashOf = (item) => this.contentHash(item)) {
+    const parts = relatedContent
+      .map(item => `${item.id}:${hashOf(item)}`)
+      .sort();
+    return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+  }
+
+  contentHash(item) {
+    return crypto.createHash('sha256').update(`${item.title || ''}\n${item.content || ''}`).digest('hex');
+  }
+
+  /**
+   * Filter content based on user preferences
+   */
+  async getFilteredContent(preferences) {
+    return this.visibleContent(this.contentDatabase.values()).filter(this.preferenceFilter(preferences));
+  }
+
+  // Items removed by moderators, or ingested but not yet through FactHunter, never reach the feed
+  visibleContent(content) {
+    return content
+      .filter(item => item.moderation?.status !== 'hidden')
+      .filter(item => !item.ingestion || item.ingestion.status === 'published');
+  }
+
+  /**
+   * Whether an item fits the reader's issues and format. Surprise topics are let through on purpose.
+   */
+  preferenceFilter(preferences) {
+    const surpriseTopics = this.surpriseTopicsOf(preferences).map(topic => topic.id);
+    const formatMap = {
+      'visual': ['story', 'image'],
+      'articles': ['article'],
+      'videos': ['video']
+    };
+    const allowedTypes = preferences.format && preferences.format !== 'mixed' ? formatMap[preferences.format] || [] : [];
+    
+    const matchesIssues = (item) => !preferences.issues || preferences.issues.length === 0 ||
+      preferences.issues.some(issue => item.tags.some(tag => this.matchIssueToTag(issue, tag))) ||
+      surpriseTopics.some(topicId => item.tags.some(tag => this.issueMatcher.topicMatchesTag(topicId, tag)));
+    
+    return (item) => matchesIssues(item) && (allowedTypes.length === 0 || allowedTypes.includes(item.type));
+  }
+
+  // Tag -> items carrying it, in database order
+  indexByTag(content) {
+    const itemsByTag = new Map();
+    content.forEach((item, position) => {
+      item.tags.forEach(tag => {
+        if (!itemsByTag.has(tag)) itemsByTag.set(tag, []);
+        itemsByTag.get(tag).push({ item, position });
+      });
+    });
+    return itemsByTag;
   }
 
   /**
    * Get related content for contradiction analysis
+   * @param {Array} alsoInclude - items to compare against even without a shared tag (syndicated copies)
+   * @param {Map} itemsByTag - from indexByTag, to avoid scanning the whole database
    */
-  getRelatedContent(contentItem) {
-    return this.contentDatabase.filter(item => 
-      item.id !== contentItem.id &&
-      item.tags.some(tag => contentItem.tags.includes(tag))
-    );
+  getRelatedContent(contentItem, alsoInclude = [], itemsByTag = null) {
+    const related = itemsByTag
+      ? [...new Map(contentItem.tags.flatMap(tag => itemsByTag.get(tag) || []).map(entry => [entry.item.id, entry])).values()]
+        .filter(({ item }) => item.id !== contentItem.id)
+        .sort((a, b) => a.position - b.position)
+        .map(({ item }) => item)
+      : this.contentDatabase.values().filter(item => 
+        item.id !== contentItem.id &&
+        item.tags.some(tag => contentItem.tags.includes(tag))
+      );
+    
+    alsoInclude.forEach(item => {
+      if (item.id !== contentItem.id && !related.some(existing => existing.id === item.id)) {
+        related.push(item);
+      }
+    });
+    
+    return related;
   }
 
   /**
-   * Sort feed content by relevance and engagement potential
+   * Collapse near-duplicate items into stories of { canonical, copies: [{ item, similarity }] }.
+   * The canonical copy is the verified one if any, then the earliest published.
    */
-  sortFeedContent(content, preferences) {
-    return content.sort((a, b) => {
-      // Prioritize content with contradictions (higher engagement)
-      const contradictionWeight = (b.contradictions || 0) - (a.contradictions || 0);
+  groupSyndicatedCopies(content) {
+    const signatureFor = (item) => {
+      const hash = this.contentHash(item);
+      if (!this.signatureCache.has(hash)) {
+        this.signatureCache.set(hash, itemSignature(item, this.nearDuplicateOptions));
+      }
+      return this.signatureCache.get(hash);
+    };
+    
+    return groupNearDuplicates(content, { ...this.nearDuplicateOptions, signatureFor }).map(({ members }) => {
+      const ordered = [...members].sort((a, b) =>
+        Number(!!b.item.verified) - Number(!!a.item.verified) ||
+        new Date(a.item.timestamp).getTime() - new Date(b.item.timestamp).getTime()
+      );
+      const [first, ...rest] = ordered;
       
-      // Prioritize recent content
-      const timeWeight = new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime();
+      return {
+        canonical: first.item,
+        copies: rest.map(({ item, signature }) => ({ item, similarity: estimateSimilarity(first.signature, signature) }))
+      };
+    });
+  }
+
+  /**
+   * Every outlet that ran a story, for the canonical feed card
+   */
+  describeSyndication(canonical, copies) {
+    const entry = (item, similarity) => ({
+      contentId: item.id,
+      source: item.source,
+      author: item.author,
+      title: item.title,
+      timestamp: item.timestamp,
+      url: item.url || null,
+      similarity: Math.round(similarity * 100) / 100
+    });
+    
+    return {
+      canonicalId: canonical.id,
+      sourceCount: new Set([canonical, ...copies.map(copy => copy.item)].map(item => item.source)).size,
+      sources: [entry(canonical, 1), ...copies.map(copy => entry(copy.item, copy.similarity))]
+    };
+  }
+
+  /**
+   * Sort feed content by relevance and engagement potential.
+   * Ties break on id so the order, and therefore pagination, is stable.
+   */
+  sortFeedContent(content) {
+    return content.sort((a, b) => this.compareFeedPosition(this.feedPosition(a), this.feedPosition(b)));
+  }
+
+  /**
+   * One page of cards: ranked items in score order, except that a `surpriseShare` of the
+   * slots go to surprise-topic items (also in score order). Either kind fills the other's
+   * slots once it runs out, so no item is dropped. Surprise cards are marked `surprise: true`.
+   * Cards come from the current index; ones removed since the order was ranked are skipped.
+   */
+  selectFeedPage(order, index, after, limit) {
+    const cursors = {
+      regular: this.firstAfter(order.regular, after?.regular),
+      surprise: this.firstAfter(order.surprise, after?.surprise)
+    };
+    const left = (kind) => order[kind].length - cursors[kind];
+    
+    const next = { served: after?.served || 0, regular: after?.regular || null, surprise: after?.surprise || null };
+    const pageItems = [];
+    
+    while (pageItems.length < limit && left('regular') + left('surprise') > 0) {
+      const takeSurprise = left('surprise') > 0 && (this.isSurpriseSlot(next.served) || left('regular') === 0);
+      const kind = takeSurprise ? 'surprise' : 'regular';
+      const entry = order[kind][cursors[kind]++];
+      const card = index.cards.get(entry.id);
       
-      // Prioritize high-confidence analysis
-      const confidenceWeight = (b.confidence || 0) - (a.confidence || 0);
+      next[kind] = this.feedPosition(entry);
+      if (!card) continue;
       
-      return (contradictionWeight * 0.4) + (timeWeight * 0.0001) + (confidenceWeight * 0.3);
-    });
+      pageItems.push({ ...card, ranking: entry.ranking, surprise: takeSurprise });
+      next.served++;
+    }
+    
+    return { pageItems, hasMore: left('regular') + left('surprise') > 0, next };
+  }
+
+  // Index of the first entry after a cursor position, by binary search over the sorted entries
+  firstAfter(entries, position) {
+    if (!position) return 0;
+    
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.compareFeedPosition(this.feedPosition(entries[middle]), position) > 0) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return low;
+  }
+
+  // Spread surprise slots evenly: with a 0.2 share, the 3rd, 8th, 13th... cards
+  isSurpriseSlot(index) {
+    const share = this.surpriseShare;
+    return Math.floor((index + 1) * share + 0.5) > Math.floor(index * share + 0.5);
+  }
+
+  feedScore(item) {
+    return item.ranking?.score ?? 0;
+  }
+
+  /**
+   * What ranking needs from the reader's preferences:
+   * { issues, surpriseTopics: [{ id, reason }], zipCode, geo: { relevanceScore, localIssues }, asOf }
+   */
+  rankingContext(preferences = {}, asOf = Date.now()) {
+    return {
+      issues: preferences.issues || [],
+      surpriseTopics: this.surpriseTopicsOf(preferences),
+      zipCode: preferences.zipCode || null,
+      geo: this.issueMatcher.getMockGeoData(preferences.zipCode),
+      asOf
+    };
+  }
+
+  // Surprise topics as ids or IssueMatcher topics ({ id, reason }), directly or inside a generated topic set
+  surpriseTopicsOf(preferences) {
+    return (preferences.surpriseTopics || preferences.topicSet?.surpriseTopics || [])
+      .map(topic => (typeof topic === 'string' ? { id: topic, reason: null } : { id: topic?.id, reason: topic?.reason || null }))
+      .filter(topic => typeof topic.id === 'string');
+  }
+
+  /**
+   * Score a feed card and say why: which of the reader's issues it matched, the surprise
+   * topic that let it in, whether it is local to their ZIP, and how recent it is.
+   * `contributions` are the parts of `score` each signal added.
+   */
+  rankFeedItem(item, context) {
+    const weights = this.rankingWeights;
+    const tags = item.tags || [];
+    const matchesTopic = (topicId) => tags.some(tag => this.issueMatcher.topicMatchesTag(topicId, tag));
+    
+    const matchedIssues = context.issues.filter(issue => tags.some(tag => this.matchIssueToTag(issue, tag)));
+    // A surprise topic only explains the card when none of the reader's own issues do
+    const surpriseTopic = matchedIssues.length === 0
+      ? context.surpriseTopics.find(topic => matchesTopic(topic.id)) || null
+      : null;
+    
+    const localIssue = context.geo.localIssues.find(matchesTopic) || null;
+    const geoWeight = localIssue ? context.geo.relevanceScore : 1.0;
+    
+    const published = new Date(item.timestamp).getTime();
+    const ageHours = Number.isFinite(published) ? Math.max(0, (context.asOf - published) / 3600000) : null;
+    
+    const contributions = {
+      issue: matchedIssues.length > 0 ? weights.issue : 0,
+      surprise: surpriseTopic ? weights.surprise : 0,
+      geo: localIssue ? weights.local * geoWeight : 0,
+      recency: ageHours === null ? 0 : weights.recency * Math.pow(0.5, ageHours / weights.recencyHalfLifeHours),
+      contradictions: weights.contradiction * Math.min(item.contradictions || 0, weights.maxContradictions),
+      confidence: weights.confidence * (item.confidence || 0)
+    };
+    
+    const round = (value) => Math.round(value * 1000) / 1000;
+    
+    return {
+      score: Object.values(contributions).reduce((total, value) => total + value, 0),
+      matchedIssues,
+      surpriseTopic,
+      geo: { zipCode: context.zipCode, weight: geoWeight, localIssue },
+      recency: { ageHours: ageHours === null ? null : round(ageHours), halfLifeHours: weights.recencyHalfLifeHours },
+      contributions: Object.fromEntries(Object.entries(contributions).map(([signal, value]) => [signal, round(value)]))
+    };
+  }
+
+  feedPosition(item) {
+    return { score: this.feedScore(item), id: item.id };
+  }
+
+  // Negative when a comes first: higher score first, then id ascending
+  compareFeedPosition(a, b) {
+    if (a.score !== b.score) return b.score - a.score;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
   }
 
   /**
@@ -162,7 +659,8 @@ export class ContentService {
   async submitFlag(flagData) {
     try {
       const flag = {
-        id: `flag_${Date.now()}`,
+        // Reuse the id IntegrityGuardian logged so audit entries refer to the same flag
+        id: flagData.id || `flag_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         contentId: flagData.contentId,
         userId: flagData.userId,
         reason: flagData.reason,
@@ -173,10 +671,7 @@ export class ContentService {
       };
       
       // Add to moderation queue
-      this.moderationQueue.push(flag);
-      
-      // Sort queue by priority
-      this.moderationQueue.sort((a, b) => b.priority - a.priority);
+      this.moderationQueue.append(flag);
       
       return {
         success: true,
@@ -193,36 +688,194 @@ export class ContentService {
     }
   }
 
+  /**
+   * Get a content item with its FactHunter analysis for moderator review
+   */
+  async getContentPreview(contentId) {
+    const item = this.contentDatabase.get(contentId);
+    if (!item) return null;
+
+    // Feed cards already carry a cached analysis against their syndicated copies; reanalyzing
+    // without them would evict it. Hidden items and copies are cached under their own id.
+    const card = (await this.getFeedIndex()).cards.get(contentId);
+    const analysis = card ? card.analysis : await this.analyzeItem(item);
+
+    return {
+      ...item,
+      analysis
+    };
+  }
+
   /**
    * Get moderation queue (for admin interface)
    */
   getModerationQueue() {
+    // Sort queue by priority
+    const queue = this.moderationQueue.values().sort((a, b) => b.priority - a.priority);
+
     return {
       success: true,
-      data: this.moderationQueue,
+      data: queue,
       metadata: {
-        totalFlags: this.moderationQueue.length,
-        pendingFlags: this.moderationQueue.filter(f => f.status === 'pending').length
+        totalFlags: queue.length,
+        pendingFlags: queue.filter(f => f.status === 'pending').length
       }
     };
   }
 
+  /**
+   * Claim a flag so other moderators don't review it at the same time
+   */
+  claimFlag(flagId, moderatorId) {
+    const flag = this.moderationQueue.get(flagId);
+
+    if (!flag) {
+      return {
+        success: false,
+        error: 'Flag not found'
+      };
+    }
+
+    if (!['pending', 'escalated'].includes(flag.status)) {
+      return {
+        success: false,
+        error: `Flag cannot be claimed while ${flag.status}`
+      };
+    }
+
+    if (flag.claimedBy && flag.claimedBy !== moderatorId) {
+      return {
+        success: false,
+        error: 'Flag is already claimed by another moderator'
+      };
+    }
+
+    flag.claimedBy = moderatorId;
+    flag.claimedAt = new Date().toISOString();
+    this.moderationQueue.set(flagId, flag);
+
+    return {
+      success: true,
+      data: flag
+    };
+  }
+
+  /**
+   * Record a moderator decision on a flag and apply it to the flagged content
+   */
+  resolveFlag(flagId, { decision, moderatorId, reasonCode, note }) {
+    if (!this.FLAG_DECISIONS.includes(decision)) {
+      return {
+        success: false,
+        error: `Invalid decision. Expected one of: ${this.FLAG_DECISIONS.join(', ')}`
+      };
+    }
+
+    const reasonCodes = this.DECISION_REASON_CODES[decision];
+    if (reasonCodes && !reasonCodes.includes(reasonCode)) {
+      return {
+        success: false,
+        error: `A reason code is required. Expected one of: ${reasonCodes.join(', ')}`
+      };
+    }
+
+    const flag = this.moderationQueue.get(flagId);
+
+    if (!flag) {
+      return {
+        success: false,
+        error: 'Flag not found'
+      };
+    }
+
+    if (!['pending', 'escalated'].includes(flag.status)) {
+      return {
+        success: false,
+        error: `Flag has already been ${flag.status}`
+      };
+    }
+
+    if (flag.claimedBy && flag.claimedBy !== moderatorId) {
+      return {
+        success: false,
+        error: 'Flag is already claimed by another moderator'
+      };
+    }
+
+    // Reporters earn XP when their flag is upheld, so nobody rules on their own
+    if (flag.userId === moderatorId) {
+      return {
+        success: false,
+        error: OWN_FLAG_ERROR
+      };
+    }
+
+    const decidedAt = new Date().toISOString();
+    let contentAction = null;
+
+    if (decision === 'escalated') {
+      // Back to the queue, unclaimed, ahead of regular flags
+      flag.status = 'escalated';
+      flag.escalatedBy = moderatorId;
+      flag.escalatedAt = decidedAt;
+      flag.claimedBy = null;
+      flag.priority += 5;
+    } else {
+      flag.status = decision;
+      flag.resolvedBy = moderatorId;
+      flag.resolvedAt = decidedAt;
+
+      if (decision === 'upheld') {
+        contentAction = this.applyModerationToContent(flag, reasonCode, note, decidedAt);
+      }
+    }
+
+    flag.decisionReasonCode = reasonCode || null;
+    flag.decisionNote = note || null;
+    this.moderationQueue.set(flagId, flag);
+
+    return {
+      success: true,
+      data: {
+        flag,
+        contentAction,
+        processingTimeMs: new Date(decidedAt).getTime() - new Date(flag.timestamp).getTime()
+      }
+    };
+  }
+
+  /**
+   * Hide or annotate a content item after a flag against it is upheld
+   */
+  applyModerationToContent(flag, reasonCode, note, decidedAt) {
+    const item = this.contentDatabase.get(flag.contentId);
+    if (!item) return null;
+
+    const status = this.HIDE_ON_UPHOLD_CODES.includes(reasonCode) ? 'hidden' : 'annotated';
+
+    // A hidden item stays hidden even if a later flag only warrants a note
+    if (item.moderation?.status === 'hidden' && status === 'annotated') {
+      return 'hidden';
+    }
+
+    item.moderation = {
+      status,
+      reason: flag.reason,
+      reasonCode,
+      note: note || null,
+      flagId: flag.id,
+      decidedAt
+    };
+    this.contentDatabase.set(item.id, item);
+
+    return status;
+  }
+
   /**
    * Helper methods
    */
   matchIssueToTag(issue, tag) {
-    const issueTagMap = {
-      'Housing & Rent Control': ['housing', 'rent', 'development'],
-      'Public Transportation': ['transportation', 'mta', 'subway', 'bus'],
-      'Education & Schools': ['education', 'schools', 'teachers'],
-      'Public Safety': ['safety', 'police', 'crime'],
-      'Climate & Environment': ['climate', 'environment', 'green'],
-      'Healthcare Access': ['healthcare', 'health', 'medical'],
-      'Economic Development': ['economy', 'business', 'jobs'],
-      'Immigration': ['immigration', 'immigrant', 'sanctuary']
-    };
-    
-    const relevantTags = issueTagMap[issue] || [];
+    const relevantTags = ISSUE_TAG_MAP[issue] || [];
     return relevantTags.some(relevantTag => 
       tag.toLowerCase().includes(relevantTag.toLowerCase())
     );
@@ -3,32 +3,25 @@
  * Analyzes content for factual inconsistencies and bias detection
  */
 import natural from 'natural';
-import nlp from 'compromise';
+import { ClaimExtractorRegistry } from './ClaimExtractors.js';
+import { NUMERIC_TOLERANCES, compareQuantities } from './NumericNormalizer.js';
+import { FactService } from './FactService.js';
 
 export class FactHunter {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {ClaimExtractorRegistry} options.claimExtractors - defaults to the built-in extractors
+   * @param {object} options.numericTolerances - per-kind overrides for NUMERIC_TOLERANCES
+   * @param {FactService} options.factService - reference facts for fact checks
+   */
+  constructor(options = {}) {
     this.tokenizer = new natural.WordTokenizer();
     this.stemmer = natural.PorterStemmer;
     this.analyzer = natural.SentimentAnalyzer;
     
-    // Initialize contradiction patterns
-    this.contradictionPatterns = [
-      // Numerical contradictions
-      { pattern: /(\d+(?:\.\d+)?)\s*(million|billion|thousand|percent|%)/gi, type: 'numerical' },
-      // Policy contradictions
-      { pattern: /(support|oppose|against|for)\s+(.*?)(but|however|although)/gi, type: 'policy' },
-      // Timeline contradictions
-      { pattern: /(will|plans to|intends to)\s+(.*?)(by|before|after)\s+(\d{4})/gi, type: 'timeline' },
-      // Funding contradictions
-      { pattern: /(increase|decrease|cut|boost)\s+(funding|budget|spending)/gi, type: 'funding' }
-    ];
-    
-    // Known fact database (mock - would be real database in production)
-    this.factDatabase = {
-      'nyc-budget-2024': { amount: 106.7, unit: 'billion', source: 'NYC.gov' },
-      'mta-ridership-2023': { amount: 4.3, unit: 'million', period: 'daily', source: 'MTA' },
-      'affordable-housing-goal': { amount: 250000, unit: 'units', timeline: '2030', source: 'Housing Plan' }
-    };
+    this.claimExtractors = options.claimExtractors || new ClaimExtractorRegistry();
+    this.numericTolerances = { ...NUMERIC_TOLERANCES, ...options.numericTolerances };
+    this.factService = options.factService || new FactService();
   }
 
   /**
@@ -52,13 +45,13 @@ export class FactHunter {
       const claims = this.extractClaims(contentItem.content);
       
       // Check for internal contradictions
-      const internalContradictions = this.findInternalContradictions(claims);
+      const internalContradictions = this.findInternalContradictions(claims, contentItem);
       
       // Check against related content
-      const externalContradictions = this.findExternalContradictions(claims, relatedContent);
+      const externalContradictions = this.findExternalContradictions(claims, relatedContent, contentItem);
       
       // Fact-check against known database
-      const factChecks = await this.performFactChecks(claims);
+      const factChecks = await this.performFactChecks(claims, contentItem);
       
       // Calculate bias score
       const biasScore = this.calculateBiasScore(contentItem.content);
@@ -85,58 +78,31 @@ export class FactHunter {
   }
 
   /**
-   * Extract factual claims from content
+   * Add a claim extractor plugin (see ClaimExtractors.js for the contract)
+   */
+  registerClaimExtractor(extractor) {
+    this.claimExtractors.register(extractor);
+    return this;
+  }
+
+  /**
+   * Extract typed factual claims, with spans, using the registered extractors
    */
   extractClaims(content) {
-    const doc = nlp(content);
-    const claims = [];
-    
-    // Extract numerical claims
-    const numbers = doc.match('#Value').out('array');
-    numbers.forEach(num => {
-      const context = this.getContext(content, num);
-      claims.push({
-        type: 'numerical',
-        value: num,
-        context,
-        confidence: 0.8
-      });
-    });
-    
-    // Extract policy statements
-    const policies = doc.match('(will|plans to|intends to) #Verb').out('array');
-    policies.forEach(policy => {
-      claims.push({
-        type: 'policy',
-        statement: policy,
-        confidence: 0.7
-      });
-    });
-    
-    // Extract timeline claims
-    const timelines = doc.match('(by|before|after) #Date').out('array');
-    timelines.forEach(timeline => {
-      claims.push({
-        type: 'timeline',
-        statement: timeline,
-        confidence: 0.75
-      });
-    });
-    
-    return claims;
+    return this.claimExtractors.extract(content);
   }
 
   /**
    * Find contradictions within the same content
    */
-  findInternalContradictions(claims) {
+  findInternalContradictions(claims, contentItem = null) {
     const contradictions = [];
     
     // Check numerical contradictions
     const numericalClaims = claims.filter(c => c.type === 'numerical');
     for (let i = 0; i < numericalClaims.length; i++) {
       for (let j = i + 1; j < numericalClaims.length; j++) {
-        const contradiction = this.compareNumericalClaims(numericalClaims[i], numericalClaims[j]);
+        const contradiction = this.compareNumericalClaims(numericalClaims[i], numericalClaims[j], contentItem);
         if (contradiction) {
           contradictions.push(contradiction);
         }
@@ -145,7 +111,7 @@ export class FactHunter {
     
     // Check policy contradictions
     const policyClaims = claims.filter(c => c.type === 'policy');
-    const policyContradictions = this.findPolicyContradictions(policyClaims);
+    const policyContradictions = this.findPolicyContradictions(policyClaims, contentItem);
     contradictions.push(...policyContradictions);
     
     return contradictions;
@@ -154,7 +120,7 @@ export class FactHunter {
   /**
    * Find contradictions with external content
    */
-  findExternalContradictions(claims, relatedContent) {
+  findExternalContradictions(claims, relatedContent, contentItem = null) {
     const contradictions = [];
     
     relatedContent.forEach(content => {
@@ -163,7 +129,7 @@ export class FactHunter {
       claims.forEach(claim => {
         externalClaims.forEach(externalClaim => {
           if (claim.type === externalClaim.type) {
-            const contradiction = this.compareClaims(claim, externalClaim, content);
+            const contradiction = this.compareClaims(claim, externalClaim, content, contentItem);
             if (contradiction) {
               contradictions.push(contradiction);
             }
@@ -178,12 +144,12 @@ export class FactHunter {
   /**
    * Perform fact-checks against known database
    */
-  async performFactChecks(claims) {
+  async performFactChecks(claims, contentItem = {}) {
     const factChecks = [];
     
     for (const claim of claims) {
       if (claim.type === 'numerical') {
-        const factCheck = await this.checkAgainstDatabase(claim);
+        const factCheck = await this.checkAgainstDatabase(claim, contentItem);
         if (factCheck) {
           factChecks.push(factCheck);
         }
@@ -243,32 +209,26 @@ export class FactHunter {
   /**
    * Helper methods
    */
-  getContext(content, term) {
-    const index = content.indexOf(term);
-    const start = Math.max(0, index - 50);
-    const end = Math.min(content.length, index + term.length + 50);
-    return content.substring(start, end);
-  }
-
-  compareNumericalClaims(claim1, claim2) {
-    // Simple numerical contradiction detection
-    const num1 = parseFloat(claim1.value);
-    const num2 = parseFloat(claim2.value);
+  compareNumericalClaims(claim1, claim2, contentItem = null) {
+    const comparison = compareQuantities(claim1, claim2, this.numericTolerances);
     
-    if (!isNaN(num1) && !isNaN(num2) && Math.abs(num1 - num2) > num1 * 0.1) {
+    if (comparison.comparable && !comparison.consistent) {
       return {
         type: 'numerical_contradiction',
         claim1: claim1.value,
         claim2: claim2.value,
+        normalized: this.describeComparison(comparison),
         confidence: 0.8,
-        description: `Conflicting numbers: ${claim1.value} vs ${claim2.value}`
+        description: `Conflicting numbers: ${claim1.value} vs ${claim2.value}`,
+        ...this.linkEvidence(claim1, contentItem, claim2, contentItem),
+        explanation: `This item gives two figures for what looks like the same quantity: "${claim1.text}" and "${claim2.text}", ${this.describeGap(comparison)}.`
       };
     }
     
     return null;
   }
 
-  findPolicyContradictions(claims) {
+  findPolicyContradictions(claims, contentItem = null) {
     // Policy contradiction detection logic
     const contradictions = [];
     
@@ -285,7 +245,9 @@ export class FactHunter {
             statement1: claims[i].statement,
             statement2: claims[j].statement,
             confidence: 0.75,
-            description: 'Conflicting policy positions detected'
+            description: 'Conflicting policy positions detected',
+            ...this.linkEvidence(claims[i], contentItem, claims[j], contentItem),
+            explanation: `"${claims[i].text}" and "${claims[j].text}" point in opposite directions on the same policy.`
           });
         }
       }
@@ -294,20 +256,22 @@ export class FactHunter {
     return contradictions;
   }
 
-  compareClaims(claim1, claim2, sourceContent) {
+  compareClaims(claim1, claim2, sourceContent, contentItem = null) {
     // Compare claims from different sources
     if (claim1.type === 'numerical' && claim2.type === 'numerical') {
-      const num1 = parseFloat(claim1.value);
-      const num2 = parseFloat(claim2.value);
+      const comparison = compareQuantities(claim1, claim2, this.numericTolerances);
       
-      if (!isNaN(num1) && !isNaN(num2) && Math.abs(num1 - num2) > Math.max(num1, num2) * 0.15) {
+      if (comparison.comparable && !comparison.consistent) {
         return {
           type: 'external_contradiction',
           claim1: claim1.value,
           claim2: claim2.value,
+          normalized: this.describeComparison(comparison),
           source: sourceContent.source,
           confidence: 0.7,
-          description: `Different sources report conflicting numbers`
+          description: `Different sources report conflicting numbers`,
+          ...this.linkEvidence(claim1, contentItem, claim2, sourceContent),
+          explanation: `This item says "${claim1.text}" while ${sourceContent.source || 'a related item'} reports "${claim2.text}", ${this.describeGap(comparison)}.`
         };
       }
     }
@@ -315,25 +279,89 @@ export class FactHunter {
     return null;
   }
 
-  async checkAgainstDatabase(claim) {
-    // Mock fact-checking against database
-    const value = parseFloat(claim.value);
+  async checkAgainstDatabase(claim, contentItem = {}) {
+    const matches = this.factService.findFactsForClaim(claim, {
+      text: [contentItem.title, contentItem.content].filter(Boolean).join(' '),
+      topics: contentItem.tags,
+      asOf: contentItem.timestamp
+    });
     
-    // Check NYC budget claims
-    if (claim.context && claim.context.toLowerCase().includes('budget')) {
-      const budgetFact = this.factDatabase['nyc-budget-2024'];
-      if (Math.abs(value - budgetFact.amount) > budgetFact.amount * 0.05) {
-        return {
-          type: 'fact_check',
-          claim: claim.value,
-          factValue: budgetFact.amount,
-          source: budgetFact.source,
-          accuracy: 'disputed',
-          confidence: 0.9
-        };
-      }
+    // Best-ranked fact measuring the same thing decides the check
+    for (const { fact, effective } of matches) {
+      const comparison = compareQuantities(claim, this.factService.toQuantity(fact), this.numericTolerances);
+      if (!comparison.comparable) continue;
+      
+      if (comparison.consistent) return null;
+      
+      return {
+        type: 'fact_check',
+        claim: claim.value,
+        span: claim.span,
+        factValue: fact.value,
+        normalized: this.describeComparison(comparison),
+        source: fact.sourceName,
+        fact: this.factService.toCitation(fact),
+        factEffectiveAtPublication: effective,
+        accuracy: 'disputed',
+        confidence: effective ? 0.9 : 0.6
+      };
     }
     
     return null;
   }
-}
\ No newline at end of file
+
+  /**
+   * The two conflicting spans with their source items, so the feed can highlight and compare them.
+   * Offsets are character positions in each item's `content`.
+   */
+  linkEvidence(claim1, item1, claim2, item2) {
+    const evidence = [this.toEvidence(claim1, item1), this.toEvidence(claim2, item2)];
+    
+    return {
+      id: evidence.map(span => `${span.contentId}:${span.start}-${span.end}`).join('|'),
+      evidence
+    };
+  }
+
+  toEvidence(claim, item) {
+    const { start, end } = claim.span;
+    const content = item?.content || '';
+    
+    return {
+      contentId: item?.id ?? null,
+      title: item?.title ?? null,
+      source: item?.source ?? null,
+      field: 'content',
+      start,
+      end,
+      text: claim.text,
+      excerpt: {
+        before: content.substring(Math.max(0, start - 80), start),
+        after: content.substring(end, end + 80)
+      }
+    };
+  }
+
+  describeGap(comparison) {
+    const { left, right, difference } = comparison;
+    
+    if (left.kind === 'percent') {
+      return `${Math.round(difference * 1000) / 10} percentage points apart`;
+    }
+    if (left.kind === 'percentage_point') {
+      return `${Math.round(difference * 10) / 10} points apart`;
+    }
+    
+    const largest = Math.max(Math.abs(left.value), Math.abs(right.value));
+    return `a ${Math.round(difference / largest * 100)}% difference`;
+  }
+
+  describeComparison(comparison) {
+    return {
+      dimension: comparison.left.dimension,
+      claim1: comparison.left.value,
+      claim2: comparison.right.value,
+      difference: comparison.difference
+    };
+  }
+}
@@ -0,0 +1,341 @@
+/**
+ * FactService - Editor-managed reference facts used by FactHunter fact checks
+ * Every change bumps the fact's version and appends a revision, so a fact check
+ * can cite exactly which version of a fact it was compared against
+ */
+import crypto from 'crypto';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+export const FACT_CURRENCIES = ['USD'];
+export const FACT_RATE_PERIODS = ['day', 'week', 'month', 'year'];
+export const FACT_SCALES = ['thousand', 'million', 'billion', 'trillion'];
+
+// Fields editors may set; everything else is managed by the service
+const EDITABLE_FIELDS = [
+  'label',
+  'topic',
+  'entities',
+  'keywords',
+  'value',
+  'scale',
+  'unit',
+  'per',
+  'effectiveFrom',
+  'effectiveTo',
+  'jurisdiction',
+  'sourceName',
+  'sourceUrl'
+];
+
+export class FactService {
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    this.facts = storage.collection('facts.items');
+    this.revisions = storage.collection('facts.revisions');
+    this.changeListeners = [];
+
+    // Seed facts shown until editors maintain the database
+    const seedFacts = [
+      {
+        label: 'NYC adopted budget, FY2024',
+        topic: 'budget',
+        entities: ['NYC', 'New York City', 'city'],
+        keywords: ['budget'],
+        value: 106.7,
+        scale: 'billion',
+        unit: 'USD',
+        effectiveFrom: '2023-07-01',
+        effectiveTo: '2024-06-30',
+        jurisdiction: 'NYC',
+        sourceName: 'NYC.gov',
+        sourceUrl: 'https://www.nyc.gov/site/omb/index.page'
+      },
+      {
+        label: 'MTA average weekday subway ridership, 2023',
+        topic: 'transportation',
+        entities: ['MTA', 'subway'],
+        keywords: ['ridership', 'riders'],
+        value: 4.3,
+        scale: 'million',
+        unit: 'riders',
+        per: 'day',
+        effectiveFrom: '2023-01-01',
+        effectiveTo: '2023-12-31',
+        jurisdiction: 'NYC',
+        sourceName: 'MTA',
+        sourceUrl: 'https://new.mta.info/'
+      },
+      {
+        label: 'Housing plan affordable units goal',
+        topic: 'housing',
+        entities: ['NYC', 'Housing Plan', 'city'],
+        keywords: ['affordable housing', 'affordable units'],
+        value: 250000,
+        unit: 'housing_units',
+        effectiveFrom: '2022-01-01',
+        effectiveTo: '2030-12-31',
+        jurisdiction: 'NYC',
+        sourceName: 'Housing Plan',
+        sourceUrl: 'https://www.nyc.gov/site/hpd/index.page'
+      }
+    ];
+
+    if (this.facts.size === 0) {
+      seedFacts.forEach(fact => this.createFact(fact, 'system'));
+    }
+  }
+
+  /**
+   * Add a fact at version 1
+   */
+  createFact(input, editorId, note = null) {
+    const now = new Date().toISOString();
+    const fact = {
+      id: `fact_${crypto.randomUUID()}`,
+      ...this.pickEditableFields(input),
+      status: 'active',
+      version: 1,
+      createdAt: now,
+      createdBy: editorId,
+      updatedAt: now,
+      updatedBy: editorId
+    };
+
+    this.facts.set(fact.id, fact);
+    this.recordRevision(fact, 'created', editorId, note);
+
+    return {
+      success: true,
+      data: fact
+    };
+  }
+
+  /**
+   * Replace a fact's editable fields as a new version
+   */
+  updateFact(factId, input, editorId, note = null) {
+    const existing = this.facts.get(factId);
+
+    if (!existing || existing.status === 'retired') {
+      return {
+        success: false,
+        error: 'Fact not found'
+      };
+    }
+
+    // Full replacement: editable fields left out of input are cleared
+    const managedFields = { ...existing };
+    EDITABLE_FIELDS.forEach(field => delete managedFields[field]);
+
+    const fact = {
+      ...managedFields,
+      ...this.pickEditableFields(input),
+      version: existing.version + 1,
+      updatedAt: new Date().toISOString(),
+      updatedBy: editorId
+    };
+
+    this.facts.set(factId, fact);
+    this.recordRevision(fact, 'updated', editorId, note);
+
+    return {
+      success: true,
+      data: fact
+    };
+  }
+
+  /**
+   * Retire a fact; it stops matching claims but keeps its revision history
+   */
+  retireFact(factId, editorId, note = null) {
+    const existing = this.facts.get(factId);
+
+    if (!existing || existing.status === 'retired') {
+      return {
+        success: false,
+        error: 'Fact not found'
+      };
+    }
+
+    const fact = {
+      ...existing,
+      status: 'retired',
+      version: existing.version + 1,
+      updatedAt: new Date().toISOString(),
+      updatedBy: editorId
+    };
+
+    this.facts.set(factId, fact);
+    this.recordRevision(fact, 'retired', editorId, note);
+
+    return {
+      success: true,
+      data: fact
+    };
+  }
+
+  /**
+   * Call listener(fact, change) after every create, update or retire
+   */
+  onChange(listener) {
+    this.changeListeners.push(listener);
+  }
+
+  /**
+   * Increases with every change to any fact; results computed against an older version may be stale
+   */
+  getDatabaseVersion() {
+    return this.revisions.size;
+  }
+
+  getFact(factId) {
+    return this.facts.get(factId) || null;
+  }
+
+  /**
+   * Revisions oldest first
+   */
+  getRevisions(factId) {
+    return this.revisions.values()
+      .filter(revision => revision.factId === factId)
+      .sort((a, b) => a.version - b.version);
+  }
+
+  getRevision(factId, version) {
+    return this.revisions.get(this.getRevisionId(factId, version)) || null;
+  }
+
+  /**
+   * List facts, optionally narrowed by topic, entity and jurisdiction
+   */
+  listFacts(filters = {}) {
+    const { topic, entity, jurisdiction, includeRetired = false } = filters;
+
+    return this.facts.values().filter(fact =>
+      (includeRetired || fact.status === 'active') &&
+      (!topic || fact.topic === topic.toLowerCase()) &&
+      (!entity || fact.entities.some(name => name.toLowerCase() === entity.toLowerCase())) &&
+      (!jurisdiction || fact.jurisdiction.toLowerCase() === jurisdiction.toLowerCase())
+    );
+  }
+
+  /**
+   * Active facts relevant to a claim, best match first.
+   * A fact matches when its topic or keywords appear around the claim and at least one of
+   * its entities is mentioned in the content; content tags and effective dates rank matches.
+   * @param {object} claim - extracted claim with `context`
+   * @param {object} content - { text, topics, asOf, jurisdiction } describing the content item
+   */
+  findFactsForClaim(claim, content = {}) {
+    const context = (claim.context || '').toLowerCase();
+    const text = `${content.text || ''} ${claim.context || ''}`.toLowerCase();
+    const topics = (content.topics || []).map(topic => topic.toLowerCase());
+    const asOf = content.asOf ? new Date(content.asOf) : null;
+
+    return this.listFacts()
+      .map(fact => {
+        const terms = [fact.topic, ...(fact.keywords || [])].map(term => term.toLowerCase());
+        const mentionedNearClaim = terms.some(term => context.includes(term));
+        if (!mentionedNearClaim) return null;
+
+        const matchedEntities = fact.entities.filter(entity => this.mentions(text, entity));
+        if (fact.entities.length > 0 && matchedEntities.length === 0) return null;
+
+        if (content.jurisdiction && fact.jurisdiction.toLowerCase() !== content.jurisdiction.toLowerCase()) {
+          return null;
+        }
+
+        const effective = !asOf || this.isEffectiveAt(fact, asOf);
+        const score =
+          (topics.includes(fact.topic) ? 2 : 0) +
+          matchedEntities.length +
+          (effective ? 3 : 0);
+
+        return { fact, score, matchedEntities, effective };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Fact value in the shape NumericNormalizer expects from numeric claims
+   */
+  toQuantity(fact) {
+    if (fact.unit === 'percent') {
+      return { kind: 'percentage', number: fact.value, unit: 'percent' };
+    }
+
+    const currency = FACT_CURRENCIES.includes(fact.unit) ? fact.unit : null;
+    return {
+      kind: 'amount',
+      number: fact.value,
+      scale: fact.scale || null,
+      currency,
+      unit: currency ? null : fact.unit || null,
+      period: fact.per || null
+    };
+  }
+
+  /**
+   * What a fact check cites: the exact fact version it compared against
+   */
+  toCitation(fact) {
+    return {
+      factId: fact.id,
+      version: fact.version,
+      revisionId: this.getRevisionId(fact.id, fact.version),
+      label: fact.label,
+      jurisdiction: fact.jurisdiction,
+      effectiveFrom: fact.effectiveFrom,
+      effectiveTo: fact.effectiveTo || null,
+      sourceName: fact.sourceName,
+      sourceUrl: fact.sourceUrl
+    };
+  }
+
+  /**
+   * Helper methods
+   */
+  recordRevision(fact, change, editorId, note) {
+    this.revisions.set(this.getRevisionId(fact.id, fact.version), {
+      id: this.getRevisionId(fact.id, fact.version),
+      factId: fact.id,
+      version: fact.version,
+      change,
+      note,
+      editedBy: editorId,
+      editedAt: fact.updatedAt,
+      snapshot: fact
+    });
+
+    this.changeListeners.forEach(listener => listener(fact, change));
+  }
+
+  getRevisionId(factId, version) {
+    return `${factId}@v${version}`;
+  }
+
+  pickEditableFields(input) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (input[field] !== undefined) fields[field] = input[field];
+    });
+
+    if (fields.topic) fields.topic = fields.topic.toLowerCase();
+    fields.entities = fields.entities || [];
+    fields.keywords = fields.keywords || [];
+    return fields;
+  }
+
+  isEffectiveAt(fact, date) {
+    const from = new Date(fact.effectiveFrom);
+    const to = fact.effectiveTo ? new Date(`${fact.effectiveTo}T23:59:59.999Z`) : null;
+    return from <= date && (!to || date <= to);
+  }
+
+  mentions(text, term) {
+    const escaped = term.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}\\b`).test(text);
+  }
+}
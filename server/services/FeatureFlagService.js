@@ -311,6 +311,10 @@ export class FeatureFlagService {
     return cohort;
   }
 
+  resetUserCohort(userId) {
+    this.userCohorts.delete(userId);
+  }
+
   hashUserId(userId, salt = '') {
     // Simple hash function for consistent user bucketing
     let hash = 0;
@@ -0,0 +1,190 @@
+/**
+ * FeedParsers - Turns RSS 2.0, Atom and JSON feed documents into plain entries
+ * ({ externalId, title, content, url, author, publishedAt, categories, mediaType })
+ * for IngestionService to normalize. Feeds are small and well-formed enough that a
+ * tolerant tag scanner is sufficient; no DOM is built.
+ */
+
+export const FEED_FORMATS = ['rss', 'atom', 'json'];
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…'
+};
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Plain text from an HTML fragment: tags dropped, block ends become spaces, entities decoded
+ */
+export function stripHtml(html) {
+  return decodeEntities(
+    String(html || '')
+      .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6])>/gi, ' ')
+      .replace(/<[^>]+>/g, '')
+  ).replace(/\s+/g, ' ').trim();
+}
+
+// Markup held by an XML element: CDATA is taken as-is, everything else is entity-decoded
+function elementMarkup(raw) {
+  const parts = raw.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/);
+  return parts.map(part => part.startsWith('<![CDATA[') ? part.slice(9, -3) : decodeEntities(part)).join('');
+}
+
+function escapeTag(name) {
+  return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every <name ...>...</name> (or self-closing <name .../>) directly inside xml
+function findElements(xml, name) {
+  const tag = escapeTag(name);
+  const pattern = new RegExp(`<${tag}(\\s[^>]*?)?(?:\\/>|>([\\s\\S]*?)<\\/${tag}\\s*>)`, 'gi');
+
+  return [...xml.matchAll(pattern)].map(match => ({
+    attributes: parseAttributes(match[1] || ''),
+    body: match[2] ?? null
+  }));
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+function firstMarkup(xml, ...names) {
+  for (const name of names) {
+    const [element] = findElements(xml, name);
+    if (element && element.body !== null && element.body.trim()) {
+      return elementMarkup(element.body);
+    }
+  }
+  return null;
+}
+
+function firstText(xml, ...names) {
+  const markup = firstMarkup(xml, ...names);
+  return markup === null ? null : stripHtml(markup) || null;
+}
+
+function mediaTypeOf(mime) {
+  if (!mime) return null;
+  if (mime.startsWith('video/')) return 'video';
+  if (mime.startsWith('image/')) return 'image';
+  return null;
+}
+
+export function parseRss(xml) {
+  return findElements(xml, 'item').map(({ body }) => {
+    const item = body || '';
+    const [enclosure] = findElements(item, 'enclosure');
+    const link = firstText(item, 'link');
+
+    return {
+      externalId: firstText(item, 'guid') || link,
+      title: firstText(item, 'title'),
+      content: firstText(item, 'content:encoded', 'description') || '',
+      url: link,
+      author: firstText(item, 'dc:creator', 'author'),
+      publishedAt: firstText(item, 'pubDate', 'dc:date'),
+      categories: findElements(item, 'category').map(c => stripHtml(elementMarkup(c.body || ''))).filter(Boolean),
+      mediaType: mediaTypeOf(enclosure?.attributes.type)
+    };
+  });
+}
+
+export function parseAtom(xml) {
+  return findElements(xml, 'entry').map(({ body }) => {
+    const entry = body || '';
+    const links = findElements(entry, 'link').map(link => link.attributes);
+    const alternate = links.find(link => !link.rel || link.rel === 'alternate');
+    const enclosure = links.find(link => link.rel === 'enclosure');
+    const [author] = findElements(entry, 'author');
+
+    return {
+      externalId: firstText(entry, 'id') || alternate?.href || null,
+      title: firstText(entry, 'title'),
+      content: firstText(entry, 'content', 'summary') || '',
+      url: alternate?.href || null,
+      author: author?.body ? firstText(author.body, 'name') : null,
+      publishedAt: firstText(entry, 'published', 'updated'),
+      categories: findElements(entry, 'category').map(c => c.attributes.term || c.attributes.label).filter(Boolean),
+      mediaType: mediaTypeOf(enclosure?.type)
+    };
+  });
+}
+
+/**
+ * JSON Feed (https://jsonfeed.org) or a plain array / { items } of objects with
+ * title, content|body|summary, url|link, published|date|timestamp, author and tags
+ */
+export function parseJsonFeed(text) {
+  const document = typeof text === 'string' ? JSON.parse(text) : text;
+  const items = Array.isArray(document) ? document : document.items || [];
+
+  return items.map(item => {
+    const author = item.authors?.[0] || item.author;
+    const html = item.content_html || item.content || item.body || item.summary || '';
+
+    return {
+      externalId: item.id != null ? String(item.id) : item.url || item.link || null,
+      title: item.title ? stripHtml(item.title) : null,
+      content: item.content_text || stripHtml(html),
+      url: item.url || item.link || null,
+      author: typeof author === 'string' ? author : author?.name || null,
+      publishedAt: item.date_published || item.published || item.date || item.timestamp || item.date_modified || null,
+      categories: item.tags || item.categories || [],
+      mediaType: item.type && ['story', 'video', 'article', 'image'].includes(item.type)
+        ? item.type
+        : mediaTypeOf(item.attachments?.[0]?.mime_type)
+    };
+  });
+}
+
+/**
+ * Sniff the format unless one is given
+ */
+export function detectFeedFormat(text) {
+  const head = text.trimStart().substring(0, 500);
+  if (head.startsWith('{') || head.startsWith('[')) return 'json';
+  if (/<feed[\s>]/i.test(text)) return 'atom';
+  if (/<(rss|rdf:RDF)[\s>]/i.test(text)) return 'rss';
+  return null;
+}
+
+export function parseFeed(text, format = null) {
+  const resolved = format || detectFeedFormat(text);
+
+  switch (resolved) {
+    case 'rss':
+      return parseRss(text);
+    case 'atom':
+      return parseAtom(text);
+    case 'json':
+      return parseJsonFeed(text);
+    default:
+      throw new Error('Unrecognised feed format');
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * IngestionService - Polls configured RSS/Atom/JSON sources into the content database
+ * Entries are normalized into the feed item shape, deduplicated, auto-tagged against
+ * the issue map and held back from the feed until FactHunter has analyzed them
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { FEED_FORMATS, parseFeed } from './FeedParsers.js';
+import { ISSUE_TAG_MAP } from './ContentService.js';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+export const CONTENT_TYPES = ['story', 'video', 'article', 'image'];
+
+const MAX_ANALYSIS_ATTEMPTS = 3;
+
+// Tracking parameters that make the same article look like a different URL
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref)$/i;
+
+// Only web links reach the feed; javascript: and other schemes would become clickable
+const safeUrl = (url) => (typeof url === 'string' && /^https?:\/\/\S+$/i.test(url.trim()) ? url.trim() : null);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const slugify = (text) => String(text).toLowerCase().trim().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Read and check a sources file: { "sources": [...] } or a bare array.
+ * Relative `path` entries resolve against the file's directory.
+ */
+export function loadIngestionSources(filePath) {
+  const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const sources = Array.isArray(document) ? document : document.sources || [];
+  const baseDir = path.dirname(path.resolve(filePath));
+
+  return sources.map((source, index) => {
+    const problems = validateSource(source);
+    if (problems.length > 0) {
+      throw new Error(`Invalid ingestion source #${index + 1} in ${filePath}: ${problems.join('; ')}`);
+    }
+    return source.path ? { ...source, path: path.resolve(baseDir, source.path) } : source;
+  });
+}
+
+export function validateSource(source) {
+  const problems = [];
+
+  if (!source || typeof source.id !== 'string' || !/^[a-z0-9_-]+$/i.test(source.id)) {
+    problems.push('id must be letters, digits, _ or -');
+  }
+  if (!source?.name || typeof source.name !== 'string') {
+    problems.push('name is required');
+  }
+  if (!source?.url === !source?.path) {
+    problems.push('exactly one of url or path is required');
+  }
+  if (source?.url && !/^https?:\/\/\S+$/.test(source.url)) {
+    problems.push('url must be an http(s) URL');
+  }
+  if (source?.format && !FEED_FORMATS.includes(source.format)) {
+    problems.push(`format must be one of: ${FEED_FORMATS.join(', ')}`);
+  }
+  if (source?.type && !CONTENT_TYPES.includes(source.type)) {
+    problems.push(`type must be one of: ${CONTENT_TYPES.join(', ')}`);
+  }
+
+  return problems;
+}
+
+export class IngestionService {
+  /**
+   * @param {object} options
+   * @param {object} options.storage - shared storage driver
+   * @param {ContentService} options.contentService - destination for ingested items
+   * @param {Array} options.sources - { id, name, url | path, format?, type?, author?, tags? }
+   * @param {Function} options.fetch - HTTP client for url sources (defaults to global fetch)
+   * @param {number} options.timeoutMs - per-request timeout for url sources
+   */
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    this.contentService = options.contentService;
+    this.sources = options.sources || [];
+    this.fetch = options.fetch || globalThis.fetch;
+    this.timeoutMs = options.timeoutMs || 10000;
+
+    // Dedupe key -> content id, per-source poll state, and items waiting for FactHunter
+    this.index = storage.collection('ingestion.index');
+    this.sourceState = storage.collection('ingestion.sources');
+    this.queue = storage.collection('ingestion.queue');
+
+    this.running = false;
+  }
+
+  /**
+   * Poll every source, then analyze whatever was queued. Overlapping runs are skipped.
+   */
+  async run() {
+    if (this.running) {
+      return { success: false, error: 'Ingestion already in progress' };
+    }
+
+    this.running = true;
+
+    try {
+      const sources = [];
+      for (const source of this.sources) {
+        sources.push(await this.pollSource(source));
+      }
+      const analysis = await this.processQueue();
+
+      return {
+        success: true,
+        data: { sources, analysis }
+      };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Fetch one source and add its new entries to the content database as queued items.
+   * Failures are recorded on the source rather than thrown.
+   */
+  async pollSource(source) {
+    const polledAt = new Date().toISOString();
+    const state = {
+      sourceId: source.id,
+      name: source.name,
+      polledAt,
+      status: 'ok',
+      error: null,
+      entries: 0,
+      added: 0,
+      duplicates: 0,
+      skipped: 0
+    };
+
+    try {
+      const text = await this.readSource(source);
+      const entries = parseFeed(text, source.format);
+      state.entries = entries.length;
+
+      entries.forEach(entry => {
+        const item = this.normalizeEntry(entry, source, polledAt);
+        if (!item) {
+          state.skipped++;
+          return;
+        }
+
+        const keys = this.dedupeKeys(item, entry, source);
+        if (keys.some(key => this.index.has(key))) {
+          state.duplicates++;
+          return;
+        }
+
+        this.contentService.contentDatabase.set(item.id, item);
+        this.contentService.invalidateRelatedAnalyses(item);
+        keys.forEach(key => this.index.set(key, item.id));
+        this.queue.set(item.id, { contentId: item.id, status: 'queued', attempts: 0, enqueuedAt: polledAt });
+        state.added++;
+      });
+    } catch (error) {
+      console.error(`Ingestion error for ${source.id}:`, error.message);
+      state.status = 'error';
+      state.error = error.message;
+    }
+
+    this.sourceState.set(source.id, state);
+    return state;
+  }
+
+  async readSource(source) {
+    if (source.path) {
+      return fs.promises.readFile(source.path, 'utf8');
+    }
+
+    const response = await this.fetch(source.url, {
+      headers: { Accept: 'application/rss+xml, application/atom+xml, application/feed+json, application/json, text/xml;q=0.9' },
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${source.url}`);
+    }
+    return response.text();
+  }
+
+  /**
+   * A parsed feed entry in the content item shape, or null if it has nothing to show
+   */
+  normalizeEntry(entry, source, ingestedAt) {
+    const title = entry.title?.trim();
+    const content = (entry.content || '').trim() || title;
+    if (!title || !content) return null;
+
+    const published = entry.publishedAt ? new Date(entry.publishedAt) : null;
+    const timestamp = published && !isNaN(published.getTime()) && published <= new Date(ingestedAt)
+      ? published.toISOString()
+      : ingestedAt;
+
+    const externalId = entry.externalId || entry.url || sha256(`${title}\n${content}`);
+
+    return {
+      id: `content_${sha256(`${source.id}:${externalId}`).substring(0, 16)}`,
+      type: CONTENT_TYPES.includes(entry.mediaType) ? entry.mediaType : source.type || 'article',
+      title,
+      content,
+      source: source.name,
+      author: entry.author || source.author || source.name,
+      timestamp,
+      tags: this.autoTag(`${title} ${content}`, [...(source.tags || []), ...(entry.categories || [])]),
+      verified: false,
+      url: safeUrl(entry.url),
+      ingestion: {
+        sourceId: source.id,
+        externalId,
+        ingestedAt,
+        status: 'queued'
+      }
+    };
+  }
+
+  /**
+   * Feed categories as tags, plus every issue tag the text mentions, so
+   * matchIssueToTag can place the item under the reader's issues
+   */
+  autoTag(text, categories = []) {
+    const tags = new Set(categories.map(slugify).filter(Boolean));
+
+    Object.values(ISSUE_TAG_MAP).flat().forEach(tag => {
+      if (new RegExp(`\\b${tag}s?\\b`, 'i').test(text)) {
+        tags.add(tag);
+      }
+    });
+
+    return [...tags];
+  }
+
+  /**
+   * Keys that identify an entry as already ingested: its id within the source, its
+   * canonical link, and a fingerprint of its text (catches exact reposts across sources)
+   */
+  dedupeKeys(item, entry, source) {
+    const keys = [`id:${source.id}:${item.ingestion.externalId}`];
+
+    const link = this.canonicalUrl(entry.url);
+    if (link) keys.push(`url:${link}`);
+
+    const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+    keys.push(`hash:${sha256(`${normalize(item.title)}\n${normalize(item.content)}`)}`);
+
+    return keys;
+  }
+
+  canonicalUrl(url) {
+    if (!url) return null;
+
+    try {
+      const parsed = new URL(url);
+      [...parsed.searchParams.keys()]
+        .filter(key => TRACKING_PARAMS.test(key))
+        .forEach(key => parsed.searchParams.delete(key));
+      parsed.hash = '';
+      parsed.hostname = parsed.hostname.replace(/^www\./, '');
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+      return parsed.toString();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Run queued items through FactHunter one at a time and publish the ones that complete
+   */
+  async processQueue() {
+    const summary = { analyzed: 0, failed: 0 };
+    const pending = this.queue.values()
+      .filter(entry => entry.status === 'queued' || (entry.status === 'failed' && entry.attempts < MAX_ANALYSIS_ATTEMPTS));
+
+    for (const entry of pending) {
+      const item = this.contentService.contentDatabase.get(entry.contentId);
+      if (!item) {
+        this.queue.delete(entry.contentId);
+        continue;
+      }
+
+      entry.attempts++;
+      // Goes through the feed's analysis cache so the first feed request after ingestion is warm
+      const analysis = await this.contentService.analyzeItem(item);
+      const analyzedAt = new Date().toISOString();
+
+      if (analysis.error) {
+        entry.status = 'failed';
+        entry.error = analysis.error;
+        summary.failed++;
+      } else {
+        entry.status = 'analyzed';
+        entry.error = null;
+        entry.analyzedAt = analyzedAt;
+        entry.contradictions = analysis.contradictions.length;
+        entry.factChecks = analysis.factChecks.length;
+
+        item.ingestion = { ...item.ingestion, status: 'published', analyzedAt };
+        this.contentService.contentDatabase.set(item.id, item);
+        summary.analyzed++;
+      }
+
+      this.queue.set(entry.contentId, entry);
+    }
+
+    return summary;
+  }
+
+  getStatus() {
+    const queue = { queued: 0, analyzed: 0, failed: 0 };
+    this.queue.values().forEach(entry => {
+      queue[entry.status] = (queue[entry.status] || 0) + 1;
+    });
+
+    return {
+      running: this.running,
+      sources: this.sources.map(source => this.sourceState.get(source.id) || { sourceId: source.id, name: source.name, polledAt: null, status: 'pending' }),
+      queue
+    };
+  }
+}
@@ -2,10 +2,13 @@
  * IntegrityGuardian - Trust and audit layer for content moderation
  * Implements reputation scoring, audit logging, and transparency features
  */
-import crypto from 'crypto';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+import { AuditService } from './AuditService.js';
 
 export class IntegrityGuardian {
-  constructor() {
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
     // Reputation scoring weights
     this.REPUTATION_WEIGHTS = {
       flag_verified: 10,
@@ -17,10 +20,11 @@ export class IntegrityGuardian {
       community_reports: -15
     };
 
-    // Audit log storage (would be database in production)
-    this.auditLog = [];
-    this.userReputations = new Map();
-    this.moderationActions = [];
+    // Moderation actions are written to the shared AuditService chain, so there is one audit log
+    this.auditService = options.auditService || new AuditService({ storage, signingKey: options.signingKey });
+    this.auditLog = this.auditService.auditEvents;
+    this.userReputations = storage.collection('integrity.reputations');
+    this.moderationActions = storage.collection('integrity.moderationActions');
     
     // Integrity thresholds
     this.TRUST_THRESHOLDS = {
@@ -90,37 +94,29 @@ export class IntegrityGuardian {
    */
   async logModerationAction(action, metadata = {}) {
     try {
+      const moderatorId = metadata.moderatorId || 'system';
+
+      // Record in the shared chain; AuditService applies the public redaction policy
+      const logged = await this.auditService.logEvent(action, { ...metadata, moderatorId });
+      if (!logged.success) {
+        throw new Error(logged.error);
+      }
+
       const logEntry = {
-        id: `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        timestamp: new Date().toISOString(),
+        id: logged.data.id,
+        timestamp: logged.data.timestamp,
         action,
         metadata,
-        moderatorId: metadata.moderatorId || 'system',
+        moderatorId,
         contentId: metadata.contentId,
         userId: metadata.userId,
         decision: metadata.decision,
-        reason: metadata.reason
+        reason: metadata.reason,
+        hash: logged.data.hash,
+        previousHash: logged.data.previousHash
       };
 
-      // Create hash for integrity verification
-      const hashInput = JSON.stringify({
-        id: logEntry.id,
-        timestamp: logEntry.timestamp,
-        action: logEntry.action,
-        contentId: logEntry.contentId,
-        decision: logEntry.decision
-      });
-      
-      logEntry.hash = crypto.createHash('sha256').update(hashInput).digest('hex');
-      
-      // Link to previous entry for blockchain-like integrity
-      if (this.auditLog.length > 0) {
-        logEntry.previousHash = this.auditLog[this.auditLog.length - 1].hash;
-      }
-
-      // Store audit entry
-      this.auditLog.push(logEntry);
-      this.moderationActions.push(logEntry);
+      this.moderationActions.append(logEntry);
 
       // Update user reputation if applicable
       if (logEntry.userId) {
@@ -142,33 +138,25 @@ export class IntegrityGuardian {
   }
 
   /**
-   * Get public audit feed for transparency
+   * Get public moderation entries from the shared audit log
    */
   getPublicAuditFeed(limit = 50, offset = 0) {
     try {
-      // Filter sensitive information for public view
-      const publicEntries = this.auditLog
+      const moderationEvents = this.auditLog.values().filter(event => event.category === 'moderation');
+
+      // Same redaction as every other public audit view
+      const publicEntries = moderationEvents
         .slice(offset, offset + limit)
-        .map(entry => ({
-          id: entry.id,
-          timestamp: entry.timestamp,
-          action: entry.action,
-          decision: entry.decision,
-          reason: entry.reason,
-          hash: entry.hash,
-          // Exclude sensitive metadata like user IDs
-          contentType: entry.metadata?.contentType,
-          flagReason: entry.metadata?.flagReason
-        }))
+        .map(event => this.auditService.toPublicEvent(event))
         .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime());
 
       return {
         success: true,
         data: {
           entries: publicEntries,
-          totalEntries: this.auditLog.length,
+          totalEntries: moderationEvents.length,
           lastUpdated: new Date().toISOString(),
-          integrityVerified: this.verifyAuditIntegrity()
+          integrityVerified: this.auditService.getChainStatus().chainValid
         }
       };
 
@@ -186,31 +174,7 @@ export class IntegrityGuardian {
    */
   verifyAuditIntegrity() {
     try {
-      for (let i = 0; i < this.auditLog.length; i++) {
-        const entry = this.auditLog[i];
-        
-        // Verify hash
-        const hashInput = JSON.stringify({
-          id: entry.id,
-          timestamp: entry.timestamp,
-          action: entry.action,
-          contentId: entry.contentId,
-          decision: entry.decision
-        });
-        
-        const expectedHash = crypto.createHash('sha256').update(hashInput).digest('hex');
-        
-        if (entry.hash !== expectedHash) {
-          return false;
-        }
-
-        // Verify chain integrity
-        if (i > 0 && entry.previousHash !== this.auditLog[i - 1].hash) {
-          return false;
-        }
-      }
-
-      return true;
+      return this.auditService.verifyAuditIntegrity();
 
     } catch (error) {
       console.error('Integrity verification error:', error);
@@ -299,7 +263,7 @@ export class IntegrityGuardian {
   getModerationQueue(limit = 20) {
     try {
       // Get recent moderation actions that need review
-      const pendingActions = this.moderationActions
+      const pendingActions = this.moderationActions.values()
         .filter(action => action.metadata?.status === 'pending')
         .sort((a, b) => {
           // Sort by priority (higher first) then by timestamp (newer first)
@@ -413,9 +377,9 @@ export class IntegrityGuardian {
     // Update reputation based on moderation outcomes
     const currentRep = this.userReputations.get(userId) || { score: 50 };
     
-    if (logEntry.action === 'flag_verified' && logEntry.decision === 'upheld') {
+    if (logEntry.action === 'flag_processed' && logEntry.decision === 'upheld') {
       currentRep.score += 5;
-    } else if (logEntry.action === 'flag_verified' && logEntry.decision === 'rejected') {
+    } else if (logEntry.action === 'flag_processed' && logEntry.decision === 'rejected') {
       currentRep.score -= 2;
     }
 
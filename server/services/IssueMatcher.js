@@ -178,6 +178,7 @@ export class IssueMatcher {
     
     return topics.map(topic => ({
       ...topic,
+      formatWeight: multipliers[topic.id] || 1.0,
       weight: topic.weight * (multipliers[topic.id] || 1.0)
     }));
   }
@@ -199,7 +200,14 @@ export class IssueMatcher {
     const sortedTopics = topics
       .map(topic => ({
         ...topic,
-        finalWeight: topic.weight * (topic.geoWeight || 1.0) * config.priorityWeight
+        finalWeight: topic.weight * (topic.geoWeight || 1.0) * config.priorityWeight,
+        // The factors behind finalWeight, so the ranking can be explained to the reader
+        weights: {
+          category: this.issueCategories[topic.category]?.weight ?? topic.weight,
+          format: topic.formatWeight || 1.0,
+          geo: topic.geoWeight || 1.0,
+          cadence: config.priorityWeight
+        }
       }))
       .sort((a, b) => b.finalWeight - a.finalWeight)
       .slice(0, config.maxTopics);
@@ -226,6 +234,15 @@ export class IssueMatcher {
     return Math.round((categoryDiversity * 0.7 + surpriseDiversity * 0.3) * 100) / 100;
   }
 
+  /**
+   * Whether a content tag belongs to a topic: the topic id itself or one of its words
+   * ('zoning-reform' covers items tagged 'zoning')
+   */
+  topicMatchesTag(topicId, tag) {
+    const normalized = tag.toLowerCase();
+    return normalized === topicId || topicId.split('-').includes(normalized);
+  }
+
   /**
    * Mock geographic data - replace with real NYC API integration
    */
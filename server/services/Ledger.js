@@ -0,0 +1,206 @@
+/**
+ * Ledger - Append-only double-entry ledger for XP and MetroPoints
+ * Every entry moves value between accounts and nets to zero in each currency.
+ * Balances are never stored here; they are the sum of an account's postings.
+ */
+import crypto from 'crypto';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+export const LEDGER_CURRENCIES = ['XP', 'MP'];
+
+// Each entry type has a system account per currency that value comes from or goes to
+export const LEDGER_ENTRY_TYPES = ['earn', 'spend', 'refund', 'expire', 'adjust'];
+
+export const userAccount = (userId, currency) => `user:${userId}:${currency}`;
+
+export const systemAccount = (type, currency) => `${type}:${currency}`;
+
+const isUserAccount = (account) => account.startsWith('user:');
+
+export class Ledger {
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    this.entries = storage.collection('ledger.entries');
+    // Idempotency key -> { entryId, fingerprint }
+    this.idempotencyKeys = storage.collection('ledger.idempotencyKeys');
+  }
+
+  /**
+   * Append an entry. Replaying an idempotency key returns the original entry; reusing
+   * it for different postings is refused. User accounts may not go below zero.
+   * @param {object} entry - { type, userId, idempotencyKey, postings: [{ account, currency, amount }], metadata?, reverses? }
+   */
+  post({ type, userId, idempotencyKey, postings, metadata = {}, reverses = null }) {
+    this.assertWellFormed(type, idempotencyKey, postings);
+
+    const fingerprint = this.fingerprint(type, userId, postings);
+    const previous = this.idempotencyKeys.get(idempotencyKey);
+
+    if (previous) {
+      if (previous.fingerprint !== fingerprint) {
+        return {
+          success: false,
+          error: 'Idempotency key already used for a different request'
+        };
+      }
+
+      return {
+        success: true,
+        data: this.entries.get(previous.entryId),
+        replayed: true
+      };
+    }
+
+    const overdrawn = Object.entries(this.netByAccount(postings))
+      .find(([account, amount]) => isUserAccount(account) && amount < 0 && this.getBalance(account) + amount < 0);
+
+    if (overdrawn) {
+      return {
+        success: false,
+        error: 'Insufficient balance',
+        account: overdrawn[0],
+        available: this.getBalance(overdrawn[0])
+      };
+    }
+
+    const entry = {
+      id: `ledger_${crypto.randomUUID()}`,
+      sequence: this.entries.size + 1,
+      type,
+      userId,
+      idempotencyKey,
+      postings: postings.map(({ account, currency, amount }) => ({ account, currency, amount })),
+      metadata,
+      reverses,
+      createdAt: new Date().toISOString()
+    };
+
+    this.entries.set(entry.id, entry);
+    this.idempotencyKeys.set(idempotencyKey, { entryId: entry.id, fingerprint });
+
+    return {
+      success: true,
+      data: entry,
+      replayed: false
+    };
+  }
+
+  findByIdempotencyKey(idempotencyKey) {
+    const record = this.idempotencyKeys.get(idempotencyKey);
+    return record ? this.entries.get(record.entryId) || null : null;
+  }
+
+  getEntry(entryId) {
+    return this.entries.get(entryId) || null;
+  }
+
+  getBalance(account) {
+    return this.entries.values().reduce((balance, entry) =>
+      balance + entry.postings
+        .filter(posting => posting.account === account)
+        .reduce((total, posting) => total + posting.amount, 0),
+    0);
+  }
+
+  /**
+   * A user's derived balances: spendable XP (what has not yet converted), MetroPoints,
+   * and lifetime XP (every XP credit, which levels are based on)
+   */
+  getUserBalances(userId) {
+    const xpAccount = userAccount(userId, 'XP');
+    const mpAccount = userAccount(userId, 'MP');
+    const balances = { currentXP: 0, metroPoints: 0, totalXP: 0 };
+
+    this.entries.values().forEach(entry => {
+      entry.postings.forEach(posting => {
+        if (posting.account === xpAccount) {
+          balances.currentXP += posting.amount;
+          if (posting.amount > 0) balances.totalXP += posting.amount;
+        } else if (posting.account === mpAccount) {
+          balances.metroPoints += posting.amount;
+        }
+      });
+    });
+
+    return balances;
+  }
+
+  /**
+   * Entries touching a user's accounts, newest first
+   */
+  listUserEntries(userId, limit = Infinity) {
+    const accounts = LEDGER_CURRENCIES.map(currency => userAccount(userId, currency));
+
+    return this.entries.values()
+      .filter(entry => entry.postings.some(posting => accounts.includes(posting.account)))
+      .sort((a, b) => b.sequence - a.sequence)
+      .slice(0, limit);
+  }
+
+  /**
+   * Check the ledger's own invariants: every entry balances, so every currency nets to zero
+   */
+  verify() {
+    const entries = this.entries.values();
+    const totals = Object.fromEntries(LEDGER_CURRENCIES.map(currency => [currency, 0]));
+    const unbalancedEntries = [];
+
+    entries.forEach(entry => {
+      const net = this.netByCurrency(entry.postings);
+      entry.postings.forEach(posting => {
+        totals[posting.currency] = (totals[posting.currency] || 0) + posting.amount;
+      });
+      if (Object.values(net).some(amount => amount !== 0)) {
+        unbalancedEntries.push(entry.id);
+      }
+    });
+
+    const missingKeys = entries
+      .filter(entry => this.idempotencyKeys.get(entry.idempotencyKey)?.entryId !== entry.id)
+      .map(entry => entry.id);
+
+    return {
+      entries: entries.length,
+      totals,
+      unbalancedEntries,
+      missingKeys,
+      balanced: unbalancedEntries.length === 0 && Object.values(totals).every(total => total === 0)
+    };
+  }
+
+  assertWellFormed(type, idempotencyKey, postings) {
+    if (!LEDGER_ENTRY_TYPES.includes(type)) {
+      throw new Error(`Unknown ledger entry type: ${type}`);
+    }
+    if (!idempotencyKey || typeof idempotencyKey !== 'string') {
+      throw new Error('Ledger entries need an idempotency key');
+    }
+    if (!Array.isArray(postings) || postings.length < 2) {
+      throw new Error('Ledger entries need at least two postings');
+    }
+
+    postings.forEach(({ account, currency, amount }) => {
+      if (!account || !LEDGER_CURRENCIES.includes(currency) || !Number.isInteger(amount) || amount === 0) {
+        throw new Error(`Invalid posting: ${JSON.stringify({ account, currency, amount })}`);
+      }
+    });
+
+    const net = this.netByCurrency(postings);
+    if (Object.values(net).some(amount => amount !== 0)) {
+      throw new Error(`Unbalanced ledger entry: ${JSON.stringify(net)}`);
+    }
+  }
+
+  netByCurrency(postings) {
+    return postings.reduce((net, { currency, amount }) => ({ ...net, [currency]: (net[currency] || 0) + amount }), {});
+  }
+
+  netByAccount(postings) {
+    return postings.reduce((net, { account, amount }) => ({ ...net, [account]: (net[account] || 0) + amount }), {});
+  }
+
+  fingerprint(type, userId, postings) {
+    return crypto.createHash('sha256').update(JSON.stringify([type, userId, postings.map(p => [p.account, p.currency, p.amount])])).digest('hex');
+  }
+}
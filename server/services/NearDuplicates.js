@@ -0,0 +1,118 @@
+/**
+ * NearDuplicates - Word shingling and MinHash signatures for spotting syndicated copies
+ * of the same story (wire pieces lightly edited per outlet). Signatures are bucketed
+ * with LSH bands so only likely pairs are compared.
+ */
+
+export const NEAR_DUPLICATE_DEFAULTS = {
+  shingleSize: 3,
+  numHashes: 64,
+  bands: 16,
+  // Estimated Jaccard similarity of shingle sets needed to count as the same story
+  threshold: 0.6
+};
+
+// 32-bit FNV-1a, seeded so each signature row is an independent hash function
+function fnv1a(text, seed) {
+  let hash = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Overlapping word n-grams of lowercased text with punctuation removed
+ */
+export function shingle(text, size = NEAR_DUPLICATE_DEFAULTS.shingleSize) {
+  const words = String(text || '').toLowerCase().replace(/[^\p{L}\p{N}$%.]+/gu, ' ').replace(/\.(?!\d)/g, ' ').split(/\s+/).filter(Boolean);
+  if (words.length <= size) return new Set(words.length > 0 ? [words.join(' ')] : []);
+
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - size; i++) {
+    shingles.add(words.slice(i, i + size).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * An empty shingle set hashes to all 0xffffffff rows
+ */
+export function minhashSignature(shingles, numHashes = NEAR_DUPLICATE_DEFAULTS.numHashes) {
+  const signature = new Array(numHashes).fill(0xffffffff);
+
+  shingles.forEach(value => {
+    for (let i = 0; i < numHashes; i++) {
+      const hash = fnv1a(value, i);
+      if (hash < signature[i]) signature[i] = hash;
+    }
+  });
+
+  return signature;
+}
+
+/**
+ * Share of signature rows that agree, an estimate of the Jaccard similarity of the shingle sets
+ */
+export function estimateSimilarity(signatureA, signatureB) {
+  let same = 0;
+  signatureA.forEach((value, index) => {
+    if (value === signatureB[index]) same++;
+  });
+  return same / signatureA.length;
+}
+
+export function itemSignature(item, options = {}) {
+  const { shingleSize, numHashes } = { ...NEAR_DUPLICATE_DEFAULTS, ...options };
+  return minhashSignature(shingle(`${item.title || ''} ${item.content || ''}`, shingleSize), numHashes);
+}
+
+/**
+ * Group items whose title + content are near-duplicates.
+ * Returns groups of { members: [{ item, signature }] } in input order; singletons included,
+ * and items with no text are always singletons.
+ * Pass `signatureFor(item)` to reuse signatures computed earlier.
+ */
+export function groupNearDuplicates(items, options = {}) {
+  const { numHashes, bands, threshold } = { ...NEAR_DUPLICATE_DEFAULTS, ...options };
+  const rows = Math.floor(numHashes / bands);
+
+  const signatureFor = options.signatureFor || ((item) => itemSignature(item, options));
+  const signatures = items.map(signatureFor);
+
+  // Union-find over items that share an LSH bucket and pass the threshold
+  const parent = items.map((item, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+  for (let band = 0; band < bands; band++) {
+    const buckets = new Map();
+
+    signatures.forEach((signature, index) => {
+      // Items with no words share the empty signature but say nothing alike; never group them
+      if (signature.every(value => value === 0xffffffff)) return;
+
+      const key = signature.slice(band * rows, (band + 1) * rows).join(',');
+      const bucket = buckets.get(key) || [];
+
+      bucket.forEach(other => {
+        if (find(other) !== find(index) && estimateSimilarity(signatures[other], signature) >= threshold) {
+          parent[Math.max(find(other), find(index))] = Math.min(find(other), find(index));
+        }
+      });
+
+      bucket.push(index);
+      buckets.set(key, bucket);
+    });
+  }
+
+  const groups = new Map();
+  items.forEach((item, index) => {
+    const root = find(index);
+    const group = groups.get(root) || { members: [] };
+    group.members.push({ item, signature: signatures[index] });
+    groups.set(root, group);
+  });
+
+  return [...groups.values()];
+}
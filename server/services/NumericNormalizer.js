@@ -0,0 +1,141 @@
+/**
+ * NumericNormalizer - Resolves magnitudes, currencies, percentages and units on
+ * numeric claims so FactHunter compares like with like
+ */
+
+export const SCALE_MULTIPLIERS = {
+  thousand: 1e3,
+  million: 1e6,
+  billion: 1e9,
+  trillion: 1e12
+};
+
+// Canonical unit names for the nouns the amount extractor recognises
+export const UNIT_ALIASES = {
+  rider: 'riders',
+  riders: 'riders',
+  passenger: 'riders',
+  passengers: 'riders',
+  trip: 'riders',
+  trips: 'riders',
+  unit: 'housing_units',
+  units: 'housing_units',
+  home: 'housing_units',
+  homes: 'housing_units',
+  apartment: 'housing_units',
+  apartments: 'housing_units',
+  'housing units': 'housing_units',
+  'affordable units': 'housing_units',
+  person: 'people',
+  people: 'people',
+  resident: 'people',
+  residents: 'people',
+  'new yorkers': 'people',
+  job: 'jobs',
+  jobs: 'jobs',
+  student: 'students',
+  students: 'students'
+};
+
+const PERIOD_DAYS = {
+  day: 1,
+  week: 7,
+  month: 365 / 12,
+  year: 365
+};
+
+// Allowed difference before two quantities of the same dimension count as conflicting
+export const NUMERIC_TOLERANCES = {
+  currency: { relative: 0.05 },
+  count: { relative: 0.1 },
+  rate: { relative: 0.1 },
+  percent: { absolute: 0.01 },
+  percentage_point: { absolute: 0.5 },
+  number: { relative: 0.1 }
+};
+
+/**
+ * Turn a numeric claim (or fact) into { value, dimension, kind } in base units:
+ * percentages become fractions, scales are multiplied out and rates are per day
+ */
+export function normalizeQuantity(claim) {
+  const number = Number(claim.number);
+  if (!Number.isFinite(number)) return null;
+
+  if (claim.kind === 'percentage') {
+    return claim.unit === 'percentage_point'
+      ? { value: number, kind: 'percentage_point', dimension: 'percentage_point' }
+      : { value: number / 100, kind: 'percent', dimension: 'percent' };
+  }
+
+  const scale = claim.scale ? SCALE_MULTIPLIERS[claim.scale.toLowerCase()] || 1 : 1;
+  let value = number * scale;
+
+  const unit = claim.unit ? UNIT_ALIASES[claim.unit.toLowerCase()] || claim.unit.toLowerCase() : null;
+  const base = claim.currency ? `currency:${claim.currency}` : unit ? `count:${unit}` : null;
+
+  if (claim.period && PERIOD_DAYS[claim.period]) {
+    value = value / PERIOD_DAYS[claim.period];
+    return { value, kind: 'rate', dimension: `rate:${base || 'count'}/day` };
+  }
+
+  if (claim.currency) {
+    return { value, kind: 'currency', dimension: base };
+  }
+
+  // A bare scaled number ("8.9 million") is a count of something unnamed;
+  // a bare number ("8.9") has no dimension at all
+  if (unit || claim.scale) {
+    return { value, kind: 'count', dimension: base || 'count' };
+  }
+
+  return { value, kind: 'number', dimension: 'number' };
+}
+
+/**
+ * Bring two quantities onto a shared dimension, or null if they measure different things.
+ * A bare fraction between 0 and 1 is read as a percentage when compared with one.
+ */
+function alignQuantities(a, b) {
+  if (a.dimension === b.dimension) return [a, b];
+
+  const asPercent = (quantity) => quantity.kind === 'number' && quantity.value >= 0 && quantity.value <= 1
+    ? { ...quantity, kind: 'percent', dimension: 'percent' }
+    : null;
+
+  if (a.kind === 'percent' && asPercent(b)) return [a, asPercent(b)];
+  if (b.kind === 'percent' && asPercent(a)) return [asPercent(a), b];
+
+  return null;
+}
+
+/**
+ * Compare two numeric claims after normalization.
+ * Returns { comparable, consistent, left, right, difference, tolerance }
+ */
+export function compareQuantities(claimA, claimB, tolerances = NUMERIC_TOLERANCES) {
+  const a = normalizeQuantity(claimA);
+  const b = normalizeQuantity(claimB);
+  const aligned = a && b ? alignQuantities(a, b) : null;
+
+  if (!aligned) {
+    return { comparable: false, consistent: null, left: a, right: b, difference: null, tolerance: null };
+  }
+
+  const [left, right] = aligned;
+  const tolerance = tolerances[left.kind] || NUMERIC_TOLERANCES.number;
+  const difference = Math.abs(left.value - right.value);
+
+  const allowed = tolerance.absolute !== undefined
+    ? tolerance.absolute
+    : tolerance.relative * Math.max(Math.abs(left.value), Math.abs(right.value));
+
+  return {
+    comparable: true,
+    consistent: difference <= allowed,
+    left,
+    right,
+    difference,
+    tolerance
+  };
+}
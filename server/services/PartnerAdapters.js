@@ -0,0 +1,179 @@
+/**
+ * PartnerAdapters - The contract RewardMaster uses to reach reward partners (OMNY fare
+ * credit, merchant vouchers), an HTTP client for it and an in-process stand-in
+ *
+ * Every operation resolves to { success, data?, error?, retryable? }. Retryable failures
+ * (timeouts, 429, 5xx) may have reached the partner, so callers check status() before
+ * trying again. `reference` is the redemption id; partners treat a repeated reference as
+ * the same request rather than a new one.
+ */
+import crypto from 'crypto';
+
+export const PARTNER_OPERATIONS = ['credit', 'issueVoucher', 'void', 'status'];
+
+// status() data.state: what the partner has on record for a reference
+export const PARTNER_TRANSACTION_STATES = ['completed', 'voided', 'not_found'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function assertPartnerAdapter(adapter, name) {
+  const missing = PARTNER_OPERATIONS.filter(operation => typeof adapter?.[operation] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Partner adapter ${name} is missing: ${missing.join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * Talks to a partner API (or the local simulator in server/scripts/partnerSimulator.js)
+ *   POST /credits                         { reference, userId, amount }
+ *   POST /vouchers                        { reference, userId, rewardId, discountPercent, quantity, validDays }
+ *   POST /transactions/:reference/void
+ *   GET  /transactions/:reference
+ */
+export class HttpPartnerAdapter {
+  constructor(options = {}) {
+    this.name = options.name || 'partner';
+    this.baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  credit({ reference, userId, amount }) {
+    return this.request('POST', '/credits', { reference, userId, amount });
+  }
+
+  issueVoucher({ reference, userId, reward, quantity }) {
+    return this.request('POST', '/vouchers', {
+      reference,
+      userId,
+      rewardId: reward.id,
+      discountPercent: reward.value,
+      quantity,
+      validDays: reward.validDays || 30
+    });
+  }
+
+  void({ reference }) {
+    return this.request('POST', `/transactions/${encodeURIComponent(reference)}/void`);
+  }
+
+  async status({ reference }) {
+    const result = await this.request('GET', `/transactions/${encodeURIComponent(reference)}`);
+
+    // An unknown reference is an answer, not a failure
+    if (!result.success && result.status === 404) {
+      return { success: true, data: { reference, state: 'not_found' } };
+    }
+    return result;
+  }
+
+  async request(method, path, body) {
+    let response;
+
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      return {
+        success: false,
+        error: timedOut ? `${this.name} timed out after ${this.timeoutMs}ms` : `${this.name} unreachable: ${error.message}`,
+        retryable: true
+      };
+    }
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+      return { success: true, data: payload.data ?? payload };
+    }
+
+    return {
+      success: false,
+      status: response.status,
+      error: payload.error || `${this.name} returned HTTP ${response.status}`,
+      retryable: response.status === 408 || response.status === 429 || response.status >= 500
+    };
+  }
+}
+
+/**
+ * In-process partner that approves everything; the default when no partner URL is configured
+ */
+export class LocalPartnerAdapter {
+  constructor(options = {}) {
+    this.name = options.name || 'local';
+    // Reference -> transaction
+    this.transactions = new Map();
+  }
+
+  async credit({ reference, userId, amount }) {
+    return this.record(reference, () => ({
+      transactionId: `${this.name}_${crypto.randomUUID()}`,
+      userId,
+      creditAmount: amount,
+      newBalance: amount,
+      processedAt: new Date().toISOString()
+    }));
+  }
+
+  async issueVoucher({ reference, userId, reward, quantity }) {
+    return this.record(reference, () => {
+      const voucherId = `voucher_${crypto.randomUUID()}`;
+      return {
+        voucherId,
+        userId,
+        rewardId: reward.id,
+        discountPercent: reward.value,
+        quantity,
+        validUntil: new Date(Date.now() + (reward.validDays || 30) * DAY_MS).toISOString()
+      };
+    });
+  }
+
+  async void({ reference }) {
+    const transaction = this.transactions.get(reference);
+    if (!transaction) {
+      return { success: false, status: 404, error: 'Transaction not found', retryable: false };
+    }
+
+    transaction.state = 'voided';
+    transaction.voidedAt = new Date().toISOString();
+    return { success: true, data: transaction };
+  }
+
+  async status({ reference }) {
+    return { success: true, data: this.transactions.get(reference) || { reference, state: 'not_found' } };
+  }
+
+  record(reference, build) {
+    if (!this.transactions.has(reference)) {
+      this.transactions.set(reference, { reference, state: 'completed', ...build() });
+    }
+    return { success: true, data: this.transactions.get(reference) };
+  }
+}
+
+/**
+ * OMNY and merchant adapters from config: HTTP when a base URL is set, local otherwise
+ * @param {object} config - { omnyUrl, omnyApiKey, merchantUrl, merchantApiKey, timeoutMs }
+ */
+export function createPartnerAdapters(config = {}) {
+  const adapter = (name, baseUrl, apiKey) => baseUrl
+    ? new HttpPartnerAdapter({ name, baseUrl, apiKey, timeoutMs: config.timeoutMs })
+    : new LocalPartnerAdapter({ name });
+
+  return {
+    omny: adapter('omny', config.omnyUrl, config.omnyApiKey),
+    merchant: adapter('merchant', config.merchantUrl, config.merchantApiKey)
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * ProfileService - Each reader's onboarding preferences and the topic set IssueMatcher
+ * generated from them, kept server-side so the feed can be personalized on every device
+ */
+import { IssueMatcher } from './IssueMatcher.js';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+export const PREFERENCE_FIELDS = ['issues', 'format', 'reminders', 'cadence', 'zipCode'];
+
+// Changing any of these changes the topic set; reminders alone do not
+const TOPIC_FIELDS = ['issues', 'format', 'cadence', 'zipCode'];
+
+export class ProfileService {
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    this.issueMatcher = options.issueMatcher || new IssueMatcher();
+    this.profiles = storage.collection('profiles.onboarding');
+  }
+
+  /**
+   * Store a completed onboarding, replacing any earlier one
+   */
+  async saveOnboarding(userId, input) {
+    const now = new Date().toISOString();
+    const existing = this.profiles.get(userId);
+    const preferences = this.pickPreferences(input);
+
+    const profile = {
+      id: existing?.id || `onboarding_${Date.now()}`,
+      userId,
+      preferences,
+      personalizedTopics: await this.generateTopics(preferences),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      status: 'completed'
+    };
+
+    this.profiles.set(userId, profile);
+    return profile;
+  }
+
+  /**
+   * Change some preferences. The topic set, surprise topics included, is only regenerated
+   * when a field that shapes it changed, so editing reminders keeps today's surprises.
+   */
+  async updatePreferences(userId, changes) {
+    const existing = this.profiles.get(userId);
+
+    if (!existing) {
+      return {
+        success: false,
+        error: 'Onboarding not completed'
+      };
+    }
+
+    const preferences = { ...existing.preferences, ...this.pickPreferences(changes) };
+    const topicsChanged = TOPIC_FIELDS.some(field =>
+      JSON.stringify(preferences[field]) !== JSON.stringify(existing.preferences[field])
+    );
+
+    const profile = {
+      ...existing,
+      preferences,
+      personalizedTopics: topicsChanged ? await this.generateTopics(preferences) : existing.personalizedTopics,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.profiles.set(userId, profile);
+
+    return {
+      success: true,
+      data: profile,
+      topicsChanged
+    };
+  }
+
+  getProfile(userId) {
+    return this.profiles.get(userId) || null;
+  }
+
+  /**
+   * Preferences in the shape ContentService.getFeed takes, or null before onboarding
+   */
+  getFeedPreferences(userId) {
+    const profile = this.getProfile(userId);
+    if (!profile) return null;
+
+    return {
+      ...profile.preferences,
+      topicSet: profile.personalizedTopics
+    };
+  }
+
+  generateTopics(preferences) {
+    return this.issueMatcher.generateTopicSet({
+      selectedIssues: preferences.issues,
+      zipCode: preferences.zipCode,
+      format: preferences.format,
+      cadence: preferences.cadence
+    });
+  }
+
+  pickPreferences(input = {}) {
+    return Object.fromEntries(
+      PREFERENCE_FIELDS.filter(field => input[field] !== undefined).map(field => [field, input[field]])
+    );
+  }
+}
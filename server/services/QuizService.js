@@ -2,8 +2,12 @@
  * QuizService - Manages civic knowledge quizzes
  * Generates questions based on user interests and local issues
  */
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
 export class QuizService {
-  constructor() {
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
     // Quiz question database organized by topic
     this.questionBank = {
       'housing': [
@@ -81,8 +85,8 @@ export class QuizService {
       ]
     };
 
-    // Active quiz sessions
-    this.activeSessions = new Map();
+    // Active and completed quiz sessions
+    this.activeSessions = storage.collection('quiz.sessions');
   }
 
   /**
@@ -151,11 +155,12 @@ export class QuizService {
   /**
    * Submit quiz answers and calculate score
    */
-  async submitQuiz(quizId, userAnswers) {
+  async submitQuiz(quizId, userAnswers, userId = null) {
     try {
       const session = this.activeSessions.get(quizId);
       
-      if (!session) {
+      // Sessions can only be submitted by the user they were generated for
+      if (!session || (userId && session.userId !== userId)) {
         return {
           success: false,
           error: 'Quiz session not found or expired'
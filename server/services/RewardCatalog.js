@@ -0,0 +1,317 @@
+/**
+ * RewardCatalog - Admin- and merchant-managed rewards with stock, per-user caps,
+ * availability windows and zip code targeting, and the merchant accounts that own offers
+ */
+import crypto from 'crypto';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+export const REWARD_CATEGORIES = ['transit', 'local', 'boost'];
+
+export const MERCHANT_STATUSES = ['active', 'suspended'];
+
+// What merchant staff may publish; transit credit and boosts are paid for by the platform
+export const MERCHANT_OFFER_CATEGORIES = ['local'];
+
+// Fields admins and merchants may set; claimed stock and status are managed by the service
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'cost',
+  'value',
+  'category',
+  'icon',
+  'validDays',
+  'duration',
+  'merchantId',
+  'stock',
+  'perUserLimit',
+  'startsAt',
+  'endsAt',
+  'zipCodes'
+];
+
+const MERCHANT_FIELDS = ['name', 'contactEmail', 'memberIds', 'status'];
+
+export class RewardCatalog {
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    this.rewards = storage.collection('rewards.catalog');
+    this.merchants = storage.collection('rewards.merchants');
+
+    // Seed catalog shown until admins maintain it; ids are kept so existing links work
+    if (this.rewards.size === 0) {
+      const cafes = this.createMerchant({ name: 'Participating NYC Cafes' }, 'system').data;
+      const restaurants = this.createMerchant({ name: 'Participating NYC Restaurants' }, 'system').data;
+
+      [
+        { id: 'omny_5', title: 'OMNY Credit - $5', description: '$5 MetroCard credit for subway and bus', cost: 5, value: 5, category: 'transit', icon: 'train' },
+        { id: 'omny_10', title: 'OMNY Credit - $10', description: '$10 MetroCard credit for subway and bus', cost: 10, value: 10, category: 'transit', icon: 'train' },
+        { id: 'coffee_discount', title: 'Local Coffee Discount', description: '20% off at participating NYC cafes', cost: 3, value: 0.2, category: 'local', icon: 'coffee', validDays: 30, merchantId: cafes.id },
+        { id: 'restaurant_discount', title: 'Restaurant Discount', description: '15% off at local restaurants', cost: 4, value: 0.15, category: 'local', icon: 'utensils', validDays: 30, merchantId: restaurants.id },
+        { id: 'xp_boost', title: 'XP Boost Weekend', description: 'Double XP for 48 hours', cost: 2, value: 2, category: 'boost', icon: 'zap', duration: 48 }
+      ].forEach(({ id, ...reward }) => this.createReward(reward, 'system', id));
+    }
+  }
+
+  /**
+   * Add a reward. Offers of a local merchant must name an existing merchant account.
+   */
+  createReward(input, actorId, id = `reward_${crypto.randomUUID()}`) {
+    const fields = this.pickEditableFields(input);
+    const problem = this.merchantProblem(fields.merchantId);
+
+    if (problem) {
+      return { success: false, error: problem };
+    }
+
+    const now = new Date().toISOString();
+    const reward = {
+      id,
+      ...fields,
+      status: 'active',
+      claimed: 0,
+      createdAt: now,
+      createdBy: actorId,
+      updatedAt: now,
+      updatedBy: actorId
+    };
+
+    this.rewards.set(reward.id, reward);
+
+    return {
+      success: true,
+      data: reward
+    };
+  }
+
+  /**
+   * Replace a reward's editable fields; stock already claimed carries over
+   */
+  updateReward(rewardId, input, actorId) {
+    const existing = this.rewards.get(rewardId);
+
+    if (!existing || existing.status === 'retired') {
+      return { success: false, error: 'Reward not found' };
+    }
+
+    const fields = this.pickEditableFields(input);
+    const problem = this.merchantProblem(fields.merchantId);
+
+    if (problem) {
+      return { success: false, error: problem };
+    }
+
+    // Full replacement: editable fields left out of input are cleared
+    const managedFields = { ...existing };
+    EDITABLE_FIELDS.forEach(field => delete managedFields[field]);
+
+    const reward = {
+      ...managedFields,
+      ...fields,
+      updatedAt: new Date().toISOString(),
+      updatedBy: actorId
+    };
+
+    this.rewards.set(rewardId, reward);
+
+    return {
+      success: true,
+      data: reward
+    };
+  }
+
+  /**
+   * Take a reward out of the catalog; past redemptions keep pointing at it
+   */
+  retireReward(rewardId, actorId) {
+    const existing = this.rewards.get(rewardId);
+
+    if (!existing || existing.status === 'retired') {
+      return { success: false, error: 'Reward not found' };
+    }
+
+    const reward = {
+      ...existing,
+      status: 'retired',
+      updatedAt: new Date().toISOString(),
+      updatedBy: actorId
+    };
+
+    this.rewards.set(rewardId, reward);
+
+    return {
+      success: true,
+      data: reward
+    };
+  }
+
+  getReward(rewardId) {
+    return this.rewards.get(rewardId) || null;
+  }
+
+  /**
+   * Rewards in catalog order, optionally narrowed to one merchant's offers
+   */
+  listRewards(filters = {}) {
+    const { merchantId, includeRetired = false } = filters;
+
+    return this.rewards.values()
+      .filter(reward =>
+        (includeRetired || reward.status === 'active') &&
+        (!merchantId || reward.merchantId === merchantId)
+      )
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Units left, or null when the reward has no stock limit
+   */
+  remainingStock(reward) {
+    return reward.stock === null || reward.stock === undefined ? null : Math.max(reward.stock - reward.claimed, 0);
+  }
+
+  /**
+   * Claim units for a redemption; false if there are not enough left
+   */
+  reserveStock(rewardId, quantity) {
+    const reward = this.rewards.get(rewardId);
+    const remaining = reward ? this.remainingStock(reward) : 0;
+
+    if (!reward || (remaining !== null && remaining < quantity)) {
+      return false;
+    }
+
+    this.rewards.set(rewardId, { ...reward, claimed: reward.claimed + quantity });
+    return true;
+  }
+
+  /**
+   * Give back units claimed by a redemption that was refunded
+   */
+  releaseStock(rewardId, quantity) {
+    const reward = this.rewards.get(rewardId);
+    if (!reward) return;
+
+    this.rewards.set(rewardId, { ...reward, claimed: Math.max(reward.claimed - quantity, 0) });
+  }
+
+  isActiveAt(reward, date = new Date()) {
+    return (!reward.startsAt || new Date(reward.startsAt) <= date) &&
+      (!reward.endsAt || date < new Date(reward.endsAt));
+  }
+
+  /**
+   * Whether a reader in this zip code can see the offer; untargeted offers are city-wide
+   */
+  isAvailableIn(reward, zipCode) {
+    return reward.zipCodes.length === 0 || (Boolean(zipCode) && reward.zipCodes.includes(zipCode));
+  }
+
+  createMerchant(input, actorId) {
+    const now = new Date().toISOString();
+    const merchant = {
+      id: `merchant_${crypto.randomUUID()}`,
+      ...this.pickMerchantFields(input),
+      createdAt: now,
+      createdBy: actorId,
+      updatedAt: now,
+      updatedBy: actorId
+    };
+
+    this.merchants.set(merchant.id, merchant);
+
+    return {
+      success: true,
+      data: merchant
+    };
+  }
+
+  updateMerchant(merchantId, input, actorId) {
+    const existing = this.merchants.get(merchantId);
+
+    if (!existing) {
+      return { success: false, error: 'Merchant not found' };
+    }
+
+    const merchant = {
+      ...existing,
+      ...this.pickMerchantFields({ ...existing, ...input }),
+      updatedAt: new Date().toISOString(),
+      updatedBy: actorId
+    };
+
+    this.merchants.set(merchantId, merchant);
+
+    return {
+      success: true,
+      data: merchant
+    };
+  }
+
+  getMerchant(merchantId) {
+    return this.merchants.get(merchantId) || null;
+  }
+
+  listMerchants() {
+    return this.merchants.values().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Active merchant accounts this user staffs
+   */
+  merchantsForUser(userId) {
+    return this.merchants.values().filter(merchant => merchant.status === 'active' && merchant.memberIds.includes(userId));
+  }
+
+  /**
+   * Why merchant staff may not publish this offer, or null when they may
+   */
+  merchantOfferProblem(input, merchantIds) {
+    if (!MERCHANT_OFFER_CATEGORIES.includes(input.category)) {
+      return `Merchants can only publish ${MERCHANT_OFFER_CATEGORIES.join(', ')} offers`;
+    }
+    if (!merchantIds.includes(input.merchantId)) {
+      return 'You can only add offers for merchants you belong to';
+    }
+    return null;
+  }
+
+  merchantProblem(merchantId) {
+    if (!merchantId) return null;
+
+    const merchant = this.merchants.get(merchantId);
+    if (!merchant) return 'Merchant not found';
+    if (merchant.status !== 'active') return 'Merchant account is suspended';
+    return null;
+  }
+
+  pickEditableFields(input) {
+    const fields = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (input[field] !== undefined) fields[field] = input[field];
+    });
+
+    fields.description = fields.description || '';
+    fields.icon = fields.icon || 'gift';
+    fields.merchantId = fields.merchantId || null;
+    fields.stock = fields.stock ?? null;
+    fields.perUserLimit = fields.perUserLimit ?? null;
+    fields.startsAt = fields.startsAt || null;
+    fields.endsAt = fields.endsAt || null;
+    fields.zipCodes = fields.zipCodes || [];
+    return fields;
+  }
+
+  pickMerchantFields(input) {
+    const fields = {};
+    MERCHANT_FIELDS.forEach(field => {
+      if (input[field] !== undefined) fields[field] = input[field];
+    });
+
+    fields.contactEmail = fields.contactEmail || null;
+    fields.memberIds = fields.memberIds || [];
+    fields.status = fields.status || 'active';
+    return fields;
+  }
+}
@@ -1,9 +1,38 @@
 /**
  * RewardMaster - Gamification engine for civic engagement
- * Handles XP→MetroPoints conversion, quiz scoring, and reward redemption
+ * Handles XP→MetroPoints conversion, quiz scoring, and reward redemption.
+ * Balances live in the double-entry Ledger; profiles keep a snapshot that reconcile() checks.
  */
+import crypto from 'crypto';
+import { Ledger, userAccount, systemAccount } from './Ledger.js';
+import { assertPartnerAdapter, createPartnerAdapters } from './PartnerAdapters.js';
+import { RewardCatalog } from './RewardCatalog.js';
+import { VoucherService } from './VoucherService.js';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+const IDEMPOTENCY_CONFLICT = 'Idempotency key already used for a different request';
+
+// Where a redemption can go next. Points are spent on reserve and returned on refund;
+// 'failed' is only a resting state when nothing was reserved.
+export const REDEMPTION_TRANSITIONS = {
+  requested: ['reserved', 'failed'],
+  reserved: ['fulfilled', 'failed'],
+  failed: ['refunded'],
+  fulfilled: [],
+  refunded: []
+};
+
+export const REDEMPTION_RETRY = {
+  maxAttempts: 3,
+  baseDelayMs: 500
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 export class RewardMaster {
-  constructor() {
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
     this.XP_TO_METROPOINTS_RATIO = 100; // 100 XP = 1 MetroPoint
     this.FRAUD_DETECTION_WINDOW = 24 * 60 * 60 * 1000; // 24 hours in ms
     
@@ -19,20 +48,35 @@ export class RewardMaster {
       streak_bonus: 25
     };
 
-    // Mock user data store (would be database in production)
-    this.userProfiles = new Map();
-    this.transactionHistory = [];
-    this.pledgeHistory = [];
+    this.ledger = options.ledger || new Ledger({ storage });
+    this.catalog = options.catalog || new RewardCatalog({ storage });
+    this.vouchers = options.vouchers || new VoucherService({ storage });
+
+    // Stored onboarding profiles, for the zip code that neighborhood offers target
+    this.profileService = options.profileService || null;
+
+    // User data store (in-memory or SQLite depending on the storage driver)
+    this.userProfiles = storage.collection('rewardMaster.userProfiles');
+    this.pledgeHistory = storage.collection('rewardMaster.pledges');
+    this.redemptions = storage.collection('rewardMaster.redemptions');
+    this.redemptionRetry = { ...REDEMPTION_RETRY, ...options.redemptionRetry };
+
+    // Redemption id -> promise of the partner calls still running for it
+    this.inFlight = new Map();
     
-    // Mock OMNY and merchant integrations
-    this.omnyService = new MockOMNYService();
-    this.merchantService = new MockMerchantService();
+    // OMNY and merchant integrations (see PartnerAdapters for the contract)
+    const partners = { ...createPartnerAdapters(), ...options.partners };
+    this.partners = {
+      omny: assertPartnerAdapter(partners.omny, 'omny'),
+      merchant: assertPartnerAdapter(partners.merchant, 'merchant')
+    };
   }
 
   /**
-   * Award XP for user actions and convert to MetroPoints
+   * Award XP for user actions and convert to MetroPoints.
+   * Retrying with the same idempotency key returns the original award instead of paying twice.
    */
-  async awardXP(userId, action, metadata = {}) {
+  async awardXP(userId, action, metadata = {}, options = {}) {
     try {
       const xpAmount = this.XP_REWARDS[action] || 0;
       
@@ -43,6 +87,24 @@ export class RewardMaster {
         };
       }
 
+      const idempotencyKey = options.idempotencyKey || `earn_${crypto.randomUUID()}`;
+      const previous = this.ledger.findByIdempotencyKey(idempotencyKey);
+
+      if (previous) {
+        if (previous.type !== 'earn' || previous.userId !== userId || previous.metadata.action !== action) {
+          return {
+            success: false,
+            error: IDEMPOTENCY_CONFLICT
+          };
+        }
+
+        return {
+          success: true,
+          data: this.awardSummary(userId, previous),
+          replayed: true
+        };
+      }
+
       // Fraud detection for duplicate actions
       if (await this.detectFraud(userId, action, metadata)) {
         return {
@@ -51,50 +113,43 @@ export class RewardMaster {
         };
       }
 
-      // Get or create user profile
-      const userProfile = this.getUserProfile(userId);
-      
-      // Award XP
-      userProfile.totalXP += xpAmount;
-      userProfile.currentXP += xpAmount;
-      
-      // Convert XP to MetroPoints
-      const newMetroPoints = Math.floor(userProfile.currentXP / this.XP_TO_METROPOINTS_RATIO);
-      const metroPointsEarned = newMetroPoints - userProfile.metroPoints;
-      
+      // Whole hundreds of unconverted XP become MetroPoints in the same entry
+      const xpAccount = userAccount(userId, 'XP');
+      const metroPointsEarned = Math.floor((this.ledger.getBalance(xpAccount) + xpAmount) / this.XP_TO_METROPOINTS_RATIO);
+      const convertedXP = metroPointsEarned * this.XP_TO_METROPOINTS_RATIO;
+
+      const postings = [
+        { account: systemAccount('earn', 'XP'), currency: 'XP', amount: -xpAmount },
+        { account: xpAccount, currency: 'XP', amount: xpAmount }
+      ];
+
       if (metroPointsEarned > 0) {
-        userProfile.metroPoints = newMetroPoints;
-        userProfile.currentXP = userProfile.currentXP % this.XP_TO_METROPOINTS_RATIO;
+        postings.push(
+          { account: xpAccount, currency: 'XP', amount: -convertedXP },
+          { account: systemAccount('earn', 'XP'), currency: 'XP', amount: convertedXP },
+          { account: systemAccount('earn', 'MP'), currency: 'MP', amount: -metroPointsEarned },
+          { account: userAccount(userId, 'MP'), currency: 'MP', amount: metroPointsEarned }
+        );
       }
 
-      // Record transaction
-      const transaction = {
-        id: `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        userId,
+      const posted = this.ledger.post({
         type: 'earn',
-        action,
-        xpAmount,
-        metroPointsEarned,
-        timestamp: new Date().toISOString(),
-        metadata
-      };
-      
-      this.transactionHistory.push(transaction);
-      userProfile.transactions.push(transaction);
+        userId,
+        idempotencyKey,
+        postings,
+        metadata: { ...metadata, action }
+      });
+
+      if (!posted.success) {
+        return posted;
+      }
 
-      // Update user profile
-      this.userProfiles.set(userId, userProfile);
+      this.syncProfile(userId);
 
       return {
         success: true,
-        data: {
-          xpEarned: xpAmount,
-          metroPointsEarned,
-          totalXP: userProfile.totalXP,
-          currentXP: userProfile.currentXP,
-          metroPoints: userProfile.metroPoints,
-          transaction
-        }
+        data: this.awardSummary(userId, posted.data),
+        replayed: false
       };
 
     } catch (error) {
@@ -107,7 +162,8 @@ export class RewardMaster {
   }
 
   /**
-   * Process quiz completion and award XP
+   * Process quiz completion and award XP. Awards are keyed by quiz attempt, so
+   * resubmitting the same attempt cannot pay out again.
    */
   async processQuizCompletion(userId, quizData) {
     try {
@@ -127,14 +183,14 @@ export class RewardMaster {
         score,
         timeSpent,
         questionsTotal: correctAnswers.length
-      });
+      }, { idempotencyKey: `quiz:${quizId}:${baseAction}` });
 
       let bonusReward = null;
       if (bonusAction && baseReward.success) {
         bonusReward = await this.awardXP(userId, bonusAction, {
           quizId,
           perfectScore: true
-        });
+        }, { idempotencyKey: `quiz:${quizId}:${bonusAction}` });
       }
 
       return {
@@ -165,7 +221,7 @@ export class RewardMaster {
       const { electionId, pledgeType, scheduledDate } = pledgeData;
       
       // Check for duplicate pledges within 24 hours
-      const recentPledge = this.pledgeHistory.find(pledge => 
+      const recentPledge = this.pledgeHistory.values().find(pledge => 
         pledge.userId === userId &&
         pledge.electionId === electionId &&
         Date.now() - new Date(pledge.timestamp).getTime() < this.FRAUD_DETECTION_WINDOW
@@ -189,14 +245,14 @@ export class RewardMaster {
         status: 'active'
       };
 
-      this.pledgeHistory.push(pledge);
+      this.pledgeHistory.append(pledge);
 
       // Award XP
       const reward = await this.awardXP(userId, 'vote_pledge', {
         electionId,
         pledgeType,
         pledgeId: pledge.id
-      });
+      }, { idempotencyKey: `vote_pledge:${pledge.id}` });
 
       return {
         success: true,
@@ -216,76 +272,137 @@ export class RewardMaster {
   }
 
   /**
-   * Redeem MetroPoints for rewards
+   * Redeem MetroPoints for rewards. The points are spent in the ledger (reserved) and the
+   * partner is called in the background; poll getRedemption for the outcome. A retried
+   * idempotency key returns the original redemption.
    */
-  async redeemReward(userId, rewardId, quantity = 1) {
+  async redeemReward(userId, rewardId, quantity = 1, options = {}) {
     try {
-      const userProfile = this.getUserProfile(userId);
-      const reward = this.getAvailableRewards().find(r => r.id === rewardId);
+      // A negative or fractional quantity would turn the spend into a credit or fail mid-post
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return {
+          success: false,
+          error: 'Quantity must be a positive integer'
+        };
+      }
+
+      // Client keys are scoped to the user so two users cannot collide. A retry replays the
+      // original redemption even if the reward has since been retired.
+      const idempotencyKey = `redeem:${userId}:${options.idempotencyKey || crypto.randomUUID()}`;
+      const existing = this.redemptions.values().find(redemption => redemption.idempotencyKey === idempotencyKey);
+
+      if (existing) {
+        if (existing.rewardId !== rewardId || existing.quantity !== quantity) {
+          return {
+            success: false,
+            error: IDEMPOTENCY_CONFLICT
+          };
+        }
+
+        return this.redemptionResult(existing, true);
+      }
+
+      const reward = this.catalog.getReward(rewardId);
       
-      if (!reward) {
+      if (!reward || reward.status !== 'active') {
         return {
           success: false,
           error: 'Reward not found'
         };
       }
 
+      const eligibility = this.getRewardEligibility(userId, reward, quantity);
+
+      if (!eligibility.eligible) {
+        return {
+          success: false,
+          error: eligibility.message,
+          reason: eligibility.reason
+        };
+      }
+
       const totalCost = reward.cost * quantity;
+      const available = this.ledger.getBalance(userAccount(userId, 'MP'));
       
-      if (userProfile.metroPoints < totalCost) {
+      if (available < totalCost) {
         return {
           success: false,
           error: 'Insufficient MetroPoints',
           required: totalCost,
-          available: userProfile.metroPoints
+          available
         };
       }
 
-      // Process redemption based on reward type
-      let redemptionResult;
-      
-      if (reward.category === 'transit') {
-        redemptionResult = await this.omnyService.addCredit(userId, reward.value * quantity);
-      } else if (reward.category === 'local') {
-        redemptionResult = await this.merchantService.generateVoucher(userId, reward, quantity);
-      } else {
-        redemptionResult = await this.processDigitalReward(userId, reward, quantity);
-      }
-
-      if (!redemptionResult.success) {
-        return redemptionResult;
-      }
-
-      // Deduct MetroPoints
-      userProfile.metroPoints -= totalCost;
-
-      // Record transaction
-      const transaction = {
-        id: `redeem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      const now = new Date().toISOString();
+      const redemption = {
+        id: `redeem_${crypto.randomUUID()}`,
         userId,
-        type: 'redeem',
         rewardId,
+        title: reward.title,
+        category: reward.category,
+        merchantId: reward.merchantId,
         quantity,
         cost: totalCost,
-        timestamp: new Date().toISOString(),
-        redemptionData: redemptionResult.data
+        status: 'requested',
+        idempotencyKey,
+        attempts: 0,
+        spendEntryId: null,
+        refundEntryId: null,
+        redemptionData: null,
+        error: null,
+        history: [{ status: 'requested', at: now }],
+        createdAt: now,
+        updatedAt: now
       };
+      this.redemptions.set(redemption.id, redemption);
 
-      this.transactionHistory.push(transaction);
-      userProfile.transactions.push(transaction);
-      userProfile.redemptions.push(transaction);
+      // Stock is claimed before the points so two last-unit redemptions cannot both reserve
+      if (!this.catalog.reserveStock(rewardId, quantity)) {
+        this.transitionRedemption(redemption, 'failed', { error: 'Out of stock' });
+        return {
+          success: false,
+          error: 'Out of stock',
+          reason: 'out_of_stock'
+        };
+      }
 
-      // Update user profile
-      this.userProfiles.set(userId, userProfile);
+      let spend;
+      try {
+        spend = this.ledger.post({
+          type: 'spend',
+          userId,
+          idempotencyKey,
+          postings: [
+            { account: userAccount(userId, 'MP'), currency: 'MP', amount: -totalCost },
+            { account: systemAccount('spend', 'MP'), currency: 'MP', amount: totalCost }
+          ],
+          metadata: { redemptionId: redemption.id, rewardId, quantity, category: reward.category }
+        });
+      } catch (error) {
+        // Nothing was spent, so give the stock back rather than leave it claimed
+        this.catalog.releaseStock(rewardId, quantity);
+        this.transitionRedemption(redemption, 'failed', { error: 'Failed to redeem reward' });
+        throw error;
+      }
 
-      return {
-        success: true,
-        data: {
-          transaction,
-          remainingPoints: userProfile.metroPoints,
-          redemptionDetails: redemptionResult.data
-        }
-      };
+      if (!spend.success) {
+        const error = spend.error === 'Insufficient balance' ? 'Insufficient MetroPoints' : spend.error;
+        this.catalog.releaseStock(rewardId, quantity);
+        this.transitionRedemption(redemption, 'failed', { error });
+
+        return {
+          success: false,
+          error,
+          required: totalCost,
+          available: spend.available
+        };
+      }
+
+      this.transitionRedemption(redemption, 'reserved', { spendEntryId: spend.data.id });
+      this.syncProfile(userId);
+      this.startFulfillment(redemption.id);
+
+      return this.redemptionResult(redemption, false);
 
     } catch (error) {
       console.error('Reward redemption error:', error);
@@ -296,8 +413,280 @@ export class RewardMaster {
     }
   }
 
+  getRedemption(redemptionId) {
+    return this.redemptions.get(redemptionId) || null;
+  }
+
+  /**
+   * Resolves once the redemption's partner calls have finished (immediately if none are running)
+   */
+  async waitForRedemption(redemptionId) {
+    await this.inFlight.get(redemptionId);
+    return this.getRedemption(redemptionId);
+  }
+
+  /**
+   * Pick up reservations whose partner calls never finished, e.g. after a restart
+   */
+  resumeRedemptions() {
+    const pending = this.redemptions.values().filter(redemption => redemption.status === 'reserved');
+    pending.forEach(redemption => this.startFulfillment(redemption.id));
+    return pending.length;
+  }
+
+  startFulfillment(redemptionId) {
+    if (this.inFlight.has(redemptionId)) return this.inFlight.get(redemptionId);
+
+    const fulfillment = this.fulfillRedemption(redemptionId)
+      .catch(error => console.error('Redemption fulfillment error:', error))
+      .finally(() => this.inFlight.delete(redemptionId));
+
+    this.inFlight.set(redemptionId, fulfillment);
+    return fulfillment;
+  }
+
+  /**
+   * Call the partner for a reserved redemption, retrying transient failures with backoff.
+   * A transient failure may still have gone through, so the partner's status is checked
+   * before each retry. A decline, or running out of attempts, fails the redemption and
+   * refunds its points.
+   */
+  async fulfillRedemption(redemptionId) {
+    const redemption = this.getRedemption(redemptionId);
+    if (!redemption || redemption.status !== 'reserved') return redemption;
+
+    const reward = this.catalog.getReward(redemption.rewardId);
+    const partner = this.partnerFor(reward);
+    const { maxAttempts, baseDelayMs } = this.redemptionRetry;
+    let result;
+
+    while (redemption.attempts < maxAttempts) {
+      if (redemption.attempts > 0) {
+        await sleep(baseDelayMs * 2 ** (redemption.attempts - 1));
+
+        const landed = await this.completedAtPartner(partner, redemption);
+        if (landed) {
+          result = landed;
+          break;
+        }
+      }
+
+      redemption.attempts++;
+      result = await this.callPartner(redemption, reward);
+
+      if (result.success || !result.retryable) break;
+
+      redemption.error = result.error;
+      redemption.updatedAt = new Date().toISOString();
+      this.redemptions.set(redemption.id, redemption);
+    }
+
+    if (!result.success && result.retryable) {
+      result = (await this.completedAtPartner(partner, redemption)) || result;
+    }
+
+    if (result.success) {
+      return this.transitionRedemption(redemption, 'fulfilled', { redemptionData: this.withVoucher(redemption, reward, result.data), error: null });
+    }
+
+    const reason = result.retryable
+      ? `${result.error} (gave up after ${redemption.attempts} attempts)`
+      : result.error;
+
+    // Cancel anything still in flight at the partner before the points go back
+    if (partner && result.retryable) {
+      await partner.void({ reference: redemption.id }).catch(() => null);
+    }
+
+    this.transitionRedemption(redemption, 'failed', { error: reason });
+    return this.refundRedemption(redemption, reason);
+  }
+
+  /**
+   * Local offers are redeemed at the merchant with a signed voucher we issue once the partner accepts
+   */
+  withVoucher(redemption, reward, partnerData) {
+    if (reward.category !== 'local') return partnerData;
+
+    const voucher = this.vouchers.issue(redemption, reward);
+    return {
+      ...partnerData,
+      voucher: { id: voucher.id, code: voucher.code, expiresAt: voucher.expiresAt }
+    };
+  }
+
+  partnerFor(reward) {
+    if (reward.category === 'transit') return this.partners.omny;
+    if (reward.category === 'local') return this.partners.merchant;
+    return null;
+  }
+
+  /**
+   * The partner's record of an earlier attempt as a successful result, or null if it has none
+   */
+  async completedAtPartner(partner, redemption) {
+    if (!partner) return null;
+
+    try {
+      const status = await partner.status({ reference: redemption.id });
+      return status.success && status.data?.state === 'completed' ? { success: true, data: status.data } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * One partner call by reward type, keyed by the redemption id. Thrown errors and results
+   * marked retryable are transient; any other unsuccessful result is a permanent decline.
+   */
+  async callPartner(redemption, reward) {
+    const { id: reference, userId, quantity } = redemption;
+
+    try {
+      let result;
+      if (reward.category === 'transit') {
+        result = await this.partners.omny.credit({ reference, userId, amount: reward.value * quantity });
+      } else if (reward.category === 'local') {
+        result = await this.partners.merchant.issueVoucher({ reference, userId, reward, quantity });
+      } else {
+        result = await this.processDigitalReward(userId, reward, quantity);
+      }
+
+      return result.success
+        ? result
+        : { ...result, error: result.error || 'Partner declined the redemption', retryable: Boolean(result.retryable) };
+    } catch (error) {
+      return { success: false, error: error.message || 'Partner request failed', retryable: true };
+    }
+  }
+
+  assertTransition(redemption, status) {
+    if (!REDEMPTION_TRANSITIONS[redemption.status].includes(status)) {
+      throw new Error(`Redemption ${redemption.id} cannot move from ${redemption.status} to ${status}`);
+    }
+  }
+
+  transitionRedemption(redemption, status, changes = {}) {
+    this.assertTransition(redemption, status);
+
+    const now = new Date().toISOString();
+    Object.assign(redemption, changes, { status, updatedAt: now });
+    redemption.history.push({ status, at: now, ...(changes.error ? { error: changes.error } : {}) });
+    this.redemptions.set(redemption.id, redemption);
+
+    return redemption;
+  }
+
+  /**
+   * Return a failed redemption's points with a refund entry that reverses its spend
+   */
+  refundRedemption(redemption, reason) {
+    this.assertTransition(redemption, 'refunded');
+
+    const refund = this.ledger.post({
+      type: 'refund',
+      userId: redemption.userId,
+      idempotencyKey: `${redemption.idempotencyKey}:refund`,
+      postings: [
+        { account: systemAccount('refund', 'MP'), currency: 'MP', amount: -redemption.cost },
+        { account: userAccount(redemption.userId, 'MP'), currency: 'MP', amount: redemption.cost }
+      ],
+      metadata: { redemptionId: redemption.id, rewardId: redemption.rewardId, reason },
+      reverses: redemption.spendEntryId
+    });
+
+    this.transitionRedemption(redemption, 'refunded', { refundEntryId: refund.data.id });
+    this.catalog.releaseStock(redemption.rewardId, redemption.quantity);
+    this.syncProfile(redemption.userId);
+
+    return redemption;
+  }
+
+  /**
+   * Admin correction ('adjust', either direction) or expiry ('expire', debit only) of a
+   * user's XP and MetroPoints, posted against the matching system account
+   */
+  async postAdjustment(userId, { type = 'adjust', xp = 0, metroPoints = 0, reason, actorId, idempotencyKey }) {
+    if (!idempotencyKey) {
+      return { success: false, error: 'Idempotency key is required' };
+    }
+    if (!['adjust', 'expire'].includes(type)) {
+      return { success: false, error: 'Adjustment type must be adjust or expire' };
+    }
+    if (!Number.isInteger(xp) || !Number.isInteger(metroPoints) || (xp === 0 && metroPoints === 0)) {
+      return { success: false, error: 'xp or metroPoints must be a non-zero integer' };
+    }
+    if (type === 'expire' && (xp > 0 || metroPoints > 0)) {
+      return { success: false, error: 'Expiries can only remove points' };
+    }
+
+    const postings = [['XP', xp], ['MP', metroPoints]]
+      .filter(([, amount]) => amount !== 0)
+      .flatMap(([currency, amount]) => [
+        { account: userAccount(userId, currency), currency, amount },
+        { account: systemAccount(type, currency), currency, amount: -amount }
+      ]);
+
+    const posted = this.ledger.post({
+      type,
+      userId,
+      idempotencyKey: `${type}:${idempotencyKey}`,
+      postings,
+      metadata: { reason, actorId }
+    });
+
+    if (!posted.success) {
+      return posted;
+    }
+
+    this.syncProfile(userId);
+
+    return {
+      success: true,
+      data: {
+        transaction: this.toTransaction(posted.data),
+        balances: this.ledger.getUserBalances(userId)
+      },
+      replayed: posted.replayed
+    };
+  }
+
+  /**
+   * Compare every profile's stored balances with the ledger. Drift means the snapshot was
+   * written outside the ledger (for example balances kept from before it existed) and
+   * needs an adjustment entry.
+   */
+  reconcile() {
+    const ledger = this.ledger.verify();
+    const userIds = new Set([
+      ...this.userProfiles.keys(),
+      ...this.ledger.entries.values().map(entry => entry.userId).filter(Boolean)
+    ]);
+
+    const drift = [];
+    userIds.forEach(userId => {
+      const recorded = this.userProfiles.get(userId) || {};
+      const derived = this.ledger.getUserBalances(userId);
+
+      ['totalXP', 'currentXP', 'metroPoints'].forEach(field => {
+        const stored = recorded[field] || 0;
+        if (stored !== derived[field]) {
+          drift.push({ userId, field, recorded: stored, ledger: derived[field], difference: stored - derived[field] });
+        }
+      });
+    });
+
+    return {
+      checkedAt: new Date().toISOString(),
+      users: userIds.size,
+      ledger,
+      drift,
+      ok: ledger.balanced && ledger.missingKeys.length === 0 && drift.length === 0
+    };
+  }
+
   /**
-   * Get user profile with XP and MetroPoints balance
+   * Get user profile with XP and MetroPoints balance derived from the ledger
    */
   getUserProfile(userId) {
     if (!this.userProfiles.has(userId)) {
@@ -306,91 +695,178 @@ export class RewardMaster {
         totalXP: 0,
         currentXP: 0,
         metroPoints: 0,
-        level: 1,
-        transactions: [],
-        redemptions: [],
         badges: [],
         createdAt: new Date().toISOString()
       });
     }
     
-    const profile = this.userProfiles.get(userId);
-    
-    // Calculate level based on total XP
-    profile.level = Math.floor(profile.totalXP / 500) + 1;
+    const balances = this.ledger.getUserBalances(userId);
     
-    return profile;
+    return {
+      ...this.userProfiles.get(userId),
+      ...balances,
+      // Calculate level based on total XP
+      level: Math.floor(balances.totalXP / 500) + 1,
+      transactions: this.ledger.listUserEntries(userId).map(entry => this.toTransaction(entry)),
+      redemptions: this.getUserRedemptions(userId)
+    };
+  }
+
+  getUserRedemptions(userId) {
+    return this.redemptions.values()
+      .filter(redemption => redemption.userId === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
   }
 
   /**
-   * Get available rewards catalog
+   * Write the ledger-derived balances onto the stored profile
    */
-  getAvailableRewards() {
-    return [
-      {
-        id: 'omny_5',
-        title: 'OMNY Credit - $5',
-        description: '$5 MetroCard credit for subway and bus',
-        cost: 5,
-        value: 5,
-        category: 'transit',
-        icon: 'train',
-        available: true
-      },
-      {
-        id: 'omny_10',
-        title: 'OMNY Credit - $10',
-        description: '$10 MetroCard credit for subway and bus',
-        cost: 10,
-        value: 10,
-        category: 'transit',
-        icon: 'train',
-        available: true
-      },
-      {
-        id: 'coffee_discount',
-        title: 'Local Coffee Discount',
-        description: '20% off at participating NYC cafes',
-        cost: 3,
-        value: 0.2,
-        category: 'local',
-        icon: 'coffee',
-        available: true,
-        validDays: 30
-      },
-      {
-        id: 'restaurant_discount',
-        title: 'Restaurant Discount',
-        description: '15% off at local restaurants',
-        cost: 4,
-        value: 0.15,
-        category: 'local',
-        icon: 'utensils',
-        available: true,
-        validDays: 30
-      },
-      {
-        id: 'xp_boost',
-        title: 'XP Boost Weekend',
-        description: 'Double XP for 48 hours',
-        cost: 2,
-        value: 2,
-        category: 'boost',
-        icon: 'zap',
-        available: true,
-        duration: 48
-      }
+  syncProfile(userId) {
+    const stored = this.userProfiles.get(userId) || {
+      userId,
+      badges: [],
+      createdAt: new Date().toISOString()
+    };
+
+    this.userProfiles.set(userId, {
+      ...stored,
+      ...this.ledger.getUserBalances(userId),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get available rewards catalog: active offers that have not ended, with remaining stock,
+   * plus whether this user can redeem each one when a user is given
+   */
+  getAvailableRewards(userId = null) {
+    const now = new Date();
+
+    return this.catalog.listRewards()
+      .filter(reward => !reward.endsAt || now < new Date(reward.endsAt))
+      .map(reward => {
+        const merchant = reward.merchantId ? this.catalog.getMerchant(reward.merchantId) : null;
+        const remainingStock = this.catalog.remainingStock(reward);
+        const eligibility = userId ? this.getRewardEligibility(userId, reward) : null;
+
+        return {
+          ...reward,
+          merchantName: merchant?.name || null,
+          remainingStock,
+          available: this.catalog.isActiveAt(reward, now) && remainingStock !== 0 && merchant?.status !== 'suspended',
+          ...(eligibility ? { eligibility } : {})
+        };
+      });
+  }
+
+  /**
+   * Whether the user may redeem `quantity` of a reward right now, ignoring their balance.
+   * Returns { eligible, reason, message, redeemedByUser }; reason is null when eligible.
+   */
+  getRewardEligibility(userId, reward, quantity = 1) {
+    const now = new Date();
+    const merchant = reward.merchantId ? this.catalog.getMerchant(reward.merchantId) : null;
+    const remainingStock = this.catalog.remainingStock(reward);
+    const zipCode = this.profileService?.getProfile(userId)?.preferences?.zipCode || null;
+
+    // Redemptions that still hold their units count towards the cap
+    const redeemedByUser = this.redemptions.values()
+      .filter(redemption => redemption.userId === userId && redemption.rewardId === reward.id && !['failed', 'refunded'].includes(redemption.status))
+      .reduce((total, redemption) => total + redemption.quantity, 0);
+
+    const checks = [
+      [reward.status !== 'active', 'retired', 'This reward is no longer offered'],
+      [merchant && merchant.status !== 'active', 'merchant_unavailable', 'This merchant is not accepting redemptions'],
+      [reward.startsAt && now < new Date(reward.startsAt), 'not_started', `Available from ${reward.startsAt}`],
+      [reward.endsAt && now >= new Date(reward.endsAt), 'ended', 'This offer has ended'],
+      [remainingStock !== null && remainingStock < quantity, 'out_of_stock', 'Out of stock'],
+      [!this.catalog.isAvailableIn(reward, zipCode), 'outside_area', zipCode ? 'Not offered in your neighborhood' : 'Add your zip code to see if this offer covers your neighborhood'],
+      [reward.perUserLimit !== null && redeemedByUser + quantity > reward.perUserLimit, 'user_limit_reached', `Limit of ${reward.perUserLimit} per person reached`]
     ];
+
+    const failed = checks.find(([applies]) => applies);
+
+    return {
+      eligible: !failed,
+      reason: failed ? failed[1] : null,
+      message: failed ? failed[2] : null,
+      redeemedByUser
+    };
   }
 
   /**
    * Get user transaction history
    */
   getUserTransactions(userId, limit = 20) {
-    const userProfile = this.getUserProfile(userId);
-    return userProfile.transactions
-      .sort((a, b) => new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime())
-      .slice(0, limit);
+    return this.ledger.listUserEntries(userId, limit).map(entry => this.toTransaction(entry));
+  }
+
+  /**
+   * A ledger entry as the user sees it: what moved in and out of their own accounts
+   */
+  toTransaction(entry) {
+    const { action, ...metadata } = entry.metadata || {};
+    const own = (currency) => entry.postings.filter(posting => posting.account === userAccount(entry.userId, currency));
+    const sum = (postings) => postings.reduce((total, posting) => total + posting.amount, 0);
+    const net = (currency) => sum(own(currency));
+
+    return {
+      id: entry.id,
+      userId: entry.userId,
+      type: entry.type,
+      action: action || null,
+      xpAmount: sum(own('XP').filter(posting => posting.amount > 0)),
+      metroPointsEarned: Math.max(net('MP'), 0),
+      xpChange: net('XP'),
+      metroPointsChange: net('MP'),
+      rewardId: metadata.rewardId || null,
+      quantity: metadata.quantity || null,
+      cost: entry.type === 'spend' ? -net('MP') : null,
+      category: metadata.category || null,
+      reason: metadata.reason || null,
+      reverses: entry.reverses,
+      timestamp: entry.createdAt,
+      metadata
+    };
+  }
+
+  awardSummary(userId, entry) {
+    const transaction = this.toTransaction(entry);
+    const balances = this.ledger.getUserBalances(userId);
+
+    return {
+      xpEarned: transaction.xpAmount,
+      metroPointsEarned: transaction.metroPointsEarned,
+      totalXP: balances.totalXP,
+      currentXP: balances.currentXP,
+      metroPoints: balances.metroPoints,
+      transaction
+    };
+  }
+
+  redemptionResult(redemption, replayed) {
+    // Nothing was reserved, so there is no redemption to poll
+    if (redemption.status === 'failed' && !redemption.spendEntryId) {
+      return {
+        success: false,
+        error: redemption.error,
+        redemption,
+        replayed
+      };
+    }
+
+    const spend = redemption.spendEntryId ? this.ledger.getEntry(redemption.spendEntryId) : null;
+
+    return {
+      success: true,
+      data: {
+        transaction: spend ? this.toTransaction(spend) : null,
+        redemption,
+        remainingPoints: this.ledger.getBalance(userAccount(redemption.userId, 'MP')),
+        redemptionDetails: redemption.redemptionData
+      },
+      replayed
+    };
   }
 
   /**
@@ -413,10 +889,10 @@ export class RewardMaster {
 
   async detectFraud(userId, action, metadata) {
     // Simple fraud detection - check for duplicate actions within time window
-    const recentTransactions = this.transactionHistory.filter(txn =>
-      txn.userId === userId &&
-      txn.action === action &&
-      Date.now() - new Date(txn.timestamp).getTime() < this.FRAUD_DETECTION_WINDOW
+    const recentTransactions = this.ledger.listUserEntries(userId).filter(entry =>
+      entry.type === 'earn' &&
+      entry.metadata.action === action &&
+      Date.now() - new Date(entry.createdAt).getTime() < this.FRAUD_DETECTION_WINDOW
     );
 
     // Special handling for vote pledges
@@ -426,6 +902,13 @@ export class RewardMaster {
       );
     }
 
+    // Each verified flag pays out once
+    if (action === 'flag_verified' && metadata.flagId) {
+      return recentTransactions.some(txn =>
+        txn.metadata?.flagId === metadata.flagId
+      );
+    }
+
     // General duplicate detection
     return recentTransactions.length > 0;
   }
@@ -446,43 +929,3 @@ export class RewardMaster {
     };
   }
 }
-
-/**
- * Mock OMNY Service Integration
- */
-class MockOMNYService {
-  async addCredit(userId, amount) {
-    // Mock OMNY API integration
-    return {
-      success: true,
-      data: {
-        transactionId: `omny_${Date.now()}`,
-        userId,
-        creditAmount: amount,
-        newBalance: amount, // Mock balance
-        processedAt: new Date().toISOString()
-      }
-    };
-  }
-}
-
-/**
- * Mock Merchant Service Integration
- */
-class MockMerchantService {
-  async generateVoucher(userId, reward, quantity) {
-    // Mock merchant API integration
-    return {
-      success: true,
-      data: {
-        voucherId: `voucher_${Date.now()}`,
-        userId,
-        rewardId: reward.id,
-        discountPercent: reward.value,
-        quantity,
-        validUntil: new Date(Date.now() + (reward.validDays || 30) * 24 * 60 * 60 * 1000).toISOString(),
-        qrCode: `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=voucher_${Date.now()}`
-      }
-    };
-  }
-}
\ No newline at end of file
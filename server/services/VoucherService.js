@@ -0,0 +1,164 @@
+/**
+ * VoucherService - Signed, single-use voucher codes for local merchant rewards.
+ *
+ * A code is `<voucherId>.<expiry in epoch seconds>.<HMAC-SHA256 signature>`, so forged or
+ * edited codes are rejected before any lookup. Redemption state lives server-side: each
+ * voucher can be redeemed once, by staff of the merchant that owns the offer.
+ */
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+export const VOUCHER_STATUSES = ['issued', 'redeemed'];
+
+// Why a code was not accepted, in the order they are checked
+export const VOUCHER_REJECTIONS = ['invalid', 'not_found', 'wrong_merchant', 'expired', 'already_redeemed'];
+
+// Used when the reward does not set validDays
+export const DEFAULT_VOUCHER_VALID_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REJECTION_MESSAGES = {
+  invalid: 'This is not a valid voucher code',
+  not_found: 'Voucher not found',
+  wrong_merchant: 'This voucher belongs to a different merchant',
+  expired: 'This voucher has expired',
+  already_redeemed: 'This voucher has already been redeemed'
+};
+
+export class VoucherService {
+  /**
+   * @param {object} options
+   * @param {string} options.signingSecret - HMAC secret; a per-process secret is generated without one
+   */
+  constructor(options = {}) {
+    const storage = options.storage || new MemoryDriver();
+
+    this.vouchers = storage.collection('vouchers');
+    // Redemption id -> voucher id, so a resumed fulfillment does not issue twice
+    this.byRedemption = storage.collection('vouchers.redemptions');
+    this.signingSecret = options.signingSecret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Issue the voucher for a fulfilled redemption; repeat calls return the same voucher
+   */
+  issue(redemption, reward) {
+    const existingId = this.byRedemption.get(redemption.id);
+    if (existingId) {
+      return this.vouchers.get(existingId);
+    }
+
+    const issuedAt = new Date();
+    const validDays = reward.validDays || DEFAULT_VOUCHER_VALID_DAYS;
+    const id = crypto.randomBytes(16).toString('base64url');
+    const expiresAt = new Date(issuedAt.getTime() + validDays * DAY_MS);
+    const expiry = Math.floor(expiresAt.getTime() / 1000);
+
+    const voucher = {
+      id,
+      code: `${id}.${expiry}.${this.sign(id, expiry)}`,
+      redemptionId: redemption.id,
+      userId: redemption.userId,
+      rewardId: reward.id,
+      rewardTitle: reward.title,
+      merchantId: reward.merchantId,
+      value: reward.value,
+      quantity: redemption.quantity,
+      status: 'issued',
+      issuedAt: issuedAt.toISOString(),
+      expiresAt: new Date(expiry * 1000).toISOString(),
+      redeemedAt: null,
+      redeemedBy: null
+    };
+
+    this.vouchers.set(id, voucher);
+    this.byRedemption.set(redemption.id, id);
+
+    return voucher;
+  }
+
+  getVoucher(voucherId) {
+    return this.vouchers.get(voucherId) || null;
+  }
+
+  /**
+   * A user's vouchers, newest first
+   */
+  listUserVouchers(userId) {
+    return this.vouchers.values()
+      .filter(voucher => voucher.userId === userId)
+      .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+  }
+
+  /**
+   * Check a scanned code for a merchant without using it up.
+   * Returns { valid, reason, message, voucher }; voucher is null when the code is not ours.
+   */
+  verify(code, merchantIds, now = new Date()) {
+    const parsed = this.parseCode(code);
+    if (!parsed) return this.rejection('invalid', null);
+
+    const voucher = this.vouchers.get(parsed.id);
+    if (!voucher) return this.rejection('not_found', null);
+    if (!merchantIds.includes(voucher.merchantId)) return this.rejection('wrong_merchant', null);
+    if (now.getTime() >= parsed.expiry * 1000) return this.rejection('expired', voucher);
+    if (voucher.status === 'redeemed') return this.rejection('already_redeemed', voucher);
+
+    return { valid: true, reason: null, message: null, voucher };
+  }
+
+  /**
+   * Use up a voucher at the counter; fails the same way verify does
+   */
+  redeem(code, merchantIds, actorId) {
+    const check = this.verify(code, merchantIds);
+    if (!check.valid) return check;
+
+    const voucher = {
+      ...check.voucher,
+      status: 'redeemed',
+      redeemedAt: new Date().toISOString(),
+      redeemedBy: actorId
+    };
+    this.vouchers.set(voucher.id, voucher);
+
+    return { ...check, voucher };
+  }
+
+  /**
+   * The code as an SVG QR image data URL, rendered locally
+   */
+  async renderQrCode(code) {
+    const svg = await QRCode.toString(code, { type: 'svg', errorCorrectionLevel: 'M', margin: 1 });
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+  }
+
+  /**
+   * { id, expiry } for a well-formed code with a valid signature, otherwise null
+   */
+  parseCode(code) {
+    const parts = typeof code === 'string' ? code.trim().split('.') : [];
+    if (parts.length !== 3 || !/^\d+$/.test(parts[1])) return null;
+
+    const [id, expiryText, signature] = parts;
+    const expiry = parseInt(expiryText, 10);
+    const expected = Buffer.from(this.sign(id, expiry));
+    const given = Buffer.from(signature);
+
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return null;
+    }
+
+    return { id, expiry };
+  }
+
+  sign(id, expiry) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${id}.${expiry}`).digest('base64url');
+  }
+
+  rejection(reason, voucher) {
+    return { valid: false, reason, message: REJECTION_MESSAGES[reason], voucher };
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * MemoryDriver - In-process storage driver
+ * Keeps every collection in a Map; contents are lost when the process exits
+ */
+export class MemoryDriver {
+  constructor() {
+    this.name = 'memory';
+    this.collections = new Map();
+  }
+
+  /**
+   * Get (or create) a named collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryRepository(name));
+    }
+
+    return this.collections.get(name);
+  }
+
+  close() {
+    // Nothing to release for in-memory storage
+  }
+}
+
+/**
+ * Map-backed repository. Values are stored by reference, so callers
+ * must still call set() after mutating a record to stay driver-agnostic.
+ */
+class MemoryRepository {
+  constructor(name) {
+    this.name = name;
+    this.records = new Map();
+  }
+
+  get(key) {
+    return this.records.get(key);
+  }
+
+  set(key, value) {
+    this.records.set(key, value);
+    return this;
+  }
+
+  has(key) {
+    return this.records.has(key);
+  }
+
+  delete(key) {
+    return this.records.delete(key);
+  }
+
+  /**
+   * Store a record under its own id (for append-only logs)
+   */
+  append(record) {
+    this.records.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * Most recently inserted record
+   */
+  last() {
+    const values = this.values();
+    return values[values.length - 1];
+  }
+
+  keys() {
+    return Array.from(this.records.keys());
+  }
+
+  values() {
+    return Array.from(this.records.values());
+  }
+
+  entries() {
+    return Array.from(this.records.entries());
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  clear() {
+    this.records.clear();
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * SqliteDriver - File-backed storage driver
+ * Persists every collection as JSON records in a single SQLite database
+ */
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+export class SqliteDriver {
+  constructor(filePath) {
+    this.name = 'sqlite';
+    this.filePath = filePath;
+    this.collections = new Map();
+
+    if (filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+
+    // Insertion order is preserved through seq so logs read back in order
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        UNIQUE (collection, key)
+      )
+    `);
+  }
+
+  /**
+   * Get (or create) a named collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new SqliteRepository(this.db, name));
+    }
+
+    return this.collections.get(name);
+  }
+
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+/**
+ * SQLite-backed repository with the same surface as MemoryRepository.
+ * Reads return fresh copies, so mutations must be written back with set().
+ */
+class SqliteRepository {
+  constructor(db, name) {
+    this.name = name;
+    this.statements = {
+      get: db.prepare('SELECT value FROM records WHERE collection = ? AND key = ?'),
+      set: db.prepare(`
+        INSERT INTO records (collection, key, value) VALUES (?, ?, ?)
+        ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value
+      `),
+      delete: db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+      last: db.prepare('SELECT value FROM records WHERE collection = ? ORDER BY seq DESC LIMIT 1'),
+      all: db.prepare('SELECT key, value FROM records WHERE collection = ? ORDER BY seq'),
+      count: db.prepare('SELECT COUNT(*) AS count FROM records WHERE collection = ?'),
+      clear: db.prepare('DELETE FROM records WHERE collection = ?')
+    };
+  }
+
+  get(key) {
+    const row = this.statements.get.get(this.name, String(key));
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  set(key, value) {
+    this.statements.set.run(this.name, String(key), JSON.stringify(value));
+    return this;
+  }
+
+  has(key) {
+    return this.statements.get.get(this.name, String(key)) !== undefined;
+  }
+
+  delete(key) {
+    return this.statements.delete.run(this.name, String(key)).changes > 0;
+  }
+
+  /**
+   * Store a record under its own id (for append-only logs)
+   */
+  append(record) {
+    this.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * Most recently inserted record
+   */
+  last() {
+    const row = this.statements.last.get(this.name);
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  keys() {
+    return this.statements.all.all(this.name).map(row => row.key);
+  }
+
+  values() {
+    return this.statements.all.all(this.name).map(row => JSON.parse(row.value));
+  }
+
+  entries() {
+    return this.statements.all.all(this.name).map(row => [row.key, JSON.parse(row.value)]);
+  }
+
+  get size() {
+    return this.statements.count.get(this.name).count;
+  }
+
+  clear() {
+    this.statements.clear.run(this.name);
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Storage - Driver selection for service persistence
+ * STORAGE_DRIVER=memory (default) or sqlite; STORAGE_PATH sets the SQLite file
+ */
+import { MemoryDriver } from './MemoryDriver.js';
+import { SqliteDriver } from './SqliteDriver.js';
+
+export const DEFAULT_SQLITE_PATH = './data/civvy.db';
+
+export function createStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'memory';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryDriver();
+    case 'sqlite':
+      return new SqliteDriver(options.path || process.env.STORAGE_PATH || DEFAULT_SQLITE_PATH);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+export { MemoryDriver, SqliteDriver };
@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AnalysisCache } from '../services/AnalysisCache.js';
+
+const key = { contentHash: 'hash_a', factVersion: 3, relatedKey: 'related_a' };
+
+describe('AnalysisCache', () => {
+  let analysisCache;
+
+  beforeEach(() => {
+    analysisCache = new AnalysisCache();
+  });
+
+  it('should return the analysis only while every key part matches', () => {
+    const analysis = { contradictions: [], factChecks: [] };
+    analysisCache.set('content_1', key, analysis);
+
+    expect(analysisCache.get('content_1', key)).toBe(analysis);
+    expect(analysisCache.get('content_1', { ...key, contentHash: 'hash_b' })).toBeNull();
+    expect(analysisCache.get('content_1', { ...key, factVersion: 4 })).toBeNull();
+    expect(analysisCache.get('content_1', { ...key, relatedKey: 'related_b' })).toBeNull();
+    expect(analysisCache.get('content_2', key)).toBeNull();
+
+    expect(analysisCache.getStats()).toMatchObject({
+      entries: 1,
+      hits: 1,
+      misses: 4,
+      hitRate: 0.2,
+      missesByReason: { cold: 1, content_changed: 1, facts_changed: 1, related_changed: 1 }
+    });
+  });
+
+  it('should count invalidations by reason', () => {
+    analysisCache.set('content_1', key, {});
+    analysisCache.set('content_2', key, {});
+
+    expect(analysisCache.invalidate(['content_1', 'missing'], 'related_content_added')).toBe(1);
+    expect(analysisCache.invalidateAll('fact_changed')).toBe(1);
+
+    const stats = analysisCache.getStats();
+    expect(stats.entries).toBe(0);
+    expect(stats.invalidations).toEqual({ related_content_added: 1, fact_changed: 1 });
+  });
+});
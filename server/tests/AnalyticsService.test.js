@@ -8,6 +8,30 @@ describe('AnalyticsService', () => {
     analyticsService = new AnalyticsService();
   });
   
+  describe('surprise engagement', () => {
+    it('should count each surprise card once per user', () => {
+      const event = (eventName, userId, contentId) => ({ eventName, userId, properties: { contentId } });
+      const events = [
+        event('surprise_item_viewed', 'user_1', 'content_2'),
+        event('surprise_item_viewed', 'user_1', 'content_2'),
+        event('surprise_item_viewed', 'user_2', 'content_2'),
+        event('surprise_item_engaged', 'user_1', 'content_2'),
+        event('surprise_item_engaged', 'user_1', 'content_2'),
+        // Engagement without a recorded view is not counted
+        event('surprise_item_engaged', 'user_3', 'content_2')
+      ];
+      
+      expect(analyticsService.calculateSurpriseEngagement(events)).toEqual({ viewed: 2, engaged: 1, rate: 50 });
+    });
+    
+    it('should keep running totals of surprise views and engagement', async () => {
+      await analyticsService.updateKPIs({ eventName: 'surprise_item_viewed', userId: 'user_1', properties: {} });
+      await analyticsService.updateKPIs({ eventName: 'surprise_item_engaged', userId: 'user_1', properties: {} });
+      
+      expect(analyticsService.kpis.surpriseEngagement).toEqual({ viewed: 1, engaged: 1 });
+    });
+  });
+  
   describe('trackEvent', () => {
     it('should track event with metadata', async () => {
       const eventName = 'quiz_completed';
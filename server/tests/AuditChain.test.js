@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  AuditChain,
+  canonicalize,
+  sha256,
+  computeEntryHash,
+  computeMerkleRoot,
+  verifyInclusionProof,
+  verifyCheckpointSignature
+} from '../services/AuditChain.js';
+
+describe('AuditChain', () => {
+  let chain;
+
+  const appendEntries = (count) => {
+    for (let i = 0; i < count; i++) {
+      chain.append({
+        id: `entry_${i}`,
+        timestamp: new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString(),
+        action: 'flag_verified',
+        decision: i % 2 === 0 ? 'upheld' : 'rejected',
+        metadata: { userId: `user_${i}` }
+      });
+    }
+  };
+
+  beforeEach(() => {
+    chain = new AuditChain({ name: 'test.audit', privateFields: ['metadata'] });
+  });
+
+  describe('canonicalize', () => {
+    it('should not depend on key order', () => {
+      expect(canonicalize({ b: 1, a: { d: 2, c: [3] } })).toBe(canonicalize({ a: { c: [3], d: 2 }, b: 1 }));
+    });
+  });
+
+  describe('append', () => {
+    it('should link each entry to the previous hash and cover it in its own hash', () => {
+      appendEntries(2);
+      const [first, second] = chain.entries.values();
+
+      expect(first.previousHash).toBeNull();
+      expect(second.previousHash).toBe(first.hash);
+      expect(second.metadataDigest).toMatch(/^[0-9a-f]{64}$/);
+
+      const rehashedWithoutLink = computeEntryHash({ ...second, previousHash: null }, ['metadata']);
+      expect(rehashedWithoutLink).not.toBe(second.hash);
+    });
+
+    it('should salt the private digest so guessed values cannot be confirmed', () => {
+      chain.append({ id: 'a', action: 'quiz_completed', metadata: { userId: 'user_1', score: 90 } });
+      chain.append({ id: 'b', action: 'quiz_completed', metadata: { userId: 'user_1', score: 90 } });
+      const [first, second] = chain.entries.values();
+
+      expect(first.metadataDigest).not.toBe(second.metadataDigest);
+      expect(first.metadataDigest).not.toBe(sha256(canonicalize({ metadata: { userId: 'user_1', score: 90 } })));
+      expect(chain.toPublicEntry(first)).not.toHaveProperty('digestSalt');
+      expect(chain.verify().valid).toBe(true);
+    });
+  });
+
+  describe('verify', () => {
+    it('should accept an untouched chain', () => {
+      appendEntries(5);
+
+      expect(chain.verify()).toEqual({ valid: true, length: 5, brokenAt: null });
+    });
+
+    it('should report an edited decision', () => {
+      appendEntries(4);
+      const entry = chain.entries.get('entry_2');
+      chain.entries.set('entry_2', { ...entry, decision: 'rejected' });
+
+      const result = chain.verify();
+      expect(result.valid).toBe(false);
+      expect(result.brokenAt).toEqual({ index: 2, entryId: 'entry_2', problem: 'hash_mismatch' });
+    });
+
+    it('should report edited private metadata', () => {
+      appendEntries(3);
+      const entry = chain.entries.get('entry_1');
+      chain.entries.set('entry_1', { ...entry, metadata: { userId: 'someone_else' } });
+
+      expect(chain.verify().brokenAt.problem).toBe('metadata_digest_mismatch');
+    });
+
+    it('should report a rewritten history even when hashes are recomputed', () => {
+      appendEntries(3);
+      const entry = chain.entries.get('entry_1');
+      const forged = { ...entry, decision: 'upheld' };
+      forged.hash = computeEntryHash(forged, ['metadata']);
+      chain.entries.set('entry_1', forged);
+
+      expect(chain.verify().brokenAt).toEqual({ index: 2, entryId: 'entry_2', problem: 'previous_hash_mismatch' });
+    });
+  });
+
+  describe('Merkle proofs', () => {
+    it('should produce proofs that verify against the root for every leaf', () => {
+      appendEntries(7);
+      const root = chain.getMerkleRoot();
+
+      chain.entries.keys().forEach(entryId => {
+        const proof = chain.getInclusionProof(entryId);
+        expect(proof.merkleRoot).toBe(root);
+        expect(verifyInclusionProof(proof.leafHash, proof.siblings, root)).toBe(true);
+      });
+    });
+
+    it('should fail verification for a different leaf', () => {
+      appendEntries(4);
+      const proof = chain.getInclusionProof('entry_1');
+
+      expect(verifyInclusionProof(chain.entries.get('entry_2').hash, proof.siblings, proof.merkleRoot)).toBe(false);
+    });
+
+    it('should expose a public entry that rehashes to the leaf', () => {
+      appendEntries(2);
+      const proof = chain.getInclusionProof('entry_1');
+
+      expect(proof.entry.metadata).toBeUndefined();
+      expect(computeEntryHash(proof.entry, [])).toBe(proof.leafHash);
+    });
+
+    it('should return null for unknown entries and roots for empty logs', () => {
+      expect(chain.getInclusionProof('missing')).toBeNull();
+      expect(computeMerkleRoot([])).toBeNull();
+    });
+  });
+
+  describe('checkpoints', () => {
+    it('should sign the head and skip when nothing changed', () => {
+      appendEntries(3);
+
+      const checkpoint = chain.createCheckpoint();
+      expect(checkpoint.treeSize).toBe(3);
+      expect(checkpoint.merkleRoot).toBe(chain.getMerkleRoot());
+      expect(verifyCheckpointSignature(checkpoint, chain.getPublicKey())).toBe(true);
+      expect(chain.createCheckpoint()).toBeNull();
+    });
+
+    it('should reject a checkpoint with an altered root', () => {
+      appendEntries(2);
+      const checkpoint = chain.createCheckpoint();
+
+      expect(verifyCheckpointSignature({ ...checkpoint, merkleRoot: '0'.repeat(64) }, chain.getPublicKey())).toBe(false);
+    });
+
+    it('should prove older entries against the latest checkpoint', () => {
+      appendEntries(3);
+      const checkpoint = chain.createCheckpoint();
+      chain.append({ id: 'entry_late', timestamp: new Date().toISOString(), action: 'flag_claimed', metadata: {} });
+
+      const covered = chain.getInclusionProof('entry_0');
+      const uncovered = chain.getInclusionProof('entry_late');
+
+      expect(covered.checkpointId).toBe(checkpoint.id);
+      expect(covered.merkleRoot).toBe(checkpoint.merkleRoot);
+      expect(uncovered.checkpointId).toBeNull();
+      expect(uncovered.treeSize).toBe(4);
+    });
+  });
+});
@@ -1,5 +1,6 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { AuditService } from '../services/AuditService.js';
+import { verifyBundle } from '../scripts/verifyAuditExport.js';
 
 describe('AuditService', () => {
   let auditService;
@@ -36,6 +37,15 @@ describe('AuditService', () => {
         expect(result.data.category).toBe(event.expectedCategory);
       }
     });
+
+    it('should count upheld and rejected flags but not escalations', async () => {
+      await auditService.logEvent('flag_processed', { decision: 'upheld' });
+      await auditService.logEvent('flag_processed', { decision: 'rejected' });
+      await auditService.logEvent('flag_processed', { decision: 'escalated' });
+
+      expect(auditService.systemMetrics.flagsUpheld).toBe(1);
+      expect(auditService.systemMetrics.flagsRejected).toBe(1);
+    });
   });
   
   describe('getTransparencyReport', () => {
@@ -80,6 +90,36 @@ describe('AuditService', () => {
       expect(result.data.categories).toBeDefined();
     });
     
+    it('should publish only allow-listed fields under one redaction policy', async () => {
+      await auditService.logEvent('flag_processed', {
+        flagId: 'flag_1',
+        decision: 'upheld',
+        reason: 'factually_incorrect',
+        userId: 'user_1',
+        moderatorId: 'mod_1',
+        note: 'Reporter email: voter@example.com'
+      });
+
+      const [event] = auditService.getPublicAuditFeed(10).data.events;
+
+      expect(event.publicData).toEqual({ flagId: 'flag_1', decision: 'upheld', reason: 'factually_incorrect' });
+      expect(event.data).toBeUndefined();
+      expect(event.metadata).toBeUndefined();
+      expect(event.hash).toBeDefined();
+      expect(event.summary).toBe('Flag upheld');
+    });
+
+    it('should report integrity from the cached chain status', async () => {
+      await auditService.logEvent('flag_submitted', { contentId: 'content_1', reason: 'spam' });
+      const verify = vi.spyOn(auditService.auditChain, 'verify');
+
+      auditService.getPublicAuditFeed(10);
+      const feed = auditService.getPublicAuditFeed(10);
+
+      expect(feed.data.integrityVerified).toBe(true);
+      expect(verify).toHaveBeenCalledTimes(1);
+    });
+
     it('should filter by category', async () => {
       await auditService.logEvent('flag_submitted', {});
       await auditService.logEvent('quiz_completed', {});
@@ -121,4 +161,96 @@ describe('AuditService', () => {
       expect(result.data.filters.eventType).toBe('flag_submitted');
     });
   });
-});
\ No newline at end of file
+
+  describe('getChainStatus', () => {
+    it('should reuse the verification until the chain grows or the cache expires', async () => {
+      await auditService.logEvent('flag_submitted', { contentId: 'content_1', reason: 'spam' });
+      const verify = vi.spyOn(auditService.auditChain, 'verify');
+      const now = Date.now();
+
+      const first = auditService.getChainStatus(now);
+      expect(auditService.getChainStatus(now + 1000)).toBe(first);
+      expect(verify).toHaveBeenCalledTimes(1);
+
+      await auditService.logEvent('flag_processed', { contentId: 'content_1', decision: 'upheld' });
+      expect(auditService.getChainStatus(now + 2000).treeSize).toBe(2);
+
+      auditService.getChainStatus(now + 2000 + 61 * 1000);
+      expect(verify).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('buildExportBundle', () => {
+    const replaceLine = (bundle, index, edit) => bundle
+      .split('\n')
+      .map((line, i) => i === index ? JSON.stringify(edit(JSON.parse(line))) : line)
+      .join('\n');
+
+    beforeEach(async () => {
+      await auditService.logEvent('flag_submitted', { contentId: 'content_1', reason: 'misinformation' });
+      auditService.auditChain.createCheckpoint();
+      await auditService.logEvent('flag_processed', { contentId: 'content_1', decision: 'upheld' });
+      await auditService.logEvent('quiz_completed', { userId: 'user_123', score: 90 });
+    });
+
+    it('should verify offline with the standalone verifier', () => {
+      const bundle = auditService.buildExportBundle();
+      const result = verifyBundle(bundle, { publicKey: auditService.auditChain.getPublicKey() });
+
+      expect(result.valid).toBe(true);
+      expect(result.entryCount).toBe(3);
+      expect(bundle).not.toContain('user_123');
+    });
+
+    it('should report the first broken link when an entry is edited and re-signed', () => {
+      const tampered = replaceLine(auditService.buildExportBundle(), 2, record => ({
+        ...record,
+        entry: { ...record.entry, publicData: { ...record.entry.publicData, decision: 'rejected' } }
+      }));
+
+      const result = verifyBundle(tampered);
+
+      expect(result.valid).toBe(false);
+      expect(result.brokenAt).toMatchObject({ index: 1, problem: 'hash_mismatch' });
+      expect(result.errors).toContain('Bundle digest does not match its contents');
+    });
+
+    it('should reject a bundle signed with a different key', () => {
+      const other = new AuditService();
+      const result = verifyBundle(auditService.buildExportBundle(), {
+        publicKey: other.auditChain.getPublicKey()
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Bundle signature is not valid for the public key');
+    });
+
+    it('should report malformed entry lines instead of throwing', () => {
+      const bundle = auditService.buildExportBundle();
+      const withNull = replaceLine(bundle, 1, () => null);
+      const withoutEntry = replaceLine(bundle, 2, () => ({ type: 'entry' }));
+
+      [withNull, withoutEntry].forEach(malformed => {
+        const result = verifyBundle(malformed);
+
+        expect(result.valid).toBe(false);
+        expect(result.malformed).toBe(true);
+        expect(result.errors[0]).toMatch(/^Line \d+ is not an audit entry record$/);
+      });
+    });
+
+    it('should fail verification instead of throwing on a malformed key or signature', () => {
+      const badKey = verifyBundle(auditService.buildExportBundle(), { publicKey: 'not a pem key' });
+      const lines = auditService.buildExportBundle().split('\n').filter(Boolean);
+      const badSignature = verifyBundle(replaceLine(auditService.buildExportBundle(), lines.length - 1, record => ({
+        ...record,
+        signature: { not: 'base64' }
+      })));
+
+      expect(badKey.valid).toBe(false);
+      expect(badKey.errors.some(error => error.startsWith('Public key could not be read'))).toBe(true);
+      expect(badSignature.valid).toBe(false);
+      expect(badSignature.errors).toContain('Bundle signature is not valid for the public key');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { AuthService, hasPermission } from '../services/AuthService.js';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+import { promoteAdmin } from '../scripts/promoteAdmin.js';
+
+describe('AuthService', () => {
+  let authService;
+  const credentials = {
+    email: 'Voter@Example.com',
+    password: 'correct horse battery',
+    name: 'Test Voter'
+  };
+
+  beforeEach(() => {
+    authService = new AuthService();
+  });
+
+  describe('signUp', () => {
+    it('should create an account and return a session token', async () => {
+      const result = await authService.signUp(credentials);
+
+      expect(result.success).toBe(true);
+      expect(result.data.token).toBeDefined();
+      expect(result.data.user.email).toBe('voter@example.com');
+      expect(result.data.user.passwordHash).toBeUndefined();
+    });
+
+    it('should store a salted hash instead of the password', async () => {
+      const result = await authService.signUp(credentials);
+      const stored = authService.users.get(result.data.user.id);
+
+      expect(stored.passwordHash).toMatch(/^scrypt\$/);
+      expect(stored.passwordHash).not.toContain(credentials.password);
+    });
+
+    it('should reject duplicate emails regardless of case', async () => {
+      await authService.signUp(credentials);
+      const second = await authService.signUp({ ...credentials, email: 'voter@example.COM' });
+
+      expect(second.success).toBe(false);
+      expect(second.error).toContain('already exists');
+    });
+
+    it('should create only one account for concurrent sign-ups with the same email', async () => {
+      const results = await Promise.all([
+        authService.signUp(credentials),
+        authService.signUp({ ...credentials, email: 'voter@example.com' })
+      ]);
+
+      expect(results.filter(result => result.success)).toHaveLength(1);
+      expect(authService.users.size).toBe(1);
+    });
+  });
+
+  describe('login', () => {
+    it('should log in with valid credentials', async () => {
+      const signup = await authService.signUp(credentials);
+      const result = await authService.login(credentials);
+
+      expect(result.success).toBe(true);
+      expect(result.data.user.id).toBe(signup.data.user.id);
+      expect(result.data.token).not.toBe(signup.data.token);
+    });
+
+    it('should reject a wrong password and an unknown email with the same error', async () => {
+      await authService.signUp(credentials);
+
+      const wrongPassword = await authService.login({ ...credentials, password: 'wrong password' });
+      const unknownEmail = await authService.login({ ...credentials, email: 'nobody@example.com' });
+
+      expect(wrongPassword.success).toBe(false);
+      expect(unknownEmail.error).toBe(wrongPassword.error);
+    });
+
+    it('should check the password of an unknown email against a dummy hash', async () => {
+      const verifyPassword = vi.spyOn(authService, 'verifyPassword');
+
+      await authService.login({ ...credentials, email: 'nobody@example.com' });
+
+      expect(verifyPassword).toHaveBeenCalledWith(credentials.password, expect.stringMatching(/^scrypt\$/));
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should resolve a valid token to its user', async () => {
+      const { data } = await authService.signUp(credentials);
+
+      expect(authService.authenticate(data.token).id).toBe(data.user.id);
+    });
+
+    it('should reject missing, unknown and logged-out tokens', async () => {
+      const { data } = await authService.signUp(credentials);
+
+      expect(authService.authenticate(null)).toBeNull();
+      expect(authService.authenticate('forged-token')).toBeNull();
+
+      authService.logout(data.token);
+      expect(authService.authenticate(data.token)).toBeNull();
+    });
+
+    it('should reject expired sessions', async () => {
+      const { data } = await authService.signUp(credentials);
+      const tokenHash = authService.hashToken(data.token);
+      const session = authService.sessions.get(tokenHash);
+      authService.sessions.set(tokenHash, { ...session, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+      expect(authService.authenticate(data.token)).toBeNull();
+      expect(authService.sessions.has(tokenHash)).toBe(false);
+    });
+  });
+
+  describe('roles', () => {
+    it('should default new accounts to the user role', async () => {
+      const { data } = await authService.signUp(credentials);
+
+      expect(data.user.role).toBe('user');
+    });
+
+    it('should promote an existing account to admin out of band', async () => {
+      const storage = new MemoryDriver();
+      authService = new AuthService({ storage });
+      const { data } = await authService.signUp(credentials);
+
+      const result = await promoteAdmin({ storage, email: 'VOTER@example.com' });
+
+      expect(result.success).toBe(true);
+      expect(authService.authenticate(data.token).role).toBe('admin');
+      expect((await promoteAdmin({ storage, email: 'nobody@example.com' })).success).toBe(false);
+    });
+
+    it('should change roles and reject unknown ones', async () => {
+      const { data } = await authService.signUp(credentials);
+
+      const promoted = authService.setUserRole(data.user.id, 'moderator');
+      expect(promoted.success).toBe(true);
+      expect(promoted.data.previousRole).toBe('user');
+      expect(authService.authenticate(data.token).role).toBe('moderator');
+
+      expect(authService.setUserRole(data.user.id, 'superuser').success).toBe(false);
+      expect(authService.setUserRole('user_missing', 'admin').error).toBe('User not found');
+    });
+
+    it('should scope permissions to staff roles', () => {
+      expect(hasPermission('user', 'moderation:read')).toBe(false);
+      expect(hasPermission('moderator', 'moderation:read')).toBe(true);
+      expect(hasPermission('moderator', 'analytics:read')).toBe(false);
+      expect(hasPermission('pilot_coordinator', 'analytics:read')).toBe(true);
+      expect(hasPermission('admin', 'users:manage')).toBe(true);
+      expect(hasPermission(undefined, 'analytics:read')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ClaimClusterService } from '../services/ClaimClusterService.js';
+import { ContentService } from '../services/ContentService.js';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+describe('ClaimClusterService', () => {
+  let storage;
+  let contentService;
+  let claimClusterService;
+
+  const addItem = (id, source, hours, content) => contentService.contentDatabase.append({
+    id,
+    type: 'article',
+    title: `Story ${id}`,
+    content,
+    source,
+    author: 'Reporter',
+    timestamp: hoursAgo(hours),
+    tags: ['housing'],
+    verified: true
+  });
+
+  beforeEach(() => {
+    storage = new MemoryDriver();
+    contentService = new ContentService({ storage });
+    claimClusterService = new ClaimClusterService({ storage, contentService });
+  });
+
+  it('should cluster the same figure reported by different sources', async () => {
+    addItem('item_a', 'Gothamist', 30, 'The city housing budget for 2024 is $8.5 billion, officials said.');
+    addItem('item_b', 'NY1', 1, 'The housing budget now stands at $9.2 billion.');
+
+    const result = await claimClusterService.run();
+    const cluster = claimClusterService.getCluster('housing-budget-2024-usd');
+
+    expect(result.success).toBe(true);
+    expect(cluster.label).toBe('housing budget 2024');
+    expect(cluster.sourceCount).toBe(3);
+    expect(cluster.range).toMatchObject({ min: 8.5e9, max: 9.2e9 });
+    expect(cluster.bySource.map(s => s.source)).toEqual(['Gothamist', 'NYC.gov', 'NY1']);
+  });
+
+  it('should order the timeline by publication time', async () => {
+    addItem('item_a', 'Gothamist', 30, 'The city housing budget for 2024 is $8.5 billion.');
+    addItem('item_b', 'NY1', 1, 'The housing budget now stands at $9.2 billion.');
+
+    await claimClusterService.run();
+    const cluster = claimClusterService.getCluster('housing-budget-2024-usd');
+
+    expect(cluster.timeline.map(entry => entry.contentId)).toEqual(['item_a', 'content_1', 'item_b']);
+    expect(cluster.firstReported.text).toBe('$8.5 billion');
+    expect(cluster.latestReported).toMatchObject({ source: 'NY1', value: 9.2e9 });
+
+    const [first] = cluster.timeline;
+    const item = contentService.contentDatabase.get(first.contentId);
+    expect(item.content.substring(first.span.start, first.span.end)).toBe(first.text);
+  });
+
+  it('should keep changes, other subjects and other years apart', async () => {
+    addItem('item_a', 'NY Post', 3, 'Critics say the MTA budget reached $19 billion.');
+    addItem('item_b', 'City Limits', 5, 'The housing budget for 2023 was $7.1 billion.');
+
+    await claimClusterService.run();
+    const labels = claimClusterService.listClusters().map(cluster => cluster.label);
+
+    expect(labels).toContain('mayor housing 2024 change');
+    expect(labels).toContain('mta budget');
+    expect(labels).toContain('housing budget 2023');
+    expect(claimClusterService.getCluster('housing-budget-2024-usd').claimCount).toBe(1);
+  });
+
+  it('should skip hidden content', async () => {
+    addItem('item_a', 'Gothamist', 2, 'The housing budget for 2024 is $3 billion.');
+    contentService.contentDatabase.get('item_a').moderation = { status: 'hidden' };
+
+    await claimClusterService.run();
+
+    expect(claimClusterService.getCluster('housing-budget-2024-usd').range.min).toBe(8.9e9);
+  });
+
+  it('should keep creation time across runs and filter summaries by term', async () => {
+    await claimClusterService.run();
+    const createdAt = claimClusterService.getCluster('housing-budget-2024-usd').createdAt;
+
+    addItem('item_a', 'NY1', 1, 'The housing budget now stands at $9.2 billion.');
+    await claimClusterService.run();
+
+    const [summary] = claimClusterService.listClusters({ term: 'budgets' });
+    expect(summary.id).toBe('housing-budget-2024-usd');
+    expect(summary.createdAt).toBe(createdAt);
+    expect(summary.claimCount).toBe(2);
+    expect(summary.timeline).toBeUndefined();
+  });
+
+  it('should not start a run while one is in progress', async () => {
+    claimClusterService.running = true;
+
+    const result = await claimClusterService.run();
+
+    expect(result.success).toBe(false);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ClaimExtractorRegistry } from '../services/ClaimExtractors.js';
+
+describe('ClaimExtractorRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ClaimExtractorRegistry();
+  });
+
+  describe('extract', () => {
+    it('should return typed claims with spans into the source text', () => {
+      const content = 'The budget is $5.2 billion, up 4% from last year.';
+      const claims = registry.extract(content);
+
+      claims.forEach(claim => {
+        expect(content.substring(claim.span.start, claim.span.end)).toBe(claim.text);
+      });
+      expect(claims.map(claim => claim.extractor)).toEqual(['amount', 'percentage']);
+    });
+
+    it('should tell percentages apart from absolute amounts', () => {
+      const claims = registry.extract('Fares rose 5.5% to $2.90, about 3 percentage points above inflation.');
+      const numerical = claims.filter(claim => claim.type === 'numerical');
+
+      expect(numerical.map(claim => [claim.kind, claim.number])).toEqual([
+        ['percentage', 5.5],
+        ['amount', 2.9],
+        ['percentage', 3]
+      ]);
+      expect(numerical[2].unit).toBe('percentage_point');
+    });
+
+    it('should capture currencies, units and periods on amounts', () => {
+      const [dollars, riders] = registry.extract('The plan costs 2,100 million dollars and moves 4.3 million daily riders.');
+
+      expect(dollars).toMatchObject({ number: 2100, scale: 'million', currency: 'USD' });
+      expect(riders).toMatchObject({ number: 4.3, scale: 'million', unit: 'riders', period: 'day' });
+    });
+
+    it('should ignore digits that are part of names and ordinals', () => {
+      const claims = registry.extract('NY1 reports the 5th Avenue project costs $3 million.');
+
+      expect(claims.filter(c => c.type === 'numerical').map(c => c.text)).toEqual(['$3 million']);
+    });
+
+    it('should extract date ranges without treating years as amounts', () => {
+      const claims = registry.extract('Rents climbed between January 2022 and March 2024, and again in 2019-21.');
+      const ranges = claims.filter(claim => claim.type === 'date_range');
+
+      expect(ranges.map(claim => [claim.start, claim.end])).toEqual([['2022-01', '2024-03'], ['2019', '2021']]);
+      expect(claims.some(claim => claim.type === 'numerical')).toBe(false);
+    });
+
+    it('should attribute quotes to named people and organizations', () => {
+      const claims = registry.extract(
+        '"We will fix the trains," said Mayor Eric Adams. “It is a disaster,” the Citizens Budget Commission said. He called it "a mess" yesterday.'
+      );
+      const quotes = claims.filter(claim => claim.type === 'quote');
+
+      expect(quotes).toHaveLength(2);
+      expect(quotes[0]).toMatchObject({ statement: 'We will fix the trains', speaker: 'Mayor Eric Adams', speakerType: 'person' });
+      expect(quotes[1]).toMatchObject({ speaker: 'Citizens Budget Commission', speakerType: 'organization' });
+    });
+  });
+
+  describe('register', () => {
+    it('should run custom extractors alongside the built-ins', () => {
+      registry.register({
+        name: 'ballot_measure',
+        claimType: 'ballot_measure',
+        extract: ({ content }) => [...content.matchAll(/Proposal \d+/g)].map(match => ({
+          measure: match[0],
+          span: { start: match.index, end: match.index + match[0].length },
+          confidence: 0.9
+        }))
+      });
+
+      const [claim] = registry.extract('Voters approved Proposal 3.').filter(c => c.type === 'ballot_measure');
+
+      expect(claim).toMatchObject({ extractor: 'ballot_measure', measure: 'Proposal 3', text: 'Proposal 3' });
+      expect(registry.list()).toContainEqual({ name: 'ballot_measure', claimType: 'ballot_measure' });
+    });
+
+    it('should reject extractors missing part of the contract', () => {
+      expect(() => registry.register({ name: 'broken' })).toThrow();
+    });
+
+    it('should keep extracting when one plugin throws', () => {
+      registry.register({
+        name: 'faulty',
+        claimType: 'faulty',
+        extract: () => { throw new Error('boom'); }
+      });
+
+      expect(registry.extract('The budget is $5 billion.').length).toBeGreaterThan(0);
+    });
+
+    it('should drop malformed claims from a plugin and keep its good ones', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      registry.register({
+        name: 'sloppy',
+        claimType: 'sloppy',
+        extract: () => [
+          { span: { start: 4, end: 10 } },
+          { span: { start: '4', end: 10 } },
+          { span: { start: 2.5, end: 9 } },
+          { span: { start: 20, end: 5 } },
+          { span: { start: 0, end: 500 } },
+          { text: 'no span' },
+          null
+        ]
+      });
+
+      const claims = registry.extract('The budget is $5 billion.').filter(c => c.type === 'sloppy');
+
+      expect(claims).toHaveLength(1);
+      expect(claims[0]).toMatchObject({ text: 'budget', extractor: 'sloppy' });
+      expect(warn).toHaveBeenCalledTimes(6);
+      warn.mockRestore();
+    });
+
+    it('should skip a plugin that does not return an array', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      registry.register({ name: 'scalar', claimType: 'scalar', extract: () => ({ span: { start: 0, end: 3 } }) });
+
+      const claims = registry.extract('The budget is $5 billion.');
+
+      expect(claims.some(c => c.type === 'scalar')).toBe(false);
+      expect(claims.length).toBeGreaterThan(0);
+      error.mockRestore();
+    });
+
+    it('should remove extractors by name', () => {
+      registry.unregister('policy');
+
+      expect(registry.has('policy')).toBe(false);
+      expect(registry.extract('The mayor plans to increase funding.').some(c => c.type === 'policy')).toBe(false);
+    });
+  });
+});
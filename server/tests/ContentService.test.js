@@ -0,0 +1,512 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ContentService, decodeFeedCursor, OWN_FLAG_ERROR } from '../services/ContentService.js';
+
+describe('ContentService', () => {
+  let contentService;
+
+  const submitFlag = async (reason, contentId = 'content_1') => {
+    const result = await contentService.submitFlag({
+      contentId,
+      userId: 'reporter_1',
+      reason,
+      description: 'Test flag'
+    });
+    return result.data;
+  };
+
+  beforeEach(() => {
+    contentService = new ContentService();
+  });
+
+  describe('getFeed', () => {
+    it('should link each contradiction to the conflicting spans and their items', async () => {
+      contentService.contentDatabase.append({
+        id: 'content_ny1',
+        type: 'article',
+        title: 'Housing budget tops estimates',
+        content: 'The housing budget now stands at $12 billion.',
+        source: 'NY1',
+        author: 'Reporter',
+        timestamp: new Date().toISOString(),
+        tags: ['housing'],
+        verified: true
+      });
+
+      const feed = await contentService.getFeed('user_1');
+      const item = feed.data.find(entry => entry.id === 'content_ny1');
+      const external = item.analysis.contradictions.find(c => c.type === 'external_contradiction');
+
+      expect(item.contradictions).toBe(item.analysis.contradictions.length);
+      expect(external.explanation).toContain('NYC.gov');
+
+      const [own, other] = external.evidence;
+      expect(own).toMatchObject({ contentId: 'content_ny1', source: 'NY1', text: '$12 billion' });
+      expect(item.content.substring(own.start, own.end)).toBe(own.text);
+
+      const otherItem = contentService.contentDatabase.get(other.contentId);
+      expect(otherItem.content.substring(other.start, other.end)).toBe(other.text);
+    });
+  });
+
+  describe('syndicated copies', () => {
+    const wire = 'State lawmakers approved a $2.4 billion package to expand rental assistance for low-income tenants, sending the measure to the governor. The bill would fund vouchers for roughly 40,000 households.';
+    const addCopy = (id, source, hoursAgo, content, verified = false) => contentService.contentDatabase.append({
+      id,
+      type: 'article',
+      title: 'Lawmakers approve rental assistance package',
+      content,
+      source,
+      author: 'Wire',
+      timestamp: new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString(),
+      tags: ['housing'],
+      verified
+    });
+
+    it('should collapse copies into one card that lists every source', async () => {
+      addCopy('wire_ap', 'AP', 5, wire);
+      addCopy('wire_gothamist', 'Gothamist', 4, wire.replace('roughly', 'about'));
+      addCopy('wire_ny1', 'NY1', 3, `ALBANY — ${wire}`, true);
+
+      const feed = await contentService.getFeed('user_1');
+      const card = feed.data.find(item => item.syndication);
+
+      expect(feed.data.filter(item => item.title.startsWith('Lawmakers'))).toHaveLength(1);
+      expect(feed.metadata.syndicatedCopies).toBe(2);
+      expect(card.id).toBe('wire_ny1');
+      expect(card.syndication.sources.map(s => s.source)).toEqual(['NY1', 'AP', 'Gothamist']);
+      expect(card.syndication.sourceCount).toBe(3);
+    });
+
+    it('should compare a story against its copies even without shared tags', async () => {
+      addCopy('wire_ap', 'AP', 5, wire);
+      addCopy('wire_ny1', 'NY1', 3, wire.replace('$2.4 billion', '$2.9 billion'));
+      contentService.contentDatabase.get('wire_ny1').tags = ['albany'];
+
+      const feed = await contentService.getFeed('user_1');
+      const card = feed.data.find(item => item.id === 'wire_ap');
+      const external = card.analysis.contradictions.filter(c => c.type === 'external_contradiction');
+
+      expect(external.some(c => c.evidence[1].contentId === 'wire_ny1')).toBe(true);
+    });
+  });
+
+  describe('feed pagination', () => {
+    const addItems = (count) => {
+      for (let i = 0; i < count; i++) {
+        contentService.contentDatabase.append({
+          id: `page_item_${String(i).padStart(2, '0')}`,
+          type: 'article',
+          title: `Community board ${i} meets on budget item ${i * 7}`,
+          content: `Board ${i} reviewed agenda ${i * 13} and scheduled its next meeting for week ${i + 2} at the library on street ${i * 3}.`,
+          source: 'Local',
+          author: 'Reporter',
+          // Pairs share a timestamp so ties must break consistently
+          timestamp: new Date(Date.UTC(2024, 0, 1, 12, Math.floor(i / 2))).toISOString(),
+          tags: [`board-${i}`],
+          verified: false
+        });
+      }
+    };
+
+    it('should page through every card exactly once', async () => {
+      addItems(12);
+      const seen = [];
+      let cursor;
+
+      do {
+        const page = await contentService.getFeed('user_1', {}, { cursor, limit: 4 });
+        seen.push(...page.data.map(item => item.id));
+        cursor = page.metadata.nextCursor;
+        expect(page.metadata.hasMore).toBe(Boolean(cursor));
+      } while (cursor);
+
+      const all = await contentService.getFeed('user_1', {}, { limit: 50 });
+      expect(seen).toEqual(all.data.map(item => item.id));
+      expect(new Set(seen).size).toBe(15);
+    });
+
+    it('should keep later pages stable when newer items arrive', async () => {
+      addItems(6);
+      const first = await contentService.getFeed('user_1', {}, { limit: 3 });
+      const expected = (await contentService.getFeed('user_1', {}, { cursor: first.metadata.nextCursor, limit: 3 })).data.map(item => item.id);
+
+      contentService.contentDatabase.append({
+        id: 'breaking', type: 'article', title: 'Breaking', content: 'Just in.', source: 'Local',
+        author: 'Reporter', timestamp: new Date().toISOString(), tags: ['breaking'], verified: false
+      });
+      const second = await contentService.getFeed('user_1', {}, { cursor: first.metadata.nextCursor, limit: 3 });
+
+      expect(second.data.map(item => item.id)).toEqual(expected);
+    });
+
+    it('should rank later pages with the first page\'s analysis signals', async () => {
+      addItems(6);
+      const first = await contentService.getFeed('user_1', {}, { limit: 3 });
+      const served = first.data.map(item => item.id);
+
+      // Served items are edited and re-analyzed as uncontested, which would drop them below the
+      // cursor (and serve them again) if later pages ranked with fresh signals
+      const analyze = contentService.factHunter.analyzeContent.bind(contentService.factHunter);
+      vi.spyOn(contentService.factHunter, 'analyzeContent').mockImplementation(async (item, related) => ({
+        ...(await analyze(item, related)),
+        contradictions: [],
+        confidence: 0
+      }));
+      served.forEach(id => {
+        const item = contentService.contentDatabase.get(id);
+        contentService.contentDatabase.set(id, { ...item, content: `${item.content} Updated.` });
+      });
+
+      // As if the reader's ranked order had been evicted by other sessions
+      contentService.feedOrders.clear();
+
+      const seen = [...served];
+      let cursor = first.metadata.nextCursor;
+      while (cursor) {
+        const page = await contentService.getFeed('user_1', {}, { cursor, limit: 3 });
+        seen.push(...page.data.map(item => item.id));
+        cursor = page.metadata.nextCursor;
+      }
+
+      expect(seen).toHaveLength(9);
+      expect(new Set(seen).size).toBe(9);
+    });
+
+    it('should not re-analyze or rehash content between feed requests', async () => {
+      await contentService.getFeed('user_1');
+      const contentHash = vi.spyOn(contentService, 'contentHash');
+      const analyzeItem = vi.spyOn(contentService, 'analyzeItem');
+
+      await contentService.getFeed('user_1', { issues: ['Housing & Rent Control'] });
+      await contentService.getFeed('user_1');
+
+      expect(contentHash).not.toHaveBeenCalled();
+      expect(analyzeItem).not.toHaveBeenCalled();
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const result = await contentService.getFeed('user_1', {}, { cursor: 'not-a-cursor' });
+
+      expect(result).toMatchObject({ success: false, error: 'Invalid cursor' });
+    });
+
+    it('should reuse cached analysis until the item text changes', async () => {
+      await contentService.getFeed('user_1');
+      const analyzeContent = vi.spyOn(contentService.factHunter, 'analyzeContent');
+
+      await contentService.getFeed('user_1');
+      expect(analyzeContent).not.toHaveBeenCalled();
+
+      const item = contentService.contentDatabase.get('content_2');
+      item.content = 'City Council transportation committee says ridership is at 70% of pre-pandemic levels.';
+      contentService.contentDatabase.set(item.id, item);
+      await contentService.getFeed('user_1');
+
+      expect(analyzeContent).toHaveBeenCalledTimes(1);
+      expect(analyzeContent.mock.calls[0][0].id).toBe('content_2');
+    });
+  });
+
+  describe('feed ranking', () => {
+    it('should explain each card by matched issue and recency', async () => {
+      const feed = await contentService.getFeed('user_1', { issues: ['Housing & Rent Control'] });
+      const card = feed.data.find(item => item.id === 'content_1');
+
+      expect(feed.data.map(item => item.id)).toEqual(['content_1', 'content_3']);
+      expect(card.ranking.matchedIssues).toEqual(['Housing & Rent Control']);
+      expect(card.ranking.surpriseTopic).toBeNull();
+      expect(card.ranking.recency.ageHours).toBeCloseTo(2, 1);
+      expect(card.ranking.contributions.issue).toBe(1);
+
+      const total = Object.values(card.ranking.contributions).reduce((sum, value) => sum + value, 0);
+      expect(total).toBeCloseTo(card.ranking.score, 2);
+    });
+
+    it('should let surprise topics in and say so', async () => {
+      const feed = await contentService.getFeed('user_1', {
+        issues: ['Public Safety'],
+        surpriseTopics: [{ id: 'mta-funding', reason: 'Broadening perspective' }]
+      });
+
+      expect(feed.data.map(item => item.id)).toEqual(['content_2']);
+      expect(feed.data[0].ranking.surpriseTopic).toEqual({ id: 'mta-funding', reason: 'Broadening perspective' });
+      expect(feed.data[0].ranking.contributions.surprise).toBe(0.7);
+    });
+
+    it('should weight items local to the reader\'s ZIP code', async () => {
+      const feed = await contentService.getFeed('user_1', { zipCode: '10001' });
+      const housing = feed.data.find(item => item.id === 'content_1');
+
+      expect(housing.ranking.geo).toEqual({ zipCode: '10001', weight: 1.2, localIssue: 'housing-crisis' });
+      expect(housing.ranking.contributions.geo).toBe(0.6);
+    });
+
+    it('should score recency from the first page\'s time on later pages', async () => {
+      const first = await contentService.getFeed('user_1', {}, { limit: 1 });
+      const { asOf } = decodeFeedCursor(first.metadata.nextCursor);
+
+      vi.useFakeTimers({ now: asOf + 6 * 60 * 60 * 1000 });
+      try {
+        const second = await contentService.getFeed('user_1', {}, { cursor: first.metadata.nextCursor, limit: 1 });
+        expect(second.data[0].ranking.recency.ageHours).toBeCloseTo(4, 1);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('surprise slots', () => {
+    const preferences = { issues: ['Housing & Rent Control'], surpriseTopics: ['mta-funding'] };
+
+    const addItems = (prefix, tag, count, hoursAgo) => {
+      for (let i = 0; i < count; i++) {
+        contentService.contentDatabase.append({
+          id: `${prefix}_${i}`,
+          type: 'article',
+          title: `${prefix} update number ${i}`,
+          content: `Notice ${i} about ${prefix} scheduled for district ${i * 11} next month.`,
+          source: 'Local',
+          author: 'Reporter',
+          timestamp: new Date(Date.now() - (hoursAgo + i) * 60 * 60 * 1000).toISOString(),
+          tags: [tag],
+          verified: false
+        });
+      }
+    };
+
+    it('should hold every fifth slot, starting with the third, for surprise items', async () => {
+      addItems('housing', 'housing', 8, 10);
+      addItems('transit', 'mta', 3, 1);
+
+      const feed = await contentService.getFeed('user_1', preferences, { limit: 20 });
+      const surprisePositions = feed.data.map((item, index) => (item.surprise ? index : null)).filter(index => index !== null);
+
+      // The last card is a surprise item filling in once the ranked items run out
+      expect(surprisePositions).toEqual([2, 7, 12, 13]);
+      expect(feed.data.filter(item => item.surprise).every(item => item.ranking.surpriseTopic.id === 'mta-funding')).toBe(true);
+      expect(feed.metadata.surpriseShare).toBe(0.2);
+    });
+
+    it('should keep the slot rhythm and serve each item once across pages', async () => {
+      addItems('housing', 'housing', 8, 10);
+      addItems('transit', 'mta', 3, 1);
+      const all = (await contentService.getFeed('user_1', preferences, { limit: 50 })).data.map(item => item.id);
+      const seen = [];
+      let cursor;
+
+      do {
+        const page = await contentService.getFeed('user_1', preferences, { cursor, limit: 3 });
+        seen.push(...page.data.map(item => item.id));
+        cursor = page.metadata.nextCursor;
+      } while (cursor);
+
+      expect(seen).toEqual(all);
+    });
+
+    it('should put surprise items last when no share is reserved', async () => {
+      contentService = new ContentService({ surpriseShare: 0 });
+      addItems('transit', 'mta', 2, 1);
+
+      const feed = await contentService.getFeed('user_1', preferences);
+
+      expect(feed.data.map(item => item.surprise)).toEqual([false, false, true, true, true]);
+    });
+
+    it('should reject a share outside 0-1', () => {
+      expect(() => new ContentService({ surpriseShare: 1.5 })).toThrow('surpriseShare');
+    });
+  });
+
+  describe('analysis cache', () => {
+    it('should re-analyze everything after a fact changes', async () => {
+      await contentService.getFeed('user_1');
+      const analyzeContent = vi.spyOn(contentService.factHunter, 'analyzeContent');
+
+      const [fact] = contentService.factService.listFacts();
+      contentService.factService.updateFact(fact.id, { ...fact, value: fact.value + 1 }, 'editor_1');
+      await contentService.getFeed('user_1');
+
+      expect(analyzeContent).toHaveBeenCalled();
+      expect(contentService.analysisCache.getStats().invalidations.fact_changed).toBeGreaterThan(0);
+    });
+
+    it('should re-analyze an item when its related content changes', async () => {
+      const item = contentService.contentDatabase.get('content_1');
+      await contentService.analyzeItem(item, []);
+      const analyzeContent = vi.spyOn(contentService.factHunter, 'analyzeContent');
+
+      await contentService.analyzeItem(item, []);
+      expect(analyzeContent).not.toHaveBeenCalled();
+
+      await contentService.analyzeItem(item, [contentService.contentDatabase.get('content_2')]);
+      expect(analyzeContent).toHaveBeenCalledTimes(1);
+      expect(contentService.analysisCache.getStats().missesByReason.related_changed).toBe(1);
+    });
+
+    it('should drop analyses a new item would be compared against', async () => {
+      await contentService.getFeed('user_1');
+      const before = contentService.analysisCache.getStats().entries;
+
+      const newItem = { ...contentService.contentDatabase.get('content_1'), id: 'content_new' };
+      const dropped = contentService.invalidateRelatedAnalyses(newItem);
+
+      expect(dropped).toBeGreaterThan(0);
+      expect(contentService.analysisCache.getStats().entries).toBe(before - dropped);
+    });
+  });
+
+  describe('claimFlag', () => {
+    it('should let one moderator claim a pending flag', async () => {
+      const flag = await submitFlag('misinformation');
+
+      const claimed = contentService.claimFlag(flag.id, 'mod_1');
+      expect(claimed.success).toBe(true);
+      expect(claimed.data.claimedBy).toBe('mod_1');
+
+      const conflict = contentService.claimFlag(flag.id, 'mod_2');
+      expect(conflict.success).toBe(false);
+      expect(conflict.error).toContain('already claimed');
+    });
+
+    it('should reject unknown flags', () => {
+      expect(contentService.claimFlag('flag_missing', 'mod_1').error).toBe('Flag not found');
+    });
+  });
+
+  describe('getContentPreview', () => {
+    it('should attach FactHunter analysis to the flagged item', async () => {
+      const preview = await contentService.getContentPreview('content_1');
+
+      expect(preview.title).toContain('Housing Budget');
+      expect(preview.analysis.contentId).toBe('content_1');
+      expect(await contentService.getContentPreview('content_missing')).toBeNull();
+    });
+
+    it('should reuse cached analysis across moderation requests', async () => {
+      await contentService.getFeed('user_1');
+      contentService.resolveFlag((await submitFlag('hate-speech', 'content_2')).id, { decision: 'upheld', moderatorId: 'mod_1', reasonCode: 'hate_speech' });
+      await contentService.getContentPreview('content_2');
+      const analyzeContent = vi.spyOn(contentService.factHunter, 'analyzeContent');
+
+      await contentService.getContentPreview('content_1');
+      await contentService.getContentPreview('content_2');
+
+      expect(analyzeContent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveFlag', () => {
+    it('should annotate content when an accuracy flag is upheld', async () => {
+      const flag = await submitFlag('misinformation');
+
+      const result = contentService.resolveFlag(flag.id, {
+        decision: 'upheld',
+        moderatorId: 'mod_1',
+        reasonCode: 'factually_incorrect',
+        note: 'Budget figure is from 2022'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.flag.status).toBe('upheld');
+      expect(result.data.contentAction).toBe('annotated');
+
+      const feed = await contentService.getFeed('user_1');
+      const item = feed.data.find(entry => entry.id === 'content_1');
+      expect(item.moderation.status).toBe('annotated');
+      expect(item.moderation.note).toBe('Budget figure is from 2022');
+    });
+
+    it('should hide content from the feed when an abuse flag is upheld', async () => {
+      const flag = await submitFlag('hate-speech', 'content_2');
+
+      const result = contentService.resolveFlag(flag.id, { decision: 'upheld', moderatorId: 'mod_1', reasonCode: 'hate_speech' });
+      expect(result.data.contentAction).toBe('hidden');
+
+      const feed = await contentService.getFeed('user_1');
+      expect(feed.data.some(entry => entry.id === 'content_2')).toBe(false);
+    });
+
+    it('should annotate rather than hide when the moderator finds an accuracy problem', async () => {
+      const flag = await submitFlag('spam');
+
+      const result = contentService.resolveFlag(flag.id, { decision: 'upheld', moderatorId: 'mod_1', reasonCode: 'factually_incorrect' });
+
+      expect(result.data.contentAction).toBe('annotated');
+      expect(contentService.contentDatabase.get('content_1').moderation.status).toBe('annotated');
+    });
+
+    it('should hide content when the moderator finds a policy violation the reporter did not name', async () => {
+      const flag = await submitFlag('misinformation');
+
+      const result = contentService.resolveFlag(flag.id, { decision: 'upheld', moderatorId: 'mod_1', reasonCode: 'harassment' });
+
+      expect(result.data.contentAction).toBe('hidden');
+      const feed = await contentService.getFeed('user_1');
+      expect(feed.data.some(entry => entry.id === 'content_1')).toBe(false);
+    });
+
+    it('should leave content untouched when a flag is rejected', async () => {
+      const flag = await submitFlag('spam');
+
+      const result = contentService.resolveFlag(flag.id, { decision: 'rejected', moderatorId: 'mod_1', reasonCode: 'accurate' });
+      expect(result.data.contentAction).toBeNull();
+      expect(contentService.contentDatabase.get('content_1').moderation).toBeUndefined();
+
+      const again = contentService.resolveFlag(flag.id, { decision: 'upheld', moderatorId: 'mod_1', reasonCode: 'hate_speech' });
+      expect(again.success).toBe(false);
+    });
+
+    it('should return escalated flags to the queue with higher priority', async () => {
+      const flag = await submitFlag('bias');
+      const originalPriority = flag.priority;
+      contentService.claimFlag(flag.id, 'mod_1');
+
+      const result = contentService.resolveFlag(flag.id, { decision: 'escalated', moderatorId: 'mod_1' });
+
+      expect(result.data.flag.status).toBe('escalated');
+      expect(result.data.flag.claimedBy).toBeNull();
+      expect(result.data.flag.priority).toBe(originalPriority + 5);
+
+      // Another reviewer can pick it up and close it
+      const closed = contentService.resolveFlag(flag.id, { decision: 'rejected', moderatorId: 'admin_1', reasonCode: 'opinion_not_claim' });
+      expect(closed.success).toBe(true);
+    });
+
+    it('should refuse decisions from a moderator who did not claim the flag', async () => {
+      const flag = await submitFlag('spam');
+      contentService.claimFlag(flag.id, 'mod_1');
+
+      const result = contentService.resolveFlag(flag.id, { decision: 'upheld', moderatorId: 'mod_2', reasonCode: 'spam' });
+      expect(result.success).toBe(false);
+    });
+
+    it('should refuse decisions on a flag the moderator submitted', async () => {
+      const flag = await submitFlag('spam');
+
+      const result = contentService.resolveFlag(flag.id, { decision: 'upheld', moderatorId: 'reporter_1', reasonCode: 'spam' });
+
+      expect(result).toMatchObject({ success: false, error: OWN_FLAG_ERROR });
+      expect(contentService.moderationQueue.get(flag.id).status).toBe('pending');
+    });
+
+    it('should require a reason code when upholding or rejecting', async () => {
+      const flag = await submitFlag('spam');
+
+      const missing = contentService.resolveFlag(flag.id, { decision: 'upheld', moderatorId: 'mod_1' });
+      const mismatched = contentService.resolveFlag(flag.id, { decision: 'rejected', moderatorId: 'mod_1', reasonCode: 'spam' });
+
+      expect(missing.success).toBe(false);
+      expect(missing.error).toContain('reason code is required');
+      expect(mismatched.success).toBe(false);
+
+      // Escalation does not close the flag, so no code is needed
+      expect(contentService.resolveFlag(flag.id, { decision: 'escalated', moderatorId: 'mod_1' }).success).toBe(true);
+    });
+
+    it('should reject unknown decisions', async () => {
+      const flag = await submitFlag('spam');
+
+      expect(contentService.resolveFlag(flag.id, { decision: 'deleted', moderatorId: 'mod_1' }).success).toBe(false);
+    });
+  });
+});
@@ -67,6 +67,73 @@ describe('FactHunter', () => {
       const policyClaims = claims.filter(c => c.type === 'policy');
       expect(policyClaims.length).toBeGreaterThan(0);
     });
+
+    it('should use claim extractors registered on the instance', () => {
+      factHunter.registerClaimExtractor({
+        name: 'hashtag',
+        claimType: 'hashtag',
+        extract: ({ content }) => [...content.matchAll(/#\w+/g)].map(match => ({
+          span: { start: match.index, end: match.index + match[0].length },
+          confidence: 0.5
+        }))
+      });
+
+      const claims = factHunter.extractClaims('Join us for #NYCBudget hearings.');
+
+      expect(claims.find(c => c.type === 'hashtag')?.text).toBe('#NYCBudget');
+    });
+  });
+  
+  describe('findInternalContradictions', () => {
+    it('should not compare percentages with absolute amounts', () => {
+      const claims = factHunter.extractClaims('Ridership grew 5% to 4 million daily riders.');
+
+      expect(factHunter.findInternalContradictions(claims)).toHaveLength(0);
+    });
+
+    it('should explain contradictions with both spans and offsets', () => {
+      const item = { id: 'item_1', title: 'Budget', source: 'Test', content: 'The budget is $5 billion. The same budget is actually $8 billion.' };
+      const [contradiction] = factHunter.findInternalContradictions(factHunter.extractClaims(item.content), item);
+
+      expect(contradiction.evidence.map(e => [e.contentId, e.text, e.start, e.end])).toEqual([
+        ['item_1', '$5 billion', 14, 24],
+        ['item_1', '$8 billion', 54, 64]
+      ]);
+      expect(contradiction.evidence[1].excerpt.before).toContain('The same budget is actually');
+      expect(contradiction.explanation).toContain('a 38% difference');
+    });
+
+    it('should not report the same amount written at different magnitudes', () => {
+      const claims = factHunter.extractClaims('The plan costs $2.1 billion. Officials put it at 2,100 million dollars.');
+
+      expect(factHunter.findInternalContradictions(claims)).toHaveLength(0);
+    });
+  });
+  
+  describe('checkAgainstDatabase', () => {
+    it('should dispute budget claims after normalizing magnitudes', async () => {
+      const claims = factHunter.extractClaims('The city budget is $8.9 billion this year.');
+      const factChecks = await factHunter.performFactChecks(claims);
+
+      expect(factChecks).toHaveLength(1);
+      expect(factChecks[0].normalized.claim1).toBe(8.9e9);
+    });
+
+    it('should cite the fact version a claim was checked against', async () => {
+      const budget = factHunter.factService.listFacts({ topic: 'budget' })[0];
+      factHunter.factService.updateFact(budget.id, { ...budget, value: 112.4 }, 'editor_1');
+
+      const claims = factHunter.extractClaims('The city budget is $106.7 billion this year.');
+      const [factCheck] = await factHunter.performFactChecks(claims);
+
+      expect(factCheck.fact).toMatchObject({ factId: budget.id, version: 2, sourceName: 'NYC.gov' });
+    });
+
+    it('should accept equivalent claims written in other units', async () => {
+      const claims = factHunter.extractClaims('The city budget is 106,700 million dollars and MTA ridership is 30 million riders per week.');
+
+      expect(await factHunter.performFactChecks(claims)).toHaveLength(0);
+    });
   });
   
   describe('calculateBiasScore', () => {
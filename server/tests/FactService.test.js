@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { FactService } from '../services/FactService.js';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+const schoolBudget = {
+  label: 'Yonkers school budget, FY2025',
+  topic: 'Education',
+  entities: ['Yonkers'],
+  keywords: ['school budget'],
+  value: 700,
+  scale: 'million',
+  unit: 'USD',
+  effectiveFrom: '2024-07-01',
+  effectiveTo: '2025-06-30',
+  jurisdiction: 'Yonkers',
+  sourceName: 'Yonkers Public Schools',
+  sourceUrl: 'https://www.yonkerspublicschools.org/'
+};
+
+describe('FactService', () => {
+  let factService;
+
+  beforeEach(() => {
+    factService = new FactService();
+  });
+
+  it('should seed reference facts only into an empty store', () => {
+    const storage = new MemoryDriver();
+    new FactService({ storage });
+    const reloaded = new FactService({ storage });
+
+    expect(reloaded.listFacts()).toHaveLength(3);
+  });
+
+  describe('revisions', () => {
+    it('should version every change and keep the history', () => {
+      const { data: created } = factService.createFact(schoolBudget, 'editor_1');
+      const { data: updated } = factService.updateFact(created.id, { ...schoolBudget, value: 725 }, 'editor_2', 'Adopted figure');
+
+      expect(created.topic).toBe('education');
+      expect(updated.version).toBe(2);
+      expect(factService.getRevisions(created.id).map(r => [r.version, r.change, r.editedBy])).toEqual([
+        [1, 'created', 'editor_1'],
+        [2, 'updated', 'editor_2']
+      ]);
+      expect(factService.getRevision(created.id, 1).snapshot.value).toBe(700);
+      expect(factService.getRevision(created.id, 2).note).toBe('Adopted figure');
+    });
+
+    it('should clear optional fields left out of an update', () => {
+      const { data: created } = factService.createFact(schoolBudget, 'editor_1');
+      const { scale, ...withoutScale } = schoolBudget;
+
+      const { data: updated } = factService.updateFact(created.id, withoutScale, 'editor_1');
+
+      expect(updated.scale).toBeUndefined();
+      expect(updated.createdBy).toBe('editor_1');
+    });
+
+    it('should retire facts without losing their history', () => {
+      const { data: created } = factService.createFact(schoolBudget, 'editor_1');
+
+      factService.retireFact(created.id, 'editor_1');
+
+      expect(factService.listFacts({ topic: 'education' })).toHaveLength(0);
+      expect(factService.getRevisions(created.id)).toHaveLength(2);
+      expect(factService.updateFact(created.id, schoolBudget, 'editor_1').success).toBe(false);
+    });
+  });
+
+  describe('findFactsForClaim', () => {
+    beforeEach(() => {
+      factService.createFact(schoolBudget, 'editor_1');
+    });
+
+    it('should match by topic keyword near the claim and a mentioned entity', () => {
+      const claim = { context: 'the school budget grows to $750 million' };
+
+      expect(factService.findFactsForClaim(claim, { text: 'Yonkers board votes' })[0].fact.label)
+        .toBe(schoolBudget.label);
+      expect(factService.findFactsForClaim(claim, { text: 'Albany board votes' })).toHaveLength(0);
+    });
+
+    it('should rank facts in effect when the content was published first', () => {
+      factService.createFact({
+        ...schoolBudget,
+        label: 'Yonkers school budget, FY2026',
+        value: 760,
+        effectiveFrom: '2025-07-01',
+        effectiveTo: '2026-06-30'
+      }, 'editor_1');
+
+      const matches = factService.findFactsForClaim(
+        { context: 'Yonkers school budget hits $750 million' },
+        { asOf: '2025-09-01T12:00:00Z' }
+      );
+
+      expect(matches.map(match => [match.fact.label, match.effective])).toEqual([
+        ['Yonkers school budget, FY2026', true],
+        ['Yonkers school budget, FY2025', false]
+      ]);
+    });
+  });
+
+  describe('toCitation', () => {
+    it('should cite the current version of the fact', () => {
+      const { data: fact } = factService.createFact(schoolBudget, 'editor_1');
+
+      expect(factService.toCitation(fact)).toMatchObject({
+        factId: fact.id,
+        version: 1,
+        revisionId: `${fact.id}@v1`,
+        sourceUrl: schoolBudget.sourceUrl
+      });
+    });
+  });
+});
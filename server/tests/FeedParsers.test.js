@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { parseFeed, detectFeedFormat, stripHtml } from '../services/FeedParsers.js';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/ingestion', name), 'utf8');
+
+describe('FeedParsers', () => {
+  it('should detect the format of each fixture', () => {
+    expect(detectFeedFormat(fixture('nycgov.rss.xml'))).toBe('rss');
+    expect(detectFeedFormat(fixture('gothamist.atom.xml'))).toBe('atom');
+    expect(detectFeedFormat(fixture('ny1.json'))).toBe('json');
+    expect(detectFeedFormat('<html></html>')).toBeNull();
+  });
+
+  it('should read RSS items with CDATA and encoded HTML bodies', () => {
+    const [budget, bus] = parseFeed(fixture('nycgov.rss.xml'));
+
+    expect(budget).toMatchObject({
+      externalId: 'nycgov-pr-2025-101',
+      content: 'The executive budget totals $111.6 billion and keeps rent assistance at current levels.',
+      author: 'Office of the Mayor',
+      categories: ['Budget', 'Housing & Development']
+    });
+    expect(bus.content).toBe('The pilot now covers five bus routes, one in each borough & serves 40,000 daily riders.');
+  });
+
+  it('should read Atom entries with their alternate link and author', () => {
+    const [entry] = parseFeed(fixture('gothamist.atom.xml'));
+
+    expect(entry).toMatchObject({
+      externalId: 'tag:gothamist.com,2024:library-cuts',
+      url: 'https://www.gothamist.com/news/library-cuts#comments',
+      author: 'Metro Desk',
+      publishedAt: '2024-04-25T09:15:00Z',
+      categories: ['education']
+    });
+  });
+
+  it('should read JSON Feed items and take the type from attachments', () => {
+    const [video, article] = parseFeed(fixture('ny1.json'));
+
+    expect(video).toMatchObject({ externalId: 'ny1-88121', author: 'Transit Reporter', mediaType: 'video' });
+    expect(article.content).toBe('The board will vote on lease increases for stabilized apartments in June.');
+  });
+
+  it('should reject documents that are not feeds', () => {
+    expect(() => parseFeed('<html><body>Not a feed</body></html>')).toThrow('Unrecognised feed format');
+  });
+
+  it('should strip markup and decode entities', () => {
+    expect(stripHtml('<p>Rent &amp; <b>fees</b></p><script>x()</script>&#8212;done')).toBe('Rent & fees —done');
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { IngestionService, loadIngestionSources } from '../services/IngestionService.js';
+import { ContentService } from '../services/ContentService.js';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+const fixtures = path.join(__dirname, 'fixtures/ingestion');
+
+const sources = [
+  { id: 'nycgov', name: 'NYC.gov', path: path.join(fixtures, 'nycgov.rss.xml'), tags: ['policy'] },
+  { id: 'gothamist', name: 'Gothamist', path: path.join(fixtures, 'gothamist.atom.xml') },
+  { id: 'ny1', name: 'NY1', path: path.join(fixtures, 'ny1.json'), type: 'story' }
+];
+
+describe('IngestionService', () => {
+  let storage;
+  let contentService;
+  let ingestionService;
+
+  const ingested = () => contentService.contentDatabase.values().filter(item => item.ingestion);
+
+  beforeEach(() => {
+    storage = new MemoryDriver();
+    contentService = new ContentService({ storage });
+    ingestionService = new IngestionService({ storage, contentService, sources });
+  });
+
+  it('should normalize fixture entries into feed items', async () => {
+    await ingestionService.run();
+    const budget = ingested().find(item => item.title.startsWith('Mayor Releases'));
+
+    expect(budget).toMatchObject({
+      type: 'article',
+      source: 'NYC.gov',
+      author: 'Office of the Mayor',
+      timestamp: '2024-04-24T14:00:00.000Z',
+      url: 'https://www.nyc.gov/news/exec-budget-fy25?utm_source=rss',
+      verified: false
+    });
+    expect(budget.tags).toEqual(expect.arrayContaining(['policy', 'budget', 'housing-and-development', 'rent']));
+  });
+
+  it('should use the attachment type and fall back to the poll time for bad dates', async () => {
+    const result = await ingestionService.run();
+    const ny1 = ingested().filter(item => item.source === 'NY1');
+    const polledAt = result.data.sources.find(source => source.sourceId === 'ny1').polledAt;
+
+    expect(ny1.map(item => item.type).sort()).toEqual(['story', 'video']);
+    expect(ny1.find(item => item.type === 'story').timestamp).toBe(polledAt);
+    expect(ny1.find(item => item.type === 'video').tags).toEqual(expect.arrayContaining(['public-safety', 'mta', 'police', 'subway']));
+  });
+
+  it('should skip empty entries and exact reposts from other sources', async () => {
+    const result = await ingestionService.run();
+    const [nycgov, gothamist] = result.data.sources;
+
+    expect(nycgov).toMatchObject({ entries: 3, added: 2, skipped: 1 });
+    expect(gothamist).toMatchObject({ entries: 2, added: 1, duplicates: 1 });
+    expect(ingested()).toHaveLength(5);
+  });
+
+  it('should not add anything when the same feeds are polled again', async () => {
+    await ingestionService.run();
+    const result = await ingestionService.run();
+
+    expect(result.data.sources.every(source => source.added === 0)).toBe(true);
+    expect(ingested()).toHaveLength(5);
+  });
+
+  it('should keep only web links from feed entries', () => {
+    const link = (url) => ingestionService.normalizeEntry({ title: 'Budget', content: 'Budget news.', url }, sources[0], new Date().toISOString()).url;
+
+    expect(link('javascript:alert(document.cookie)')).toBeNull();
+    expect(link('data:text/html,<script>alert(1)</script>')).toBeNull();
+    expect(link('https://www.nyc.gov/news')).toBe('https://www.nyc.gov/news');
+  });
+
+  it('should treat tracking parameters and www as the same link', () => {
+    expect(ingestionService.canonicalUrl('https://www.nyc.gov/news/a/?utm_source=rss&id=4#top'))
+      .toBe(ingestionService.canonicalUrl('https://nyc.gov/news/a?id=4'));
+  });
+
+  it('should hold items out of the feed until FactHunter has analyzed them', async () => {
+    await ingestionService.pollSource(sources[0]);
+
+    let feed = await contentService.getFeed('user_1');
+    expect(feed.data.some(item => item.source === 'NYC.gov' && item.ingestion)).toBe(false);
+    expect(ingestionService.getStatus().queue.queued).toBe(2);
+
+    const analysis = await ingestionService.processQueue();
+    feed = await contentService.getFeed('user_1');
+
+    expect(analysis).toEqual({ analyzed: 2, failed: 0 });
+    expect(feed.data.filter(item => item.ingestion?.status === 'published')).toHaveLength(2);
+  });
+
+  it('should retry analysis that fails', async () => {
+    await ingestionService.pollSource(sources[1]);
+    const analyzeContent = contentService.factHunter.analyzeContent;
+    contentService.factHunter.analyzeContent = async () => ({ contradictions: [], error: 'Analysis failed' });
+
+    expect(await ingestionService.processQueue()).toEqual({ analyzed: 0, failed: 2 });
+
+    contentService.factHunter.analyzeContent = analyzeContent;
+    expect(await ingestionService.processQueue()).toEqual({ analyzed: 2, failed: 0 });
+  });
+
+  it('should record fetch failures on the source', async () => {
+    const service = new IngestionService({
+      storage,
+      contentService,
+      sources: [{ id: 'down', name: 'Down', url: 'https://feeds.example.org/rss' }],
+      fetch: async () => ({ ok: false, status: 503 })
+    });
+
+    const result = await service.run();
+
+    expect(result.data.sources[0]).toMatchObject({ status: 'error', error: 'HTTP 503 from https://feeds.example.org/rss' });
+    expect(service.getStatus().sources[0].status).toBe('error');
+  });
+
+  it('should load sources relative to the config file and reject invalid ones', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-'));
+    const config = path.join(dir, 'sources.json');
+
+    fs.writeFileSync(config, JSON.stringify({ sources: [{ id: 'local', name: 'Local', path: 'feed.xml' }] }));
+    expect(loadIngestionSources(config)[0].path).toBe(path.join(dir, 'feed.xml'));
+
+    fs.writeFileSync(config, JSON.stringify([{ id: 'bad', name: 'Bad', url: 'https://a.example/rss', path: 'b.xml' }]));
+    expect(() => loadIngestionSources(config)).toThrow('exactly one of url or path is required');
+
+    fs.rmSync(dir, { recursive: true });
+  });
+});
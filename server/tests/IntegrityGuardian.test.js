@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import { IntegrityGuardian } from '../services/IntegrityGuardian.js';
+import { AuditService } from '../services/AuditService.js';
 
 describe('IntegrityGuardian', () => {
   let integrityGuardian;
@@ -91,6 +92,16 @@ describe('IntegrityGuardian', () => {
       const isValid = integrityGuardian.verifyAuditIntegrity();
       expect(isValid).toBe(true);
     });
+
+    it('should detect a rewritten decision', async () => {
+      await integrityGuardian.logModerationAction('flag_verified', { contentId: 'test', decision: 'upheld' });
+      const second = await integrityGuardian.logModerationAction('flag_verified', { contentId: 'test', decision: 'rejected' });
+
+      const event = integrityGuardian.auditLog.get(second.data.id);
+      integrityGuardian.auditLog.set(second.data.id, { ...event, publicData: { ...event.publicData, decision: 'upheld' } });
+
+      expect(integrityGuardian.verifyAuditIntegrity()).toBe(false);
+    });
   });
   
   describe('processFlagWithReputation', () => {
@@ -184,5 +195,24 @@ describe('IntegrityGuardian', () => {
         expect(entry.hash).toBeDefined(); // Should include hash for verification
       }
     });
+
+    it('should write moderation actions to the shared audit log', async () => {
+      const auditService = new AuditService();
+      const guardian = new IntegrityGuardian({ auditService });
+
+      await auditService.logEvent('quiz_completed', { score: 80 });
+      const action = await guardian.logModerationAction('flag_processed', {
+        flagId: 'flag_1',
+        contentId: 'content_1',
+        userId: 'user_456',
+        decision: 'upheld'
+      });
+
+      const events = auditService.auditEvents.values();
+      expect(events.map(event => event.eventType)).toEqual(['quiz_completed', 'flag_processed']);
+      expect(action.data.previousHash).toBe(events[0].hash);
+      expect(auditService.systemMetrics.flagsUpheld).toBe(1);
+      expect(guardian.getPublicAuditFeed().data.entries).toHaveLength(1);
+    });
   });
 });
\ No newline at end of file
@@ -41,6 +41,20 @@ describe('IssueMatcher', () => {
       expect(housingTopics.length).toBeGreaterThan(0);
     });
     
+    it('should break each topic weight into its factors', async () => {
+      const result = await issueMatcher.generateTopicSet({
+        selectedIssues: ['Housing & Rent Control'],
+        zipCode: '10001',
+        format: 'visual',
+        cadence: 'weekly'
+      });
+      
+      const development = result.baseTopics.find(topic => topic.id === 'housing-development');
+      
+      expect(development.weights).toEqual({ category: 1.0, format: 1.2, geo: 1.2, cadence: 1.1 });
+      expect(development.finalWeight).toBeCloseTo(1.0 * 1.2 * 1.2 * 1.1);
+    });
+    
     it('should respect cadence limits', async () => {
       const preferences = {
         selectedIssues: ['Housing & Rent Control', 'Public Transportation', 'Education & Schools'],
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Ledger, userAccount, systemAccount } from '../services/Ledger.js';
+
+const earn = (userId, amount) => [
+  { account: systemAccount('earn', 'MP'), currency: 'MP', amount: -amount },
+  { account: userAccount(userId, 'MP'), currency: 'MP', amount }
+];
+
+describe('Ledger', () => {
+  let ledger;
+
+  beforeEach(() => {
+    ledger = new Ledger();
+  });
+
+  describe('post', () => {
+    it('should derive balances from postings', () => {
+      ledger.post({ type: 'earn', userId: 'u1', idempotencyKey: 'k1', postings: earn('u1', 5) });
+      ledger.post({
+        type: 'spend',
+        userId: 'u1',
+        idempotencyKey: 'k2',
+        postings: [
+          { account: userAccount('u1', 'MP'), currency: 'MP', amount: -3 },
+          { account: systemAccount('spend', 'MP'), currency: 'MP', amount: 3 }
+        ]
+      });
+
+      expect(ledger.getBalance(userAccount('u1', 'MP'))).toBe(2);
+      expect(ledger.getUserBalances('u1').metroPoints).toBe(2);
+      expect(ledger.listUserEntries('u1').map(entry => entry.type)).toEqual(['spend', 'earn']);
+    });
+
+    it('should reject entries that do not balance', () => {
+      expect(() => ledger.post({
+        type: 'earn',
+        userId: 'u1',
+        idempotencyKey: 'k1',
+        postings: [
+          { account: systemAccount('earn', 'MP'), currency: 'MP', amount: -5 },
+          { account: userAccount('u1', 'MP'), currency: 'MP', amount: 4 }
+        ]
+      })).toThrow('Unbalanced');
+    });
+
+    it('should require an idempotency key and a known type', () => {
+      expect(() => ledger.post({ type: 'earn', userId: 'u1', postings: earn('u1', 1) })).toThrow('idempotency key');
+      expect(() => ledger.post({ type: 'gift', userId: 'u1', idempotencyKey: 'k1', postings: earn('u1', 1) })).toThrow('Unknown');
+    });
+
+    it('should replay an idempotency key instead of posting twice', () => {
+      const first = ledger.post({ type: 'earn', userId: 'u1', idempotencyKey: 'k1', postings: earn('u1', 5) });
+      const retry = ledger.post({ type: 'earn', userId: 'u1', idempotencyKey: 'k1', postings: earn('u1', 5) });
+      const conflict = ledger.post({ type: 'earn', userId: 'u1', idempotencyKey: 'k1', postings: earn('u1', 7) });
+
+      expect(retry.replayed).toBe(true);
+      expect(retry.data.id).toBe(first.data.id);
+      expect(conflict.success).toBe(false);
+      expect(ledger.getBalance(userAccount('u1', 'MP'))).toBe(5);
+    });
+
+    it('should not let a user account go negative', () => {
+      const result = ledger.post({
+        type: 'spend',
+        userId: 'u1',
+        idempotencyKey: 'k1',
+        postings: [
+          { account: userAccount('u1', 'MP'), currency: 'MP', amount: -1 },
+          { account: systemAccount('spend', 'MP'), currency: 'MP', amount: 1 }
+        ]
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Insufficient balance');
+      expect(ledger.entries.size).toBe(0);
+    });
+  });
+
+  describe('verify', () => {
+    it('should report a balanced ledger and flag tampered entries', () => {
+      ledger.post({ type: 'earn', userId: 'u1', idempotencyKey: 'k1', postings: earn('u1', 5) });
+      expect(ledger.verify().balanced).toBe(true);
+
+      const entry = ledger.findByIdempotencyKey('k1');
+      ledger.entries.set(entry.id, { ...entry, postings: [entry.postings[0], { ...entry.postings[1], amount: 50 }] });
+
+      const report = ledger.verify();
+      expect(report.balanced).toBe(false);
+      expect(report.unbalancedEntries).toEqual([entry.id]);
+    });
+  });
+});
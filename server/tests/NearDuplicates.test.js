@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { shingle, minhashSignature, estimateSimilarity, groupNearDuplicates } from '../services/NearDuplicates.js';
+
+const wire = 'State lawmakers on Tuesday approved a $2.4 billion package to expand rental assistance for low-income tenants, sending the measure to the governor. The bill would fund vouchers for roughly 40,000 households over three years.';
+
+const item = (id, content, title = 'Lawmakers approve rental assistance package') => ({ id, title, content });
+
+describe('NearDuplicates', () => {
+  it('should shingle words and keep amounts intact', () => {
+    expect([...shingle('The budget is $2.1 billion.', 3)]).toEqual([
+      'the budget is',
+      'budget is $2.1',
+      'is $2.1 billion'
+    ]);
+    expect([...shingle('Short text', 3)]).toEqual(['short text']);
+  });
+
+  it('should estimate similarity from MinHash signatures', () => {
+    const a = minhashSignature(shingle(wire));
+    const b = minhashSignature(shingle(wire.replace('on Tuesday ', '')));
+    const c = minhashSignature(shingle('The council heard from tenants about vouchers at a hearing.'));
+
+    expect(estimateSimilarity(a, a)).toBe(1);
+    expect(estimateSimilarity(a, b)).toBeGreaterThan(0.6);
+    expect(estimateSimilarity(a, c)).toBeLessThan(0.2);
+  });
+
+  it('should group lightly edited copies and leave other stories alone', () => {
+    const groups = groupNearDuplicates([
+      item('ap', `ALBANY — ${wire}`),
+      item('other', 'The council heard from tenants about vouchers at a hearing.', 'Tenants testify'),
+      item('gothamist', wire.replace('on Tuesday ', '')),
+      item('ny1', wire.replace('roughly', 'about'))
+    ]);
+
+    expect(groups.map(group => group.members.map(member => member.item.id))).toEqual([
+      ['ap', 'gothamist', 'ny1'],
+      ['other']
+    ]);
+  });
+
+  it('should not group items that have no text', () => {
+    const groups = groupNearDuplicates([
+      item('photo_1', '', ''),
+      item('photo_2', '', ''),
+      item('photo_3', '—', '')
+    ]);
+
+    expect(groups).toHaveLength(3);
+  });
+
+  it('should respect a stricter threshold', () => {
+    const groups = groupNearDuplicates([
+      item('ap', wire),
+      item('rewrite', wire.replace('State lawmakers on Tuesday approved', 'Albany passed').replace('roughly', 'about'))
+    ], { threshold: 0.95 });
+
+    expect(groups).toHaveLength(2);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeQuantity, compareQuantities } from '../services/NumericNormalizer.js';
+
+const amount = (fields) => ({ kind: 'amount', scale: null, currency: null, unit: null, period: null, ...fields });
+const percentage = (number, unit = 'percent') => ({ kind: 'percentage', number, unit });
+
+describe('NumericNormalizer', () => {
+  describe('normalizeQuantity', () => {
+    it('should multiply out magnitudes and tag currencies', () => {
+      expect(normalizeQuantity(amount({ number: 2.1, scale: 'billion', currency: 'USD' })))
+        .toEqual({ value: 2.1e9, kind: 'currency', dimension: 'currency:USD' });
+    });
+
+    it('should convert percentages to fractions', () => {
+      expect(normalizeQuantity(percentage(30)).value).toBeCloseTo(0.3);
+    });
+
+    it('should express rates per day with canonical units', () => {
+      const weekly = normalizeQuantity(amount({ number: 7, scale: 'million', unit: 'passengers', period: 'week' }));
+
+      expect(weekly).toEqual({ value: 1e6, kind: 'rate', dimension: 'rate:count:riders/day' });
+    });
+  });
+
+  describe('compareQuantities', () => {
+    it('should treat the same amount at different magnitudes as consistent', () => {
+      const result = compareQuantities(
+        amount({ number: 2.1, scale: 'billion', currency: 'USD' }),
+        amount({ number: 2100, scale: 'million', currency: 'USD' })
+      );
+
+      expect(result).toMatchObject({ comparable: true, consistent: true });
+    });
+
+    it('should read a bare fraction as a percentage', () => {
+      expect(compareQuantities(percentage(30), amount({ number: 0.3 }))).toMatchObject({ comparable: true, consistent: true });
+    });
+
+    it('should not compare a bare number with a scaled amount', () => {
+      expect(compareQuantities(amount({ number: 8.9 }), amount({ number: 8.9, scale: 'million' })).comparable).toBe(false);
+    });
+
+    it('should not compare different currencies or units', () => {
+      expect(compareQuantities(
+        amount({ number: 5, currency: 'USD' }),
+        amount({ number: 5, unit: 'riders' })
+      ).comparable).toBe(false);
+    });
+
+    it('should flag differences beyond the tolerance for the kind', () => {
+      const result = compareQuantities(percentage(30), percentage(33));
+
+      expect(result.consistent).toBe(false);
+      expect(compareQuantities(percentage(30), percentage(33), { percent: { absolute: 0.05 } }).consistent).toBe(true);
+    });
+  });
+});
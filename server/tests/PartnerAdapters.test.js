@@ -0,0 +1,113 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { HttpPartnerAdapter, LocalPartnerAdapter, assertPartnerAdapter } from '../services/PartnerAdapters.js';
+import { createPartnerSimulator } from '../scripts/partnerSimulator.js';
+import { RewardMaster } from '../services/RewardMaster.js';
+
+describe('PartnerAdapters', () => {
+  let server;
+
+  // Start a simulator on a free port and point an adapter at it
+  const simulate = async (partner, options = {}, adapterOptions = {}) => {
+    const app = createPartnerSimulator(partner, options);
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+
+    const adapter = new HttpPartnerAdapter({
+      name: partner,
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      ...adapterOptions
+    });
+    return { app, adapter };
+  };
+
+  afterEach(async () => {
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+  });
+
+  it('should reject adapters that do not implement the contract', () => {
+    expect(() => assertPartnerAdapter({ credit() {} }, 'omny')).toThrow('issueVoucher, void, status');
+    expect(assertPartnerAdapter(new LocalPartnerAdapter(), 'local')).toBeInstanceOf(LocalPartnerAdapter);
+  });
+
+  it('should credit once per reference', async () => {
+    const { app, adapter } = await simulate('omny');
+
+    const first = await adapter.credit({ reference: 'redeem_1', userId: 'u1', amount: 5 });
+    const repeat = await adapter.credit({ reference: 'redeem_1', userId: 'u1', amount: 5 });
+
+    expect(first.success).toBe(true);
+    expect(first.data.creditAmount).toBe(5);
+    expect(repeat.data.transactionId).toBe(first.data.transactionId);
+    expect(app.locals.transactions.size).toBe(1);
+  });
+
+  it('should treat declines as final and server errors as retryable', async () => {
+    const declining = await simulate('merchant', { declineRate: 1 });
+    const declined = await declining.adapter.issueVoucher({
+      reference: 'redeem_1',
+      userId: 'u1',
+      reward: { id: 'coffee_discount', value: 0.2, validDays: 30 },
+      quantity: 1
+    });
+
+    expect(declined.success).toBe(false);
+    expect(declined.retryable).toBe(false);
+
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+
+    const failing = await simulate('omny', { errorRate: 1 });
+    const failed = await failing.adapter.credit({ reference: 'redeem_2', userId: 'u1', amount: 5 });
+
+    expect(failed.success).toBe(false);
+    expect(failed.retryable).toBe(true);
+    expect((await failing.adapter.status({ reference: 'redeem_2' })).data.state).toBe('not_found');
+  });
+
+  it('should report a timeout as retryable even though the partner processed it', async () => {
+    const { adapter } = await simulate('omny', { timeoutRate: 1, hangMs: 300 }, { timeoutMs: 50 });
+
+    const result = await adapter.credit({ reference: 'redeem_1', userId: 'u1', amount: 5 });
+    const status = await adapter.status({ reference: 'redeem_1' });
+
+    expect(result.success).toBe(false);
+    expect(result.retryable).toBe(true);
+    expect(result.error).toContain('timed out');
+    expect(status.data.state).toBe('completed');
+  });
+
+  it('should void a transaction', async () => {
+    const { adapter } = await simulate('omny');
+    await adapter.credit({ reference: 'redeem_1', userId: 'u1', amount: 5 });
+
+    const voided = await adapter.void({ reference: 'redeem_1' });
+
+    expect(voided.data.state).toBe('voided');
+    expect((await adapter.status({ reference: 'redeem_1' })).data.state).toBe('voided');
+  });
+
+  it('should fulfill a redemption whose first call timed out without crediting twice', async () => {
+    // First call times out, anything after succeeds
+    const rolls = [0.5];
+    const { app, adapter } = await simulate(
+      'omny',
+      { timeoutRate: 1, hangMs: 300, random: () => rolls.shift() ?? 1 },
+      { timeoutMs: 50 }
+    );
+    const rewardMaster = new RewardMaster({ partners: { omny: adapter }, redemptionRetry: { baseDelayMs: 0 } });
+    await rewardMaster.postAdjustment('u1', { metroPoints: 5, reason: 'test', idempotencyKey: 'seed' });
+
+    const result = await rewardMaster.redeemReward('u1', 'omny_5');
+    const redemption = await rewardMaster.waitForRedemption(result.data.redemption.id);
+
+    expect(redemption.status).toBe('fulfilled');
+    expect(redemption.attempts).toBe(1);
+    expect(app.locals.transactions.size).toBe(1);
+    expect(rewardMaster.getUserProfile('u1').metroPoints).toBe(0);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ProfileService } from '../services/ProfileService.js';
+import { ContentService } from '../services/ContentService.js';
+import { MemoryDriver } from '../storage/MemoryDriver.js';
+
+const onboarding = {
+  issues: ['Housing & Rent Control'],
+  format: 'mixed',
+  reminders: false,
+  cadence: 'weekly',
+  zipCode: '10001'
+};
+
+describe('ProfileService', () => {
+  let storage;
+  let profileService;
+
+  beforeEach(() => {
+    storage = new MemoryDriver();
+    profileService = new ProfileService({ storage });
+  });
+
+  it('should store the onboarding result with its topic set', async () => {
+    const profile = await profileService.saveOnboarding('user_1', { ...onboarding, role: 'admin' });
+    const reloaded = new ProfileService({ storage }).getProfile('user_1');
+
+    expect(profile.preferences).toEqual(onboarding);
+    expect(profile.personalizedTopics.surpriseTopics.length).toBeGreaterThanOrEqual(1);
+    expect(reloaded).toEqual(profile);
+  });
+
+  it('should keep the topic set when only reminders change', async () => {
+    const profile = await profileService.saveOnboarding('user_1', onboarding);
+
+    const result = await profileService.updatePreferences('user_1', { reminders: true });
+
+    expect(result.topicsChanged).toBe(false);
+    expect(result.data.preferences.reminders).toBe(true);
+    expect(result.data.personalizedTopics).toEqual(profile.personalizedTopics);
+  });
+
+  it('should regenerate the topic set when issues change', async () => {
+    await profileService.saveOnboarding('user_1', onboarding);
+
+    const result = await profileService.updatePreferences('user_1', { issues: ['Public Transportation'] });
+
+    expect(result.topicsChanged).toBe(true);
+    expect(result.data.personalizedTopics.baseTopics.every(topic => topic.category === 'Public Transportation')).toBe(true);
+    expect(result.data.preferences.zipCode).toBe('10001');
+  });
+
+  it('should not edit preferences before onboarding', async () => {
+    const result = await profileService.updatePreferences('user_2', { reminders: true });
+
+    expect(result).toEqual({ success: false, error: 'Onboarding not completed' });
+    expect(profileService.getFeedPreferences('user_2')).toBeNull();
+  });
+
+  it('should drive the feed from the stored profile, surprise topics included', async () => {
+    const contentService = new ContentService({ storage, profileService });
+    const profile = await profileService.saveOnboarding('user_1', { ...onboarding, issues: ['Public Safety'] });
+    profile.personalizedTopics.surpriseTopics = [{ id: 'mta-funding', category: 'surprise', weight: 0.7, type: 'surprise', reason: 'Broadening perspective' }];
+    storage.collection('profiles.onboarding').set('user_1', profile);
+
+    const feed = await contentService.getFeed('user_1', { issues: ['Housing & Rent Control'] });
+
+    expect(feed.metadata.preferencesSource).toBe('profile');
+    expect(feed.data.map(item => item.id)).toEqual(['content_2']);
+    expect(feed.data[0].ranking.surpriseTopic.id).toBe('mta-funding');
+  });
+});
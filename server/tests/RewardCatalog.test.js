@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { RewardCatalog } from '../services/RewardCatalog.js';
+
+describe('RewardCatalog', () => {
+  let catalog;
+  let merchant;
+
+  beforeEach(() => {
+    catalog = new RewardCatalog();
+    merchant = catalog.createMerchant({ name: 'Corner Bakery', memberIds: ['staff_1'] }, 'admin').data;
+  });
+
+  it('should seed the original rewards', () => {
+    const ids = catalog.listRewards().map(reward => reward.id);
+
+    expect(ids).toEqual(['omny_5', 'omny_10', 'coffee_discount', 'restaurant_discount', 'xp_boost']);
+    expect(catalog.getReward('coffee_discount').merchantId).toBeTruthy();
+  });
+
+  it('should create, replace and retire rewards', () => {
+    const created = catalog.createReward({ title: 'Free croissant', cost: 2, value: 1, category: 'local', merchantId: merchant.id, stock: 10 }, 'admin');
+    const rewardId = created.data.id;
+    catalog.reserveStock(rewardId, 3);
+
+    const updated = catalog.updateReward(rewardId, { title: 'Free croissant', cost: 3, value: 1, category: 'local', merchantId: merchant.id }, 'admin');
+
+    expect(updated.data.cost).toBe(3);
+    expect(updated.data.stock).toBeNull();
+    expect(updated.data.claimed).toBe(3);
+
+    catalog.retireReward(rewardId, 'admin');
+
+    expect(catalog.listRewards({ merchantId: merchant.id })).toHaveLength(0);
+    expect(catalog.listRewards({ merchantId: merchant.id, includeRetired: true })).toHaveLength(1);
+    expect(catalog.updateReward(rewardId, { title: 'Back' }, 'admin').error).toBe('Reward not found');
+  });
+
+  it('should reserve and release stock', () => {
+    const reward = catalog.createReward({ title: 'Tote bag', cost: 1, value: 1, category: 'local', merchantId: merchant.id, stock: 2 }, 'admin').data;
+
+    expect(catalog.reserveStock(reward.id, 2)).toBe(true);
+    expect(catalog.reserveStock(reward.id, 1)).toBe(false);
+
+    catalog.releaseStock(reward.id, 1);
+
+    expect(catalog.remainingStock(catalog.getReward(reward.id))).toBe(1);
+    expect(catalog.remainingStock(catalog.getReward('omny_5'))).toBeNull();
+  });
+
+  it('should not attach offers to suspended merchants', () => {
+    catalog.updateMerchant(merchant.id, { status: 'suspended' }, 'admin');
+
+    const result = catalog.createReward({ title: 'Muffin', cost: 1, value: 1, category: 'local', merchantId: merchant.id }, 'admin');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Merchant account is suspended');
+    expect(catalog.merchantsForUser('staff_1')).toHaveLength(0);
+    expect(catalog.getMerchant(merchant.id).name).toBe('Corner Bakery');
+  });
+
+  it('should only let merchant staff publish local offers for their own merchants', () => {
+    const transit = { title: 'Fare credit', cost: 1, value: 500, category: 'transit', merchantId: merchant.id };
+    const local = { title: 'Free bagel', cost: 1, value: 1, category: 'local', merchantId: merchant.id };
+
+    expect(catalog.merchantOfferProblem(transit, [merchant.id])).toBe('Merchants can only publish local offers');
+    expect(catalog.merchantOfferProblem({ ...local, merchantId: 'merchant_other' }, [merchant.id])).toBe('You can only add offers for merchants you belong to');
+    expect(catalog.merchantOfferProblem(local, [merchant.id])).toBeNull();
+  });
+
+  it('should treat offers without zip codes as city-wide', () => {
+    const cityWide = catalog.getReward('omny_5');
+    const targeted = catalog.createReward({ title: 'Local', cost: 1, value: 1, category: 'local', merchantId: merchant.id, zipCodes: ['10001'] }, 'admin').data;
+
+    expect(catalog.isAvailableIn(cityWide, null)).toBe(true);
+    expect(catalog.isAvailableIn(targeted, '10001')).toBe(true);
+    expect(catalog.isAvailableIn(targeted, null)).toBe(false);
+  });
+});
@@ -1,5 +1,9 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { RewardMaster } from '../services/RewardMaster.js';
+import { LocalPartnerAdapter } from '../services/PartnerAdapters.js';
+
+// A local partner with some operations replaced
+const partnerWith = (overrides) => Object.assign(new LocalPartnerAdapter({ name: 'omny' }), overrides);
 
 describe('RewardMaster', () => {
   let rewardMaster;
@@ -41,6 +45,31 @@ describe('RewardMaster', () => {
       expect(second.success).toBe(false);
       expect(second.error).toContain('Duplicate action detected');
     });
+
+    it('should pay out once per verified flag', async () => {
+      const userId = 'test_user_flags';
+
+      const first = await rewardMaster.awardXP(userId, 'flag_verified', { flagId: 'flag_1' });
+      const repeat = await rewardMaster.awardXP(userId, 'flag_verified', { flagId: 'flag_1' });
+      const other = await rewardMaster.awardXP(userId, 'flag_verified', { flagId: 'flag_2' });
+
+      expect(first.success).toBe(true);
+      expect(repeat.success).toBe(false);
+      expect(other.success).toBe(true);
+    });
+
+    it('should replay an award retried with the same idempotency key', async () => {
+      const userId = 'test_user_idem';
+
+      const first = await rewardMaster.awardXP(userId, 'flag_submission', {}, { idempotencyKey: 'flag_submission:flag_9' });
+      const retry = await rewardMaster.awardXP(userId, 'flag_submission', {}, { idempotencyKey: 'flag_submission:flag_9' });
+
+      expect(first.success).toBe(true);
+      expect(retry.success).toBe(true);
+      expect(retry.replayed).toBe(true);
+      expect(retry.data.transaction.id).toBe(first.data.transaction.id);
+      expect(rewardMaster.getUserProfile(userId).totalXP).toBe(25);
+    });
   });
   
   describe('processQuizCompletion', () => {
@@ -133,6 +162,149 @@ describe('RewardMaster', () => {
       expect(result.data.remainingPoints).toBe(0); // 3 - 3 = 0
     });
     
+    it('should return the original redemption when retried with the same key', async () => {
+      const userId = 'test_user_retry';
+      await rewardMaster.postAdjustment(userId, { metroPoints: 10, reason: 'test', idempotencyKey: 'seed' });
+
+      const first = await rewardMaster.redeemReward(userId, 'omny_5', 1, { idempotencyKey: 'attempt_1' });
+      const retry = await rewardMaster.redeemReward(userId, 'omny_5', 1, { idempotencyKey: 'attempt_1' });
+
+      expect(retry.replayed).toBe(true);
+      expect(retry.data.redemption.id).toBe(first.data.redemption.id);
+      expect(rewardMaster.getUserProfile(userId).metroPoints).toBe(5);
+    });
+
+    it('should replay a retried redemption after the reward is retired', async () => {
+      const userId = 'test_user_retired';
+      await rewardMaster.postAdjustment(userId, { metroPoints: 10, reason: 'test', idempotencyKey: 'seed' });
+
+      const first = await rewardMaster.redeemReward(userId, 'omny_5', 1, { idempotencyKey: 'attempt_1' });
+      rewardMaster.catalog.retireReward('omny_5', 'admin_1');
+      const retry = await rewardMaster.redeemReward(userId, 'omny_5', 1, { idempotencyKey: 'attempt_1' });
+
+      expect(retry.success).toBe(true);
+      expect(retry.replayed).toBe(true);
+      expect(retry.data.redemption.id).toBe(first.data.redemption.id);
+    });
+
+    it('should reject quantities that are not positive integers', async () => {
+      const userId = 'test_user_quantity';
+      await rewardMaster.postAdjustment(userId, { metroPoints: 5, reason: 'test', idempotencyKey: 'seed' });
+
+      for (const quantity of [-3, 0, 0.5, '2']) {
+        const result = await rewardMaster.redeemReward(userId, 'omny_5', quantity, { idempotencyKey: `attempt_${quantity}` });
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Quantity must be a positive integer');
+      }
+
+      expect(rewardMaster.getUserProfile(userId).metroPoints).toBe(5);
+      expect(rewardMaster.redemptions.values().filter(redemption => redemption.userId === userId)).toHaveLength(0);
+    });
+
+    it('should release the stock and fail the redemption when posting the spend throws', async () => {
+      const userId = 'test_user_post_error';
+      await rewardMaster.postAdjustment(userId, { metroPoints: 5, reason: 'test', idempotencyKey: 'seed' });
+      const claimed = rewardMaster.catalog.getReward('omny_5').claimed;
+      vi.spyOn(rewardMaster.ledger, 'post').mockImplementation(() => { throw new Error('Malformed entry'); });
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await rewardMaster.redeemReward(userId, 'omny_5', 1, { idempotencyKey: 'attempt_1' });
+      const [redemption] = rewardMaster.redemptions.values().filter(entry => entry.userId === userId);
+
+      expect(result.success).toBe(false);
+      expect(rewardMaster.catalog.getReward('omny_5').claimed).toBe(claimed);
+      expect(redemption.status).toBe('failed');
+      vi.restoreAllMocks();
+    });
+
+    it('should refund the points when the partner declines', async () => {
+      const userId = 'test_user_refund';
+      rewardMaster = new RewardMaster({
+        partners: { omny: partnerWith({ credit: async () => ({ success: false, error: 'Card declined' }) }) }
+      });
+      await rewardMaster.postAdjustment(userId, { metroPoints: 10, reason: 'test', idempotencyKey: 'seed' });
+
+      const result = await rewardMaster.redeemReward(userId, 'omny_5', 1, { idempotencyKey: 'attempt_1' });
+      expect(result.data.redemption.status).toBe('reserved');
+      expect(result.data.remainingPoints).toBe(5);
+
+      const redemption = await rewardMaster.waitForRedemption(result.data.redemption.id);
+      const profile = rewardMaster.getUserProfile(userId);
+
+      expect(redemption.status).toBe('refunded');
+      expect(redemption.attempts).toBe(1);
+      expect(redemption.history.map(step => step.status)).toEqual(['requested', 'reserved', 'failed', 'refunded']);
+      expect(profile.metroPoints).toBe(10);
+      expect(profile.transactions.map(txn => txn.type)).toEqual(['refund', 'spend', 'adjust']);
+    });
+
+    it('should retry transient partner failures before fulfilling', async () => {
+      const userId = 'test_user_retries';
+      let calls = 0;
+      rewardMaster = new RewardMaster({
+        redemptionRetry: { baseDelayMs: 0 },
+        partners: {
+          omny: partnerWith({
+            credit: async () => {
+              calls++;
+              if (calls === 1) throw new Error('Partner timed out');
+              return { success: true, data: { transactionId: 'omny_1' } };
+            }
+          })
+        }
+      });
+      await rewardMaster.postAdjustment(userId, { metroPoints: 5, reason: 'test', idempotencyKey: 'seed' });
+
+      const result = await rewardMaster.redeemReward(userId, 'omny_5');
+      const redemption = await rewardMaster.waitForRedemption(result.data.redemption.id);
+
+      expect(redemption.status).toBe('fulfilled');
+      expect(redemption.attempts).toBe(2);
+      expect(redemption.redemptionData.transactionId).toBe('omny_1');
+      expect(rewardMaster.getUserProfile(userId).metroPoints).toBe(0);
+    });
+
+    it('should refund after running out of attempts', async () => {
+      const userId = 'test_user_exhausted';
+      rewardMaster = new RewardMaster({
+        redemptionRetry: { maxAttempts: 3, baseDelayMs: 0 },
+        partners: { omny: partnerWith({ credit: async () => ({ success: false, error: 'Service unavailable', retryable: true }) }) }
+      });
+      await rewardMaster.postAdjustment(userId, { metroPoints: 5, reason: 'test', idempotencyKey: 'seed' });
+
+      const result = await rewardMaster.redeemReward(userId, 'omny_5');
+      const redemption = await rewardMaster.waitForRedemption(result.data.redemption.id);
+
+      expect(redemption.status).toBe('refunded');
+      expect(redemption.attempts).toBe(3);
+      expect(redemption.error).toContain('gave up after 3 attempts');
+      expect(rewardMaster.getUserProfile(userId).metroPoints).toBe(5);
+    });
+
+    it('should refuse transitions the state machine does not allow', async () => {
+      const userId = 'test_user_transitions';
+      await rewardMaster.postAdjustment(userId, { metroPoints: 5, reason: 'test', idempotencyKey: 'seed' });
+
+      const result = await rewardMaster.redeemReward(userId, 'omny_5');
+      const redemption = await rewardMaster.waitForRedemption(result.data.redemption.id);
+
+      expect(redemption.status).toBe('fulfilled');
+      expect(() => rewardMaster.refundRedemption(redemption, 'too late')).toThrow('cannot move from fulfilled to refunded');
+      expect(rewardMaster.getUserProfile(userId).metroPoints).toBe(0);
+    });
+
+    it('should issue a signed voucher for local offers', async () => {
+      const userId = 'test_user_voucher';
+      await rewardMaster.postAdjustment(userId, { metroPoints: 3, reason: 'test', idempotencyKey: 'seed' });
+
+      const result = await rewardMaster.redeemReward(userId, 'coffee_discount');
+      const redemption = await rewardMaster.waitForRedemption(result.data.redemption.id);
+      const { voucher } = redemption.redemptionData;
+
+      expect(redemption.status).toBe('fulfilled');
+      expect(rewardMaster.vouchers.verify(voucher.code, [rewardMaster.catalog.getReward('coffee_discount').merchantId]).valid).toBe(true);
+    });
+
     it('should fail when user has insufficient points', async () => {
       const userId = 'test_user_9';
       
@@ -141,8 +313,80 @@ describe('RewardMaster', () => {
       expect(result.success).toBe(false);
       expect(result.error).toContain('Insufficient MetroPoints');
     });
+
+    it('should stop redemptions once stock runs out and give it back on refund', async () => {
+      rewardMaster = new RewardMaster({
+        partners: { omny: partnerWith({ credit: async () => ({ success: false, error: 'Card declined' }) }) }
+      });
+      const reward = rewardMaster.catalog.createReward({ title: 'Limited credit', cost: 1, value: 1, category: 'transit', icon: 'train', stock: 1 }, 'admin').data;
+      await rewardMaster.postAdjustment('u1', { metroPoints: 5, reason: 'test', idempotencyKey: 'seed' });
+      await rewardMaster.postAdjustment('u2', { metroPoints: 5, reason: 'test', idempotencyKey: 'seed_u2' });
+
+      const first = await rewardMaster.redeemReward('u1', reward.id);
+      const second = await rewardMaster.redeemReward('u2', reward.id);
+
+      expect(second.success).toBe(false);
+      expect(second.reason).toBe('out_of_stock');
+      expect(rewardMaster.getUserProfile('u2').metroPoints).toBe(5);
+
+      await rewardMaster.waitForRedemption(first.data.redemption.id);
+      expect(rewardMaster.catalog.remainingStock(rewardMaster.catalog.getReward(reward.id))).toBe(1);
+    });
+
+    it('should enforce the per-user limit', async () => {
+      const reward = rewardMaster.catalog.createReward({ title: 'Once each', cost: 1, value: 1, category: 'transit', icon: 'train', perUserLimit: 1 }, 'admin').data;
+      await rewardMaster.postAdjustment('u1', { metroPoints: 5, reason: 'test', idempotencyKey: 'seed' });
+
+      const first = await rewardMaster.redeemReward('u1', reward.id);
+      await rewardMaster.waitForRedemption(first.data.redemption.id);
+      const second = await rewardMaster.redeemReward('u1', reward.id);
+
+      expect(second.success).toBe(false);
+      expect(second.reason).toBe('user_limit_reached');
+      expect(rewardMaster.getUserProfile('u1').metroPoints).toBe(4);
+    });
+
+    it('should only offer zip-targeted rewards to readers in those zip codes', async () => {
+      rewardMaster = new RewardMaster({
+        profileService: { getProfile: (userId) => ({ preferences: { zipCode: userId === 'local' ? '10001' : '11201' } }) }
+      });
+      const reward = rewardMaster.catalog.createReward({ title: 'Chelsea only', cost: 1, value: 1, category: 'transit', icon: 'train', zipCodes: ['10001'] }, 'admin').data;
+
+      expect(rewardMaster.getRewardEligibility('local', reward).eligible).toBe(true);
+      expect(rewardMaster.getRewardEligibility('elsewhere', reward).reason).toBe('outside_area');
+    });
+
+    it('should respect start and end dates', () => {
+      const day = 24 * 60 * 60 * 1000;
+      const upcoming = rewardMaster.catalog.createReward({ title: 'Soon', cost: 1, value: 1, category: 'boost', startsAt: new Date(Date.now() + day).toISOString() }, 'admin').data;
+      const ended = rewardMaster.catalog.createReward({ title: 'Over', cost: 1, value: 1, category: 'boost', endsAt: new Date(Date.now() - day).toISOString() }, 'admin').data;
+
+      expect(rewardMaster.getRewardEligibility('u1', upcoming).reason).toBe('not_started');
+      expect(rewardMaster.getRewardEligibility('u1', ended).reason).toBe('ended');
+
+      const listed = rewardMaster.getAvailableRewards('u1');
+      expect(listed.find(reward => reward.id === upcoming.id).available).toBe(false);
+      expect(listed.some(reward => reward.id === ended.id)).toBe(false);
+    });
   });
   
+  describe('reconcile', () => {
+    it('should flag profiles whose stored balance differs from the ledger', async () => {
+      await rewardMaster.awardXP('test_user_12', 'vote_pledge');
+      expect(rewardMaster.reconcile().ok).toBe(true);
+
+      // A balance written outside the ledger
+      const stored = rewardMaster.userProfiles.get('test_user_12');
+      rewardMaster.userProfiles.set('test_user_12', { ...stored, metroPoints: 40 });
+
+      const report = rewardMaster.reconcile();
+      expect(report.ok).toBe(false);
+      expect(report.drift).toEqual([
+        { userId: 'test_user_12', field: 'metroPoints', recorded: 40, ledger: 1, difference: 39 }
+      ]);
+    });
+  });
+
   describe('getUserProfile', () => {
     it('should create and return user profile', () => {
       const userId = 'test_user_10';
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStorage, MemoryDriver, SqliteDriver } from '../storage/index.js';
+import { RewardMaster } from '../services/RewardMaster.js';
+import { QuizService } from '../services/QuizService.js';
+import { IntegrityGuardian } from '../services/IntegrityGuardian.js';
+
+const drivers = [
+  ['MemoryDriver', () => new MemoryDriver()],
+  ['SqliteDriver', () => new SqliteDriver(':memory:')]
+];
+
+describe.each(drivers)('%s', (name, createDriver) => {
+  let storage;
+  let repository;
+
+  beforeEach(() => {
+    storage = createDriver();
+    repository = storage.collection('test.records');
+  });
+
+  afterEach(() => {
+    storage.close();
+  });
+
+  it('should store and retrieve records by key', () => {
+    repository.set('a', { value: 1 });
+
+    expect(repository.has('a')).toBe(true);
+    expect(repository.get('a')).toEqual({ value: 1 });
+    expect(repository.get('missing')).toBeUndefined();
+  });
+
+  it('should overwrite records without changing insertion order', () => {
+    repository.set('a', { value: 1 });
+    repository.set('b', { value: 2 });
+    repository.set('a', { value: 3 });
+
+    expect(repository.keys()).toEqual(['a', 'b']);
+    expect(repository.values()).toEqual([{ value: 3 }, { value: 2 }]);
+    expect(repository.size).toBe(2);
+  });
+
+  it('should append records under their id', () => {
+    repository.append({ id: 'event_1', type: 'first' });
+    repository.append({ id: 'event_2', type: 'second' });
+
+    expect(repository.get('event_1').type).toBe('first');
+    expect(repository.last().id).toBe('event_2');
+    expect(repository.entries()[0]).toEqual(['event_1', { id: 'event_1', type: 'first' }]);
+  });
+
+  it('should delete and clear records', () => {
+    repository.set('a', { value: 1 });
+    repository.set('b', { value: 2 });
+
+    expect(repository.delete('a')).toBe(true);
+    expect(repository.delete('a')).toBe(false);
+    expect(repository.size).toBe(1);
+
+    repository.clear();
+    expect(repository.size).toBe(0);
+    expect(repository.last()).toBeUndefined();
+  });
+
+  it('should keep collections isolated from each other', () => {
+    const other = storage.collection('test.other');
+    repository.set('a', { value: 1 });
+
+    expect(other.has('a')).toBe(false);
+    expect(storage.collection('test.records')).toBe(repository);
+  });
+});
+
+describe('createStorage', () => {
+  it('should default to the memory driver', () => {
+    expect(createStorage({}).name).toBe('memory');
+  });
+
+  it('should reject unknown drivers', () => {
+    expect(() => createStorage({ driver: 'postgres' })).toThrow('Unknown storage driver');
+  });
+});
+
+describe('SqliteDriver persistence across restarts', () => {
+  let tempDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'civvy-storage-'));
+    dbPath = path.join(tempDir, 'nested', 'civvy.db');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should keep user balances after the service is recreated', async () => {
+    const firstRun = createStorage({ driver: 'sqlite', path: dbPath });
+    await new RewardMaster({ storage: firstRun }).awardXP('user_1', 'vote_pledge');
+    firstRun.close();
+
+    const secondRun = createStorage({ driver: 'sqlite', path: dbPath });
+    const rewardMaster = new RewardMaster({ storage: secondRun });
+    const profile = rewardMaster.getUserProfile('user_1');
+
+    expect(profile.totalXP).toBe(100);
+    expect(profile.metroPoints).toBe(1);
+
+    // Duplicate detection still sees the persisted transaction
+    const duplicate = await rewardMaster.awardXP('user_1', 'vote_pledge');
+    expect(duplicate.success).toBe(false);
+    secondRun.close();
+  });
+
+  it('should keep quiz sessions and the audit chain after restart', async () => {
+    const firstRun = createStorage({ driver: 'sqlite', path: dbPath });
+    const quiz = await new QuizService({ storage: firstRun }).generateQuiz('user_1');
+    const guardian = new IntegrityGuardian({ storage: firstRun });
+    await guardian.logModerationAction('flag_processed', { contentId: 'content_1', decision: 'upheld' });
+    await guardian.logModerationAction('flag_processed', { contentId: 'content_2', decision: 'rejected' });
+    firstRun.close();
+
+    const secondRun = createStorage({ driver: 'sqlite', path: dbPath });
+    const quizService = new QuizService({ storage: secondRun });
+    const submitted = await quizService.submitQuiz(quiz.data.quizId, [0, 0, 0, 0, 0]);
+    expect(submitted.success).toBe(true);
+
+    const restoredGuardian = new IntegrityGuardian({ storage: secondRun });
+    expect(restoredGuardian.auditLog.size).toBe(2);
+    expect(restoredGuardian.verifyAuditIntegrity()).toBe(true);
+    secondRun.close();
+  });
+});
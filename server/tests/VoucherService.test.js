@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { VoucherService } from '../services/VoucherService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('VoucherService', () => {
+  let vouchers;
+  const reward = { id: 'coffee_discount', title: 'Local Coffee Discount', value: 0.2, validDays: 30, merchantId: 'merchant_1' };
+  const redemption = { id: 'redeem_1', userId: 'u1', quantity: 1 };
+
+  beforeEach(() => {
+    vouchers = new VoucherService({ signingSecret: 'test-secret' });
+  });
+
+  it('should issue one signed voucher per redemption that expires after validDays', () => {
+    const voucher = vouchers.issue(redemption, reward);
+    const repeat = vouchers.issue(redemption, reward);
+
+    expect(repeat.id).toBe(voucher.id);
+    expect(voucher.code.split('.')).toHaveLength(3);
+    expect(new Date(voucher.expiresAt).getTime() - Date.now()).toBeGreaterThan(29 * DAY_MS);
+    expect(vouchers.listUserVouchers('u1')).toHaveLength(1);
+  });
+
+  it('should reject forged or edited codes', () => {
+    const { code } = vouchers.issue(redemption, reward);
+    const [id, expiry, signature] = code.split('.');
+    const other = new VoucherService({ signingSecret: 'other-secret' });
+
+    expect(vouchers.verify(`${id}.${Number(expiry) + DAY_MS / 1000}.${signature}`, ['merchant_1']).reason).toBe('invalid');
+    expect(vouchers.verify('voucher_123', ['merchant_1']).reason).toBe('invalid');
+    expect(other.verify(code, ['merchant_1']).reason).toBe('invalid');
+  });
+
+  it('should only accept a voucher at its own merchant', () => {
+    const { code } = vouchers.issue(redemption, reward);
+
+    const check = vouchers.verify(code, ['merchant_2']);
+
+    expect(check.reason).toBe('wrong_merchant');
+    expect(check.voucher).toBeNull();
+  });
+
+  it('should reject expired vouchers', () => {
+    const { code } = vouchers.issue(redemption, reward);
+
+    const check = vouchers.verify(code, ['merchant_1'], new Date(Date.now() + 31 * DAY_MS));
+
+    expect(check.valid).toBe(false);
+    expect(check.reason).toBe('expired');
+  });
+
+  it('should redeem a voucher only once', () => {
+    const { code } = vouchers.issue(redemption, reward);
+
+    expect(vouchers.verify(code, ['merchant_1']).valid).toBe(true);
+
+    const first = vouchers.redeem(code, ['merchant_1'], 'staff_1');
+    const second = vouchers.redeem(code, ['merchant_1'], 'staff_1');
+
+    expect(first.valid).toBe(true);
+    expect(first.voucher.status).toBe('redeemed');
+    expect(first.voucher.redeemedBy).toBe('staff_1');
+    expect(second.reason).toBe('already_redeemed');
+  });
+
+  it('should render the code as a local QR image', async () => {
+    const { code } = vouchers.issue(redemption, reward);
+
+    const qrCode = await vouchers.renderQrCode(code);
+
+    expect(qrCode).toMatch(/^data:image\/svg\+xml;base64,/);
+    expect(Buffer.from(qrCode.split(',')[1], 'base64').toString()).toContain('<svg');
+  });
+});
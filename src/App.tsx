@@ -1,6 +1,7 @@
 import React from 'react'
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
 import Layout from './components/Layout'
+import RequireAuth from './components/RequireAuth'
 import Home from './pages/Home'
 import Onboarding from './pages/Onboarding'
 import Feed from './pages/Feed'
@@ -8,6 +9,9 @@ import Rewards from './pages/Rewards'
 import Profile from './pages/Profile'
 import Transparency from './pages/Transparency'
 import Analytics from './pages/Analytics'
+import SignIn from './pages/SignIn'
+import Moderation from './pages/Moderation'
+import MerchantScan from './pages/MerchantScan'
 import { AuthProvider } from './contexts/AuthContext'
 
 function App() {
@@ -17,12 +21,15 @@ function App() {
         <Layout>
           <Routes>
             <Route path="/" element={<Home />} />
-            <Route path="/onboarding" element={<Onboarding />} />
+            <Route path="/signin" element={<SignIn />} />
+            <Route path="/onboarding" element={<RequireAuth><Onboarding /></RequireAuth>} />
             <Route path="/feed" element={<Feed />} />
-            <Route path="/rewards" element={<Rewards />} />
-            <Route path="/profile" element={<Profile />} />
+            <Route path="/rewards" element={<RequireAuth><Rewards /></RequireAuth>} />
+            <Route path="/profile" element={<RequireAuth><Profile /></RequireAuth>} />
             <Route path="/transparency" element={<Transparency />} />
-            <Route path="/analytics" element={<Analytics />} />
+            <Route path="/analytics" element={<RequireAuth permission="analytics:read"><Analytics /></RequireAuth>} />
+            <Route path="/moderation" element={<RequireAuth permission="moderation:read"><Moderation /></RequireAuth>} />
+            <Route path="/merchant/scan" element={<RequireAuth permission="offers:manage"><MerchantScan /></RequireAuth>} />
           </Routes>
         </Layout>
       </Router>
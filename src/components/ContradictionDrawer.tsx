@@ -0,0 +1,68 @@
+import React from 'react'
+import { X, AlertTriangle } from 'lucide-react'
+import type { Contradiction, ContradictionEvidence } from '../services/api'
+
+interface ContradictionDrawerProps {
+  contradiction: Contradiction | null
+  currentItemId: string
+  onClose: () => void
+}
+
+const EvidencePanel: React.FC<{ evidence: ContradictionEvidence; isCurrentItem: boolean }> = ({ evidence, isCurrentItem }) => (
+  <div className="flex-1 bg-secondary-50 border border-secondary-200 rounded-lg p-3">
+    <p className="text-xs font-medium text-secondary-500 uppercase mb-1">
+      {isCurrentItem ? 'This item' : 'Related item'}
+    </p>
+    <p className="text-sm font-semibold text-secondary-900 mb-1">{evidence.title}</p>
+    <p className="text-xs text-secondary-500 mb-3">{evidence.source}</p>
+    <p className="text-sm text-secondary-700">
+      {evidence.excerpt.before.length > 0 && '…'}
+      {evidence.excerpt.before}
+      <mark className="bg-warning-200 text-warning-900 rounded px-0.5">{evidence.text}</mark>
+      {evidence.excerpt.after}
+      {evidence.excerpt.after.length > 0 && '…'}
+    </p>
+    <p className="text-xs text-secondary-400 mt-2">
+      Characters {evidence.start}–{evidence.end}
+    </p>
+  </div>
+)
+
+// Side-by-side view of the two spans behind a contradiction
+const ContradictionDrawer: React.FC<ContradictionDrawerProps> = ({ contradiction, currentItemId, onClose }) => {
+  if (!contradiction) return null
+
+  const [first, second] = contradiction.evidence
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-end sm:items-stretch sm:justify-end z-50" onClick={onClose}>
+      <div
+        className="bg-white w-full sm:max-w-2xl max-h-[85vh] sm:max-h-none sm:h-full overflow-y-auto rounded-t-lg sm:rounded-none p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between mb-4">
+          <h3 className="text-lg font-semibold text-secondary-900 flex items-center">
+            <AlertTriangle size={18} className="mr-2 text-warning-600" />
+            {contradiction.description}
+          </h3>
+          <button onClick={onClose} className="text-secondary-400 hover:text-secondary-600" aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <p className="text-sm text-secondary-700 mb-4">{contradiction.explanation}</p>
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          <EvidencePanel evidence={first} isCurrentItem={first.contentId === currentItemId} />
+          <EvidencePanel evidence={second} isCurrentItem={second.contentId === currentItemId} />
+        </div>
+
+        <p className="text-xs text-secondary-500 mt-4">
+          {Math.round(contradiction.confidence * 100)}% confidence
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default ContradictionDrawer
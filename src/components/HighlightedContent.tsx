@@ -0,0 +1,52 @@
+import React from 'react'
+
+export interface Highlight {
+  id: string
+  start: number
+  end: number
+}
+
+interface HighlightedContentProps {
+  text: string
+  highlights: Highlight[]
+  activeId?: string | null
+  onSelect?: (id: string) => void
+  className?: string
+}
+
+// Renders text with clickable <mark>s over character ranges; overlapping ranges keep the earliest
+const HighlightedContent: React.FC<HighlightedContentProps> = ({ text, highlights, activeId, onSelect, className }) => {
+  const ranges = [...highlights]
+    .filter(highlight => highlight.start >= 0 && highlight.end <= text.length && highlight.start < highlight.end)
+    .sort((a, b) => a.start - b.start)
+    .filter((highlight, index, sorted) => index === 0 || highlight.start >= sorted[index - 1].end)
+
+  const parts: React.ReactNode[] = []
+  let cursor = 0
+
+  ranges.forEach(range => {
+    if (range.start > cursor) {
+      parts.push(text.substring(cursor, range.start))
+    }
+    parts.push(
+      <mark
+        key={`${range.id}-${range.start}`}
+        onClick={() => onSelect?.(range.id)}
+        className={`rounded px-0.5 cursor-pointer ${
+          range.id === activeId ? 'bg-warning-300 text-warning-900' : 'bg-warning-100 text-warning-900 hover:bg-warning-200'
+        }`}
+      >
+        {text.substring(range.start, range.end)}
+      </mark>
+    )
+    cursor = range.end
+  })
+
+  if (cursor < text.length) {
+    parts.push(text.substring(cursor))
+  }
+
+  return <p className={className}>{parts}</p>
+}
+
+export default HighlightedContent
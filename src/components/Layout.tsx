@@ -8,7 +8,7 @@ interface LayoutProps {
 
 const Layout: React.FC<LayoutProps> = ({ children }) => {
   const location = useLocation()
-  const hideNavigation = location.pathname === '/' || location.pathname === '/onboarding'
+  const hideNavigation = ['/', '/onboarding', '/signin'].includes(location.pathname)
 
   return (
     <div className="min-h-screen bg-secondary-50">
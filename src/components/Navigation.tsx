@@ -1,23 +1,35 @@
 import React from 'react'
 import { Link, useLocation } from 'react-router-dom'
-import { Home, Gift, User, Eye, BarChart3 } from 'lucide-react'
+import { Home, Gift, User, Eye, BarChart3, Shield, ScanLine } from 'lucide-react'
 import { cn } from '@/lib/utils'
+import { useAuth } from '../contexts/AuthContext'
+import type { Permission } from '../lib/permissions'
+
+interface NavItem {
+  path: string
+  icon: typeof Home
+  label: string
+  permission?: Permission
+}
 
 const Navigation: React.FC = () => {
   const location = useLocation()
+  const { can } = useAuth()
 
-  const navItems = [
+  const navItems: NavItem[] = [
     { path: '/feed', icon: Home, label: 'Feed' },
     { path: '/rewards', icon: Gift, label: 'Rewards' },
     { path: '/transparency', icon: Eye, label: 'Trust' },
-    { path: '/analytics', icon: BarChart3, label: 'Analytics' },
+    { path: '/moderation', icon: Shield, label: 'Moderate', permission: 'moderation:read' },
+    { path: '/analytics', icon: BarChart3, label: 'Analytics', permission: 'analytics:read' },
+    { path: '/merchant/scan', icon: ScanLine, label: 'Scan', permission: 'offers:manage' },
     { path: '/profile', icon: User, label: 'Profile' },
   ]
 
   return (
     <nav className="fixed bottom-0 left-0 right-0 bg-white border-t border-secondary-200 px-4 py-2 z-50">
       <div className="flex justify-around items-center max-w-md mx-auto">
-        {navItems.map(({ path, icon: Icon, label }) => (
+        {navItems.filter(item => !item.permission || can(item.permission)).map(({ path, icon: Icon, label }) => (
           <Link
             key={path}
             to={path}
@@ -46,7 +46,7 @@ const QuizModal: React.FC<QuizModalProps> = ({ isOpen, onClose, onComplete }) =>
       const onboardingData = localStorage.getItem('civvy_onboarding')
       const preferences = onboardingData ? JSON.parse(onboardingData).preferences : {}
 
-      const response = await apiService.generateQuiz(user.id, {
+      const response = await apiService.generateQuiz({
         issues: preferences.issues || [],
         difficulty: 'mixed',
         questionCount: 5
@@ -97,7 +97,7 @@ const QuizModal: React.FC<QuizModalProps> = ({ isOpen, onClose, onComplete }) =>
     try {
       setSubmitting(true)
       
-      const response = await apiService.submitQuiz(quiz.quizId, answers, user.id)
+      const response = await apiService.submitQuiz(quiz.quizId, answers)
 
       if (response.success && response.data) {
         setResult(response.data)
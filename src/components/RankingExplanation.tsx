@@ -0,0 +1,93 @@
+import React, { useState } from 'react'
+import { HelpCircle, X } from 'lucide-react'
+import type { FeedRanking, RankingSignal } from '../services/api'
+
+interface RankingExplanationProps {
+  ranking: FeedRanking
+}
+
+const topicName = (id: string) => id.replace(/-/g, ' ')
+
+const formatAge = (hours: number) => {
+  if (hours < 1) return 'less than an hour ago'
+  if (hours < 48) return `${Math.round(hours)} hour${Math.round(hours) === 1 ? '' : 's'} ago`
+  return `${Math.round(hours / 24)} days ago`
+}
+
+// One plain-language line per signal that contributed to the card's position
+const describeSignals = (ranking: FeedRanking): { signal: RankingSignal; text: string }[] => {
+  const reasons: { signal: RankingSignal; text: string }[] = []
+  const { contributions } = ranking
+
+  if (ranking.matchedIssues.length > 0) {
+    reasons.push({ signal: 'issue', text: `Matches your issue${ranking.matchedIssues.length > 1 ? 's' : ''}: ${ranking.matchedIssues.join(', ')}` })
+  }
+  if (ranking.surpriseTopic) {
+    reasons.push({
+      signal: 'surprise',
+      text: `Surprise topic: ${topicName(ranking.surpriseTopic.id)}${ranking.surpriseTopic.reason ? ` (${ranking.surpriseTopic.reason.toLowerCase()})` : ''}`
+    })
+  }
+  if (ranking.geo.localIssue) {
+    reasons.push({
+      signal: 'geo',
+      text: `Local to ${ranking.geo.zipCode}: ${topicName(ranking.geo.localIssue)} (×${ranking.geo.weight} geographic weight)`
+    })
+  }
+  if (ranking.recency.ageHours !== null) {
+    reasons.push({ signal: 'recency', text: `Published ${formatAge(ranking.recency.ageHours)}` })
+  }
+  if (contributions.contradictions > 0) {
+    reasons.push({ signal: 'contradictions', text: 'FactHunter found contradictions worth a look' })
+  }
+  if (contributions.confidence > 0) {
+    reasons.push({ signal: 'confidence', text: 'Fact-check confidence' })
+  }
+
+  return reasons
+}
+
+// "Why am I seeing this" popover for a feed card
+const RankingExplanation: React.FC<RankingExplanationProps> = ({ ranking }) => {
+  const [open, setOpen] = useState(false)
+  const reasons = describeSignals(ranking)
+
+  return (
+    <div className="relative inline-block">
+      <button
+        onClick={() => setOpen(!open)}
+        className="flex items-center text-xs text-secondary-500 hover:text-primary-600"
+        aria-expanded={open}
+      >
+        <HelpCircle size={12} className="mr-1" />
+        Why am I seeing this?
+      </button>
+
+      {open && (
+        <div className="absolute left-0 bottom-full mb-2 w-72 bg-white border border-secondary-200 rounded-lg shadow-lg p-3 z-20">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-medium text-secondary-900">Why you're seeing this</h4>
+            <button onClick={() => setOpen(false)} className="text-secondary-400 hover:text-secondary-600" aria-label="Close">
+              <X size={14} />
+            </button>
+          </div>
+
+          <ul className="space-y-1">
+            {reasons.map(reason => (
+              <li key={reason.signal} className="flex items-start justify-between text-xs text-secondary-700">
+                <span className="flex-1">{reason.text}</span>
+                <span className="ml-2 text-secondary-400 tabular-nums">+{ranking.contributions[reason.signal].toFixed(2)}</span>
+              </li>
+            ))}
+          </ul>
+
+          <p className="text-xs text-secondary-500 mt-2 pt-2 border-t border-secondary-100">
+            Ranking score {ranking.score.toFixed(2)}. Newer stories count for half as much every {ranking.recency.halfLifeHours} hours.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RankingExplanation
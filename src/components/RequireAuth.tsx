@@ -0,0 +1,34 @@
+import React from 'react'
+import { Navigate, useLocation } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import type { Permission } from '../lib/permissions'
+
+interface RequireAuthProps {
+  children: React.ReactNode
+  permission?: Permission
+}
+
+const RequireAuth: React.FC<RequireAuthProps> = ({ children, permission }) => {
+  const { user, loading, can } = useAuth()
+  const location = useLocation()
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  if (!user) {
+    return <Navigate to="/signin" state={{ from: location.pathname }} replace />
+  }
+
+  if (permission && !can(permission)) {
+    return <Navigate to="/feed" replace />
+  }
+
+  return <>{children}</>
+}
+
+export default RequireAuth
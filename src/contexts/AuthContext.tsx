@@ -1,9 +1,12 @@
 import React, { createContext, useContext, useState, useEffect } from 'react'
+import { apiService } from '../services/api'
+import { hasPermission, type Permission, type Role } from '../lib/permissions'
 
 interface User {
   id: string
   email: string
   name: string
+  role: Role
 }
 
 interface AuthContextType {
@@ -12,6 +15,7 @@ interface AuthContextType {
   signIn: (email: string, password: string) => Promise<void>
   signUp: (email: string, password: string, name: string) => Promise<void>
   signOut: () => void
+  can: (permission: Permission) => boolean
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined)
@@ -29,48 +33,56 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   const [loading, setLoading] = useState(true)
 
   useEffect(() => {
-    // Check for existing session
-    const savedUser = localStorage.getItem('civvy_user')
-    if (savedUser) {
-      setUser(JSON.parse(savedUser))
+    // Restore the session if the stored token is still valid
+    const restoreSession = async () => {
+      if (apiService.getToken()) {
+        const response = await apiService.getCurrentUser()
+        if (response.success && response.data) {
+          setUser(response.data)
+        } else {
+          apiService.setToken(null)
+        }
+      }
+      setLoading(false)
     }
-    setLoading(false)
+
+    restoreSession()
   }, [])
 
   const signIn = async (email: string, password: string) => {
-    // Mock authentication - replace with real auth later
-    const mockUser = {
-      id: '1',
-      email,
-      name: 'Alex Rivera'
+    const response = await apiService.login(email, password)
+    if (!response.success || !response.data) {
+      throw new Error(response.error || 'Failed to sign in')
     }
-    setUser(mockUser)
-    localStorage.setItem('civvy_user', JSON.stringify(mockUser))
+    apiService.setToken(response.data.token)
+    setUser(response.data.user)
   }
 
   const signUp = async (email: string, password: string, name: string) => {
-    // Mock registration - replace with real auth later
-    const mockUser = {
-      id: '1',
-      email,
-      name
+    const response = await apiService.signUp(email, password, name)
+    if (!response.success || !response.data) {
+      throw new Error(response.error || 'Failed to create account')
     }
-    setUser(mockUser)
-    localStorage.setItem('civvy_user', JSON.stringify(mockUser))
+    apiService.setToken(response.data.token)
+    setUser(response.data.user)
   }
 
   const signOut = () => {
+    apiService.logout()
+    apiService.setToken(null)
     setUser(null)
-    localStorage.removeItem('civvy_user')
     localStorage.removeItem('civvy_onboarding')
   }
 
+  const can = (permission: Permission) => hasPermission(user?.role, permission)
+
   const value = {
     user,
     loading,
     signIn,
     signUp,
-    signOut
+    signOut,
+    can
   }
 
   return (
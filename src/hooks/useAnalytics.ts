@@ -15,7 +15,7 @@ export const useAnalytics = () => {
     if (!user) return
 
     try {
-      await apiService.trackEvent(eventName, user.id, properties, {
+      await apiService.trackEvent(eventName, properties, {
         ...metadata,
         timestamp: new Date().toISOString(),
         url: window.location.href,
@@ -27,9 +27,7 @@ export const useFeatureFlags = () => {
       
       const response = await apiService.getUserFeatures(user.id, {
         zipCode: userContext.zipCode,
-        isEarlyAdopter: user.id === '1', // Mock early adopter check
-        isAdmin: false, // Would be determined by user role
-        isPilotCoordinator: false
+        isEarlyAdopter: user.id === '1' // Mock early adopter check; staff cohorts come from the server-side role
       })
 
       if (response.success && response.data) {
@@ -0,0 +1,27 @@
+// Mirrors ROLE_PERMISSIONS in server/services/AuthService.js; the server remains the source of truth
+export type Role = 'user' | 'moderator' | 'editor' | 'pilot_coordinator' | 'merchant' | 'admin'
+
+export type Permission =
+  | 'moderation:read'
+  | 'moderation:decide'
+  | 'moderation:escalations'
+  | 'users:read'
+  | 'analytics:read'
+  | 'users:manage'
+  | 'facts:manage'
+  | 'content:ingest'
+  | 'rewards:manage'
+  | 'offers:manage'
+
+const ROLE_PERMISSIONS: Record<Role, Permission[]> = {
+  user: [],
+  moderator: ['moderation:read', 'moderation:decide', 'users:read'],
+  editor: ['facts:manage', 'content:ingest'],
+  pilot_coordinator: ['analytics:read'],
+  merchant: ['offers:manage'],
+  admin: ['moderation:read', 'moderation:decide', 'moderation:escalations', 'users:read', 'analytics:read', 'users:manage', 'facts:manage', 'content:ingest', 'rewards:manage'],
+}
+
+export function hasPermission(role: Role | undefined, permission: Permission): boolean {
+  return role ? ROLE_PERMISSIONS[role].includes(permission) : false
+}
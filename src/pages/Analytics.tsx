@@ -8,6 +8,7 @@ interface DashboardMetrics {
     onboardingCompletion: { started: number; completed: number; rate: number }
     contradictionsPerHundredViews: { views: number; contradictions: number; rate: number }
     metroPointsRedemption: { earned: number; redeemed: number; rate: number }
+    surpriseEngagement: { viewed: number; engaged: number; rate: number }
     dailyActiveUsers: number
     monthlyActiveUsers: number
     retentionRate: number
@@ -25,6 +26,12 @@ interface DashboardMetrics {
     quizzesCompleted: number
     contradictionsFound: number
   }
+  analysisCache: {
+    entries: number
+    hits: number
+    misses: number
+    hitRate: number
+  } | null
   funnel: {
     landingPageViews: number
     onboardingStarted: number
@@ -334,6 +341,28 @@ const Analytics: React.FC = () => {
                     <span className="text-secondary-600">Flags Submitted</span>
                     <span className="font-semibold">{formatNumber(metrics.content.flagsSubmitted)}</span>
                   </div>
+
+                  <div className="flex justify-between items-center">
+                    <span className="text-secondary-600">Surprise Topic Engagement</span>
+                    <span className="font-semibold">
+                      {metrics.kpis.surpriseEngagement.rate}%
+                      <span className="text-xs text-secondary-500 font-normal ml-1">
+                        ({formatNumber(metrics.kpis.surpriseEngagement.engaged)} of {formatNumber(metrics.kpis.surpriseEngagement.viewed)} seen)
+                      </span>
+                    </span>
+                  </div>
+
+                  {metrics.analysisCache && (
+                    <div className="flex justify-between items-center">
+                      <span className="text-secondary-600">Analysis Cache Hit Rate</span>
+                      <span className="font-semibold">
+                        {Math.round(metrics.analysisCache.hitRate * 100)}%
+                        <span className="text-xs text-secondary-500 font-normal ml-1">
+                          ({formatNumber(metrics.analysisCache.hits)} / {formatNumber(metrics.analysisCache.hits + metrics.analysisCache.misses)})
+                        </span>
+                      </span>
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -1,8 +1,14 @@
-import React, { useState, useEffect } from 'react'
-import { Flag, Share2, MessageCircle, Heart, AlertTriangle, CheckCircle, Info, Brain, Vote } from 'lucide-react'
-import { apiService, type FeedItem } from '../services/api'
+import React, { useState, useEffect, useRef, useCallback } from 'react'
+import { Flag, Share2, MessageCircle, Heart, AlertTriangle, CheckCircle, Info, Brain, Vote, Sparkles } from 'lucide-react'
+import { apiService, type FeedItem, type Contradiction } from '../services/api'
 import { useAuth } from '../contexts/AuthContext'
 import QuizModal from '../components/QuizModal'
+import HighlightedContent from '../components/HighlightedContent'
+import ContradictionDrawer from '../components/ContradictionDrawer'
+import RankingExplanation from '../components/RankingExplanation'
+
+// Outlet links come from ingested feeds; never render a non-web scheme as a link
+const isWebUrl = (url?: string | null): url is string => Boolean(url && /^https?:\/\//i.test(url))
 
 const Feed: React.FC = () => {
   const { user } = useAuth()
@@ -12,6 +18,13 @@ const Feed: React.FC = () => {
   const [flaggingItem, setFlaggingItem] = useState<string | null>(null)
   const [showQuizModal, setShowQuizModal] = useState(false)
   const [showPledgeModal, setShowPledgeModal] = useState(false)
+  const [openContradiction, setOpenContradiction] = useState<{ itemId: string; contradiction: Contradiction } | null>(null)
+  const [nextCursor, setNextCursor] = useState<string | null>(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [loadMoreError, setLoadMoreError] = useState<string | null>(null)
+  const sentinelRef = useRef<HTMLDivElement | null>(null)
+  const listRef = useRef<HTMLDivElement | null>(null)
+  const trackedSurpriseEvents = useRef(new Set<string>())
 
   useEffect(() => {
     loadFeed()
@@ -21,15 +34,14 @@ const Feed: React.FC = () => {
     try {
       setLoading(true)
       setError(null)
+      setLoadMoreError(null)
       
-      // Get user preferences from localStorage
-      const onboardingData = localStorage.getItem('civvy_onboarding')
-      const preferences = onboardingData ? JSON.parse(onboardingData).preferences : {}
-      
-      const response = await apiService.getFeed(user?.id, preferences)
+      // The server personalizes from the reader's stored onboarding profile
+      const response = await apiService.getFeed()
       
       if (response.success && response.data) {
         setFeedItems(response.data)
+        setNextCursor(response.metadata?.nextCursor ?? null)
       } else {
         setError(response.error || 'Failed to load feed')
       }
@@ -40,13 +52,79 @@ const Feed: React.FC = () => {
     }
   }
 
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return
+
+    try {
+      setLoadingMore(true)
+      setLoadMoreError(null)
+
+      const response = await apiService.getFeed(undefined, { cursor: nextCursor })
+
+      if (response.success && response.data) {
+        const page = response.data
+        setFeedItems(items => [...items, ...page.filter(item => !items.some(existing => existing.id === item.id))])
+        setNextCursor(response.metadata?.nextCursor ?? null)
+      } else {
+        setLoadMoreError(response.error || 'Failed to load more stories')
+      }
+    } catch (err) {
+      setLoadMoreError('Network error. Please check your connection.')
+    } finally {
+      setLoadingMore(false)
+    }
+  }, [nextCursor, loadingMore])
+
+  // Fetch the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    if (!sentinel || !nextCursor || loadMoreError) return
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMore()
+    }, { rootMargin: '400px' })
+
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [nextCursor, loadMore, loadMoreError])
+
+  // Surprise-topic cards report when they are seen and the first time each kind of action is taken on them
+  const trackSurprise = useCallback((item: FeedItem, eventName: 'surprise_item_viewed' | 'surprise_item_engaged', action?: string) => {
+    if (!user || !item.surprise) return
+
+    const key = `${eventName}:${item.id}:${action || ''}`
+    if (trackedSurpriseEvents.current.has(key)) return
+    trackedSurpriseEvents.current.add(key)
+
+    apiService.trackEvent(eventName, {
+      contentId: item.id,
+      topic: item.ranking?.surpriseTopic?.id,
+      ...(action && { action })
+    }).catch(() => {})
+  }, [user])
+
+  // A surprise card counts as viewed once half of it has been on screen
+  useEffect(() => {
+    const list = listRef.current
+    if (!list) return
+
+    const observer = new IntersectionObserver(entries => {
+      entries.filter(entry => entry.isIntersecting).forEach(entry => {
+        const item = feedItems.find(candidate => candidate.id === (entry.target as HTMLElement).dataset.surpriseId)
+        if (item) trackSurprise(item, 'surprise_item_viewed')
+      })
+    }, { threshold: 0.5 })
+
+    list.querySelectorAll('[data-surprise-id]').forEach(card => observer.observe(card))
+    return () => observer.disconnect()
+  }, [feedItems, trackSurprise])
+
   const handleFlag = async (contentId: string, reason: string, description?: string) => {
     if (!user) return
 
     try {
       const response = await apiService.submitFlag({
         contentId,
-        userId: user.id,
         reason,
         description
       })
@@ -68,7 +146,6 @@ const Feed: React.FC = () => {
 
     try {
       const response = await apiService.submitVotePledge({
-        userId: user.id,
         electionId: 'nyc-2024-general',
         pledgeType,
         scheduledDate: pledgeType === 'early-voting' ? '2024-10-26' : '2024-11-05'
@@ -85,6 +162,21 @@ const Feed: React.FC = () => {
     }
   }
 
+  // Spans in this item's own text that take part in a contradiction
+  const getHighlights = (item: FeedItem) =>
+    (item.analysis?.contradictions || []).flatMap(contradiction =>
+      contradiction.evidence
+        .filter(evidence => evidence.contentId === item.id)
+        .map(evidence => ({ id: contradiction.id, start: evidence.start, end: evidence.end }))
+    )
+
+  const openContradictionById = (item: FeedItem, contradictionId: string) => {
+    const contradiction = item.analysis?.contradictions.find(entry => entry.id === contradictionId)
+    if (contradiction) {
+      setOpenContradiction({ itemId: item.id, contradiction })
+    }
+  }
+
   const getConfidenceColor = (confidence: number) => {
     if (confidence >= 0.8) return 'text-success-600 bg-success-100'
     if (confidence >= 0.6) return 'text-warning-600 bg-warning-100'
@@ -186,14 +278,27 @@ const Feed: React.FC = () => {
       </div>
 
       {/* Feed Items */}
-      <div className="space-y-4 p-4">
+      <div ref={listRef} className="space-y-4 p-4">
         {feedItems.map(item => {
           const ConfidenceIcon = getConfidenceIcon(item.confidence || 0)
           
           return (
-            <div key={item.id} className="bg-white border border-secondary-200 rounded-lg overflow-hidden shadow-sm">
+            <div
+              key={item.id}
+              data-surprise-id={item.surprise ? item.id : undefined}
+              className={`bg-white border rounded-lg overflow-hidden shadow-sm ${item.surprise ? 'border-accent-300' : 'border-secondary-200'}`}
+            >
               {/* Content */}
               <div className="p-4">
+                {/* Held slot for a topic outside the reader's own issues */}
+                {item.surprise && (
+                  <div className="flex items-center text-xs font-medium text-accent-700 mb-2">
+                    <Sparkles size={12} className="mr-1" />
+                    Surprise topic{item.ranking?.surpriseTopic && `: ${item.ranking.surpriseTopic.id.replace(/-/g, ' ')}`}
+                    <span className="text-accent-500 font-normal ml-1">· outside your usual issues</span>
+                  </div>
+                )}
+
                 <div className="flex items-start justify-between mb-2">
                   <h3 className="font-semibold text-secondary-900 flex-1">{item.title}</h3>
                   {(item.contradictions || 0) > 0 && (
@@ -204,7 +309,29 @@ const Feed: React.FC = () => {
                   )}
                 </div>
                 
-                <p className="text-secondary-700 text-sm mb-3">{item.content}</p>
+                <HighlightedContent
+                  text={item.content}
+                  highlights={getHighlights(item)}
+                  activeId={openContradiction?.itemId === item.id ? openContradiction.contradiction.id : null}
+                  onSelect={(id) => {
+                    trackSurprise(item, 'surprise_item_engaged', 'contradiction')
+                    openContradictionById(item, id)
+                  }}
+                  className="text-secondary-700 text-sm mb-3"
+                />
+
+                {/* Moderator annotation from an upheld flag */}
+                {item.moderation?.status === 'annotated' && (
+                  <div className="flex items-start bg-error-50 border border-error-200 rounded-lg p-3 mb-3">
+                    <Info size={14} className="mr-2 mt-0.5 text-error-600 flex-shrink-0" />
+                    <div className="text-xs text-error-700">
+                      <span className="font-medium">
+                        Moderators upheld a {item.moderation.reason.replace(/-/g, ' ')} report on this item.
+                      </span>
+                      {item.moderation.note && <span> {item.moderation.note}</span>}
+                    </div>
+                  </div>
+                )}
                 
                 <div className="flex items-center justify-between text-xs text-secondary-500 mb-3">
                   <span className="flex items-center">
@@ -214,6 +341,31 @@ const Feed: React.FC = () => {
                   <span>{new Date(item.timestamp).toLocaleString()}</span>
                 </div>
 
+                {item.ranking && (
+                  <div className="mb-3">
+                    <RankingExplanation ranking={item.ranking} />
+                  </div>
+                )}
+
+                {/* Other outlets that ran the same story */}
+                {item.syndication && (
+                  <div className="text-xs text-secondary-500 mb-3">
+                    Also reported by{' '}
+                    {item.syndication.sources.slice(1).map((copy, index) => (
+                      <span key={copy.contentId}>
+                        {index > 0 && ', '}
+                        {isWebUrl(copy.url) ? (
+                          <a href={copy.url} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:underline">
+                            {copy.source}
+                          </a>
+                        ) : (
+                          copy.source
+                        )}
+                      </span>
+                    ))}
+                  </div>
+                )}
+
                 {/* AI Analysis Section */}
                 {item.confidence && (
                   <div className="bg-secondary-50 rounded-lg p-3 mb-3">
@@ -249,10 +401,17 @@ const Feed: React.FC = () => {
                 {item.analysis && item.analysis.contradictions.length > 0 && (
                   <div className="bg-warning-50 border border-warning-200 rounded-lg p-3 mb-3">
                     <h4 className="text-sm font-medium text-warning-800 mb-2">Contradictions Found:</h4>
-                    {item.analysis.contradictions.slice(0, 2).map((contradiction, index) => (
-                      <div key={index} className="text-xs text-warning-700 mb-1">
-                        • {contradiction.description || 'Conflicting information detected'}
-                      </div>
+                    {item.analysis.contradictions.slice(0, 2).map((contradiction) => (
+                      <button
+                        key={contradiction.id}
+                        onClick={() => {
+                          trackSurprise(item, 'surprise_item_engaged', 'contradiction')
+                          setOpenContradiction({ itemId: item.id, contradiction })
+                        }}
+                        className="block w-full text-left text-xs text-warning-700 mb-1 hover:underline"
+                      >
+                        • {contradiction.explanation || contradiction.description || 'Conflicting information detected'}
+                      </button>
                     ))}
                     {item.analysis.contradictions.length > 2 && (
                       <div className="text-xs text-warning-600">
@@ -261,30 +420,62 @@ const Feed: React.FC = () => {
                     )}
                   </div>
                 )}
+
+                {/* Fact checks cite the exact fact version they were compared against */}
+                {item.analysis && item.analysis.factChecks.length > 0 && (
+                  <div className="bg-error-50 border border-error-200 rounded-lg p-3 mb-3">
+                    <h4 className="text-sm font-medium text-error-800 mb-2">Disputed by the fact database:</h4>
+                    {item.analysis.factChecks.map((check, index) => (
+                      <div key={index} className="text-xs text-error-700 mb-1">
+                        • “{check.claim}” vs {check.fact.label}: {check.factValue}
+                        <span className="text-error-600">
+                          {' '}(
+                          <a href={check.fact.sourceUrl} target="_blank" rel="noopener noreferrer" className="underline">
+                            {check.fact.sourceName}
+                          </a>
+                          , v{check.fact.version}
+                          {!check.factEffectiveAtPublication && ', not in effect when published'})
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
               </div>
 
               {/* Actions */}
               <div className="border-t border-secondary-100 px-4 py-3">
                 <div className="flex items-center justify-around">
                   <button 
-                    onClick={() => setFlaggingItem(item.id)}
+                    onClick={() => {
+                      trackSurprise(item, 'surprise_item_engaged', 'flag')
+                      setFlaggingItem(item.id)
+                    }}
                     className="flex items-center space-x-2 text-secondary-600 hover:text-error-600 transition-colors"
                   >
                     <Flag size={18} />
                     <span className="text-sm">Flag</span>
                   </button>
                   
-                  <button className="flex items-center space-x-2 text-secondary-600 hover:text-primary-600 transition-colors">
+                  <button
+                    onClick={() => trackSurprise(item, 'surprise_item_engaged', 'like')}
+                    className="flex items-center space-x-2 text-secondary-600 hover:text-primary-600 transition-colors"
+                  >
                     <Heart size={18} />
                     <span className="text-sm">Like</span>
                   </button>
                   
-                  <button className="flex items-center space-x-2 text-secondary-600 hover:text-primary-600 transition-colors">
+                  <button
+                    onClick={() => trackSurprise(item, 'surprise_item_engaged', 'discuss')}
+                    className="flex items-center space-x-2 text-secondary-600 hover:text-primary-600 transition-colors"
+                  >
                     <MessageCircle size={18} />
                     <span className="text-sm">Discuss</span>
                   </button>
                   
-                  <button className="flex items-center space-x-2 text-secondary-600 hover:text-primary-600 transition-colors">
+                  <button
+                    onClick={() => trackSurprise(item, 'surprise_item_engaged', 'share')}
+                    className="flex items-center space-x-2 text-secondary-600 hover:text-primary-600 transition-colors"
+                  >
                     <Share2 size={18} />
                     <span className="text-sm">Share</span>
                   </button>
@@ -293,8 +484,33 @@ const Feed: React.FC = () => {
             </div>
           )
         })}
+
+        {/* Infinite scroll */}
+        {nextCursor && (
+          <div ref={sentinelRef} className="flex items-center justify-center py-4">
+            {loadMoreError ? (
+              <div className="text-center">
+                <p className="text-xs text-error-700 mb-2">{loadMoreError}</p>
+                <button onClick={loadMore} className="btn-outline px-4 py-2 text-sm">
+                  Try Again
+                </button>
+              </div>
+            ) : loadingMore ? (
+              <>
+                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-primary-600"></div>
+                <span className="ml-2 text-xs text-secondary-600">Loading more stories...</span>
+              </>
+            ) : null}
+          </div>
+        )}
       </div>
 
+      <ContradictionDrawer
+        contradiction={openContradiction?.contradiction || null}
+        currentItemId={openContradiction?.itemId || ''}
+        onClose={() => setOpenContradiction(null)}
+      />
+
       {/* Flag Modal */}
       {flaggingItem && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -49,7 +49,7 @@ const Home: React.FC = () => {
         {/* CTA Section */}
         <div className="text-center">
           <Link
-            to="/onboarding"
+            to="/signin"
             className="inline-flex items-center px-8 py-4 bg-white text-primary-700 font-semibold rounded-xl hover:bg-secondary-50 transition-colors shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-transform"
           >
             Get Started
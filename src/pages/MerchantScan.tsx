@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { ScanLine, Camera, CheckCircle, XCircle, AlertTriangle } from 'lucide-react'
+import { apiService, type VoucherCheck } from '../services/api'
+
+// Shape-detection API; not in TypeScript's DOM lib yet
+interface DetectedBarcode {
+  rawValue: string
+}
+
+interface BarcodeDetectorInstance {
+  detect(source: HTMLVideoElement): Promise<DetectedBarcode[]>
+}
+
+declare global {
+  interface Window {
+    BarcodeDetector?: new (options: { formats: string[] }) => BarcodeDetectorInstance
+  }
+}
+
+const SCAN_INTERVAL_MS = 400
+
+const MerchantScan: React.FC = () => {
+  const [code, setCode] = useState('')
+  const [check, setCheck] = useState<VoucherCheck | null>(null)
+  const [redeemed, setRedeemed] = useState(false)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [scanning, setScanning] = useState(false)
+  const videoRef = useRef<HTMLVideoElement>(null)
+  const canScan = typeof window !== 'undefined' && Boolean(window.BarcodeDetector) && Boolean(navigator.mediaDevices)
+
+  // Poll camera frames for a QR code until one is found or scanning is stopped
+  useEffect(() => {
+    if (!scanning || !window.BarcodeDetector) return
+
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] })
+    let stream: MediaStream | null = null
+    let timer: number | undefined
+    let stopped = false
+
+    const scanFrame = async () => {
+      if (stopped || !videoRef.current) return
+
+      const [found] = await detector.detect(videoRef.current).catch(() => [])
+      if (found?.rawValue) {
+        setScanning(false)
+        setCode(found.rawValue)
+        verify(found.rawValue)
+        return
+      }
+      timer = window.setTimeout(scanFrame, SCAN_INTERVAL_MS)
+    }
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then(media => {
+        stream = media
+        if (stopped || !videoRef.current) return
+        videoRef.current.srcObject = media
+        videoRef.current.play()
+        scanFrame()
+      })
+      .catch(() => {
+        setError('Camera unavailable. Enter the code under the QR instead.')
+        setScanning(false)
+      })
+
+    return () => {
+      stopped = true
+      window.clearTimeout(timer)
+      stream?.getTracks().forEach(track => track.stop())
+    }
+  }, [scanning])
+
+  const verify = async (value: string) => {
+    setWorking(true)
+    setError(null)
+    setRedeemed(false)
+
+    const response = await apiService.verifyVoucher(value.trim())
+
+    if (response.success && response.data) {
+      setCheck(response.data)
+    } else {
+      setCheck(null)
+      setError(response.error || 'Failed to check voucher')
+    }
+    setWorking(false)
+  }
+
+  const redeem = async () => {
+    setWorking(true)
+    setError(null)
+
+    const response = await apiService.redeemVoucher(code.trim())
+
+    if (response.success && response.data) {
+      setCheck(response.data)
+      setRedeemed(true)
+    } else {
+      setError(response.error || 'Failed to redeem voucher')
+    }
+    setWorking(false)
+  }
+
+  const reset = () => {
+    setCode('')
+    setCheck(null)
+    setRedeemed(false)
+    setError(null)
+  }
+
+  const formatDate = (iso: string) => new Date(iso).toLocaleDateString()
+
+  return (
+    <div className="max-w-md mx-auto bg-secondary-50 min-h-screen">
+      <div className="bg-gradient-to-r from-primary-600 to-accent-600 text-white p-6">
+        <h1 className="text-2xl font-bold flex items-center">
+          <ScanLine className="mr-2" size={24} />
+          Scan Voucher
+        </h1>
+        <p className="text-sm opacity-90 mt-1">Check a customer's voucher and mark it used</p>
+      </div>
+
+      <div className="p-4 space-y-4">
+        {scanning ? (
+          <div className="bg-black rounded-lg overflow-hidden">
+            <video ref={videoRef} className="w-full" muted playsInline />
+            <button
+              onClick={() => setScanning(false)}
+              className="w-full py-2 text-sm text-white bg-secondary-800"
+            >
+              Stop scanning
+            </button>
+          </div>
+        ) : canScan && (
+          <button
+            onClick={() => { reset(); setScanning(true) }}
+            className="w-full py-3 rounded-lg bg-primary-600 text-white font-medium flex items-center justify-center hover:bg-primary-700"
+          >
+            <Camera className="mr-2" size={20} />
+            Scan QR code
+          </button>
+        )}
+
+        <form
+          onSubmit={(event) => { event.preventDefault(); if (code.trim()) verify(code) }}
+          className="bg-white rounded-lg p-4 border border-secondary-200"
+        >
+          <label className="block text-sm font-medium text-secondary-700 mb-2">Or enter the code</label>
+          <input
+            value={code}
+            onChange={(event) => { setCode(event.target.value); setCheck(null); setRedeemed(false) }}
+            className="w-full border border-secondary-300 rounded-lg px-3 py-2 text-sm font-mono"
+            placeholder="Voucher code"
+          />
+          <button
+            type="submit"
+            disabled={!code.trim() || working}
+            className="mt-3 w-full py-2 rounded-lg text-sm font-medium bg-secondary-100 text-secondary-800 hover:bg-secondary-200 disabled:opacity-50"
+          >
+            Check voucher
+          </button>
+        </form>
+
+        {error && (
+          <div className="bg-error-50 border border-error-200 rounded-lg p-4 flex items-start">
+            <AlertTriangle className="text-error-600 mr-2 flex-shrink-0" size={20} />
+            <p className="text-error-700 text-sm">{error}</p>
+          </div>
+        )}
+
+        {check && (
+          <div className={`rounded-lg p-4 border ${check.valid ? 'bg-success-50 border-success-200' : 'bg-error-50 border-error-200'}`}>
+            <div className="flex items-center mb-2">
+              {check.valid ? (
+                <CheckCircle className="text-success-600 mr-2" size={20} />
+              ) : (
+                <XCircle className="text-error-600 mr-2" size={20} />
+              )}
+              <span className="font-medium">
+                {redeemed ? 'Redeemed — honour the offer' : check.valid ? 'Valid voucher' : check.message}
+              </span>
+            </div>
+
+            {check.voucher && (
+              <div className="text-sm text-secondary-700 space-y-1">
+                <p className="font-medium">{check.voucher.rewardTitle}{check.voucher.quantity > 1 && ` × ${check.voucher.quantity}`}</p>
+                <p>Valid until {formatDate(check.voucher.expiresAt)}</p>
+                {check.voucher.redeemedAt && <p>Used {new Date(check.voucher.redeemedAt).toLocaleString()}</p>}
+              </div>
+            )}
+
+            {check.valid && !redeemed && (
+              <button
+                onClick={redeem}
+                disabled={working}
+                className="mt-3 w-full py-2 rounded-lg text-sm font-medium bg-success-600 text-white hover:bg-success-700 disabled:opacity-50"
+              >
+                Mark as used
+              </button>
+            )}
+
+            {redeemed && (
+              <button
+                onClick={reset}
+                className="mt-3 w-full py-2 rounded-lg text-sm font-medium bg-white border border-secondary-300"
+              >
+                Next customer
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MerchantScan
@@ -0,0 +1,314 @@
+import React, { useState, useEffect } from 'react'
+import { Shield, CheckCircle, XCircle, ArrowUpCircle, Hand, RefreshCw, AlertTriangle, User } from 'lucide-react'
+import { apiService, type ModerationQueueItem, type ModerationQueue, type FlagDecision } from '../services/api'
+import { useAuth } from '../contexts/AuthContext'
+
+const formatCode = (code: string) => code.replace(/[_-]/g, ' ')
+
+const Moderation: React.FC = () => {
+  const { user, can } = useAuth()
+  const [queue, setQueue] = useState<ModerationQueueItem[]>([])
+  const [reasonCodes, setReasonCodes] = useState<ModerationQueue['reasonCodes']>({ upheld: [], rejected: [] })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState<string | null>(null)
+  const [workingId, setWorkingId] = useState<string | null>(null)
+  const [selectedCodes, setSelectedCodes] = useState<Record<string, string>>({})
+  const [notes, setNotes] = useState<Record<string, string>>({})
+
+  useEffect(() => {
+    loadQueue()
+  }, [])
+
+  const loadQueue = async () => {
+    try {
+      setLoading(true)
+      const response = await apiService.getModerationQueue()
+
+      if (response.success && response.data) {
+        setQueue(response.data.queue)
+        setReasonCodes(response.data.reasonCodes)
+        setError(null)
+      } else {
+        setError(response.error || 'Failed to load moderation queue')
+      }
+    } catch (err) {
+      console.error('Failed to load moderation queue:', err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleClaim = async (item: ModerationQueueItem) => {
+    setWorkingId(item.id)
+    const response = await apiService.claimFlag(item.id)
+
+    if (response.success) {
+      setQueue(prev => prev.map(entry => entry.id === item.id ? { ...entry, claimedBy: user?.id || null } : entry))
+      setError(null)
+    } else {
+      setError(response.error || 'Failed to claim flag')
+    }
+    setWorkingId(null)
+  }
+
+  const handleDecision = async (item: ModerationQueueItem, decision: FlagDecision) => {
+    setWorkingId(item.id)
+    const reasonCode = decision === 'escalate' ? undefined : selectedCodes[item.id]
+    const response = await apiService.decideFlag(item.id, decision, reasonCode, notes[item.id])
+
+    if (response.success) {
+      // Escalations come back with a new status and priority, so refetch instead of dropping the item
+      if (decision === 'escalate') {
+        await loadQueue()
+      } else {
+        setQueue(prev => prev.filter(entry => entry.id !== item.id))
+      }
+      setError(null)
+    } else {
+      setError(response.error || 'Failed to record decision')
+    }
+    setWorkingId(null)
+  }
+
+  const getPriorityColor = (priority: number) => {
+    if (priority >= 8) return 'bg-error-100 text-error-800'
+    if (priority >= 4) return 'bg-warning-100 text-warning-800'
+    return 'bg-secondary-100 text-secondary-700'
+  }
+
+  const getTrustColor = (trustLevel: string) => {
+    const colors = {
+      high: 'bg-success-100 text-success-800',
+      medium: 'bg-primary-100 text-primary-800',
+      low: 'bg-warning-100 text-warning-800',
+      flagged: 'bg-error-100 text-error-800'
+    }
+    return colors[trustLevel as keyof typeof colors] || 'bg-secondary-100 text-secondary-700'
+  }
+
+  if (loading) {
+    return (
+      <div className="max-w-4xl mx-auto bg-secondary-50 min-h-screen p-4">
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          <span className="ml-3 text-secondary-600">Loading moderation queue...</span>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto bg-secondary-50 min-h-screen">
+      {/* Header */}
+      <div className="bg-white border-b border-secondary-200 px-4 py-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-secondary-900 flex items-center">
+              <Shield className="mr-3" size={28} />
+              Moderation Console
+            </h1>
+            <p className="text-secondary-600 mt-1">
+              {queue.length} flag{queue.length === 1 ? '' : 's'} awaiting review
+            </p>
+          </div>
+
+          <button onClick={loadQueue} className="btn-outline flex items-center">
+            <RefreshCw size={16} className="mr-2" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-4">
+        {error && (
+          <div className="p-3 bg-error-50 border border-error-200 rounded-lg">
+            <p className="text-error-700 text-sm">{error}</p>
+          </div>
+        )}
+
+        {queue.map((item) => {
+          const selectedCode = selectedCodes[item.id] || ''
+          const isEscalated = item.status === 'escalated'
+          const claimedByOther = item.claimedBy !== null && item.claimedBy !== user?.id
+          const locked = (isEscalated && !can('moderation:escalations')) || claimedByOther
+          const busy = workingId === item.id
+
+          return (
+            <div key={item.id} className="bg-white rounded-lg border border-secondary-200 overflow-hidden">
+              {/* Flag summary */}
+              <div className="p-4 border-b border-secondary-100">
+                <div className="flex items-start justify-between mb-2">
+                  <div className="flex items-center space-x-2">
+                    <span className={`text-xs px-2 py-1 rounded-full font-medium ${getPriorityColor(item.priority)}`}>
+                      P{item.priority}
+                    </span>
+                    <span className="font-medium text-secondary-900 capitalize">{formatCode(item.reason)}</span>
+                    {isEscalated && (
+                      <span className="text-xs px-2 py-1 rounded-full bg-error-100 text-error-800 flex items-center">
+                        <ArrowUpCircle size={12} className="mr-1" />
+                        Escalated
+                      </span>
+                    )}
+                    {item.source === 'integrity' && (
+                      <span className="text-xs px-2 py-1 rounded-full bg-secondary-100 text-secondary-700">
+                        Integrity log
+                      </span>
+                    )}
+                  </div>
+                  <span className="text-xs text-secondary-500">{new Date(item.timestamp).toLocaleString()}</span>
+                </div>
+
+                {item.description && (
+                  <p className="text-sm text-secondary-700 mb-2">“{item.description}”</p>
+                )}
+
+                <div className="flex items-center text-xs text-secondary-600">
+                  <User size={12} className="mr-1" />
+                  Reporter trust:
+                  <span className={`ml-2 px-2 py-0.5 rounded-full capitalize ${getTrustColor(item.reporterTrust.trustLevel)}`}>
+                    {item.reporterTrust.trustLevel}
+                    {item.reporterTrust.reputation !== null && ` · ${item.reporterTrust.reputation}`}
+                  </span>
+                  {item.claimedBy && (
+                    <span className="ml-3 flex items-center">
+                      <Hand size={12} className="mr-1" />
+                      {item.claimedBy === user?.id ? 'Claimed by you' : 'Claimed by another moderator'}
+                    </span>
+                  )}
+                </div>
+              </div>
+
+              {/* Flagged item preview */}
+              {item.content ? (
+                <div className="p-4 bg-secondary-50 border-b border-secondary-100">
+                  <h3 className="font-semibold text-secondary-900 mb-1">{item.content.title}</h3>
+                  <p className="text-sm text-secondary-700 mb-2">{item.content.content}</p>
+                  <p className="text-xs text-secondary-500 mb-3">{item.content.source} · {item.content.author}</p>
+
+                  {item.content.analysis && (
+                    <div className="bg-white rounded-lg p-3 border border-secondary-200 text-xs text-secondary-700 space-y-1">
+                      <div className="flex justify-between">
+                        <span>FactHunter confidence</span>
+                        <span className="font-medium">{Math.round(item.content.analysis.confidence * 100)}%</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span>Bias score</span>
+                        <span className="font-medium">{item.content.analysis.biasScore.toFixed(2)}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span>Fact checks</span>
+                        <span className="font-medium">{item.content.analysis.factChecks.length}</span>
+                      </div>
+                      {item.content.analysis.contradictions.map((contradiction, index) => (
+                        <div key={index} className="flex items-start text-warning-700">
+                          <AlertTriangle size={12} className="mr-1 mt-0.5 flex-shrink-0" />
+                          {contradiction.description || 'Conflicting information detected'}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className="p-4 bg-secondary-50 border-b border-secondary-100 text-sm text-secondary-500">
+                  Flagged item {item.contentId} is no longer available.
+                </div>
+              )}
+
+              {/* Decision */}
+              {item.actionable ? (
+                <div className="p-4 space-y-3">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <select
+                      value={selectedCode}
+                      onChange={(e) => setSelectedCodes(prev => ({ ...prev, [item.id]: e.target.value }))}
+                      className="input"
+                      disabled={locked}
+                    >
+                      <option value="">Select a reason code…</option>
+                      <optgroup label="Uphold">
+                        {reasonCodes.upheld.map(code => (
+                          <option key={code} value={code}>{formatCode(code)}</option>
+                        ))}
+                      </optgroup>
+                      <optgroup label="Reject">
+                        {reasonCodes.rejected.map(code => (
+                          <option key={code} value={code}>{formatCode(code)}</option>
+                        ))}
+                      </optgroup>
+                    </select>
+
+                    <input
+                      type="text"
+                      value={notes[item.id] || ''}
+                      onChange={(e) => setNotes(prev => ({ ...prev, [item.id]: e.target.value }))}
+                      placeholder="Note shown with the item (optional)"
+                      className="input"
+                      maxLength={500}
+                      disabled={locked}
+                    />
+                  </div>
+
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={() => handleDecision(item, 'uphold')}
+                      disabled={locked || busy || !reasonCodes.upheld.includes(selectedCode)}
+                      className="btn-primary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <CheckCircle size={16} className="mr-2" />
+                      Uphold
+                    </button>
+                    <button
+                      onClick={() => handleDecision(item, 'reject')}
+                      disabled={locked || busy || !reasonCodes.rejected.includes(selectedCode)}
+                      className="btn-outline flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <XCircle size={16} className="mr-2" />
+                      Reject
+                    </button>
+                    {!isEscalated && (
+                      <button
+                        onClick={() => handleDecision(item, 'escalate')}
+                        disabled={locked || busy}
+                        className="btn-outline flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <ArrowUpCircle size={16} className="mr-2" />
+                        Escalate
+                      </button>
+                    )}
+                    {!item.claimedBy && (
+                      <button
+                        onClick={() => handleClaim(item)}
+                        disabled={locked || busy}
+                        className="btn-outline flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <Hand size={16} className="mr-2" />
+                        Claim
+                      </button>
+                    )}
+                  </div>
+
+                  {isEscalated && !can('moderation:escalations') && (
+                    <p className="text-xs text-secondary-500">Escalated flags are handled by an admin.</p>
+                  )}
+                </div>
+              ) : (
+                <div className="p-4 text-xs text-secondary-500">
+                  Logged by the integrity layer for reference; no decision is needed here.
+                </div>
+              )}
+            </div>
+          )
+        })}
+
+        {queue.length === 0 && !error && (
+          <div className="bg-white rounded-lg border border-secondary-200 p-8 text-center text-secondary-500">
+            <CheckCircle size={48} className="mx-auto mb-4 opacity-50" />
+            <p>The moderation queue is empty.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Moderation
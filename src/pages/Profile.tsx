@@ -1,22 +1,102 @@
-import React from 'react'
-import { User, Settings, Bell, Shield, LogOut } from 'lucide-react'
+import React, { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { User, Settings, Bell, Shield, LogOut, Sparkles } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import { apiService, type OnboardingData, type OnboardingResult } from '../services/api'
+
+const ISSUES = [
+  'Housing & Rent Control',
+  'Public Transportation',
+  'Education & Schools',
+  'Public Safety',
+  'Climate & Environment',
+  'Healthcare Access',
+  'Economic Development',
+  'Immigration'
+]
+
+const FORMATS = [
+  { id: 'visual', label: 'Visual Stories' },
+  { id: 'articles', label: 'Articles' },
+  { id: 'videos', label: 'Video Content' },
+  { id: 'mixed', label: 'Mixed Format' }
+]
+
+const CADENCES = [
+  { id: 'daily', label: 'Daily' },
+  { id: 'weekly', label: 'Weekly' },
+  { id: 'biweekly', label: 'Bi-weekly' },
+  { id: 'monthly', label: 'Monthly' }
+]
 
 const Profile: React.FC = () => {
-  // Mock user data
+  const navigate = useNavigate()
+  const { user: authUser, signOut } = useAuth()
+
+  // Mock stats until the profile endpoint is wired in
   const user = {
-    name: 'Alex Rivera',
-    email: 'alex.rivera@email.com',
+    name: authUser?.name || '',
+    email: authUser?.email || '',
     joinDate: 'January 2025',
     totalXP: 1250,
     level: 3,
     badges: ['First Vote', 'Fact Checker', 'Community Helper']
   }
 
+  const [profile, setProfile] = useState<OnboardingResult | null>(null)
+  const [draft, setDraft] = useState<OnboardingData | null>(null)
+  const [saving, setSaving] = useState(false)
+  const [preferencesMessage, setPreferencesMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null)
+
+  useEffect(() => {
+    if (!authUser) return
+
+    apiService.getPreferences(authUser.id).then(response => {
+      if (response.success && response.data) {
+        setProfile(response.data)
+        setDraft(response.data.preferences)
+      }
+    })
+  }, [authUser])
+
+  const toggleIssue = (issue: string) => {
+    if (!draft) return
+    setDraft({
+      ...draft,
+      issues: draft.issues.includes(issue) ? draft.issues.filter(i => i !== issue) : [...draft.issues, issue]
+    })
+  }
+
+  const savePreferences = async () => {
+    if (!authUser || !draft) return
+
+    try {
+      setSaving(true)
+      setPreferencesMessage(null)
+
+      const response = await apiService.updatePreferences(authUser.id, draft)
+
+      if (response.success && response.data) {
+        setProfile(response.data)
+        setDraft(response.data.preferences)
+        // Other screens still read the onboarding result from here
+        localStorage.setItem('civvy_onboarding', JSON.stringify(response.data))
+        setPreferencesMessage({ type: 'success', text: 'Preferences saved. Your feed will use them from now on.' })
+      } else {
+        setPreferencesMessage({ type: 'error', text: response.details?.join(' ') || response.error || 'Failed to save preferences' })
+      }
+    } catch (err) {
+      setPreferencesMessage({ type: 'error', text: 'Network error. Please try again.' })
+    } finally {
+      setSaving(false)
+    }
+  }
+
   const menuItems = [
     { icon: Bell, label: 'Notifications', action: () => {} },
     { icon: Shield, label: 'Privacy Settings', action: () => {} },
     { icon: Settings, label: 'App Settings', action: () => {} },
-    { icon: LogOut, label: 'Sign Out', action: () => {}, danger: true }
+    { icon: LogOut, label: 'Sign Out', action: () => { signOut(); navigate('/') }, danger: true }
   ]
 
   return (
@@ -67,6 +147,103 @@ const Profile: React.FC = () => {
         </div>
       </div>
 
+      {/* Feed Preferences */}
+      {draft && (
+        <div className="bg-white p-6 mb-4">
+          <h3 className="font-semibold mb-3">Feed Preferences</h3>
+
+          <p className="text-sm font-medium text-secondary-700 mb-2">Issues</p>
+          <div className="flex flex-wrap gap-2 mb-4">
+            {ISSUES.map(issue => (
+              <button
+                key={issue}
+                onClick={() => toggleIssue(issue)}
+                className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                  draft.issues.includes(issue)
+                    ? 'bg-primary-600 text-white border-primary-600'
+                    : 'bg-white text-secondary-700 border-secondary-300 hover:bg-secondary-50'
+                }`}
+              >
+                {issue}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <label className="text-sm text-secondary-700">
+              Format
+              <select
+                value={draft.format}
+                onChange={(e) => setDraft({ ...draft, format: e.target.value })}
+                className="input mt-1 w-full"
+              >
+                {FORMATS.map(format => (
+                  <option key={format.id} value={format.id}>{format.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-secondary-700">
+              Updates
+              <select
+                value={draft.cadence}
+                onChange={(e) => setDraft({ ...draft, cadence: e.target.value })}
+                className="input mt-1 w-full"
+              >
+                {CADENCES.map(cadence => (
+                  <option key={cadence.id} value={cadence.id}>{cadence.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <label className="block text-sm text-secondary-700 mb-4">
+            ZIP code
+            <input
+              type="text"
+              inputMode="numeric"
+              maxLength={5}
+              value={draft.zipCode}
+              onChange={(e) => setDraft({ ...draft, zipCode: e.target.value.replace(/\D/g, '') })}
+              className="input mt-1 w-full"
+            />
+          </label>
+
+          <label className="flex items-center text-sm text-secondary-700 mb-4">
+            <input
+              type="checkbox"
+              checked={draft.reminders}
+              onChange={(e) => setDraft({ ...draft, reminders: e.target.checked })}
+              className="mr-2"
+            />
+            Send me reminders
+          </label>
+
+          {profile && profile.personalizedTopics.surpriseTopics.length > 0 && (
+            <div className="flex items-start bg-accent-50 rounded-lg p-3 mb-4 text-xs text-accent-800">
+              <Sparkles size={14} className="mr-2 mt-0.5 flex-shrink-0" />
+              <span>
+                Also showing you surprise topics to broaden your view:{' '}
+                {profile.personalizedTopics.surpriseTopics.map(topic => topic.id.replace(/-/g, ' ')).join(', ')}
+              </span>
+            </div>
+          )}
+
+          {preferencesMessage && (
+            <p className={`text-sm mb-3 ${preferencesMessage.type === 'success' ? 'text-success-700' : 'text-error-700'}`}>
+              {preferencesMessage.text}
+            </p>
+          )}
+
+          <button
+            onClick={savePreferences}
+            disabled={saving || draft.issues.length === 0}
+            className="btn-primary w-full py-2 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Preferences'}
+          </button>
+        </div>
+      )}
+
       {/* Menu Items */}
       <div className="bg-white divide-y divide-secondary-100">
         {menuItems.map((item, index) => {
@@ -1,14 +1,22 @@
 import React, { useState, useEffect } from 'react'
-import { Gift, Zap, MapPin, Coffee, Utensils, Trophy, Star, Clock } from 'lucide-react'
-import { apiService, type Reward, type UserProfile } from '../services/api'
+import { Gift, Zap, MapPin, Coffee, Utensils, Trophy, Star, Clock, Ticket } from 'lucide-react'
+import { apiService, type Redemption, type RedemptionStatus, type Reward, type UserProfile, type Voucher } from '../services/api'
 import { useAuth } from '../contexts/AuthContext'
 
+const REDEMPTION_POLL_MS = 1500
+const REDEMPTION_MAX_POLLS = 20
+const SETTLED_STATUSES: RedemptionStatus[] = ['fulfilled', 'failed', 'refunded']
+
 const Rewards: React.FC = () => {
   const { user } = useAuth()
   const [userProfile, setUserProfile] = useState<UserProfile | null>(null)
   const [rewards, setRewards] = useState<Reward[]>([])
+  const [vouchers, setVouchers] = useState<Voucher[]>([])
   const [loading, setLoading] = useState(true)
   const [redeeming, setRedeeming] = useState<string | null>(null)
+  const [redemptionStatus, setRedemptionStatus] = useState<RedemptionStatus | null>(null)
+  // One idempotency key per attempt to redeem a reward, reused when the user retries after a failure
+  const [redeemIntent, setRedeemIntent] = useState<{ rewardId: string; key: string } | null>(null)
   const [error, setError] = useState<string | null>(null)
 
   useEffect(() => {
@@ -24,9 +32,10 @@ const Rewards: React.FC = () => {
       setLoading(true)
       setError(null)
 
-      const [profileResponse, rewardsResponse] = await Promise.all([
+      const [profileResponse, rewardsResponse, vouchersResponse] = await Promise.all([
         apiService.getUserProfile(user.id),
-        apiService.getRewards()
+        apiService.getRewards(),
+        apiService.getVouchers()
       ])
 
       if (profileResponse.success && profileResponse.data) {
@@ -37,6 +46,10 @@ const Rewards: React.FC = () => {
         setRewards(rewardsResponse.data)
       }
 
+      if (vouchersResponse.success && vouchersResponse.data) {
+        setVouchers(vouchersResponse.data)
+      }
+
     } catch (err) {
       setError('Failed to load rewards data')
     } finally {
@@ -44,21 +57,70 @@ const Rewards: React.FC = () => {
     }
   }
 
+  // Points are reserved straight away; the partner call finishes on the server
+  const pollRedemption = async (redemption: Redemption) => {
+    let current = redemption
+
+    for (let poll = 0; poll < REDEMPTION_MAX_POLLS && !SETTLED_STATUSES.includes(current.status); poll++) {
+      await new Promise(resolve => setTimeout(resolve, REDEMPTION_POLL_MS))
+      const response = await apiService.getRedemption(current.id)
+      if (response.success && response.data) {
+        current = response.data
+        setRedemptionStatus(current.status)
+      }
+    }
+
+    return current
+  }
+
   const handleRedeem = async (rewardId: string) => {
     if (!user || !userProfile) return
 
     try {
       setRedeeming(rewardId)
-      const response = await apiService.redeemReward(user.id, rewardId)
+      setRedemptionStatus('requested')
+      const key = redeemIntent?.rewardId === rewardId ? redeemIntent.key : crypto.randomUUID()
+      setRedeemIntent({ rewardId, key })
+      const response = await apiService.redeemReward(rewardId, 1, key)
+
+      if (response.success && response.data) {
+        const { redemption, remainingPoints } = response.data
+        setRedeemIntent(null)
 
-      if (response.success) {
         // Update user profile with new balance
         setUserProfile(prev => prev ? {
           ...prev,
-          metroPoints: response.data.remainingPoints
+          metroPoints: remainingPoints
         } : null)
+        setRedemptionStatus(redemption.status)
+
+        const settled = await pollRedemption(redemption)
 
-        alert('Reward redeemed successfully!')
+        if (settled.status === 'fulfilled' && settled.redemptionData?.voucher) {
+          alert('Reward redeemed! Show the voucher QR code under My Vouchers at the counter.')
+        } else if (settled.status === 'fulfilled') {
+          alert('Reward redeemed successfully!')
+        } else if (settled.status === 'refunded') {
+          alert(`${settled.error || 'The partner could not process this reward'}. Your MetroPoints have been refunded.`)
+        } else {
+          alert('Your redemption is still processing. Check Recent Activity shortly.')
+        }
+
+        // Pick up the refund or the spend in the balance and activity list, the stock left and any voucher
+        const [profileResponse, rewardsResponse, vouchersResponse] = await Promise.all([
+          apiService.getUserProfile(user.id),
+          apiService.getRewards(),
+          apiService.getVouchers()
+        ])
+        if (profileResponse.success && profileResponse.data) {
+          setUserProfile(profileResponse.data)
+        }
+        if (rewardsResponse.success && rewardsResponse.data) {
+          setRewards(rewardsResponse.data)
+        }
+        if (vouchersResponse.success && vouchersResponse.data) {
+          setVouchers(vouchersResponse.data)
+        }
       } else {
         alert(response.error || 'Failed to redeem reward')
       }
@@ -66,6 +128,7 @@ const Rewards: React.FC = () => {
       alert('Network error. Please try again.')
     } finally {
       setRedeeming(null)
+      setRedemptionStatus(null)
     }
   }
 
@@ -88,6 +151,13 @@ const Rewards: React.FC = () => {
     return colorMap[category as keyof typeof colorMap] || 'bg-secondary-100 text-secondary-600'
   }
 
+  const formatDate = (iso: string) => new Date(iso).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+
+  const eligibilityMessage = (reward: Reward) =>
+    reward.eligibility?.reason === 'not_started' && reward.startsAt
+      ? `Available from ${formatDate(reward.startsAt)}`
+      : reward.eligibility?.message
+
   if (loading) {
     return (
       <div className="max-w-md mx-auto bg-secondary-50 min-h-screen">
@@ -174,13 +244,15 @@ const Rewards: React.FC = () => {
           {rewards.map(reward => {
             const Icon = getRewardIcon(reward.category, reward.icon)
             const canAfford = userProfile ? userProfile.metroPoints >= reward.cost : false
+            const eligible = reward.eligibility ? reward.eligibility.eligible : reward.available
+            const canRedeem = canAfford && eligible
             const isRedeeming = redeeming === reward.id
             
             return (
               <div 
                 key={reward.id}
                 className={`bg-white rounded-lg p-4 border transition-all ${
-                  canAfford ? 'border-secondary-200 shadow-sm' : 'border-secondary-100 opacity-60'
+                  canRedeem ? 'border-secondary-200 shadow-sm' : 'border-secondary-100 opacity-60'
                 }`}
               >
                 <div className="flex items-center justify-between mb-3">
@@ -191,6 +263,16 @@ const Rewards: React.FC = () => {
                     <div>
                       <h3 className="font-medium">{reward.title}</h3>
                       <p className="text-sm text-secondary-600">{reward.description}</p>
+                      <div className="flex flex-wrap gap-x-3 text-xs text-secondary-500 mt-1">
+                        {reward.merchantName && <span>{reward.merchantName}</span>}
+                        {reward.remainingStock !== null && (
+                          <span className={reward.remainingStock === 0 ? 'text-red-600' : ''}>
+                            {reward.remainingStock === 0 ? 'Sold out' : `${reward.remainingStock} left`}
+                          </span>
+                        )}
+                        {reward.perUserLimit !== null && <span>Limit {reward.perUserLimit} per person</span>}
+                        {reward.endsAt && <span>Ends {formatDate(reward.endsAt)}</span>}
+                      </div>
                     </div>
                   </div>
                   
@@ -200,11 +282,15 @@ const Rewards: React.FC = () => {
                   </div>
                 </div>
                 
+                {reward.eligibility?.message && (
+                  <p className="text-xs text-secondary-600 mb-2">{eligibilityMessage(reward)}</p>
+                )}
+
                 <button 
                   onClick={() => handleRedeem(reward.id)}
-                  disabled={!canAfford || isRedeeming}
+                  disabled={!canRedeem || isRedeeming}
                   className={`w-full py-2 rounded-lg text-sm font-medium transition-colors flex items-center justify-center ${
-                    canAfford && !isRedeeming
+                    canRedeem && !isRedeeming
                       ? 'bg-primary-600 text-white hover:bg-primary-700' 
                       : 'bg-secondary-200 text-secondary-500 cursor-not-allowed'
                   }`}
@@ -212,8 +298,10 @@ const Rewards: React.FC = () => {
                   {isRedeeming ? (
                     <>
                       <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                      Redeeming...
+                      {redemptionStatus === 'reserved' ? 'Points reserved, contacting partner...' : 'Redeeming...'}
                     </>
+                  ) : !eligible ? (
+                    'Not available'
                   ) : canAfford ? (
                     'Redeem Now'
                   ) : (
@@ -225,6 +313,47 @@ const Rewards: React.FC = () => {
           })}
         </div>
 
+        {/* Vouchers for local offers, scanned by the merchant */}
+        {vouchers.length > 0 && (
+          <>
+            <h2 className="text-lg font-semibold mb-4 flex items-center">
+              <Ticket className="mr-2" size={20} />
+              My Vouchers
+            </h2>
+
+            <div className="space-y-3 mb-8">
+              {vouchers.map(voucher => {
+                const expired = new Date(voucher.expiresAt) <= new Date()
+                const usable = voucher.status === 'issued' && !expired
+
+                return (
+                  <div key={voucher.id} className={`bg-white rounded-lg p-4 border border-secondary-200 ${usable ? '' : 'opacity-60'}`}>
+                    <div className="flex items-start justify-between mb-3">
+                      <div>
+                        <h3 className="font-medium">{voucher.rewardTitle}</h3>
+                        {voucher.merchantName && <p className="text-sm text-secondary-600">{voucher.merchantName}</p>}
+                      </div>
+                      <span className={`text-xs px-2 py-1 rounded ${usable ? 'bg-success-100 text-success-700' : 'bg-secondary-100 text-secondary-600'}`}>
+                        {voucher.status === 'redeemed' ? 'Used' : expired ? 'Expired' : 'Ready to use'}
+                      </span>
+                    </div>
+
+                    {usable && (
+                      <img src={voucher.qrCode} alt="Voucher QR code" className="w-40 h-40 mx-auto mb-2" />
+                    )}
+
+                    <p className="text-xs text-secondary-500 text-center">
+                      {voucher.status === 'redeemed' && voucher.redeemedAt
+                        ? `Used ${formatDate(voucher.redeemedAt)}`
+                        : `Valid until ${formatDate(voucher.expiresAt)}`}
+                    </p>
+                  </div>
+                )
+              })}
+            </div>
+          </>
+        )}
+
         {/* Recent Activity */}
         {userProfile && userProfile.recentTransactions.length > 0 && (
           <>
@@ -234,46 +363,57 @@ const Rewards: React.FC = () => {
             </h2>
             
             <div className="bg-white rounded-lg divide-y divide-secondary-100">
-              {userProfile.recentTransactions.slice(0, 5).map((transaction, index) => (
-                <div key={transaction.id || index} className="p-4">
-                  <div className="flex items-center justify-between">
-                    <div className="flex-1">
-                      <p className="text-sm font-medium text-secondary-900">
+              {userProfile.recentTransactions.slice(0, 5).map((transaction, index) => {
+                const action = transaction.action
+                const rewardTitle = rewards.find(r => r.id === transaction.rewardId)?.title || 'Reward'
+
+                return (
+                  <div key={transaction.id || index} className="p-4">
+                    <div className="flex items-center justify-between">
+                      <div className="flex-1">
+                        <p className="text-sm font-medium text-secondary-900">
+                          {transaction.type === 'earn' && action && (
+                            <>
+                              {action === 'quiz_completion' && '🧠 Completed Quiz'}
+                              {action === 'quiz_perfect_score' && '🏆 Perfect Quiz Score'}
+                              {action === 'vote_pledge' && '🗳️ Made Vote Pledge'}
+                              {action === 'flag_submission' && '🚩 Flagged Content'}
+                              {action === 'flag_verified' && '✅ Flag Verified'}
+                              {!['quiz_completion', 'quiz_perfect_score', 'vote_pledge', 'flag_submission', 'flag_verified'].includes(action) && 
+                                `📈 ${action.replace('_', ' ')}`}
+                            </>
+                          )}
+                          {transaction.type === 'spend' && `🎁 Redeemed ${rewardTitle}`}
+                          {transaction.type === 'refund' && `↩️ Refunded ${rewardTitle}`}
+                          {transaction.type === 'expire' && '⌛ Points expired'}
+                          {transaction.type === 'adjust' && `🛠️ Balance adjusted${transaction.reason ? `: ${transaction.reason}` : ''}`}
+                        </p>
+                        <p className="text-xs text-secondary-500">
+                          {new Date(transaction.timestamp).toLocaleString()}
+                        </p>
+                      </div>
+                      <div className="text-right">
                         {transaction.type === 'earn' ? (
-                          <>
-                            {transaction.action === 'quiz_completion' && '🧠 Completed Quiz'}
-                            {transaction.action === 'quiz_perfect_score' && '🏆 Perfect Quiz Score'}
-                            {transaction.action === 'vote_pledge' && '🗳️ Made Vote Pledge'}
-                            {transaction.action === 'flag_submission' && '🚩 Flagged Content'}
-                            {transaction.action === 'flag_verified' && '✅ Flag Verified'}
-                            {!['quiz_completion', 'quiz_perfect_score', 'vote_pledge', 'flag_submission', 'flag_verified'].includes(transaction.action) && 
-                              `📈 ${transaction.action.replace('_', ' ')}`}
-                          </>
+                          <div className="text-success-600 font-semibold">
+                            +{transaction.xpAmount} XP
+                            {transaction.metroPointsEarned > 0 && (
+                              <div className="text-xs">+{transaction.metroPointsEarned} MP</div>
+                            )}
+                          </div>
                         ) : (
-                          `🎁 Redeemed ${rewards.find(r => r.id === transaction.rewardId)?.title || 'Reward'}`
+                          ([['XP', transaction.xpChange], ['MP', transaction.metroPointsChange]] as const)
+                            .filter(([, amount]) => amount !== 0)
+                            .map(([currency, amount]) => (
+                              <div key={currency} className={`font-semibold ${amount > 0 ? 'text-success-600' : 'text-error-600'}`}>
+                                {amount > 0 ? '+' : ''}{amount} {currency}
+                              </div>
+                            ))
                         )}
-                      </p>
-                      <p className="text-xs text-secondary-500">
-                        {new Date(transaction.timestamp).toLocaleString()}
-                      </p>
-                    </div>
-                    <div className="text-right">
-                      {transaction.type === 'earn' ? (
-                        <div className="text-success-600 font-semibold">
-                          +{transaction.xpAmount} XP
-                          {transaction.metroPointsEarned > 0 && (
-                            <div className="text-xs">+{transaction.metroPointsEarned} MP</div>
-                          )}
-                        </div>
-                      ) : (
-                        <div className="text-error-600 font-semibold">
-                          -{transaction.cost} MP
-                        </div>
-                      )}
+                      </div>
                     </div>
                   </div>
-                </div>
-              ))}
+                )
+              })}
             </div>
           </>
         )}
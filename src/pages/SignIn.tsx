@@ -0,0 +1,131 @@
+import React, { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Vote, Loader2 } from 'lucide-react'
+import { useAuth } from '../contexts/AuthContext'
+import { validateEmail } from '../lib/utils'
+
+const SignIn: React.FC = () => {
+  const navigate = useNavigate()
+  const { signIn, signUp } = useAuth()
+  const [mode, setMode] = useState<'signup' | 'signin'>('signup')
+  const [name, setName] = useState('')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  const isSignUp = mode === 'signup'
+
+  const canSubmit = () => {
+    if (!validateEmail(email) || password.length < 8) return false
+    return !isSignUp || name.trim().length > 0
+  }
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    setLoading(true)
+    setError(null)
+
+    try {
+      if (isSignUp) {
+        await signUp(email, password, name)
+        navigate('/onboarding')
+      } else {
+        await signIn(email, password)
+        navigate('/feed')
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong. Please try again.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleMode = () => {
+    setMode(isSignUp ? 'signin' : 'signup')
+    setError(null)
+  }
+
+  return (
+    <div className="min-h-screen bg-secondary-50 px-4 py-8">
+      <div className="max-w-sm mx-auto">
+        <div className="text-center mb-8">
+          <Vote size={48} className="mx-auto mb-3 text-primary-600" />
+          <h1 className="text-2xl font-bold text-secondary-900">
+            {isSignUp ? 'Create your account' : 'Welcome back'}
+          </h1>
+          <p className="text-secondary-600 mt-1">
+            {isSignUp ? 'Start earning MetroPoints for civic engagement' : 'Sign in to continue to your feed'}
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="bg-white rounded-xl p-6 shadow-sm space-y-4">
+          {isSignUp && (
+            <div>
+              <label htmlFor="name" className="block text-sm font-medium text-secondary-700 mb-1">Name</label>
+              <input
+                id="name"
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className="input"
+                autoComplete="name"
+              />
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-secondary-700 mb-1">Email</label>
+            <input
+              id="email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="input"
+              autoComplete="email"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-secondary-700 mb-1">Password</label>
+            <input
+              id="password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="input"
+              autoComplete={isSignUp ? 'new-password' : 'current-password'}
+            />
+            {isSignUp && (
+              <p className="text-xs text-secondary-500 mt-1">At least 8 characters</p>
+            )}
+          </div>
+
+          {error && (
+            <div className="p-3 bg-error-50 border border-error-200 rounded-lg">
+              <p className="text-error-700 text-sm">{error}</p>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={!canSubmit() || loading}
+            className="w-full btn-primary py-3 disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+          >
+            {loading && <Loader2 size={20} className="mr-2 animate-spin" />}
+            {isSignUp ? 'Create Account' : 'Sign In'}
+          </button>
+        </form>
+
+        <p className="text-center text-sm text-secondary-600 mt-6">
+          {isSignUp ? 'Already have an account?' : 'New to Civvy?'}{' '}
+          <button onClick={toggleMode} className="text-primary-600 font-medium hover:underline">
+            {isSignUp ? 'Sign in' : 'Create one'}
+          </button>
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default SignIn
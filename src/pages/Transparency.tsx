@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react'
 import { Shield, Eye, BarChart3, Clock, CheckCircle, AlertTriangle, TrendingUp } from 'lucide-react'
-import { apiService } from '../services/api'
+import { apiService, type AuditEvent } from '../services/api'
 
 interface TransparencyReport {
   timeframe: string
@@ -29,25 +29,17 @@ interface TransparencyReport {
   }
 }
 
-interface AuditEvent {
-  id: string
-  timestamp: string
-  eventType: string
-  category: string
-  severity: string
-  summary: string
-}
-
 const Transparency: React.FC = () => {
   const [report, setReport] = useState<TransparencyReport | null>(null)
   const [auditEvents, setAuditEvents] = useState<AuditEvent[]>([])
+  const [auditStats, setAuditStats] = useState<{ totalEvents: number; integrityVerified: boolean } | null>(null)
   const [loading, setLoading] = useState(true)
   const [timeframe, setTimeframe] = useState('30d')
   const [selectedCategory, setSelectedCategory] = useState<string | null>(null)
 
   useEffect(() => {
     loadTransparencyData()
-  }, [timeframe])
+  }, [timeframe, selectedCategory])
 
   const loadTransparencyData = async () => {
     try {
@@ -64,6 +56,10 @@ const Transparency: React.FC = () => {
 
       if (auditResponse.success && auditResponse.data) {
         setAuditEvents(auditResponse.data.events)
+        setAuditStats({
+          totalEvents: auditResponse.data.totalEvents,
+          integrityVerified: auditResponse.data.integrityVerified
+        })
       }
 
     } catch (error) {
@@ -259,10 +255,20 @@ const Transparency: React.FC = () => {
         <div className="bg-white rounded-lg border border-secondary-200">
           <div className="p-6 border-b border-secondary-200">
             <div className="flex items-center justify-between">
-              <h3 className="text-lg font-semibold flex items-center">
-                <Eye className="mr-2" size={20} />
-                Recent Audit Events
-              </h3>
+              <div>
+                <h3 className="text-lg font-semibold flex items-center">
+                  <Eye className="mr-2" size={20} />
+                  Recent Audit Events
+                </h3>
+                {auditStats && (
+                  <p className={`text-xs mt-1 flex items-center ${auditStats.integrityVerified ? 'text-success-700' : 'text-error-700'}`}>
+                    {auditStats.integrityVerified
+                      ? <CheckCircle size={12} className="mr-1" />
+                      : <AlertTriangle size={12} className="mr-1" />}
+                    {auditStats.totalEvents.toLocaleString()} events in one hash chain · {auditStats.integrityVerified ? 'chain verified' : 'chain verification failed'}
+                  </p>
+                )}
+              </div>
               
               <select
                 value={selectedCategory || ''}
@@ -293,7 +299,7 @@ const Transparency: React.FC = () => {
                       <div className="flex-1">
                         <div className="flex items-center space-x-2 mb-1">
                           <span className="font-medium text-secondary-900 capitalize">
-                            {event.eventType.replace('_', ' ')}
+                            {event.eventType.replace(/_/g, ' ')}
                           </span>
                           <span className={`text-xs px-2 py-1 rounded-full ${getSeverityColor(event.severity)}`}>
                             {event.severity}
@@ -302,10 +308,14 @@ const Transparency: React.FC = () => {
                         
                         <p className="text-sm text-secondary-600 mb-1">
                           {event.summary}
+                          {event.publicData.reason && (
+                            <span className="text-secondary-500"> · {String(event.publicData.reason).replace(/[_-]/g, ' ')}</span>
+                          )}
                         </p>
                         
                         <p className="text-xs text-secondary-500">
                           {new Date(event.timestamp).toLocaleString()}
+                          <span className="ml-2 font-mono" title={event.hash}>#{event.hash.slice(0, 12)}</span>
                         </p>
                       </div>
                     </div>
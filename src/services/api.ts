@@ -3,7 +3,10 @@
  * Handles all HTTP requests with proper error handling
  */
 
+import type { Role } from '../lib/permissions';
+
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+const TOKEN_STORAGE_KEY = 'civvy_token';
 
 interface ApiResponse<T> {
   success: boolean;
@@ -13,13 +16,26 @@ interface ApiResponse<T> {
   details?: string[];
 }
 
+interface AuthUser {
+  id: string;
+  email: string;
+  name: string;
+  role: Role;
+  createdAt: string;
+}
+
+interface AuthSession {
+  token: string;
+  expiresAt: string;
+  user: AuthUser;
+}
+
 interface OnboardingData {
   issues: string[];
   format: string;
   reminders: boolean;
   cadence: string;
   zipCode: string;
-  userId?: string;
 }
 
 interface OnboardingResult {
@@ -34,9 +50,88 @@ interface OnboardingResult {
     lastUpdated: string;
   };
   createdAt: string;
+  updatedAt: string;
   status: string;
 }
 
+interface ContradictionEvidence {
+  contentId: string | null;
+  title: string | null;
+  source: string | null;
+  field: 'content';
+  start: number;
+  end: number;
+  text: string;
+  excerpt: { before: string; after: string };
+}
+
+interface Contradiction {
+  id: string;
+  type: 'numerical_contradiction' | 'policy_contradiction' | 'external_contradiction';
+  description: string;
+  explanation: string;
+  confidence: number;
+  evidence: [ContradictionEvidence, ContradictionEvidence];
+}
+
+interface FactCitation {
+  factId: string;
+  version: number;
+  revisionId: string;
+  label: string;
+  jurisdiction: string;
+  effectiveFrom: string;
+  effectiveTo: string | null;
+  sourceName: string;
+  sourceUrl: string;
+}
+
+interface FactCheck {
+  type: 'fact_check';
+  claim: string;
+  span: { start: number; end: number };
+  factValue: number;
+  source: string;
+  fact: FactCitation;
+  factEffectiveAtPublication: boolean;
+  accuracy: 'disputed';
+  confidence: number;
+}
+
+interface SyndicatedSource {
+  contentId: string;
+  source: string;
+  author: string;
+  title: string;
+  timestamp: string;
+  url: string | null;
+  similarity: number;
+}
+
+interface Syndication {
+  canonicalId: string;
+  sourceCount: number;
+  sources: SyndicatedSource[];
+}
+
+type RankingSignal = 'issue' | 'surprise' | 'geo' | 'recency' | 'contradictions' | 'confidence';
+
+interface FeedRanking {
+  score: number;
+  matchedIssues: string[];
+  surpriseTopic: { id: string; reason: string | null } | null;
+  geo: {
+    zipCode: string | null;
+    weight: number;
+    localIssue: string | null;
+  };
+  recency: {
+    ageHours: number | null;
+    halfLifeHours: number;
+  };
+  contributions: Record<RankingSignal, number>;
+}
+
 interface FeedItem {
   id: string;
   type: 'story' | 'video' | 'article';
@@ -48,19 +143,38 @@ interface FeedItem {
   tags: string[];
   verified: boolean;
   analysis?: {
-    contradictions: any[];
+    contradictions: Contradiction[];
     confidence: number;
     biasScore: number;
-    factChecks: any[];
+    factChecks: FactCheck[];
   };
   contradictions?: number;
   confidence?: number;
   biasScore?: number;
+  syndication?: Syndication;
+  ranking?: FeedRanking;
+  surprise?: boolean;
+  moderation?: {
+    status: 'annotated' | 'hidden';
+    reason: string;
+    reasonCode: string;
+    note: string | null;
+    decidedAt: string;
+  };
+}
+
+interface FeedPageMetadata {
+  totalItems: number;
+  syndicatedCopies: number;
+  limit: number;
+  hasMore: boolean;
+  nextCursor: string | null;
+  lastUpdated: string;
+  surpriseShare: number;
 }
 
 interface FlagData {
   contentId: string;
-  userId: string;
   reason: string;
   description?: string;
 }
@@ -97,7 +211,111 @@ interface Reward {
   value: number;
   category: 'transit' | 'local' | 'boost';
   icon: string;
+  merchantId: string | null;
+  merchantName: string | null;
+  stock: number | null;
+  // null when the reward has no stock limit
+  remainingStock: number | null;
+  perUserLimit: number | null;
+  startsAt: string | null;
+  endsAt: string | null;
+  // Empty when the offer is city-wide
+  zipCodes: string[];
   available: boolean;
+  // Only present when signed in; balance is checked separately
+  eligibility?: RewardEligibility;
+}
+
+type RewardIneligibleReason =
+  | 'retired'
+  | 'merchant_unavailable'
+  | 'not_started'
+  | 'ended'
+  | 'out_of_stock'
+  | 'outside_area'
+  | 'user_limit_reached';
+
+interface RewardEligibility {
+  eligible: boolean;
+  reason: RewardIneligibleReason | null;
+  message: string | null;
+  redeemedByUser: number;
+}
+
+// One ledger entry as seen from the user's own XP and MetroPoints accounts
+interface RewardTransaction {
+  id: string;
+  userId: string;
+  type: 'earn' | 'spend' | 'refund' | 'expire' | 'adjust';
+  action: string | null;
+  xpAmount: number;
+  metroPointsEarned: number;
+  xpChange: number;
+  metroPointsChange: number;
+  rewardId: string | null;
+  quantity: number | null;
+  cost: number | null;
+  category: string | null;
+  reason: string | null;
+  reverses: string | null;
+  timestamp: string;
+  metadata: Record<string, any>;
+}
+
+type RedemptionStatus = 'requested' | 'reserved' | 'fulfilled' | 'failed' | 'refunded';
+
+interface Redemption {
+  id: string;
+  userId: string;
+  rewardId: string;
+  title: string;
+  category: string;
+  quantity: number;
+  cost: number;
+  status: RedemptionStatus;
+  attempts: number;
+  redemptionData: Record<string, any> | null;
+  error: string | null;
+  history: { status: RedemptionStatus; at: string; error?: string }[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+interface RedeemResult {
+  transaction: RewardTransaction | null;
+  redemption: Redemption;
+  remainingPoints: number;
+  redemptionDetails: Record<string, any> | null;
+}
+
+type VoucherStatus = 'issued' | 'redeemed';
+
+// A signed, single-use code for a local offer; qrCode is an image data URL
+interface Voucher {
+  id: string;
+  code: string;
+  redemptionId: string;
+  rewardId: string;
+  rewardTitle: string;
+  merchantId: string;
+  merchantName: string | null;
+  value: number;
+  quantity: number;
+  status: VoucherStatus;
+  issuedAt: string;
+  expiresAt: string;
+  redeemedAt: string | null;
+  qrCode: string;
+}
+
+type VoucherRejection = 'invalid' | 'not_found' | 'wrong_merchant' | 'expired' | 'already_redeemed';
+
+// What a merchant sees after scanning a code
+interface VoucherCheck {
+  valid: boolean;
+  reason: VoucherRejection | null;
+  message: string | null;
+  voucher: Pick<Voucher, 'id' | 'rewardId' | 'rewardTitle' | 'value' | 'quantity' | 'status' | 'issuedAt' | 'expiresAt' | 'redeemedAt'> | null;
 }
 
 interface UserProfile {
@@ -106,10 +324,10 @@ interface UserProfile {
   currentXP: number;
   metroPoints: number;
   level: number;
-  transactions: any[];
-  redemptions: any[];
+  transactions: RewardTransaction[];
+  redemptions: Redemption[];
   badges: string[];
-  recentTransactions: any[];
+  recentTransactions: RewardTransaction[];
   trustMetrics?: {
     reputation: number;
     trustLevel: string;
@@ -120,7 +338,6 @@ interface UserProfile {
 }
 
 interface VotePledge {
-  userId: string;
   electionId: string;
   pledgeType: 'early-voting' | 'election-day' | 'absentee';
   scheduledDate?: string;
@@ -160,6 +377,16 @@ interface AuditEvent {
   category: string;
   severity: string;
   summary: string;
+  publicData: Record<string, string | number>;
+  hash: string;
+  previousHash: string | null;
+  metadataDigest: string;
+}
+
+interface AuditFeed {
+  events: AuditEvent[];
+  totalEvents: number;
+  integrityVerified: boolean;
 }
 
 interface DashboardMetrics {
@@ -169,6 +396,7 @@ interface DashboardMetrics {
     onboardingCompletion: { started: number; completed: number; rate: number };
     contradictionsPerHundredViews: { views: number; contradictions: number; rate: number };
     metroPointsRedemption: { earned: number; redeemed: number; rate: number };
+    surpriseEngagement: { viewed: number; engaged: number; rate: number };
     dailyActiveUsers: number;
     monthlyActiveUsers: number;
     retentionRate: number;
@@ -186,6 +414,15 @@ interface DashboardMetrics {
     quizzesCompleted: number;
     contradictionsFound: number;
   };
+  analysisCache: {
+    since: string;
+    entries: number;
+    hits: number;
+    misses: number;
+    hitRate: number;
+    missesByReason: Record<'cold' | 'content_changed' | 'facts_changed' | 'related_changed', number>;
+    invalidations: Record<string, number>;
+  } | null;
   funnel: {
     landingPageViews: number;
     onboardingStarted: number;
@@ -219,7 +456,53 @@ interface FeatureFlags {
   cohort: string;
 }
 
+type FlagDecision = 'uphold' | 'reject' | 'escalate';
+
+interface ModerationQueueItem {
+  id: string;
+  source: 'content' | 'integrity';
+  actionable: boolean;
+  contentId: string;
+  reporterId: string;
+  reason: string;
+  description?: string;
+  priority: number;
+  status: 'pending' | 'escalated';
+  claimedBy: string | null;
+  timestamp: string;
+  reporterTrust: {
+    reputation: number | null;
+    trustLevel: 'high' | 'medium' | 'low' | 'flagged' | 'unknown';
+    flagWeight: number;
+  };
+  content: FeedItem | null;
+}
+
+interface ModerationQueue {
+  queue: ModerationQueueItem[];
+  totalPending: number;
+  reasonCodes: {
+    upheld: string[];
+    rejected: string[];
+  };
+}
+
 class ApiService {
+  private token: string | null = localStorage.getItem(TOKEN_STORAGE_KEY);
+
+  setToken(token: string | null) {
+    this.token = token;
+    if (token) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+  }
+
+  getToken(): string | null {
+    return this.token;
+  }
+
   private async request<T>(
     endpoint: string,
     options: RequestInit = {}
@@ -227,18 +510,19 @@ class ApiService {
     try {
       const url = `${API_BASE_URL}${endpoint}`;
       const config: RequestInit = {
+        ...options,
         headers: {
           'Content-Type': 'application/json',
+          ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
           ...options.headers,
         },
-        ...options,
       };
 
       const response = await fetch(url, config);
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.message || `HTTP error! status: ${response.status}`);
+        throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`);
       }
 
       return data;
@@ -251,11 +535,36 @@ class ApiService {
     }
   }
 
+  // Authentication
+  async signUp(email: string, password: string, name: string): Promise<ApiResponse<AuthSession>> {
+    return this.request<AuthSession>('/api/auth/signup', {
+      method: 'POST',
+      body: JSON.stringify({ email, password, name }),
+    });
+  }
+
+  async login(email: string, password: string): Promise<ApiResponse<AuthSession>> {
+    return this.request<AuthSession>('/api/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password }),
+    });
+  }
+
+  async logout(): Promise<ApiResponse<{ loggedOut: boolean }>> {
+    return this.request<{ loggedOut: boolean }>('/api/auth/logout', {
+      method: 'POST',
+    });
+  }
+
+  async getCurrentUser(): Promise<ApiResponse<AuthUser>> {
+    return this.request<AuthUser>('/api/auth/me');
+  }
+
   // Analytics tracking
-  async trackEvent(eventName: string, userId: string, properties?: any, metadata?: any): Promise<ApiResponse<any>> {
+  async trackEvent(eventName: string, properties?: any, metadata?: any): Promise<ApiResponse<any>> {
     return this.request<any>('/api/analytics/track', {
       method: 'POST',
-      body: JSON.stringify({ eventName, userId, properties, metadata }),
+      body: JSON.stringify({ eventName, properties, metadata }),
     });
   }
 
@@ -303,10 +612,10 @@ class ApiService {
   }
 
   // Feedback collection
-  async submitFeedback(userId: string, type: string, data: any, metadata?: any): Promise<ApiResponse<any>> {
+  async submitFeedback(type: string, data: any, metadata?: any): Promise<ApiResponse<any>> {
     return this.request<any>('/api/feedback', {
       method: 'POST',
-      body: JSON.stringify({ userId, type, data, metadata }),
+      body: JSON.stringify({ type, data, metadata }),
     });
   }
 
@@ -318,10 +627,15 @@ class ApiService {
     });
   }
 
-  async getFeed(userId?: string, preferences?: any): Promise<ApiResponse<FeedItem[]>> {
+  // Signed-in readers get their stored profile; preferences only apply to anonymous readers
+  async getFeed(
+    preferences?: any,
+    page: { cursor?: string | null; limit?: number } = {}
+  ): Promise<ApiResponse<FeedItem[]> & { metadata?: FeedPageMetadata }> {
     const params = new URLSearchParams();
-    if (userId) params.append('userId', userId);
     if (preferences) params.append('preferences', JSON.stringify(preferences));
+    if (page.cursor) params.append('cursor', page.cursor);
+    if (page.limit) params.append('limit', String(page.limit));
     
     const queryString = params.toString();
     const endpoint = `/api/feed${queryString ? `?${queryString}` : ''}`;
@@ -336,17 +650,17 @@ class ApiService {
     });
   }
 
-  async generateQuiz(userId: string, preferences?: any): Promise<ApiResponse<Quiz>> {
+  async generateQuiz(preferences?: any): Promise<ApiResponse<Quiz>> {
     return this.request<Quiz>('/api/quiz/generate', {
       method: 'POST',
-      body: JSON.stringify({ userId, preferences }),
+      body: JSON.stringify({ preferences }),
     });
   }
 
-  async submitQuiz(quizId: string, answers: number[], userId: string): Promise<ApiResponse<QuizResult & { rewards?: any }>> {
+  async submitQuiz(quizId: string, answers: number[]): Promise<ApiResponse<QuizResult & { rewards?: any }>> {
     return this.request<QuizResult & { rewards?: any }>('/api/quiz/submit', {
       method: 'POST',
-      body: JSON.stringify({ quizId, answers, userId }),
+      body: JSON.stringify({ quizId, answers }),
     });
   }
 
@@ -361,10 +675,35 @@ class ApiService {
     return this.request<Reward[]>('/api/rewards');
   }
 
-  async redeemReward(userId: string, rewardId: string, quantity = 1): Promise<ApiResponse<any>> {
-    return this.request<any>('/api/rewards/redeem', {
+  // Callers keep one key per redeem attempt and pass it again on retry, so the server returns the original redemption
+  async redeemReward(rewardId: string, quantity: number, idempotencyKey: string): Promise<ApiResponse<RedeemResult>> {
+    return this.request<RedeemResult>('/api/rewards/redeem', {
+      method: 'POST',
+      headers: { 'Idempotency-Key': idempotencyKey },
+      body: JSON.stringify({ rewardId, quantity }),
+    });
+  }
+
+  async getRedemption(redemptionId: string): Promise<ApiResponse<Redemption>> {
+    return this.request<Redemption>(`/api/rewards/redemptions/${redemptionId}`);
+  }
+
+  async getVouchers(): Promise<ApiResponse<Voucher[]>> {
+    return this.request<Voucher[]>('/api/vouchers');
+  }
+
+  // Merchant staff: check a scanned code without using it up
+  async verifyVoucher(code: string): Promise<ApiResponse<VoucherCheck>> {
+    return this.request<VoucherCheck>('/api/vouchers/verify', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  async redeemVoucher(code: string): Promise<ApiResponse<VoucherCheck>> {
+    return this.request<VoucherCheck>('/api/vouchers/redeem', {
       method: 'POST',
-      body: JSON.stringify({ userId, rewardId, quantity }),
+      body: JSON.stringify({ code }),
     });
   }
 
@@ -372,6 +711,17 @@ class ApiService {
     return this.request<UserProfile>(`/api/user/${userId}/profile`);
   }
 
+  async getPreferences(userId: string): Promise<ApiResponse<OnboardingResult>> {
+    return this.request<OnboardingResult>(`/api/user/${userId}/preferences`);
+  }
+
+  async updatePreferences(userId: string, changes: Partial<OnboardingData>): Promise<ApiResponse<OnboardingResult>> {
+    return this.request<OnboardingResult>(`/api/user/${userId}/preferences`, {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    });
+  }
+
   async getUserReputation(userId: string): Promise<ApiResponse<any>> {
     return this.request<any>(`/api/user/${userId}/reputation`);
   }
@@ -380,12 +730,30 @@ class ApiService {
     return this.request<TransparencyReport>(`/api/transparency/report?timeframe=${timeframe}`);
   }
 
-  async getPublicAuditFeed(limit = 50, category?: string | null): Promise<ApiResponse<{ events: AuditEvent[] }>> {
+  async getPublicAuditFeed(limit = 50, category?: string | null): Promise<ApiResponse<AuditFeed>> {
     const params = new URLSearchParams();
     params.append('limit', limit.toString());
     if (category) params.append('category', category);
     
-    return this.request<{ events: AuditEvent[] }>(`/api/audit/public?${params.toString()}`);
+    return this.request<AuditFeed>(`/api/audit/public?${params.toString()}`);
+  }
+
+  // Moderation (moderator role)
+  async getModerationQueue(): Promise<ApiResponse<ModerationQueue>> {
+    return this.request<ModerationQueue>('/api/moderation');
+  }
+
+  async claimFlag(flagId: string): Promise<ApiResponse<any>> {
+    return this.request<any>(`/api/moderation/flags/${flagId}/claim`, {
+      method: 'POST',
+    });
+  }
+
+  async decideFlag(flagId: string, decision: FlagDecision, reasonCode?: string, note?: string): Promise<ApiResponse<any>> {
+    return this.request<any>(`/api/moderation/flags/${flagId}/${decision}`, {
+      method: 'POST',
+      body: JSON.stringify({ reasonCode, note }),
+    });
   }
 
   async getLeaderboard(): Promise<ApiResponse<any[]>> {
@@ -399,20 +767,42 @@ class ApiService {
 
 export const apiService = new ApiService();
 export type { 
+  AuthUser,
+  AuthSession,
   OnboardingData, 
   OnboardingResult, 
   ApiResponse, 
   FeedItem, 
+  FeedPageMetadata,
+  FeedRanking,
+  RankingSignal,
+  Contradiction,
+  ContradictionEvidence,
+  FactCheck,
+  FactCitation,
+  Syndication,
+  SyndicatedSource,
   FlagData, 
   Quiz,
   QuizQuestion,
   QuizResult,
   Reward,
+  RewardTransaction,
+  Redemption,
+  RedemptionStatus,
+  RedeemResult,
+  RewardEligibility,
+  Voucher,
+  VoucherCheck,
   UserProfile,
   VotePledge,
   TransparencyReport,
   AuditEvent,
+  AuditFeed,
   DashboardMetrics,
   CohortAnalysis,
-  FeatureFlags
+  FeatureFlags,
+  FlagDecision,
+  ModerationQueueItem,
+  ModerationQueue
 };
\ No newline at end of file